@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Per-element attributes and the attribute inspector.
+ *
+ *   vertex — label, color (fill), size (radius in screen px), shape
+ *   edge   — label, color, width (screen px), dash pattern, weight
+ *
+ * Every attribute is an optional property of the vertex / edge object:
+ * unset means "follow the theme" (or V{id} / e{id} for labels, 1 for
+ * weights, see graph.js), so untouched figures still switch with the
+ * light / dark theme.  Colors are #rrggbb.  Sizes and widths are screen
+ * px like V_RADIUS, so they do not change with the zoom.
+ *
+ * The inspector edits the vertex selection (all of it at once; the label
+ * only for a single vertex) or the selected edge.  Attributes belong to
+ * the document: they are undone, saved with the scene and written to the
+ * SVG / PNG / CSV / DOT exports.
+ */
+
+import { state, V_RADIUS }            from './state.js';
+import { themeColors }                from './theme.js';
+import { record }                     from './history.js';
+import { refreshAll, setMsg,
+         vertexName, LABEL_MAX }      from './ui.js';
+
+/** Vertex shapes in menu order, with their names. */
+export const VERTEX_SHAPES = {
+  circle:   'Círculo',
+  square:   'Quadrado',
+  triangle: 'Triângulo',
+  diamond:  'Losango',
+};
+
+/** Edge dash patterns in menu order, with their names and screen-px dashes. */
+export const EDGE_DASHES = {
+  solid:  { name: 'Contínua',   pattern: [] },
+  dashed: { name: 'Tracejada',  pattern: [8, 5] },
+  dotted: { name: 'Pontilhada', pattern: [2, 4] },
+};
+
+/** Vertex radius range, screen px. */
+export const VERTEX_SIZE = { min: 3, max: 24 };
+
+/** Edge width range, screen px. */
+export const EDGE_WIDTH = { min: 0.5, max: 12 };
+
+/** Default edge width, screen px. */
+export const EDGE_W = 2;
+
+/** Drawing attributes, copied to the halves of a split edge (labels and weights are not). */
+export const VERTEX_STYLE = ['color', 'size', 'shape'];
+export const EDGE_STYLE   = ['color', 'width', 'dash'];
+
+// ── Resolved attributes ───────────────────────────────────────────────────────
+
+/** @param {{size?:number}} v  @returns {number} radius in screen px */
+export function vertexRadius(v) {
+  return v.size ?? V_RADIUS;
+}
+
+/** @param {{width?:number}} e  @returns {number} width in screen px */
+export function edgeWidth(e) {
+  return e.width ?? EDGE_W;
+}
+
+/** @param {{dash?:string}} e  @returns {number[]} dashes in screen px */
+export function edgeDash(e) {
+  return EDGE_DASHES[e.dash ?? 'solid'].pattern;
+}
+
+/**
+ * Outline of a vertex shape centred on (x, y) with "radius" r, as the
+ * corners of a closed polygon, or null for a circle.  Shared by the canvas
+ * and the SVG export.  The corners reach a little past r so that every
+ * shape looks about as big as the circle of the same size.
+ *
+ * @param {string|undefined} shape
+ * @param {number} x
+ * @param {number} y
+ * @param {number} r
+ * @returns {Array<{x:number, y:number}>|null}
+ */
+export function shapeOutline(shape, x, y, r) {
+  switch (shape) {
+    case 'square':
+      return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([a, b]) => ({ x: x + a * r * .9, y: y + b * r * .9 }));
+    case 'diamond':
+      return [[0, -1], [1, 0], [0, 1], [-1, 0]].map(([a, b]) => ({ x: x + a * r * 1.25, y: y + b * r * 1.25 }));
+    case 'triangle':
+      // Apex up on screen; the centroid sits on the vertex
+      return [-90, 30, 150].map(deg => ({
+        x: x + Math.cos(deg * Math.PI / 180) * r * 1.3,
+        y: y + Math.sin(deg * Math.PI / 180) * r * 1.3,
+      }));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks one attribute value (not undefined).
+ *
+ * @param {string} key    label, color, size, shape, width, dash or weight.
+ * @param {*}      value
+ * @returns {string|null}  What is wrong ("deve ser …"), or null when valid.
+ */
+export function attrError(key, value) {
+  const range = (r, x) => Number.isFinite(x) && x >= r.min && x <= r.max;
+  switch (key) {
+    case 'label':  return typeof value === 'string' && value.length <= LABEL_MAX ? null : `deve ser um texto de até ${LABEL_MAX} caracteres`;
+    case 'color':  return /^#[0-9a-f]{6}$/i.test(value) ? null : 'deve ser uma cor no formato #rrggbb';
+    case 'size':   return range(VERTEX_SIZE, value) ? null : `deve ser um número entre ${VERTEX_SIZE.min} e ${VERTEX_SIZE.max}`;
+    case 'width':  return range(EDGE_WIDTH, value)  ? null : `deve ser um número entre ${EDGE_WIDTH.min} e ${EDGE_WIDTH.max}`;
+    case 'shape':  return Object.hasOwn(VERTEX_SHAPES, value) ? null : `deve ser ${_oneOf(VERTEX_SHAPES)}`;
+    case 'dash':   return Object.hasOwn(EDGE_DASHES, value)   ? null : `deve ser ${_oneOf(EDGE_DASHES)}`;
+    case 'weight': return Number.isFinite(value) && value >= 0 ? null : 'deve ser um número maior ou igual a zero';
+    default:       return 'não é um atributo conhecido';
+  }
+}
+
+// ── Inspector ─────────────────────────────────────────────────────────────────
+
+/**
+ * Sets (or clears, with null) an attribute of every selected vertex.
+ * The label only applies to a single vertex.
+ *
+ * @param {'label'|'color'|'size'|'shape'} key
+ * @param {*} value
+ */
+export function setVertexAttr(key, value) {
+  const ids = state.selection;
+  if (!ids.length || (key === 'label' && ids.length > 1)) return;
+  if (!_valid(key, value)) return;
+
+  record(ids.length > 1 ? `Atributos de ${ids.length} vértices` : `Atributos de V${ids[0]}`, () => {
+    for (const v of state.vertices) if (ids.includes(v.id)) _set(v, key, value);
+  });
+  refreshAll();
+}
+
+/**
+ * Sets (or clears, with null) an attribute of the selected edge.
+ *
+ * @param {'label'|'color'|'width'|'dash'|'weight'} key
+ * @param {*} value
+ */
+export function setEdgeAttr(key, value) {
+  const id = state.selEdge;
+  if (id === null || !_valid(key, value)) return;
+
+  record(`Atributos de e${id}`, () => {
+    const e = state.edges.find(e => e.id === id);
+    if (e) _set(e, key, value);
+  });
+  refreshAll();
+}
+
+/** Shows the inspector for the selected edge, else for the vertex selection. */
+export function refreshAttrPanel() {
+  const el = document.getElementById('at-status');
+  if (!el) return;
+
+  const C  = themeColors();
+  const e  = state.edges.find(e => e.id === state.selEdge);
+  const vs = e ? [] : state.vertices.filter(v => state.selection.includes(v.id));
+  document.getElementById('at-edge').hidden   = !e;
+  document.getElementById('at-vertex').hidden = !vs.length;
+
+  if (e) {
+    el.textContent = `Aresta e${e.id}: V${e.v1} ${e.directed ? '→' : '↔'} V${e.v2}`;
+    _field('at-e-label',  e.label ?? '').placeholder = `e${e.id}`;
+    _field('at-e-color',  e.color ?? C.edgeClr);
+    _field('at-e-width',  e.width ?? '').placeholder = String(EDGE_W);
+    _field('at-e-dash',   e.dash ?? 'solid');
+    _field('at-e-weight', e.weight ?? '').placeholder = '1';
+    document.getElementById('at-e-color-clear').disabled = e.color === undefined;
+
+  } else if (vs.length) {
+    const one  = vs.length === 1;
+    const same = key => new Set(vs.map(v => v[key])).size === 1 ? vs[0][key] : null;
+    const set  = key => vs.some(v => v[key] !== undefined);
+    el.textContent = one ? `Vértice ${vertexName(vs[0])}` : `${vs.length} vértices selecionados`;
+    const label = _field('at-v-label', one ? vs[0].label ?? '' : '');
+    label.placeholder = one ? `V${vs[0].id}` : 'só para um vértice';
+    label.disabled    = !one;
+    _field('at-v-color', same('color') ?? (set('color') ? vs.find(v => v.color).color : C.vFill));
+    _field('at-v-size',  same('size') ?? '').placeholder = set('size') ? 'vários' : String(V_RADIUS);
+    _field('at-v-shape', set('shape') ? same('shape') ?? '' : 'circle');
+    document.getElementById('at-v-color-clear').disabled = !set('color');
+
+  } else {
+    el.textContent = 'Selecione vértices ou uma aresta';
+  }
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Reports an invalid value and puts the inspector back. */
+function _valid(key, value) {
+  const err = value === null ? null : attrError(key, value);
+  if (err) {
+    setMsg(`O valor ${err}`);
+    refreshAttrPanel();
+  }
+  return !err;
+}
+
+/** Sets an attribute; null, the default shape and the default dash clear it. */
+function _set(x, key, value) {
+  if (value === null || (key === 'shape' && value === 'circle') || (key === 'dash' && value === 'solid')) delete x[key];
+  else x[key] = value;
+}
+
+function _field(id, value) {
+  const el = document.getElementById(id);
+  el.value = value;
+  return el;
+}
+
+function _oneOf(table) {
+  const keys = Object.keys(table);
+  return `${keys.slice(0, -1).join(', ')} ou ${keys.at(-1)}`;
+}
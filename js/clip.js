@@ -0,0 +1,624 @@
+/**
+ * @fileoverview Clipping visualizer: Cohen–Sutherland and Liang–Barsky
+ * clip every edge against an axis-aligned window, Sutherland–Hodgman clips
+ * a polygon against it one boundary at a time.
+ *
+ * The window is kept in world-px, so it stays put when the system changes,
+ * and the algorithms run in the cartesian coordinates of the clip frame:
+ * the active system when its axes are aligned with the screen (CG, Math,
+ * NDC), the Math frame otherwise (polar, custom).  That is where x_min …
+ * y_max are read — and why "top" is ambiguous: y_max is the upper side of
+ * the window in Math and NDC but the lower one in CG, so the outcode bit
+ * usually called TOP (y > y_max) marks points *below* the window on a CG
+ * screen.  Bits are therefore named after their inequality here.
+ *
+ * Cohen–Sutherland and Liang–Barsky replay every edge in turn (one step per
+ * outcode test / per boundary); Sutherland–Hodgman has one step per window
+ * side, each turning the previous polygon into the next.
+ */
+
+import { state }                              from './state.js';
+import { SYSTEMS, frame, visibleBounds,
+         worldToCartesian, cartesianToWorld } from './coords.js';
+import { draw }                               from './draw.js';
+import { setMsg }                             from './ui.js';
+import { renderInfo, showTab }                from './info.js';
+import { createPlayer }                       from './player.js';
+
+/** Delay between steps while playing, in ms. */
+const STEP_MS = 500;
+
+/** Windows smaller than this (world-px) are treated as a click, not a drag. */
+const MIN_SIZE = 4;
+
+export const CLIP_ALGOS = {
+  cohen:   'Cohen–Sutherland',
+  liang:   'Liang–Barsky',
+  hodgman: 'Sutherland–Hodgman',
+};
+
+/** Outcode bits, named after the inequality they test. */
+const Y_MAX = 8;
+const Y_MIN = 4;
+const X_MAX = 2;
+const X_MIN = 1;
+
+/**
+ * Window sides in the order Sutherland–Hodgman visits them.
+ * `inside` keeps the half-plane, `cut` intersects a side with the line.
+ */
+const BOUNDARIES = [
+  { name: 'x ≥ x<sub>min</sub>', inside: (p, b) => p.x >= b.xmin, cut: (p, q, b) => _atX(p, q, b.xmin) },
+  { name: 'x ≤ x<sub>max</sub>', inside: (p, b) => p.x <= b.xmax, cut: (p, q, b) => _atX(p, q, b.xmax) },
+  { name: 'y ≥ y<sub>min</sub>', inside: (p, b) => p.y >= b.ymin, cut: (p, q, b) => _atY(p, q, b.ymin) },
+  { name: 'y ≤ y<sub>max</sub>', inside: (p, b) => p.y <= b.ymax, cut: (p, q, b) => _atY(p, q, b.ymax) },
+];
+
+/**
+ * @typedef {{ x:number, y:number }} Pt
+ * @typedef {{ xmin:number, xmax:number, ymin:number, ymax:number }} Bounds
+ * @typedef {{ row:string[], seg:[Pt, Pt]|null, ends?:[Pt, Pt],
+ *             codes?:[number, number], hit?:Pt, t?:[number, number] }} LineStep
+ * @typedef {{ steps:LineStep[], result:[Pt, Pt]|null }} LineTrace
+ * @typedef {{ boundary:string, input:Array<Pt & {name:string}>,
+ *             output:Array<Pt & {name:string}>, rows:string[][] }} PolyStep
+ */
+
+const _player = createPlayer(STEP_MS, () => stepClip(1), () => refreshClipPanel());
+
+/** Memoised result of the current clip (see clipRun()). */
+let _cache = { key: null, run: null };
+
+// ── Algorithms ────────────────────────────────────────────────────────────────
+
+/**
+ * Region outcode of a point: one bit per window side it lies beyond.
+ *
+ * @param {Pt}     p
+ * @param {Bounds} b
+ * @returns {number}
+ */
+export function outcode(p, b) {
+  return (p.y > b.ymax ? Y_MAX : 0) | (p.y < b.ymin ? Y_MIN : 0)
+       | (p.x > b.xmax ? X_MAX : 0) | (p.x < b.xmin ? X_MIN : 0);
+}
+
+/**
+ * Cohen–Sutherland: trivially accept (c₀ | c₁ = 0) or reject (c₀ & c₁ ≠ 0),
+ * otherwise move an outside endpoint to the side named by its highest bit
+ * and test again.
+ *
+ * @param {Pt}     p0
+ * @param {Pt}     p1
+ * @param {Bounds} b
+ * @returns {LineTrace}
+ */
+export function cohenSutherland(p0, p1, b) {
+  const steps = [];
+  let [a, c] = [p0, p1];
+
+  // Each pass puts one endpoint exactly on a side, clearing that bit for good
+  for (;;) {
+    const ca  = outcode(a, b);
+    const cc  = outcode(c, b);
+    const row = [_pt(a), _bits(ca), _pt(c), _bits(cc)];
+    const at  = { ends: [a, c], codes: [ca, cc] };
+
+    if (!(ca | cc)) {
+      steps.push({ ...at, row: [...row, 'aceita: c₀ | c₁ = 0000'], seg: [a, c] });
+      return { steps, result: [a, c] };
+    }
+    if (ca & cc) {
+      steps.push({ ...at, row: [...row, `rejeita: c₀ & c₁ = ${_bits(ca & cc)}`], seg: null });
+      return { steps, result: null };
+    }
+
+    const code = ca || cc;
+    const [bit, side, hit] =
+        code & Y_MAX ? [Y_MAX, 'y<sub>max</sub>', _atY(a, c, b.ymax)]
+      : code & Y_MIN ? [Y_MIN, 'y<sub>min</sub>', _atY(a, c, b.ymin)]
+      : code & X_MAX ? [X_MAX, 'x<sub>max</sub>', _atX(a, c, b.xmax)]
+      :                [X_MIN, 'x<sub>min</sub>', _atX(a, c, b.xmin)];
+
+    const name = ca ? 'P₀' : 'P₁';
+    if (ca) a = hit; else c = hit;
+    steps.push({ ...at, row: [...row, `bit ${_bits(bit)}: ${name} ← ${_pt(hit)} em ${side}`], seg: [a, c], hit });
+  }
+}
+
+/**
+ * Liang–Barsky: with P(t) = P₀ + t·Δ, each side gives p·t ≤ q.  p < 0 means
+ * the line enters that half-plane (raises t₀ to q/p), p > 0 that it leaves
+ * (lowers t₁); t₀ > t₁ rejects.  p = 0 is a line parallel to the side,
+ * outside when q < 0.
+ *
+ * @param {Pt}     p0
+ * @param {Pt}     p1
+ * @param {Bounds} b
+ * @returns {LineTrace}
+ */
+export function liangBarsky(p0, p1, b) {
+  const dx = p1.x - p0.x;
+  const dy = p1.y - p0.y;
+  const at = t => ({ x: p0.x + t * dx, y: p0.y + t * dy });
+  const tests = [
+    ['x<sub>min</sub>', -dx, p0.x - b.xmin],
+    ['x<sub>max</sub>',  dx, b.xmax - p0.x],
+    ['y<sub>min</sub>', -dy, p0.y - b.ymin],
+    ['y<sub>max</sub>',  dy, b.ymax - p0.y],
+  ];
+
+  const steps = [];
+  let t0 = 0;
+  let t1 = 1;
+  for (const [side, p, q] of tests) {
+    let r    = '—';
+    let kind = q < 0 ? 'paralela, fora' : 'paralela, dentro';
+    if (p !== 0) {
+      r    = _f(q / p);
+      kind = p < 0 ? 'entra' : 'sai';
+      if (p < 0) t0 = Math.max(t0, q / p);
+      else       t1 = Math.min(t1, q / p);
+    }
+
+    const out = (p === 0 && q < 0) || t0 > t1;
+    const row = [side, _f(p), _f(q), r, out ? `${kind} → rejeita` : kind, _f(t0), _f(t1)];
+    steps.push({ row, seg: out ? null : [at(t0), at(t1)], t: [t0, t1] });
+    if (out) return { steps, result: null };
+  }
+
+  const seg = [at(t0), at(t1)];
+  steps.push({ row: ['—', '', '', '', `aceita: t ∈ [${_f(t0)}, ${_f(t1)}]`, _f(t0), _f(t1)], seg, t: [t0, t1] });
+  return { steps, result: seg };
+}
+
+/**
+ * Sutherland–Hodgman: walks the polygon sides S → P once per window side,
+ * keeping P when it is inside and the crossing I when S and P are on
+ * opposite sides.
+ *
+ * @param {Array<Pt & {name:string}>} pts  Polygon corners.
+ * @param {Bounds} b
+ * @returns {{ steps: PolyStep[], result: Array<Pt & {name:string}> }}
+ */
+export function sutherlandHodgman(pts, b) {
+  const steps = [];
+  let poly = pts;
+  let n    = 0;
+
+  for (const bd of BOUNDARIES) {
+    const output = [];
+    const rows   = [];
+    poly.forEach((p, k) => {
+      const s   = poly[(k + poly.length - 1) % poly.length];
+      const sIn = bd.inside(s, b);
+      const pIn = bd.inside(p, b);
+      const cut = () => ({ ...bd.cut(s, p, b), name: `I${++n}` });
+
+      const emit = sIn && pIn ? [p]
+                 : sIn        ? [cut()]
+                 : pIn        ? [cut(), p]
+                 :              [];
+      output.push(...emit);
+
+      const where = x => x ? 'dentro' : 'fora';
+      rows.push([`${s.name} → ${p.name}`, `${where(sIn)} → ${where(pIn)}`,
+                 emit.map(q => `${q.name} ${_pt(q)}`).join(', ') || '—']);
+    });
+
+    steps.push({ boundary: bd.name, input: poly, output, rows });
+    poly = output;
+  }
+
+  return { steps, result: poly };
+}
+
+// ── Window ────────────────────────────────────────────────────────────────────
+
+/**
+ * Frame the window bounds are read in.
+ *
+ * @returns {'cg'|'math'|'ndc'}
+ */
+export function clipFrame() {
+  const sys = state.coordSystem;
+  return sys === 'cg' || sys === 'ndc' ? sys : 'math';
+}
+
+/**
+ * Window bounds in clip-frame coordinates, or null when there is no window.
+ *
+ * @returns {Bounds|null}
+ */
+export function clipBounds() {
+  const r = state.clip.rect;
+  if (!r) return null;
+  const a = worldToCartesian(r.x0, r.y0, clipFrame());
+  const c = worldToCartesian(r.x1, r.y1, clipFrame());
+  return {
+    xmin: Math.min(a.x, c.x), xmax: Math.max(a.x, c.x),
+    ymin: Math.min(a.y, c.y), ymax: Math.max(a.y, c.y),
+  };
+}
+
+/**
+ * Clip-frame → world-px.
+ *
+ * @param {Pt} p
+ * @returns {Pt}
+ */
+export function clipToWorld(p) {
+  return cartesianToWorld(p.x, p.y, clipFrame());
+}
+
+// ── Current run ───────────────────────────────────────────────────────────────
+
+/**
+ * Runs the selected algorithm on the current drawing (memoised).
+ *
+ * Line algorithms return one trace per edge plus a flat list of steps
+ * ({ t: trace index, s: step in that trace }) for the player.
+ *
+ * @returns {{ kind:'lines', traces:Array<LineTrace & {edge:object}>,
+ *             steps:Array<{t:number, s:number}> }
+ *         | { kind:'poly', poly:object, steps:PolyStep[], result:Array }
+ *         | null}  null when there is no window or nothing to clip.
+ */
+export function clipRun() {
+  const c   = state.clip;
+  const key = JSON.stringify([
+    c.algo, c.rect, c.poly, frame(clipFrame()),
+    state.vertices, state.edges, state.polygons,
+  ]);
+  if (_cache.key !== key) _cache = { key, run: _compute() };
+  return _cache.run;
+}
+
+/**
+ * Polygon clipped by Sutherland–Hodgman: the chosen one, or the first.
+ *
+ * @returns {{ id:number, verts:number[] }|null}
+ */
+export function clipPolygon() {
+  return state.polygons.find(p => p.id === state.clip.poly) ?? state.polygons[0] ?? null;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/**
+ * Changes a clip setting ('on', 'algo' or 'poly').
+ * Turning the window on without one places it over the middle of the view.
+ *
+ * @param {string} key
+ * @param {*} value
+ */
+export function setClip(key, value) {
+  state.clip[key] = value;
+  if (key === 'on' && value && !state.clip.rect) {
+    const b = visibleBounds();
+    const w = (b.right - b.left) / 4;
+    const h = (b.bottom - b.top) / 4;
+    state.clip.rect = { x0: b.left + w, y0: b.top + h, x1: b.right - w, y1: b.bottom - h };
+  }
+  _restart();
+}
+
+/**
+ * Sets one side of the window from a value typed in clip-frame units.
+ *
+ * @param {'xmin'|'xmax'|'ymin'|'ymax'} side
+ * @param {number} value
+ */
+export function setClipBound(side, value) {
+  const b = clipBounds();
+  if (!b || !Number.isFinite(value)) { refreshClipPanel(); return; }
+
+  b[side] = value;
+  if (b.xmin > b.xmax) [b.xmin, b.xmax] = [b.xmax, b.xmin];
+  if (b.ymin > b.ymax) [b.ymin, b.ymax] = [b.ymax, b.ymin];
+  const p = clipToWorld({ x: b.xmin, y: b.ymin });
+  const q = clipToWorld({ x: b.xmax, y: b.ymax });
+  state.clip.rect = { x0: p.x, y0: p.y, x1: q.x, y1: q.y };
+  _restart();
+}
+
+/** The next drag on the canvas draws the window. */
+export function armWindow() {
+  state.clip.armed = !state.clip.armed;
+  setMsg(state.clip.armed ? 'Arraste no canvas para desenhar a janela de recorte' : '');
+  refreshClipPanel();
+}
+
+/**
+ * Starts drawing the window at a world-px point, if armed for it.
+ *
+ * @param {number} wx
+ * @param {number} wy
+ * @returns {boolean}  Whether the press was used.
+ */
+export function startWindow(wx, wy) {
+  if (!state.clip.armed) return false;
+  state.clip.drawing = { x0: wx, y0: wy, x1: wx, y1: wy };
+  draw();
+  return true;
+}
+
+/**
+ * Moves the free corner of the window being drawn.
+ *
+ * @param {number} wx
+ * @param {number} wy
+ */
+export function dragWindow(wx, wy) {
+  Object.assign(state.clip.drawing, { x1: wx, y1: wy });
+  draw();
+}
+
+/** Finishes the window; a plain click keeps the previous one. */
+export function endWindow() {
+  const r = state.clip.drawing;
+  state.clip.drawing = null;
+  state.clip.armed   = false;
+  if (Math.abs(r.x1 - r.x0) >= MIN_SIZE && Math.abs(r.y1 - r.y0) >= MIN_SIZE) {
+    state.clip.rect = r;
+    state.clip.on   = true;
+    const b = clipBounds();
+    setMsg(`Janela: x ∈ [${_f(b.xmin)}, ${_f(b.xmax)}], y ∈ [${_f(b.ymin)}, ${_f(b.ymax)}]`);
+  }
+  _restart();
+}
+
+/**
+ * Moves the player by `delta` steps.
+ *
+ * @param {number} delta
+ * @returns {boolean}  false when the player could not move (at an end).
+ */
+export function stepClip(delta) {
+  const run = clipRun();
+  if (!run || !run.steps.length) { setMsg(_emptyMessage()); return false; }
+
+  const n    = run.steps.length;
+  const cur  = state.clip.step ?? (delta > 0 ? -1 : n);
+  const next = Math.max(0, Math.min(n - 1, cur + delta));
+
+  state.clip.on = true;
+  _showTrace();
+  const moved = next !== state.clip.step;
+  state.clip.step = next;
+  refreshClipPanel();
+  draw();
+  return moved;
+}
+
+/** Back to the first step. */
+export function resetClip() {
+  _player.stop();
+  state.clip.step = null;
+  stepClip(1);
+}
+
+/** Plays the clip step by step, or pauses. */
+export function toggleClipPlay() {
+  if (_player.playing) { _player.stop(); refreshClipPanel(); return; }
+
+  const run = clipRun();
+  if (!run || !run.steps.length) { setMsg(_emptyMessage()); return; }
+
+  // Start over when nothing is being stepped or the end was reached
+  if (state.clip.step === null || state.clip.step >= run.steps.length - 1) {
+    state.clip.step = null;
+    stepClip(1);
+  }
+  _player.play();
+  refreshClipPanel();
+}
+
+// ── Sidebar / info panel ──────────────────────────────────────────────────────
+
+/** Updates the clipping card and, if visible, the trace tab. */
+export function refreshClipPanel() {
+  const el = document.getElementById('cl-status');
+  if (!el) return;
+
+  const c  = state.clip;
+  const cf = clipFrame();
+  document.getElementById('cl-on').checked   = c.on;
+  document.getElementById('cl-algo').value   = c.algo;
+  document.getElementById('cl-poly-group').hidden = c.algo !== 'hodgman';
+  document.getElementById('cl-draw-btn').classList.toggle('active', c.armed);
+  document.getElementById('cl-play').textContent = _player.playing ? '⏸' : '▶';
+
+  // The side of the window at the top of the screen depends on the Y axis
+  const [top, bottom] = cf === 'cg' ? ['ymin', 'ymax'] : ['ymax', 'ymin'];
+  document.getElementById(`cl-${top}-lbl`).textContent    = `y_${top.slice(1)} (topo na tela)`;
+  document.getElementById(`cl-${bottom}-lbl`).textContent = `y_${bottom.slice(1)} (base na tela)`;
+  document.getElementById('cl-frame').textContent = cf === state.coordSystem ? SYSTEMS[cf].name : 'x, y do Matemático';
+
+  const b = clipBounds();
+  for (const side of ['xmin', 'xmax', 'ymin', 'ymax']) {
+    const input = document.getElementById(`cl-${side}`);
+    input.disabled = !b;
+    if (document.activeElement !== input) input.value = b ? _f(b[side]) : '';
+  }
+
+  const sel = document.getElementById('cl-poly');
+  const cur = clipPolygon();
+  sel.innerHTML = state.polygons.length
+    ? state.polygons.map(p => `<option value="${p.id}"${p === cur ? ' selected' : ''}>P${p.id}</option>`).join('')
+    : '<option value="">—</option>';
+
+  const run = clipRun();
+  if (!run || !run.steps.length) {
+    el.textContent = _emptyMessage();
+  } else {
+    if (c.step !== null && c.step >= run.steps.length) c.step = run.steps.length - 1;
+    const pos = c.step === null ? 'completo' : `passo ${c.step + 1} / ${run.steps.length}`;
+    el.textContent = run.kind === 'poly'
+      ? `P${run.poly.id}: ${pos} · ${run.result.length} vértice(s) no recorte`
+      : `${run.traces.length} aresta(s): ${pos} · ${run.traces.filter(t => t.result).length} visível(is)`;
+  }
+
+  if (state.activeTab === 'steps' && state.stepTool === 'clip') renderInfo();
+}
+
+/**
+ * HTML for the info panel trace tab.
+ *
+ * @returns {string}
+ */
+export function clipInfo() {
+  const c   = state.clip;
+  const run = c.on ? clipRun() : null;
+  if (!run || !run.steps.length) {
+    return `
+    <h4>Recorte</h4>
+    <p>${c.on ? _emptyMessage() : 'Ative <strong>Mostrar janela de recorte</strong> no card <strong>Recorte</strong>.'}</p>`;
+  }
+
+  const b   = clipBounds();
+  const cf  = clipFrame();
+  const top = cf === 'cg' ? 'y<sub>min</sub>' : 'y<sub>max</sub>';
+  const setup = `
+  <div class="trace-setup">
+    <span>x<sub>min</sub> = <span class="hl">${_f(b.xmin)}</span></span>
+    <span>x<sub>max</sub> = <span class="hl">${_f(b.xmax)}</span></span>
+    <span>y<sub>min</sub> = <span class="hl">${_f(b.ymin)}</span></span>
+    <span>y<sub>max</sub> = <span class="hl">${_f(b.ymax)}</span></span>
+    <span>topo da tela: <span class="hl">${top}</span> (${SYSTEMS[cf].name})</span>
+  </div>`;
+
+  return run.kind === 'poly' ? _polyInfo(run, setup) : _lineInfo(run, setup);
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _compute() {
+  const b = clipBounds();
+  if (!b) return null;
+
+  const at = id => {
+    const v = state.vertices.find(v => v.id === id);
+    return v && worldToCartesian(v.cx, v.cy, clipFrame());
+  };
+
+  if (state.clip.algo === 'hodgman') {
+    const poly = clipPolygon();
+    if (!poly) return null;
+    const pts = poly.verts.map(id => ({ ...at(id), name: `V${id}` }));
+    return { kind: 'poly', poly, ...sutherlandHodgman(pts, b) };
+  }
+
+  const clip   = state.clip.algo === 'liang' ? liangBarsky : cohenSutherland;
+  const traces = [];
+  for (const e of state.edges) {
+    const p = at(e.v1);
+    const q = at(e.v2);
+    if (p && q) traces.push({ edge: e, ...clip(p, q, b) });
+  }
+  const steps = traces.flatMap((tr, t) => tr.steps.map((_, s) => ({ t, s })));
+  return { kind: 'lines', traces, steps };
+}
+
+function _lineInfo(run, setup) {
+  const c     = state.clip;
+  const cur   = c.step === null ? null : run.steps[c.step];
+  const liang = c.algo === 'liang';
+  const cols  = liang
+    ? ['aresta', 'borda', 'p', 'q', 'r = q/p', 'tipo', 't₀', 't₁']
+    : ['aresta', 'P₀', 'c₀', 'P₁', 'c₁', 'ação'];
+
+  const rows = run.steps.map(({ t, s }, k) => {
+    const tr = run.traces[t];
+    const e  = s === 0 ? `e${tr.edge.id}` : '';
+    return `<tr${k === c.step ? ' class="cur"' : ''}><td>${e}</td>${tr.steps[s].row.map(v => `<td>${v}</td>`).join('')}</tr>`;
+  });
+
+  const note = liang
+    ? 'P(t) = P₀ + t·(P₁ − P₀), 0 ≤ t ≤ 1. Cada borda dá p·t ≤ q: p &lt; 0 entra (t₀ = max), p &gt; 0 sai (t₁ = min); t₀ &gt; t₁ rejeita.'
+    : `Bits do código: <strong>1000</strong> y &gt; y<sub>max</sub> · <strong>0100</strong> y &lt; y<sub>min</sub> · <strong>0010</strong> x &gt; x<sub>max</sub> · <strong>0001</strong> x &lt; x<sub>min</sub>.
+       ${clipFrame() === 'cg'
+         ? 'No CG o Y cresce para baixo: o bit 1000 (o “TOPO” dos livros) marca pontos <strong>abaixo</strong> da janela na tela.'
+         : 'Com Y para cima, o bit 1000 marca pontos <strong>acima</strong> da janela — no CG seria abaixo.'}`;
+
+  return `
+  <h4>${CLIP_ALGOS[c.algo]}${cur ? ` — e${run.traces[cur.t].edge.id} · passo ${c.step + 1} de ${run.steps.length}` : ''}</h4>
+  ${setup}
+  <table class="trace">
+    <tr>${cols.map(h => `<th>${h}</th>`).join('')}</tr>
+    ${rows.join('')}
+  </table>
+  <div class="note">${note}</div>`;
+}
+
+function _polyInfo(run, setup) {
+  const c    = state.clip;
+  const k    = c.step ?? run.steps.length - 1;
+  const step = run.steps[k];
+  const list = pts => pts.map(p => p.name).join(' ') || 'vazio';
+
+  const passes = run.steps.map((st, n) =>
+    `<tr${n === c.step ? ' class="cur"' : ''}><td>${st.boundary}</td><td>${list(st.input)}</td><td>${list(st.output)}</td></tr>`);
+  const sides = step.rows.map(r => `<tr>${r.map(v => `<td>${v}</td>`).join('')}</tr>`);
+
+  return `
+  <h4>${CLIP_ALGOS.hodgman} — P${run.poly.id}${c.step === null ? '' : ` · borda ${c.step + 1} de ${run.steps.length}`}</h4>
+  ${setup}
+  <table class="trace trace-left">
+    <tr><th>borda</th><th>entrada</th><th>saída</th></tr>
+    ${passes.join('')}
+  </table>
+  <table class="trace trace-left">
+    <tr><th>lado S → P (${step.boundary})</th><th>caso</th><th>emite</th></tr>
+    ${sides.join('')}
+  </table>
+  <div class="note">Dentro → dentro emite P; dentro → fora emite a interseção I; fora → dentro emite I e P; fora → fora não emite nada. A saída de cada borda é a entrada da próxima.</div>`;
+}
+
+/** Point on segment pq with the given x (pq is not vertical there). */
+function _atX(p, q, x) {
+  return { x, y: p.y + (q.y - p.y) * (x - p.x) / (q.x - p.x) };
+}
+
+/** Point on segment pq with the given y. */
+function _atY(p, q, y) {
+  return { x: p.x + (q.x - p.x) * (y - p.y) / (q.y - p.y), y };
+}
+
+function _bits(code) {
+  return code.toString(2).padStart(4, '0');
+}
+
+function _pt(p) {
+  return `(${_f(p.x)}, ${_f(p.y)})`;
+}
+
+function _restart() {
+  _player.stop();
+  state.clip.step = null;
+  if (state.clip.on) _showTrace();
+  refreshClipPanel();
+  draw();
+}
+
+function _emptyMessage() {
+  if (!state.clip.rect) return 'Desenhe a janela de recorte no canvas';
+  if (state.clip.algo === 'hodgman') {
+    return clipPolygon() ? 'O polígono não tem vértices' : 'Crie um polígono (card Polígonos) para recortar';
+  }
+  return 'Crie arestas para recortar';
+}
+
+/** Makes the clip trace the content of the "Passo a passo" tab. */
+function _showTrace() {
+  state.stepTool = 'clip';
+  if (state.activeTab === 'steps') renderInfo();
+  else showTab('steps');
+}
+
+/** Rounds to the clip frame's display precision (at least 2 decimals). */
+function _f(x) {
+  const k = 10 ** Math.max(2, SYSTEMS[clipFrame()].digits);
+  const r = Math.round(x * k) / k;
+  return String(Object.is(r, -0) ? 0 : r);
+}
@@ -5,11 +5,99 @@
  *   world-px  — internal pixel space where vertices are stored
  *               (identity with canvas pixels at zoom=1, pan=(0,0))
  *   screen-px — physical on-screen pixels (after zoom/pan transform)
- *   user      — the coordinates shown to the user (CG or Math)
+ *   user      — the coordinates shown to the user (in the active system)
+ *
+ * Every system is built on an affine FRAME — an origin plus two basis
+ * vectors in world-px — so that
+ *   world = o + x·ex + y·ey
+ * where (x, y) are the frame's cartesian coordinates.  For all systems
+ * but 'polar' these are the user coordinates; polar reports (r, θ)
+ * measured in the Math frame.
+ *
+ * The pixel-based frames (cg, math, polar) follow the unit scale in
+ * state.units: one grid cell (GRID px) is `cell` units, optionally named
+ * px, cm or m.  Displayed values are rounded to the chosen precision.
+ */
+
+import { state, GRID } from './state.js';
+import { canvas }      from './canvas.js';
+import { gridSpacing } from './grid.js';
+
+// ── Systems ───────────────────────────────────────────────────────────────────
+
+/**
+ * Catalogue of coordinate systems.
+ *   digits — decimals shown for user coordinates at 'auto' precision
+ *   axes   — names of the two user coordinates
+ *
+ * @type {Object<string, { name: string, digits: number, axes: [string, string] }>}
  */
+export const SYSTEMS = {
+  cg:     { name: 'CG / Screen',   digits: 0, axes: ['X', 'Y']     },
+  math:   { name: 'Matemático',    digits: 0, axes: ['X', 'Y']     },
+  ndc:    { name: 'NDC',           digits: 3, axes: ['X', 'Y']     },
+  polar:  { name: 'Polar',         digits: 1, axes: ['r', 'θ (°)'] },
+  custom: { name: 'Personalizado', digits: 2, axes: ['u', 'v']     },
+};
 
-import { state } from './state.js';
-import { canvas } from './canvas.js';
+/**
+ * @typedef {{ o: {x:number, y:number},
+ *             ex: {x:number, y:number},
+ *             ey: {x:number, y:number} }} Frame
+ */
+
+/**
+ * Affine frame of a coordinate system (world-px per user unit).
+ *
+ *   cg     — canvas top-left, Y down, pxPerUnit() px per unit
+ *   math   — fixed origin (mathOx, mathOy), Y up, pxPerUnit() px per unit
+ *   polar  — same frame as math; r in its units, θ counter-clockwise from +X
+ *   ndc    — the visible viewport spans −1…1 on both axes, Y up
+ *   custom — user origin, basis rotated by `angle`°, `scale` px per unit, Y up
+ *
+ * @param {string} [sys=state.coordSystem]
+ * @returns {Frame}
+ */
+export function frame(sys = state.coordSystem) {
+  const k = pxPerUnit();
+  switch (sys) {
+    case 'cg':
+      return { o: { x: 0, y: 0 }, ex: { x: k, y: 0 }, ey: { x: 0, y: k } };
+
+    case 'ndc': {
+      const b = visibleBounds();
+      return {
+        o:  { x: (b.left + b.right) / 2, y: (b.top + b.bottom) / 2 },
+        ex: { x: (b.right - b.left) / 2, y: 0 },
+        ey: { x: 0, y: -(b.bottom - b.top) / 2 },
+      };
+    }
+
+    case 'custom': {
+      const { ox, oy, angle, scale } = state.customFrame;
+      const a = angle * Math.PI / 180;
+      const c = Math.cos(a) * scale;
+      const s = Math.sin(a) * scale;
+      return { o: { x: ox, y: oy }, ex: { x: c, y: -s }, ey: { x: -s, y: -c } };
+    }
+
+    default:   // 'math', 'polar'
+      return { o: { x: state.mathOx, y: state.mathOy }, ex: { x: k, y: 0 }, ey: { x: 0, y: -k } };
+  }
+}
+
+/**
+ * Whether the active system's Y axis points down on screen (left-handed
+ * as seen by the viewer).  This flips the on-screen sense of a positive
+ * rotation and of polygon winding.
+ *
+ * @param {string} [sys=state.coordSystem]
+ * @returns {boolean}
+ */
+export function isYDown(sys = state.coordSystem) {
+  const { ex, ey } = frame(sys);
+  return ex.x * ey.y - ex.y * ey.x > 0;
+}
 
 // ── Origin ────────────────────────────────────────────────────────────────────
 
@@ -19,41 +107,219 @@ import { canvas } from './canvas.js';
  * @returns {{ x: number, y: number }}
  */
 export function origin() {
-  return state.coordSystem === 'cg'
-    ? { x: 0, y: 0 }
-    : { x: state.mathOx, y: state.mathOy };
+  return frame().o;
 }
 
 // ── User ↔ World conversions ──────────────────────────────────────────────────
 
 /**
- * Converts world-px coordinates to user-facing coordinates.
+ * Converts world-px coordinates to user-facing coordinates, rounded to the
+ * display precision (see userStep()).
  *
  * @param {number} wx  World x
  * @param {number} wy  World y
  * @returns {{ x: number, y: number }}
  */
 export function worldToUser(wx, wy) {
-  if (state.coordSystem === 'cg') {
-    return { x: Math.round(wx), y: Math.round(wy) };
-  }
-  const o = origin();
-  return { x: Math.round(wx - o.x), y: Math.round(o.y - wy) };
+  const u = worldToUserExact(wx, wy);
+  return { x: _round(u.x, userStep(0)), y: _round(u.y, userStep(1)) };
+}
+
+/**
+ * Converts world-px coordinates to user coordinates without rounding.
+ * Use this for geometry (transforms, measurements); worldToUser() for display.
+ *
+ * @param {number} wx  World x
+ * @param {number} wy  World y
+ * @returns {{ x: number, y: number }}  For polar systems x = r, y = θ in degrees.
+ */
+export function worldToUserExact(wx, wy) {
+  const c = worldToCartesian(wx, wy);
+  if (state.coordSystem !== 'polar') return c;
+
+  const theta = Math.atan2(c.y, c.x) * 180 / Math.PI;
+  return { x: Math.hypot(c.x, c.y), y: theta < 0 ? theta + 360 : theta };
 }
 
 /**
  * Converts user-facing coordinates to world-px coordinates.
  *
- * @param {number} ux  User x
- * @param {number} uy  User y
+ * @param {number} ux  User x (r for polar)
+ * @param {number} uy  User y (θ in degrees for polar)
  * @returns {{ x: number, y: number }}
  */
 export function userToWorld(ux, uy) {
-  if (state.coordSystem === 'cg') {
-    return { x: ux, y: uy };
+  if (state.coordSystem === 'polar') {
+    const t = uy * Math.PI / 180;
+    return cartesianToWorld(ux * Math.cos(t), ux * Math.sin(t));
+  }
+  return cartesianToWorld(ux, uy);
+}
+
+/**
+ * World-px → cartesian coordinates of a frame (unrounded).
+ * Identical to the user coordinates except in the polar system, where it
+ * gives the underlying Math (x, y).  Affine tools work in this space.
+ *
+ * @param {number} wx
+ * @param {number} wy
+ * @param {string} [sys=state.coordSystem]  Frame to use (default: the active one).
+ * @returns {{ x: number, y: number }}
+ */
+export function worldToCartesian(wx, wy, sys = state.coordSystem) {
+  const { o, ex, ey } = frame(sys);
+  const dx  = wx - o.x;
+  const dy  = wy - o.y;
+  const det = ex.x * ey.y - ex.y * ey.x;
+  return {
+    x: (dx * ey.y - dy * ey.x) / det,
+    y: (ex.x * dy - ex.y * dx) / det,
+  };
+}
+
+/**
+ * Cartesian coordinates of a frame → world-px.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {string} [sys=state.coordSystem]  Frame to use (default: the active one).
+ * @returns {{ x: number, y: number }}
+ */
+export function cartesianToWorld(x, y, sys = state.coordSystem) {
+  const { o, ex, ey } = frame(sys);
+  return { x: o.x + x * ex.x + y * ey.x, y: o.y + x * ex.y + y * ey.y };
+}
+
+/**
+ * Formats user coordinates for labels and readouts, e.g. "(120, -40)",
+ * "(2.5, -0.8) cm" or, in the polar system, "(141.4, 45°)".
+ *
+ * @param {{ x: number, y: number }} u    Output of worldToUser().
+ * @param {string} [sep=', ']             Separator (labels use ',').
+ * @returns {string}
+ */
+export function formatUser(u, sep = ', ') {
+  const unit = unitName() ? ` ${unitName()}` : '';
+  if (state.coordSystem === 'polar') return `(${_num(u.x)}${unit}${sep}${_num(u.y)}°)`;
+  return `(${_num(u.x)}${sep}${_num(u.y)})${unit}`;
+}
+
+/**
+ * Formats a length in the units of the active frame, at the display
+ * precision of x (r in polar), e.g. "141.42" or "2.83 cm".
+ *
+ * @param {number} len
+ * @returns {string}
+ */
+export function formatLength(len) {
+  const unit = unitName() ? ` ${unitName()}` : '';
+  return `${_num(_round(len, userStep(0)))}${unit}`;
+}
+
+/**
+ * Formats the components of a vector like lengths, e.g. "(3, -4)" or
+ * "(1.5, 0.25) cm" (cartesian components, also in the polar system).
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {string}
+ */
+export function formatVector(x, y) {
+  const unit = unitName() ? ` ${unitName()}` : '';
+  const step = userStep(0);
+  return `(${_num(_round(x, step))}, ${_num(_round(y, step))})${unit}`;
+}
+
+/** Avoids printing "-0" for values that round to zero. */
+function _num(x) {
+  return Object.is(x, -0) ? '0' : String(x);
+}
+
+// ── Units and precision ───────────────────────────────────────────────────────
+
+/**
+ * Choices of the display precision (state.units.precision):
+ *   auto   — the system's own decimals, plus those the unit scale needs
+ *   d0…d4  — a fixed number of decimals
+ *   g2…g10 — multiples of a fraction of one grid cell
+ */
+export const PRECISIONS = {
+  auto: 'Automática',
+  d0:   'Inteiro',
+  d1:   '1 casa decimal',
+  d2:   '2 casas decimais',
+  d3:   '3 casas decimais',
+  d4:   '4 casas decimais',
+  g2:   '½ célula da grade',
+  g4:   '¼ célula da grade',
+  g5:   '⅕ célula da grade',
+  g10:  '1/10 célula da grade',
+};
+
+/** Physical unit names (state.units.unit); '' = plain units. */
+export const UNITS = ['', 'px', 'cm', 'm'];
+
+/** Systems whose frame follows the unit scale. */
+const SCALED = ['cg', 'math', 'polar'];
+
+/**
+ * Whether a system's frame follows the unit scale (NDC spans the viewport
+ * and the custom frame has its own scale).
+ *
+ * @param {string} [sys=state.coordSystem]
+ * @returns {boolean}
+ */
+export function isScaled(sys = state.coordSystem) {
+  return SCALED.includes(sys);
+}
+
+/**
+ * World-px per unit of the cg, math and polar frames: one grid cell of
+ * GRID px holds state.units.cell units.
+ *
+ * @returns {number}
+ */
+export function pxPerUnit() {
+  return GRID / state.units.cell;
+}
+
+/**
+ * Name of the unit shown after user coordinates ('' when none is set, and
+ * always in NDC, which has no length unit).
+ *
+ * @returns {string}
+ */
+export function unitName() {
+  return state.coordSystem === 'ndc' ? '' : state.units.unit;
+}
+
+/**
+ * Smallest change of a user coordinate the display shows: the value every
+ * displayed coordinate is a multiple of.  Polar θ follows the decimals of
+ * the precision but never a grid fraction.
+ *
+ * @param {0|1} axis  0 = x (r), 1 = y (θ).
+ * @returns {number}
+ */
+export function userStep(axis) {
+  const sys   = state.coordSystem;
+  const p     = state.units.precision;
+  const angle = sys === 'polar' && axis === 1;
+
+  if (p.startsWith('g') && !angle) {
+    const cell = isScaled(sys) ? state.units.cell : gridSpacing(1)[axis];
+    return cell / Number(p.slice(1));
   }
-  const o = origin();
-  return { x: o.x + ux, y: o.y - uy };
+  if (p.startsWith('d')) return 10 ** -Number(p.slice(1));
+
+  // auto: a scale finer than 1 unit per px needs more decimals
+  const more = isScaled(sys) && !angle ? Math.ceil(Math.log10(GRID / state.units.cell) - 1e-9) : 0;
+  return 10 ** -Math.min(Math.max(SYSTEMS[sys].digits + more, 0), 6);
+}
+
+/** Rounds to a multiple of `step`, dropping float noise (0.1·3 → 0.3). */
+function _round(x, step) {
+  return Number((Math.round(x / step) * step).toPrecision(12));
 }
 
 // ── Screen ↔ World conversions ────────────────────────────────────────────────
@@ -75,16 +341,65 @@ export function screenToWorld(sx, sy) {
 // ── View bounds ───────────────────────────────────────────────────────────────
 
 /**
- * Returns the visible world-px bounding box for the current view transform.
+ * A view maps world-px to output pixels: screen = world * zoom + pan.
+ * `width` / `height` are the size of the output surface in pixels.
+ *
+ * @typedef {{ zoom: number, panX: number, panY: number,
+ *             width: number, height: number }} View
+ */
+
+/**
+ * Returns the view currently shown on the on-screen canvas.
+ *
+ * @returns {View}
+ */
+export function currentView() {
+  return {
+    zoom:   state.zoom,
+    panX:   state.panX,
+    panY:   state.panY,
+    width:  canvas.width,
+    height: canvas.height,
+  };
+}
+
+/**
+ * Returns a view at zoom = 1 framing every vertex with a margin, or null
+ * when there are no vertices.
+ *
+ * @param {number} [pad=40]  Margin in pixels around the bounding box.
+ * @returns {View|null}
+ */
+export function sceneView(pad = 40) {
+  const { vertices } = state;
+  if (!vertices.length) return null;
+
+  const xs = vertices.map(v => v.cx);
+  const ys = vertices.map(v => v.cy);
+  const left = Math.min(...xs), right  = Math.max(...xs);
+  const top  = Math.min(...ys), bottom = Math.max(...ys);
+
+  return {
+    zoom:   1,
+    panX:   pad - left,
+    panY:   pad - top,
+    width:  Math.ceil(right - left + 2 * pad),
+    height: Math.ceil(bottom - top + 2 * pad),
+  };
+}
+
+/**
+ * Returns the visible world-px bounding box for a view transform.
  *
+ * @param {View} [view=currentView()]
  * @returns {{ left: number, top: number, right: number, bottom: number }}
  */
-export function visibleBounds() {
-  const { zoom, panX, panY } = state;
+export function visibleBounds(view = currentView()) {
+  const { zoom, panX, panY, width, height } = view;
   return {
     left:   -panX / zoom,
     top:    -panY / zoom,
-    right:  (canvas.width  - panX) / zoom,
-    bottom: (canvas.height - panY) / zoom,
+    right:  (width  - panX) / zoom,
+    bottom: (height - panY) / zoom,
   };
 }
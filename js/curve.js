@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Curves whose control points are vertices of the graph.
+ *
+ * A curve is { id, type, verts } in state.curves, `verts` being the
+ * control points in order:
+ *   bezier2 — quadratic Bézier, exactly 3 control points
+ *   bezier3 — cubic Bézier, exactly 4 control points
+ *   bspline — uniform cubic B-spline, ≥ 4 control points; approximates them
+ *   catmull — Catmull-Rom spline, ≥ 3 points; passes through every one
+ *             (the end points are repeated to give the end segments a tangent)
+ *
+ * Every type is drawn as a chain of Bézier segments (the B-spline and
+ * Catmull-Rom pieces are converted to cubic Bézier form), so the same
+ * de Casteljau construction illustrates all of them: the global parameter
+ * t ∈ [0, 1] picks a segment and a local t, and each level interpolates
+ * the previous one at that t until a single point — P(t) — is left.
+ *
+ * Curves live in world-px like the rest of the drawing.  Bézier curves are
+ * affine-invariant, so moving between coordinate systems never changes
+ * their shape — only the numbers shown for the control points.
+ */
+
+import { state }                     from './state.js';
+import { worldToUser, formatUser }   from './coords.js';
+import { draw }                      from './draw.js';
+import { record }                    from './history.js';
+import { refreshAll, setMsg }        from './ui.js';
+import { renderInfo }                from './info.js';
+import { selectVertices }            from './selection.js';
+
+/** Duration of the t = 0 → 1 sweep, in ms. */
+const ANIM_MS = 2400;
+
+/**
+ * Curve types: name and number of control points (max = Infinity when
+ * any number from `min` up is accepted).
+ */
+export const CURVE_TYPES = {
+  bezier2: { name: 'Bézier quadrática', min: 3, max: 3        },
+  bezier3: { name: 'Bézier cúbica',     min: 4, max: 4        },
+  bspline: { name: 'B-spline cúbica',   min: 4, max: Infinity },
+  catmull: { name: 'Catmull-Rom',       min: 3, max: Infinity },
+};
+
+/** @typedef {{ x:number, y:number }} Pt */
+
+let _animId = null;
+
+// ── Geometry ──────────────────────────────────────────────────────────────────
+
+/**
+ * Bézier segments of a curve, in world-px.
+ *
+ * @param {{ type:string, verts:number[] }} curve
+ * @returns {Pt[][]|null}  3 (quadratic) or 4 (cubic) control points per
+ *          segment; null if a control vertex is missing.
+ */
+export function curveSegments(curve) {
+  const pts = [];
+  for (const id of curve.verts) {
+    const v = state.vertices.find(v => v.id === id);
+    if (!v) return null;
+    pts.push({ x: v.cx, y: v.cy });
+  }
+
+  const mix = (...terms) => ({
+    x: terms.reduce((s, [k, p]) => s + k * p.x, 0),
+    y: terms.reduce((s, [k, p]) => s + k * p.y, 0),
+  });
+
+  switch (curve.type) {
+    case 'bspline': {
+      // Uniform cubic B-spline piece P₀…P₃ in Bézier form
+      const segs = [];
+      for (let i = 0; i + 3 < pts.length; i++) {
+        const [p0, p1, p2, p3] = pts.slice(i, i + 4);
+        segs.push([
+          mix([1 / 6, p0], [4 / 6, p1], [1 / 6, p2]),
+          mix([2 / 3, p1], [1 / 3, p2]),
+          mix([1 / 3, p1], [2 / 3, p2]),
+          mix([1 / 6, p1], [4 / 6, p2], [1 / 6, p3]),
+        ]);
+      }
+      return segs;
+    }
+
+    case 'catmull': {
+      // Piece P₁ → P₂ with tangents (P₂ − P₀)/2 and (P₃ − P₁)/2
+      const ext  = [pts[0], ...pts, pts[pts.length - 1]];
+      const segs = [];
+      for (let i = 0; i + 3 < ext.length; i++) {
+        const [p0, p1, p2, p3] = ext.slice(i, i + 4);
+        segs.push([p1, mix([1, p1], [1 / 6, p2], [-1 / 6, p0]), mix([1, p2], [-1 / 6, p3], [1 / 6, p1]), p2]);
+      }
+      return segs;
+    }
+
+    default:   // Bézier: the control points are the segment
+      return [pts];
+  }
+}
+
+/**
+ * de Casteljau's construction at t: level 0 is the control polygon, each
+ * following level has one point less, the last one is P(t).
+ *
+ * @param {Pt[]}   ctrl
+ * @param {number} t
+ * @returns {Pt[][]}
+ */
+export function deCasteljau(ctrl, t) {
+  const levels = [ctrl];
+  while (levels[levels.length - 1].length > 1) {
+    const prev = levels[levels.length - 1];
+    levels.push(prev.slice(1).map((q, i) => ({
+      x: (1 - t) * prev[i].x + t * q.x,
+      y: (1 - t) * prev[i].y + t * q.y,
+    })));
+  }
+  return levels;
+}
+
+/**
+ * Construction of a curve at the global parameter t.
+ *
+ * @param {{ type:string, verts:number[] }} curve
+ * @param {number} t  In [0, 1] over the whole curve.
+ * @returns {{ seg:number, count:number, local:number, levels:Pt[][], point:Pt }|null}
+ */
+export function curveAt(curve, t) {
+  const segs = curveSegments(curve);
+  if (!segs || !segs.length) return null;
+
+  const u     = t * segs.length;
+  const seg   = Math.min(Math.floor(u), segs.length - 1);
+  const local = u - seg;
+  const levels = deCasteljau(segs[seg], local);
+  return { seg, count: segs.length, local, levels, point: levels[levels.length - 1][0] };
+}
+
+/**
+ * The curve followed by the t slider: the chosen one, or the first.
+ *
+ * @returns {{ id:number, type:string, verts:number[] }|null}
+ */
+export function followedCurve() {
+  return state.curves.find(c => c.id === state.curveView.sel) ?? state.curves[0] ?? null;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/**
+ * Creates a curve of the type chosen in the sidebar, using the selected
+ * vertices in selection order as control points.
+ */
+export function curveFromSelection() {
+  const type  = document.getElementById('cv-type').value;
+  const spec  = CURVE_TYPES[type];
+  const verts = [...state.selection];
+  if (verts.length < spec.min || verts.length > spec.max) {
+    const n = spec.min === spec.max ? `exatamente ${spec.min}` : `ao menos ${spec.min}`;
+    setMsg(`${spec.name}: selecione ${n} vértices, na ordem dos pontos de controle`);
+    return;
+  }
+
+  const id = state.nextCid;
+  record(`Adicionar c${id}`, () => {
+    state.curves.push({ id: state.nextCid++, type, verts });
+  });
+  state.curveView.sel = id;
+  refreshAll();
+  renderInfo();
+  setMsg(`${spec.name} c${id}: ${verts.map(v => `V${v}`).join(' → ')}`);
+}
+
+/**
+ * Removes a curve (its control vertices stay).
+ *
+ * @param {number} id
+ */
+export function deleteCurve(id) {
+  record(`Remover c${id}`, () => {
+    state.curves = state.curves.filter(c => c.id !== id);
+  });
+  refreshAll();
+  renderInfo();
+}
+
+/**
+ * Makes a curve the one followed by the t slider and selects its control
+ * vertices, ready to be dragged.
+ *
+ * @param {number}  id
+ * @param {boolean} [additive=false]  Add the vertices to the selection.
+ */
+export function followCurve(id, additive = false) {
+  const curve = state.curves.find(c => c.id === id);
+  if (!curve) return;
+  state.curveView.sel = id;
+  selectVertices(curve.verts, additive);
+}
+
+/**
+ * Drops control points whose vertex no longer exists, and the curves left
+ * with the wrong number of them.  Called inside the record() of any edit
+ * that removes vertices.
+ */
+export function pruneCurves() {
+  const ids = new Set(state.vertices.map(v => v.id));
+  state.curves = state.curves
+    .map(c => ({ ...c, verts: c.verts.filter(v => ids.has(v)) }))
+    .filter(c => c.verts.length >= CURVE_TYPES[c.type].min && c.verts.length <= CURVE_TYPES[c.type].max);
+}
+
+/**
+ * Moves the de Casteljau parameter.
+ *
+ * @param {number} t
+ */
+export function setCurveT(t) {
+  _stopAnimation();
+  state.curveView.t = t;
+  refreshCurvePanel();
+  draw();
+}
+
+/**
+ * Toggles the drawing of control polygons.
+ *
+ * @param {boolean} on
+ */
+export function setControlPolygon(on) {
+  state.curveView.control = on;
+  draw();
+}
+
+/** Sweeps t from 0 to 1, or stops the sweep. */
+export function animateCurve() {
+  if (_animId !== null) { _stopAnimation(); refreshCurvePanel(); return; }
+  if (!followedCurve()) { setMsg('Crie uma curva a partir da seleção'); return; }
+
+  const t0 = performance.now();
+  const step = now => {
+    const k = Math.min((now - t0) / ANIM_MS, 1);
+    state.curveView.t = k;
+    _animId = k < 1 ? requestAnimationFrame(step) : null;
+    refreshCurvePanel();
+    draw();
+  };
+  _animId = requestAnimationFrame(step);
+}
+
+// ── Sidebar ───────────────────────────────────────────────────────────────────
+
+/** Renders the curve list, the t readout and the point P(t). */
+export function refreshCurvePanel() {
+  const el = document.getElementById('curve-list');
+  if (!el) return;
+
+  const { t, control } = state.curveView;
+  const cur = followedCurve();
+  document.getElementById('c-count').textContent   = state.curves.length;
+  document.getElementById('cv-t').value            = t;
+  document.getElementById('cv-t-val').textContent  = t.toFixed(2);
+  document.getElementById('cv-control').checked    = control;
+  document.getElementById('cv-anim-btn').textContent = _animId !== null ? '⏸ Parar' : '▶ Animar t';
+
+  el.innerHTML = state.curves.length
+    ? state.curves.map(c => `
+      <div class="e-item${c === cur ? ' selected' : ''}" data-id="${c.id}">
+        <span>c${c.id}: ${CURVE_TYPES[c.type].name} · ${c.verts.map(v => `V${v}`).join('→')}</span>
+        <button class="e-del" data-id="${c.id}" title="Remover curva">×</button>
+      </div>`).join('')
+    : '<div class="empty-hint">Nenhuma curva — selecione os pontos de controle em ordem</div>';
+
+  const at = cur && curveAt(cur, t);
+  document.getElementById('cv-point').innerHTML = at
+    ? `c${cur.id}: P(${t.toFixed(2)}) = <strong>${formatUser(worldToUser(at.point.x, at.point.y))}</strong>`
+      + (at.count > 1 ? ` · segmento ${at.seg + 1} de ${at.count}, t local ${at.local.toFixed(2)}` : '')
+    : 'Bézier é invariante afim: a curva é a mesma em qualquer sistema.';
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _stopAnimation() {
+  if (_animId !== null) cancelAnimationFrame(_animId);
+  _animId = null;
+}
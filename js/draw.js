@@ -2,14 +2,65 @@
  * @fileoverview Canvas drawing functions.
  *
  * All drawing happens in world-px space.
- * draw() applies ctx.setTransform(zoom, …) so every helper function
+ * renderScene() applies ctx.setTransform(zoom, …) so every helper function
  * receives world coordinates and the GPU handles zoom/pan.
+ *
+ * Helpers receive a render context `R` instead of using the shared canvas
+ * directly, so the same code paints the on-screen canvas (draw()) and
+ * offscreen surfaces of any size (PNG export).
  */
 
-import { state, GRID, V_RADIUS }            from './state.js';
-import { canvas, ctx }                      from './canvas.js';
+import { state, V_RADIUS }                  from './state.js';
+import { ctx }                              from './canvas.js';
 import { themeColors }                      from './theme.js';
-import { origin, worldToUser, visibleBounds } from './coords.js';
+import { worldToUser, formatUser,
+         formatLength, worldToCartesian,
+         visibleBounds, currentView }       from './coords.js';
+import { buildGrid, buildAxes,
+         buildScreenEdge }                  from './grid.js';
+import { previewPositions }                 from './transform.js';
+import { selectionBounds }                  from './selection.js';
+import { polygonMetrics, flipProgress }     from './polygon.js';
+import { curveSegments, curveAt,
+         followedCurve }                    from './curve.js';
+import { edgeRaster, followedEdge,
+         pixelRect, latticeToWorld }        from './raster.js';
+import { fillRun }                          from './fill.js';
+import { clipRun, clipBounds, clipFrame,
+         clipToWorld, outcode }             from './clip.js';
+import { vertexName }                       from './ui.js';
+import { edgeLabel, edgeAngle,
+         segmentMeasure }                   from './measure.js';
+import { vectorFigure }                     from './vector.js';
+import { graphStep, graphCost }             from './graph.js';
+import { vertexRadius, edgeWidth, edgeDash,
+         shapeOutline }                     from './attrs.js';
+import { visibleLayers, isShown,
+         isFigureShown }                    from './layers.js';
+
+/**
+ * @typedef {Object} RenderOptions
+ * @property {number}  [scale=1]            Output pixels per view pixel.
+ * @property {'theme'|'transparent'} [background='theme']
+ * @property {boolean} [grid=true]          Grid lines.
+ * @property {boolean} [axisLabels=true]    Grid numbers, X / Y and (0,0) labels.
+ * @property {boolean} [vertexCoords=true]  "(x,y)" labels under vertices.
+ * @property {boolean} [interactive=false]  Selection glow and box, edge and transform previews,
+ *                                          rasterized and filled pixels, clip window,
+ *                                          control polygons, de Casteljau construction,
+ *                                          snap indicator, measurements, vector
+ *                                          constructions and graph algorithm steps.
+ */
+
+/** @type {RenderOptions} */
+const DEFAULT_OPTIONS = {
+  scale:        1,
+  background:   'theme',
+  grid:         true,
+  axisLabels:   true,
+  vertexCoords: true,
+  interactive:  false,
+};
 
 // ── Public ────────────────────────────────────────────────────────────────────
 
@@ -17,207 +68,1000 @@ import { origin, worldToUser, visibleBounds } from './coords.js';
  * Clears and fully redraws the canvas.
  */
 export function draw() {
-  const C = themeColors();
+  renderScene(ctx, currentView(), { interactive: true });
+}
+
+/**
+ * Paints the whole scene into any 2D context.
+ * The target surface must be view.width × view.height × opts.scale pixels.
+ *
+ * @param {CanvasRenderingContext2D}       target
+ * @param {import('./coords.js').View}     view
+ * @param {RenderOptions}                  [options]
+ */
+export function renderScene(target, view, options = {}) {
+  const opts  = { ...DEFAULT_OPTIONS, ...options };
+  const C     = themeColors();
+  const s     = opts.scale;
+  const { zoom, panX, panY } = view;
 
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-  ctx.fillStyle = C.canvasBg;
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  target.save();
+  target.setTransform(1, 0, 0, 1, 0, 0);
+  target.clearRect(0, 0, view.width * s, view.height * s);
+  if (opts.background === 'theme') {
+    target.fillStyle = C.canvasBg;
+    target.fillRect(0, 0, view.width * s, view.height * s);
+  }
 
-  ctx.save();
-  ctx.setTransform(state.zoom, 0, 0, state.zoom, state.panX, state.panY);
-  _drawGrid(C);
-  _drawAxes(C);
-  _drawEdges(C);
-  _drawVertices(C);
-  ctx.restore();
+  target.setTransform(zoom * s, 0, 0, zoom * s, panX * s, panY * s);
+  const R = { ctx: target, zoom, b: visibleBounds(view), C, opts };
+  if (opts.grid) _drawGrid(R);
+  _drawAxes(R);
+  _drawPolygons(R);
+  _drawCurves(R);
+  if (opts.interactive) _drawFill(R);
+  if (opts.interactive) _drawRaster(R);
+  if (opts.interactive) _drawAlgoEdges(R);
+  if (opts.interactive) _drawEdgePreview(R);
+  for (const layer of visibleLayers()) _drawLayer(R, layer);
+  if (opts.interactive) _drawClip(R);
+  if (opts.interactive) _drawAlgoVertices(R);
+  if (opts.interactive) _drawSelection(R);
+  if (opts.interactive) _drawTransformPreview(R);
+  if (opts.interactive) _drawVectors(R);
+  if (opts.interactive) _drawMeasure(R);
+  if (opts.interactive) _drawSnap(R);
+  target.restore();
 }
 
 // ── Grid ──────────────────────────────────────────────────────────────────────
 
-function _drawGrid(C) {
-  const b    = visibleBounds();
-  const o    = origin();
-  const { zoom } = state;
-
-  // Adaptive step: keep grid lines 25–250 screen-px apart
-  let step = GRID;
-  while (step * zoom < 25)  step *= 5;
-  while (step * zoom > 250) step /= 5;
-  if (step < 1) step = 1;
+function _drawGrid(R) {
+  const { ctx, zoom, b, C } = R;
+  const { lines, circles, labels } = buildGrid(zoom, b);
 
   ctx.strokeStyle = C.grid;
   ctx.lineWidth   = 1 / zoom;
+  for (const l of lines) _line(ctx, l.x1, l.y1, l.x2, l.y2);
+  for (const c of circles) {
+    ctx.beginPath();
+    ctx.arc(c.x, c.y, c.r, 0, Math.PI * 2);
+    ctx.stroke();
+  }
 
-  const startX = Math.floor((b.left - o.x) / step) * step + o.x;
-  const startY = Math.floor((b.top  - o.y) / step) * step + o.y;
-
-  for (let x = startX; x <= b.right  + step; x += step) _line(x, b.top,  x, b.bottom);
-  for (let y = startY; y <= b.bottom + step; y += step) _line(b.left, y, b.right, y);
+  if (!R.opts.axisLabels) return;
 
   // Axis labels (constant screen size via / zoom)
   ctx.fillStyle = C.gridLabel;
   ctx.font      = `${10 / zoom}px monospace`;
+  for (const t of labels) _label(ctx, t);
+}
+
+// ── Axes ──────────────────────────────────────────────────────────────────────
 
-  ctx.textAlign = 'center';
-  for (let x = startX; x <= b.right + step; x += step) {
-    const ux = worldToUser(x, o.y).x;
-    if (ux === 0) continue;
-    const ly = Math.min(Math.max(o.y + 14 / zoom, b.top + 14 / zoom), b.bottom - 2 / zoom);
-    ctx.fillText(ux, x, ly);
+function _drawAxes(R) {
+  const { ctx, zoom, b, C, opts } = R;
+  const { axes, origin } = buildAxes(zoom, b);
+  const ah = 8 / zoom;   // arrowhead size in world-px
+
+  // Bottom edge of the CG screen (y_cg = H)
+  const edge = buildScreenEdge(zoom, b);
+  if (edge) {
+    ctx.strokeStyle = C.origin;
+    ctx.lineWidth   = 1 / zoom;
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+    _line(ctx, edge.line.x1, edge.line.y1, edge.line.x2, edge.line.y2);
+    ctx.setLineDash([]);
+    if (opts.axisLabels) {
+      ctx.fillStyle = C.origin;
+      ctx.font      = `${10 / zoom}px monospace`;
+      _label(ctx, edge.label);
+    }
+  }
+
+  // Axes whose line misses the visible area are simply not returned
+  for (const a of axes) {
+    const color = a.axis === 'x' ? C.axisX : C.axisY;
+    ctx.strokeStyle = color;
+    ctx.lineWidth   = 1.5 / zoom;
+    _line(ctx, a.line.x1, a.line.y1, a.line.x2, a.line.y2);
+    _arrowHead(ctx, a.arrow.x, a.arrow.y, a.arrow.angle, color, ah);
+    if (opts.axisLabels) {
+      ctx.fillStyle = color;
+      ctx.font      = `bold ${13 / zoom}px monospace`;
+      _label(ctx, a.label);
+    }
   }
 
-  ctx.textAlign = 'right';
-  for (let y = startY; y <= b.bottom + step; y += step) {
-    const uy = worldToUser(o.x, y).y;
-    if (uy === 0) continue;
-    const lx = Math.min(Math.max(o.x + 28 / zoom, b.left + 28 / zoom), b.right - 2 / zoom);
-    ctx.fillText(uy, lx, y + 4 / zoom);
+  // Origin dot + label
+  if (origin) {
+    ctx.beginPath();
+    ctx.arc(origin.x, origin.y, 3 / zoom, 0, Math.PI * 2);
+    ctx.fillStyle = C.origin;
+    ctx.fill();
+    if (opts.axisLabels) {
+      ctx.font = `${11 / zoom}px monospace`;
+      _label(ctx, origin.label);
+    }
   }
 }
 
-// ── Axes ──────────────────────────────────────────────────────────────────────
+// ── Polygons ──────────────────────────────────────────────────────────────────
+
+/**
+ * Translucent fill behind the edges and a "P{id} ↺/↻" label at the
+ * centroid, with the winding read in the active system.  Right after a
+ * system switch that flipped the winding the outlines pulse.  Polygons
+ * with a vertex on a hidden layer are skipped, as are such curves.
+ */
+function _drawPolygons(R) {
+  const { ctx, zoom, C, opts } = R;
+  const flip = opts.interactive ? flipProgress() : null;
 
-function _drawAxes(C) {
-  const b  = visibleBounds();
-  const o  = origin();
-  const { zoom, coordSystem } = state;
-  const lw = 1.5 / zoom;
-  const ah = 8   / zoom;   // arrowhead size in world-px
-
-  // X axis (skip if origin is outside visible vertical range)
-  if (o.y >= b.top && o.y <= b.bottom) {
-    ctx.strokeStyle = C.axisX;
-    ctx.lineWidth   = lw;
-    _line(b.left, o.y, b.right, o.y);
-    _arrowHead(b.right - ah, o.y, 0, C.axisX, ah);
-    ctx.fillStyle = C.axisX;
-    ctx.font      = `bold ${13 / zoom}px monospace`;
-    ctx.textAlign = 'left';
-    ctx.fillText('X', b.right - 18 / zoom, o.y - 6 / zoom);
-  }
-
-  // Y axis (skip if origin is outside visible horizontal range)
-  if (o.x >= b.left && o.x <= b.right) {
-    ctx.strokeStyle = C.axisY;
-    ctx.lineWidth   = lw;
-    _line(o.x, b.top, o.x, b.bottom);
-    const yArrow = coordSystem === 'cg' ? b.bottom - ah : b.top + ah;
-    const yAngle = coordSystem === 'cg' ? Math.PI / 2   : -Math.PI / 2;
-    _arrowHead(o.x, yArrow, yAngle, C.axisY, ah);
-    ctx.fillStyle = C.axisY;
-    ctx.font      = `bold ${13 / zoom}px monospace`;
-    ctx.textAlign = 'left';
-    const yLabelY = coordSystem === 'cg' ? b.bottom - 18 / zoom : b.top + 18 / zoom;
-    ctx.fillText('Y', o.x + 6 / zoom, yLabelY);
+  for (const p of state.polygons.filter(isFigureShown)) {
+    const m   = polygonMetrics(p);
+    const pts = p.verts.map(id => state.vertices.find(v => v.id === id));
+    if (!m || pts.some(v => !v)) continue;
+
+    ctx.beginPath();
+    pts.forEach((v, i) => (i ? ctx.lineTo(v.cx, v.cy) : ctx.moveTo(v.cx, v.cy)));
+    ctx.closePath();
+    ctx.fillStyle = C.polyFill;
+    ctx.fill('evenodd');
+
+    if (flip !== null) {
+      ctx.globalAlpha = 1 - flip;
+      ctx.strokeStyle = C.vSel;
+      ctx.lineWidth   = (3 + 6 * flip) / zoom;
+      ctx.stroke();
+      ctx.globalAlpha = 1;
+    }
+
+    ctx.fillStyle = C.polyLbl;
+    ctx.font      = `bold ${11 / zoom}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.fillText(`P${p.id} ${m.ccw ? '↺' : '↻'}`, m.centroid.x, m.centroid.y + 4 / zoom);
   }
+}
 
-  // Origin dot + label
-  if (o.x >= b.left && o.x <= b.right && o.y >= b.top && o.y <= b.bottom) {
+// ── Curves ────────────────────────────────────────────────────────────────────
+
+/**
+ * Each curve as its chain of Bézier segments with a "c{id}" label at
+ * t = ½.  On the live canvas the control polygons are dashed and the
+ * followed curve shows de Casteljau's construction at the slider's t:
+ * one colour per level, P(t) as a ring.
+ */
+function _drawCurves(R) {
+  const { ctx, zoom, C, opts } = R;
+  const follow = opts.interactive ? followedCurve() : null;
+
+  for (const c of state.curves.filter(isFigureShown)) {
+    const segs = curveSegments(c);
+    if (!segs || !segs.length) continue;
+
+    if (opts.interactive && state.curveView.control) {
+      const pts = c.verts.map(id => state.vertices.find(v => v.id === id));
+      ctx.strokeStyle = C.ctrlPoly;
+      ctx.lineWidth   = 1 / zoom;
+      ctx.setLineDash([4 / zoom, 4 / zoom]);
+      ctx.beginPath();
+      pts.forEach((v, i) => (i ? ctx.lineTo(v.cx, v.cy) : ctx.moveTo(v.cx, v.cy)));
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    ctx.strokeStyle = C.curve;
+    ctx.lineWidth   = (c === follow ? 3 : 2) / zoom;
     ctx.beginPath();
-    ctx.arc(o.x, o.y, 3 / zoom, 0, Math.PI * 2);
-    ctx.fillStyle = C.origin;
+    ctx.moveTo(segs[0][0].x, segs[0][0].y);
+    for (const [, a, b, d] of segs) {
+      if (d) ctx.bezierCurveTo(a.x, a.y, b.x, b.y, d.x, d.y);
+      else   ctx.quadraticCurveTo(a.x, a.y, b.x, b.y);
+    }
+    ctx.stroke();
+
+    const mid = curveAt(c, .5).point;
+    ctx.fillStyle = C.curve;
+    ctx.font      = `${10 / zoom}px monospace`;
+    ctx.textAlign = 'center';
+    ctx.fillText(`c${c.id}`, mid.x, mid.y - 8 / zoom);
+  }
+
+  if (follow && isFigureShown(follow)) _drawCasteljau(R, follow);
+}
+
+function _drawCasteljau(R, curve) {
+  const at = curveAt(curve, state.curveView.t);
+  if (!at) return;
+
+  const { ctx, zoom, C } = R;
+  const colors = [C.ctrlPoly, C.axisY, C.ghost, C.vEdge];
+
+  at.levels.forEach((pts, k) => {
+    if (pts.length === 1) return;
+    ctx.strokeStyle = colors[k % colors.length];
+    ctx.fillStyle   = colors[k % colors.length];
+    ctx.lineWidth   = 1.5 / zoom;
+    ctx.beginPath();
+    pts.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+    ctx.stroke();
+    for (const p of pts) {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, 3 / zoom, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  });
+
+  const p = at.point;
+  ctx.strokeStyle = C.vSel;
+  ctx.lineWidth   = 2.5 / zoom;
+  ctx.beginPath();
+  ctx.arc(p.x, p.y, 6 / zoom, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.fillStyle = C.vSel;
+  ctx.font      = `bold ${10 / zoom}px monospace`;
+  ctx.textAlign = 'left';
+  ctx.fillText(`P(${state.curveView.t.toFixed(2)})`, p.x + 9 / zoom, p.y - 9 / zoom);
+}
+
+// ── Rasterization ─────────────────────────────────────────────────────────────
+
+/**
+ * Grid cells lit by the line algorithm, with a dot at each pixel centre
+ * (this is what tells the centre and corner conventions apart).  While
+ * stepping, the followed edge shows only the pixels plotted so far, the
+ * current ones outlined and the exact point the algorithm sampled.
+ */
+function _drawRaster(R) {
+  if (!state.raster.on) return;
+
+  const { ctx, zoom, C } = R;
+  const follow = followedEdge();
+  const step   = state.raster.step;
+
+  for (const e of state.edges) {
+    const trace = edgeRaster(e);
+    if (!trace) continue;
+
+    const stepping = e === follow && step !== null;
+    const last     = stepping ? Math.min(step, trace.steps.length - 1) : trace.steps.length - 1;
+
+    for (let k = 0; k <= last; k++) {
+      for (const p of trace.steps[k].px) {
+        if (p.a < .01) continue;
+        const r = pixelRect(p.i, p.j);
+        ctx.globalAlpha = .15 + .55 * p.a;
+        ctx.fillStyle   = C.pixel;
+        ctx.fillRect(r.x, r.y, r.w, r.h);
+        ctx.globalAlpha = 1;
+
+        ctx.beginPath();
+        ctx.arc(r.x + r.w / 2, r.y + r.h / 2, 2 / zoom, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (stepping && k === last) {
+          ctx.strokeStyle = C.vSel;
+          ctx.lineWidth   = 2 / zoom;
+          ctx.strokeRect(r.x, r.y, r.w, r.h);
+        }
+      }
+    }
+
+    // Exact point sampled at the current step (DDA, Wu)
+    const ex = stepping && trace.steps[last].exact;
+    if (ex) {
+      const w = latticeToWorld(ex.x, ex.y);
+      ctx.strokeStyle = C.vSel;
+      ctx.lineWidth   = 1.5 / zoom;
+      ctx.beginPath();
+      ctx.arc(w.x, w.y, 4 / zoom, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+}
+
+// ── Fill ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Pixels painted by the fill so far.  Flood fills also show the boundary
+ * pixels they run into and the seed; scan-line fill shows the current
+ * scan line and its crossings with the active edges.
+ */
+function _drawFill(R) {
+  if (!state.fill.on) return;
+  const run = fillRun();
+  if (!run || !run.steps.length) return;
+
+  const { ctx, zoom, C } = R;
+  const step = state.fill.step;
+  const last = step ?? run.steps.length - 1;
+  const cell = (c, how) => {
+    const r = pixelRect(c.i, c.j);
+    how === 'stroke' ? ctx.strokeRect(r.x, r.y, r.w, r.h) : ctx.fillRect(r.x, r.y, r.w, r.h);
+  };
+
+  if (run.border) {
+    ctx.globalAlpha = .35;
+    ctx.fillStyle   = C.edgeClr;
+    for (const c of run.border) cell(c);
+  }
+
+  ctx.globalAlpha = .55;
+  ctx.fillStyle   = C.fillPx;
+  for (let k = 0; k <= last; k++) for (const c of run.steps[k].px) cell(c);
+  ctx.globalAlpha = 1;
+
+  if (step !== null) {
+    const st = run.steps[last];
+    ctx.strokeStyle = C.vSel;
+    ctx.lineWidth   = 2 / zoom;
+    for (const c of st.px) cell(c, 'stroke');
+
+    if (st.aet) {
+      const xs = st.aet.map(e => e.x);
+      const a  = latticeToWorld(Math.min(...xs) - 1, st.y);
+      const b  = latticeToWorld(Math.max(...xs) + 1, st.y);
+      ctx.lineWidth = 1.5 / zoom;
+      ctx.setLineDash([6 / zoom, 4 / zoom]);
+      _line(ctx, a.x, a.y, b.x, b.y);
+      ctx.setLineDash([]);
+      ctx.fillStyle = C.vSel;
+      for (const x of xs) {
+        const p = latticeToWorld(x, st.y);
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 3 / zoom, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+
+  // Seed marker
+  if (run.method !== 'scanline') {
+    const p = latticeToWorld(state.fill.seed.i, state.fill.seed.j);
+    const k = 5 / zoom;
+    ctx.strokeStyle = C.vSel;
+    ctx.lineWidth   = 2 / zoom;
+    _line(ctx, p.x - k, p.y - k, p.x + k, p.y + k);
+    _line(ctx, p.x - k, p.y + k, p.x + k, p.y - k);
+  }
+}
+
+// ── Clipping ──────────────────────────────────────────────────────────────────
+
+/**
+ * Clip window with its sides labelled in the clip frame (which one is on
+ * top of the screen is the point), then the clipped geometry over the
+ * edges: visible parts of the edges up to the current step, outcodes or
+ * t values of the edge being clipped, or the Sutherland–Hodgman polygon
+ * after the current boundary.
+ */
+function _drawClip(R) {
+  const c = state.clip;
+  const r = c.drawing ?? (c.on ? c.rect : null);
+  if (!r) return;
+
+  const { ctx, zoom, b, C } = R;
+  const [l, rt] = [Math.min(r.x0, r.x1), Math.max(r.x0, r.x1)];
+  const [t, bt] = [Math.min(r.y0, r.y1), Math.max(r.y0, r.y1)];
+
+  // Cohen–Sutherland regions: the window sides extended across the view
+  if (c.algo === 'cohen') {
+    ctx.strokeStyle = C.clip;
+    ctx.globalAlpha = .35;
+    ctx.lineWidth   = 1 / zoom;
+    ctx.setLineDash([4 / zoom, 4 / zoom]);
+    for (const x of [l, rt]) _line(ctx, x, b.top, x, b.bottom);
+    for (const y of [t, bt]) _line(ctx, b.left, y, b.right, y);
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+  }
+
+  ctx.strokeStyle = C.clip;
+  ctx.lineWidth   = 2 / zoom;
+  ctx.strokeRect(l, t, rt - l, bt - t);
+  if (c.drawing) return;
+
+  // Side labels — y_min is the top side in CG, y_max everywhere else
+  const w  = clipBounds();
+  const n  = v => Math.round(v * 100) / 100;
+  const cg = clipFrame() === 'cg';
+  const [yTop, yBottom] = cg ? [`y_min = ${n(w.ymin)}`, `y_max = ${n(w.ymax)}`]
+                             : [`y_max = ${n(w.ymax)}`, `y_min = ${n(w.ymin)}`];
+  const my = (t + bt) / 2;
+  ctx.fillStyle = C.clip;
+  ctx.font      = `${11 / zoom}px monospace`;
+  _label(ctx, { text: yTop,                   x: (l + rt) / 2, y: t - 6 / zoom,   align: 'center' });
+  _label(ctx, { text: yBottom,                x: (l + rt) / 2, y: bt + 14 / zoom, align: 'center' });
+  _label(ctx, { text: `x_min = ${n(w.xmin)}`, x: l - 6 / zoom,  y: my,            align: 'right'  });
+  _label(ctx, { text: `x_max = ${n(w.xmax)}`, x: rt + 6 / zoom, y: my,            align: 'left'   });
+
+  const run = clipRun();
+
+  // Region outcode of every vertex
+  if (c.algo === 'cohen') {
+    ctx.font = `${10 / zoom}px monospace`;
+    for (const v of state.vertices) {
+      const code = outcode(worldToCartesian(v.cx, v.cy, clipFrame()), w);
+      _label(ctx, { text: code.toString(2).padStart(4, '0'), x: v.cx + (V_RADIUS + 4) / zoom, y: v.cy + 4 / zoom, align: 'left' });
+    }
+  }
+
+  if (!run || !run.steps.length) return;
+  if (run.kind === 'poly') _drawClipPolygon(R, run, w);
+  else                     _drawClipLines(R, run);
+}
+
+function _drawClipLines(R, run) {
+  const { ctx, zoom, C } = R;
+  const cur  = state.clip.step === null ? null : run.steps[state.clip.step];
+  const seg  = s => {
+    if (!s) return;
+    const [a, q] = s.map(clipToWorld);
+    _line(ctx, a.x, a.y, q.x, q.y);
+  };
+  const dot = (p, rad) => {
+    const w = clipToWorld(p);
+    ctx.beginPath();
+    ctx.arc(w.x, w.y, rad / zoom, 0, Math.PI * 2);
     ctx.fill();
-    ctx.fillStyle = C.origin;
-    ctx.font      = `${11 / zoom}px monospace`;
-    ctx.textAlign = 'left';
-    ctx.fillText('(0,0)', o.x + 6 / zoom, o.y - 6 / zoom);
+    return w;
+  };
+
+  ctx.strokeStyle = C.clip;
+  ctx.fillStyle   = C.clip;
+  ctx.lineWidth   = 4 / zoom;
+  ctx.lineCap     = 'round';
+  const done = cur ? cur.t : run.traces.length;
+  for (let k = 0; k < done; k++) seg(run.traces[k].result);
+  ctx.lineCap = 'butt';
+  if (!cur) return;
+
+  // Edge being clipped: its current segment, the point just computed and
+  // the outcodes or parameter values behind the decision
+  const st = run.traces[cur.t].steps[cur.s];
+  ctx.globalAlpha = .6;
+  seg(st.seg);
+  ctx.globalAlpha = 1;
+
+  ctx.font = `bold ${10 / zoom}px monospace`;
+  if (st.codes) {
+    st.ends.forEach((p, k) => {
+      const w = dot(p, 3);
+      _label(ctx, { text: `c${k ? '₁' : '₀'}=${st.codes[k].toString(2).padStart(4, '0')}`, x: w.x + 6 / zoom, y: w.y - 8 / zoom, align: 'left' });
+    });
+  }
+  if (st.hit) {
+    ctx.fillStyle = C.vSel;
+    dot(st.hit, 5);
+  }
+  if (st.seg && st.t) {
+    st.seg.forEach((p, k) => {
+      const w = dot(p, 4);
+      _label(ctx, { text: `t${k ? '₁' : '₀'}=${Math.round(st.t[k] * 1000) / 1000}`, x: w.x + 6 / zoom, y: w.y - 8 / zoom, align: 'left' });
+    });
+  }
+}
+
+function _drawClipPolygon(R, run, w) {
+  const { ctx, zoom, b, C } = R;
+  const k    = state.clip.step ?? run.steps.length - 1;
+  const step = run.steps[k];
+  const path = pts => {
+    ctx.beginPath();
+    pts.map(clipToWorld).forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+    ctx.closePath();
+  };
+
+  if (state.clip.step !== null) {
+    // Input of this pass, and the boundary it is clipped against
+    ctx.strokeStyle = C.clip;
+    ctx.lineWidth   = 1.5 / zoom;
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+    if (step.input.length) { path(step.input); ctx.stroke(); }
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = C.vSel;
+    ctx.lineWidth   = 2 / zoom;
+    const side = [w.xmin, w.xmax, w.ymin, w.ymax][k];
+    if (k < 2) { const x = clipToWorld({ x: side, y: 0 }).x; _line(ctx, x, b.top, x, b.bottom); }
+    else       { const y = clipToWorld({ x: 0, y: side }).y; _line(ctx, b.left, y, b.right, y); }
+  }
+
+  if (!step.output.length) return;
+  path(step.output);
+  ctx.fillStyle   = C.clipFill;
+  ctx.fill();
+  ctx.strokeStyle = C.clip;
+  ctx.lineWidth   = 3 / zoom;
+  ctx.stroke();
+
+  ctx.fillStyle = C.clip;
+  ctx.font      = `bold ${10 / zoom}px monospace`;
+  for (const p of step.output) {
+    const q = clipToWorld(p);
+    ctx.beginPath();
+    ctx.arc(q.x, q.y, 3 / zoom, 0, Math.PI * 2);
+    ctx.fill();
+    if (p.name.startsWith('I')) _label(ctx, { text: p.name, x: q.x + 6 / zoom, y: q.y - 6 / zoom, align: 'left' });
+  }
+}
+
+// ── Graph algorithms ──────────────────────────────────────────────────────────
+
+/**
+ * Edges of the algorithm step under the graph: the tree (or forest) so
+ * far, the final path and the edge being examined.  Custom weights are
+ * written under their edges.  Elements of hidden layers are skipped here
+ * and in _drawAlgoVertices().
+ */
+function _drawAlgoEdges(R) {
+  if (!state.graph.on) return;
+  const { ctx, zoom, C } = R;
+  const st   = graphStep();
+  const ends = id => {
+    const e = state.edges.find(e => e.id === id && isShown(e));
+    const a = e && state.vertices.find(v => v.id === e.v1);
+    const b = e && state.vertices.find(v => v.id === e.v2);
+    return a && b ? [a, b] : null;
+  };
+
+  const layers = st ? [[st.tree, C.algoTree, 9], [st.path, C.algoPath, 12], [[st.edge], C.algoFront, 4]] : [];
+  ctx.lineCap = 'round';
+  for (const [ids, color, w] of layers) {
+    ctx.strokeStyle = color;
+    ctx.lineWidth   = w / zoom;
+    for (const [a, b] of ids.map(ends).filter(Boolean)) _line(ctx, a.cx, a.cy, b.cx, b.cy);
+  }
+  ctx.lineCap = 'butt';
+
+  if (state.graph.weight !== 'custom') return;
+  ctx.fillStyle = C.algoVisit;
+  ctx.font      = `${10 / zoom}px monospace`;
+  for (const e of state.edges) {
+    const ab = ends(e.id);
+    if (ab) _label(ctx, { text: `w=${e.weight ?? 1}`, x: (ab[0].cx + ab[1].cx) / 2, y: (ab[0].cy + ab[1].cy) / 2 + 14 / zoom, align: 'center' });
   }
 }
 
+/**
+ * Vertices of the algorithm step: visited ones ringed and numbered in
+ * visit order (with their distance in shortest paths), the frontier
+ * dashed, the current vertex thick, and components by colour.
+ */
+function _drawAlgoVertices(R) {
+  const st = state.graph.on ? graphStep() : null;
+  if (!st) return;
+
+  const { ctx, zoom, C } = R;
+  const front = new Set(st.frontier);
+  const rank  = new Map(st.order.map((id, i) => [id, i + 1]));
+  ctx.font = `bold ${10 / zoom}px monospace`;
+
+  for (const v of state.vertices.filter(isShown)) {
+    const rr   = (vertexRadius(v) + 4) / zoom;
+    const comp = st.comp?.[v.id];
+    if (comp) {
+      ctx.fillStyle = C.algoComps[(comp - 1) % C.algoComps.length];
+      ctx.globalAlpha = .35;
+      ctx.beginPath();
+      ctx.arc(v.cx, v.cy, rr + 3 / zoom, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.globalAlpha = 1;
+    }
+
+    const ring = v.id === st.current ? [C.algoFront, 3.5, []]
+               : front.has(v.id)     ? [C.algoFront, 2, [3 / zoom, 3 / zoom]]
+               : rank.has(v.id)      ? [C.algoVisit, 2, []]
+               : null;
+    if (ring) {
+      ctx.strokeStyle = ring[0];
+      ctx.lineWidth   = ring[1] / zoom;
+      ctx.setLineDash(ring[2]);
+      ctx.beginPath();
+      ctx.arc(v.cx, v.cy, rr, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    const text = [
+      rank.has(v.id) ? `${rank.get(v.id)}º` : '',
+      st.dist?.[v.id] !== undefined ? `d=${graphCost(st.dist[v.id])}` : '',
+      comp ? `C${comp}` : '',
+    ].filter(Boolean).join(' ');
+    if (!text) continue;
+    ctx.fillStyle = C.algoVisit;
+    _label(ctx, { text, x: v.cx - rr - 2 / zoom, y: v.cy - rr, align: 'right' });
+  }
+}
+
+// ── Layers ────────────────────────────────────────────────────────────────────
+
+/** One layer at its opacity: its edges, then its vertices. */
+function _drawLayer(R, layer) {
+  R.ctx.globalAlpha = layer.opacity;
+  _drawEdges(R, layer.id);
+  _drawVertices(R, layer.id);
+  R.ctx.globalAlpha = 1;
+}
+
 // ── Edges ─────────────────────────────────────────────────────────────────────
 
-function _drawEdges(C) {
-  const { edges, vertices, zoom } = state;
+/** Dashed preview line while selecting the second vertex of an edge. */
+function _drawEdgePreview(R) {
+  const { ctx, zoom, C } = R;
+  const { vertices, mode, edgePending, lastMouse } = state;
+  if (mode !== 'edge' || edgePending === null || !lastMouse) return;
+
+  const v1 = vertices.find(v => v.id === edgePending);
+  if (!v1) return;
+  ctx.strokeStyle = C.preview;
+  ctx.lineWidth   = 1.5 / zoom;
+  ctx.setLineDash([6 / zoom, 4 / zoom]);
+  ctx.beginPath();
+  ctx.moveTo(v1.cx, v1.cy);
+  ctx.lineTo(lastMouse.x, lastMouse.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+/** Edges of one layer. */
+function _drawEdges(R, layerId) {
+  const { ctx, zoom, C, opts } = R;
+  const { vertices } = state;
+  const edges = state.edges.filter(e => e.layer === layerId);
+
+  // Interaction feedback only exists on the live canvas
+  const hoverEdge = opts.interactive ? state.hoverEdge : null;
+  const selEdge   = opts.interactive ? state.selEdge   : null;
 
   for (const e of edges) {
     const v1 = vertices.find(v => v.id === e.v1);
     const v2 = vertices.find(v => v.id === e.v2);
     if (!v1 || !v2) continue;
 
-    ctx.strokeStyle = C.edgeClr;
-    ctx.lineWidth   = 2 / zoom;
-    ctx.setLineDash([]);
+    // Hover / selection halo under the edge
+    const w = edgeWidth(e);
+    if (e.id === hoverEdge || e.id === selEdge) {
+      ctx.strokeStyle = e.id === selEdge ? C.glowSel : C.edgeHover;
+      ctx.lineWidth   = (w + 6) / zoom;
+      ctx.lineCap     = 'round';
+      _line(ctx, v1.cx, v1.cy, v2.cx, v2.cy);
+      ctx.lineCap     = 'butt';
+    }
+
+    // Own color, width and dashes; the selection color wins
+    const color = e.id === selEdge ? C.vSel : (e.color ?? C.edgeClr);
+    ctx.strokeStyle = color;
+    ctx.lineWidth   = w / zoom;
+    ctx.setLineDash(edgeDash(e).map(d => d / zoom));
     ctx.beginPath();
     ctx.moveTo(v1.cx, v1.cy);
     ctx.lineTo(v2.cx, v2.cy);
     ctx.stroke();
+    ctx.setLineDash([]);
 
-    // Edge label at midpoint
+    // Directed edges: arrowhead touching the rim of V2
+    if (e.directed) _edgeArrow(ctx, v1, v2, color, zoom, w);
+
+    // Edge label (and length) at midpoint
     const mx = (v1.cx + v2.cx) / 2;
     const my = (v1.cy + v2.cy) / 2;
     ctx.fillStyle = C.edgeLbl;
     ctx.font      = `${10 / zoom}px monospace`;
     ctx.textAlign = 'center';
-    ctx.fillText(`e${e.id}`, mx, my - 8 / zoom);
+    ctx.fillText(edgeLabel(e), mx, my - (6 + w) / zoom);
   }
 }
 
 // ── Vertices ──────────────────────────────────────────────────────────────────
 
-function _drawVertices(C) {
-  const { vertices, mode, edgePending, selVertex, lastMouse, zoom } = state;
-  const vr = V_RADIUS / zoom;   // constant screen-px visual radius
+/** Vertices of one layer. */
+function _drawVertices(R, layerId) {
+  const { ctx, zoom, C, opts } = R;
 
-  // Dashed preview line while selecting the second vertex
-  if (mode === 'edge' && edgePending !== null && lastMouse) {
-    const v1 = vertices.find(v => v.id === edgePending);
-    if (v1) {
-      ctx.strokeStyle = C.preview;
-      ctx.lineWidth   = 1.5 / zoom;
-      ctx.setLineDash([6 / zoom, 4 / zoom]);
-      ctx.beginPath();
-      ctx.moveTo(v1.cx, v1.cy);
-      ctx.lineTo(lastMouse.x, lastMouse.y);
-      ctx.stroke();
-      ctx.setLineDash([]);
-    }
-  }
+  // Interaction feedback only exists on the live canvas
+  const edgePending = opts.interactive ? state.edgePending : null;
+  const selected    = new Set(opts.interactive ? state.selection : []);
 
-  for (const v of vertices) {
+  for (const v of state.vertices) {
+    if (v.layer !== layerId) continue;
     const isEdgeSel = edgePending === v.id;
-    const isSel     = selVertex   === v.id;
+    const isSel     = selected.has(v.id);
+    const vr        = vertexRadius(v) / zoom;   // constant screen-px visual radius
 
     // Selection glow ring
     if (isEdgeSel || isSel) {
-      ctx.beginPath();
-      ctx.arc(v.cx, v.cy, vr + 5 / zoom, 0, Math.PI * 2);
+      _vertexPath(ctx, v, vr + 5 / zoom);
       ctx.fillStyle = isEdgeSel ? C.glowEdge : C.glowSel;
       ctx.fill();
     }
 
-    // Vertex circle
-    ctx.beginPath();
-    ctx.arc(v.cx, v.cy, vr, 0, Math.PI * 2);
-    ctx.fillStyle   = isEdgeSel ? C.vEdge : (isSel ? C.vSel : C.vFill);
+    // Vertex dot in its own shape and color; the selection colors win
+    _vertexPath(ctx, v, vr);
+    ctx.fillStyle   = isEdgeSel ? C.vEdge : (isSel ? C.vSel : (v.color ?? C.vFill));
     ctx.strokeStyle = C.vStroke;
     ctx.lineWidth   = 2 / zoom;
     ctx.fill();
     ctx.stroke();
 
-    // Vertex ID label (above)
+    // Vertex name (above): custom label or V{id}
     ctx.fillStyle = C.vLabel;
     ctx.font      = `bold ${10 / zoom}px monospace`;
     ctx.textAlign = 'center';
-    ctx.fillText(`V${v.id}`, v.cx, v.cy - vr - 5 / zoom);
+    ctx.fillText(vertexName(v), v.cx, v.cy - vr - 5 / zoom);
 
     // Coordinate label (below)
-    const uc = worldToUser(v.cx, v.cy);
-    ctx.fillStyle = C.vCoord;
-    ctx.font      = `${10 / zoom}px monospace`;
-    ctx.fillText(`(${uc.x},${uc.y})`, v.cx, v.cy + vr + 12 / zoom);
+    if (opts.vertexCoords) {
+      const uc = worldToUser(v.cx, v.cy);
+      ctx.fillStyle = C.vCoord;
+      ctx.font      = `${10 / zoom}px monospace`;
+      ctx.fillText(formatUser(uc, ','), v.cx, v.cy + vr + 12 / zoom);
+    }
+  }
+}
+
+// ── Selection ─────────────────────────────────────────────────────────────────
+
+/**
+ * Rubber-band box while box-selecting, and the bounding box (aligned with
+ * the active frame) plus centroid of a multi-vertex selection.
+ */
+function _drawSelection(R) {
+  const { ctx, zoom, C } = R;
+  const band = state.band;
+
+  if (band) {
+    const x = Math.min(band.x0, band.x1);
+    const y = Math.min(band.y0, band.y1);
+    const w = Math.abs(band.x1 - band.x0);
+    const h = Math.abs(band.y1 - band.y0);
+    ctx.fillStyle   = C.glowSel;
+    ctx.strokeStyle = C.vSel;
+    ctx.lineWidth   = 1 / zoom;
+    ctx.setLineDash([4 / zoom, 3 / zoom]);
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeRect(x, y, w, h);
+    ctx.setLineDash([]);
+  }
+
+  if (state.selection.length < 2) return;
+  const sb = selectionBounds();
+  if (!sb) return;
+
+  // Bounding box
+  ctx.strokeStyle = C.vSel;
+  ctx.lineWidth   = 1 / zoom;
+  ctx.setLineDash([6 / zoom, 4 / zoom]);
+  ctx.beginPath();
+  sb.corners.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+  ctx.closePath();
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Centroid cross + label
+  const c = sb.centroid;
+  const k = 5 / zoom;
+  ctx.lineWidth = 2 / zoom;
+  _line(ctx, c.x - k, c.y - k, c.x + k, c.y + k);
+  _line(ctx, c.x - k, c.y + k, c.x + k, c.y - k);
+  ctx.fillStyle = C.vSel;
+  ctx.font      = `${10 / zoom}px monospace`;
+  ctx.textAlign = 'left';
+  ctx.fillText(`c ${formatUser(worldToUser(c.x, c.y), ',')}`, c.x + 8 / zoom, c.y - 6 / zoom);
+}
+
+// ── Transform preview ─────────────────────────────────────────────────────────
+
+/**
+ * Dashed "ghost" of the figure at the transform panel's parameter t,
+ * with dotted trails from each vertex to its transformed position.
+ */
+function _drawTransformPreview(R) {
+  const pos = previewPositions();
+  if (!pos) return;
+
+  const { ctx, zoom, C } = R;
+  const { vertices, edges } = state;
+  const at = id => {
+    const p = pos.get(id);
+    if (p) return p;
+    const v = vertices.find(v => v.id === id);
+    return v ? { x: v.cx, y: v.cy } : null;
+  };
+
+  ctx.strokeStyle = C.ghost;
+  ctx.fillStyle   = C.ghost;
+
+  // Trails
+  ctx.globalAlpha = .5;
+  ctx.lineWidth   = 1 / zoom;
+  ctx.setLineDash([2 / zoom, 3 / zoom]);
+  for (const v of vertices) {
+    const p = pos.get(v.id);
+    if (p) _line(ctx, v.cx, v.cy, p.x, p.y);
+  }
+
+  // Ghost edges
+  ctx.globalAlpha = .9;
+  ctx.lineWidth   = 2 / zoom;
+  ctx.setLineDash([6 / zoom, 4 / zoom]);
+  for (const e of edges) {
+    if (!pos.has(e.v1) && !pos.has(e.v2)) continue;
+    const a = at(e.v1);
+    const b = at(e.v2);
+    if (a && b) _line(ctx, a.x, a.y, b.x, b.y);
+  }
+  ctx.setLineDash([]);
+
+  // Ghost vertices
+  for (const p of pos.values()) {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, (V_RADIUS - 2) / zoom, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.globalAlpha = 1;
+}
+
+// ── Vector operations ─────────────────────────────────────────────────────────
+
+/**
+ * Construction of the vector tool from the tail of a: a and b, dashed
+ * guides (parallelogram sides, the line of b and the perpendicular of a
+ * projection), the result vector and, for a × b, the parallelogram filled
+ * by the sign of the product.
+ */
+function _drawVectors(R) {
+  const fig = vectorFigure();
+  if (!fig) return;
+
+  const { ctx, zoom, C } = R;
+  if (fig.area) {
+    ctx.fillStyle = fig.area.positive ? C.vecPos : C.vecNeg;
+    ctx.beginPath();
+    fig.area.pts.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  ctx.strokeStyle = C.vector;
+  ctx.lineWidth   = 1 / zoom;
+  ctx.setLineDash([4 / zoom, 4 / zoom]);
+  for (const { p, q } of fig.guides) _line(ctx, p.x, p.y, q.x, q.y);
+  ctx.setLineDash([]);
+
+  ctx.font = `bold ${11 / zoom}px monospace`;
+  for (const { p, q, kind, name } of fig.vectors) {
+    const color = kind === 'result' ? C.vecResult : C.vector;
+    ctx.strokeStyle = color;
+    ctx.lineWidth   = (kind === 'result' ? 3 : 2) / zoom;
+    _line(ctx, p.x, p.y, q.x, q.y);
+    _arrowHead(ctx, q.x, q.y, Math.atan2(q.y - p.y, q.x - p.x), color, 10 / zoom);
+    _label(ctx, { text: name, x: (p.x + q.x) / 2 + 8 / zoom, y: (p.y + q.y) / 2 + 14 / zoom, align: 'left' });
   }
 }
 
+// ── Measurements ──────────────────────────────────────────────────────────────
+
+/**
+ * Ruler segment (following the pointer until its second point is placed)
+ * with its length, or the picked edges of the angle tool with an arc from
+ * the first to the second at their common vertex.
+ */
+function _drawMeasure(R) {
+  const m = state.measure;
+  const { ctx, zoom, C } = R;
+  ctx.strokeStyle = C.measure;
+  ctx.fillStyle   = C.measure;
+  ctx.font        = `bold ${11 / zoom}px monospace`;
+
+  if (m.tool === 'ruler' && m.points.length) {
+    const [p, q = state.lastMouse] = m.points;
+    for (const pt of [p, q].filter(Boolean)) {
+      ctx.beginPath();
+      ctx.arc(pt.x, pt.y, 3 / zoom, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    if (!q) return;
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.setLineDash([6 / zoom, 4 / zoom]);
+    _line(ctx, p.x, p.y, q.x, q.y);
+    ctx.setLineDash([]);
+    const r = segmentMeasure(p, q);
+    _label(ctx, { text: formatLength(r.dist), x: (p.x + q.x) / 2 + 8 / zoom, y: (p.y + q.y) / 2 - 8 / zoom, align: 'left' });
+  }
+
+  if (m.tool === 'angle') {
+    ctx.lineWidth = 4 / zoom;
+    ctx.lineCap   = 'round';
+    for (const id of m.edges) {
+      const e = state.edges.find(e => e.id === id);
+      const a = e && state.vertices.find(v => v.id === e.v1);
+      const b = e && state.vertices.find(v => v.id === e.v2);
+      if (a && b) _line(ctx, a.cx, a.cy, b.cx, b.cy);
+    }
+    ctx.lineCap = 'butt';
+
+    const ang = m.edges.length === 2 ? edgeAngle(...m.edges) : null;
+    if (!ang) return;
+    // Arc on screen from the first edge to the second, the short way round
+    const { at, ends: [a, b] } = ang;
+    const s1  = Math.atan2(a.cy - at.cy, a.cx - at.cx);
+    const s2  = Math.atan2(b.cy - at.cy, b.cx - at.cx);
+    let sweep = s2 - s1;
+    while (sweep <= -Math.PI) sweep += 2 * Math.PI;
+    while (sweep > Math.PI)   sweep -= 2 * Math.PI;
+    const rr = 26 / zoom;
+    ctx.lineWidth = 1.5 / zoom;
+    ctx.beginPath();
+    ctx.arc(at.cx, at.cy, rr, s1, s2, sweep < 0);
+    ctx.stroke();
+    const mid = s1 + sweep / 2;
+    const deg = Math.round(Math.abs(ang.angle) * 180 / Math.PI * 10) / 10;
+    _label(ctx, { text: `${deg}°`, x: at.cx + Math.cos(mid) * (rr + 16 / zoom), y: at.cy + Math.sin(mid) * (rr + 16 / zoom) + 4 / zoom, align: 'center' });
+  }
+}
+
+// ── Snap indicator ────────────────────────────────────────────────────────────
+
+/**
+ * Diamond on the point a placed or dragged vertex snaps to, named after
+ * the target ("grade", "V3", "meio de e2", "eixo X", "origem").
+ */
+function _drawSnap(R) {
+  const hit = state.snap.hit;
+  if (!hit) return;
+
+  const { ctx, zoom, C } = R;
+  const k = 7 / zoom;
+  ctx.strokeStyle = C.snap;
+  ctx.fillStyle   = C.snap;
+  ctx.lineWidth   = 1.5 / zoom;
+  ctx.beginPath();
+  ctx.moveTo(hit.x, hit.y - k);
+  ctx.lineTo(hit.x + k, hit.y);
+  ctx.lineTo(hit.x, hit.y + k);
+  ctx.lineTo(hit.x - k, hit.y);
+  ctx.closePath();
+  ctx.stroke();
+  ctx.font = `${10 / zoom}px monospace`;
+  _label(ctx, { text: hit.text, x: hit.x + 10 / zoom, y: hit.y + 14 / zoom, align: 'left' });
+}
+
 // ── Primitives ────────────────────────────────────────────────────────────────
 
-function _line(x1, y1, x2, y2) {
+function _line(ctx, x1, y1, x2, y2) {
   ctx.beginPath();
   ctx.moveTo(x1, y1);
   ctx.lineTo(x2, y2);
   ctx.stroke();
 }
 
-function _arrowHead(x, y, angle, color, size = 8) {
+function _label(ctx, t) {
+  ctx.textAlign = t.align;
+  ctx.fillText(t.text, t.x, t.y);
+}
+
+/**
+ * Arrowhead of a directed edge, its tip on the outline of the V2 dot,
+ * growing with the edge width (10 px at the default 2 px).
+ */
+function _edgeArrow(ctx, v1, v2, color, zoom, width) {
+  const angle = Math.atan2(v2.cy - v1.cy, v2.cx - v1.cx);
+  const back  = vertexRadius(v2) / zoom;
+  _arrowHead(ctx, v2.cx - Math.cos(angle) * back, v2.cy - Math.sin(angle) * back, angle, color, (6 + 2 * width) / zoom);
+}
+
+/** Outline of a vertex in its shape (see attrs.js shapeOutline()), as the current path. */
+function _vertexPath(ctx, v, r) {
+  const pts = shapeOutline(v.shape, v.cx, v.cy, r);
+  ctx.beginPath();
+  if (!pts) { ctx.arc(v.cx, v.cy, r, 0, Math.PI * 2); return; }
+  pts.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+  ctx.closePath();
+}
+
+function _arrowHead(ctx, x, y, angle, color, size = 8) {
   ctx.fillStyle = color;
   ctx.save();
   ctx.translate(x, y);
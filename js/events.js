@@ -1,8 +1,13 @@
 /**
  * @fileoverview Event listeners.
  *
- * Wires all user interactions — canvas mouse/wheel, keyboard shortcuts,
+ * Wires all user interactions — canvas pointer/wheel, keyboard shortcuts,
  * and sidebar buttons — to application logic.
+ *
+ * The canvas listens to Pointer Events, so mouse, pen and touch share one
+ * path.  Panning: middle or right drag, Space + drag, or two fingers (which
+ * also pinch-zoom around their centre).  A right click or a long-press is
+ * the context action.
  * Uses event delegation for dynamically generated lists.
  *
  * This module is imported for its side-effects only (no exports).
@@ -10,26 +15,120 @@
 
 import { state }                         from './state.js';
 import { canvas }                        from './canvas.js';
-import { screenToWorld, worldToUser }    from './coords.js';
+import { screenToWorld, worldToUser,
+         formatUser, origin }            from './coords.js';
 import { draw }                          from './draw.js';
 import { toggleTheme }                   from './theme.js';
 import { showTab }                       from './info.js';
+import { begin, commit, undo, redo }     from './history.js';
+import { saveSceneFile, openSceneFile,
+         saveSession }                   from './scene.js';
+import { exportSVG, exportPNG,
+         updateExportForm }              from './export.js';
+import { importData, exportData }        from './formats.js';
+import { isSelected, selectVertices,
+         toggleSelected, selectComponent,
+         cycleSelection, nudgeSelection,
+         deleteSelection, startBand,
+         updateBand, endBand }           from './selection.js';
+import { addOp, removeOp, clearOps,
+         previewAt, animateTransform,
+         applyTransform, updateOpForm,
+         refreshTransformPanel }         from './transform.js';
+import { detectPolygons, polygonFromSelection,
+         deletePolygon }                 from './polygon.js';
+import { curveFromSelection, deleteCurve,
+         followCurve, setCurveT,
+         setControlPolygon, animateCurve } from './curve.js';
+import { setRaster, stepRaster, resetRaster,
+         toggleRasterPlay,
+         refreshRasterPanel }            from './raster.js';
+import { setFill, armSeed, placeSeed,
+         stepFill, resetFill,
+         toggleFillPlay,
+         refreshFillPanel }              from './fill.js';
+import { setClip, setClipBound, armWindow,
+         startWindow, dragWindow, endWindow,
+         stepClip, resetClip, toggleClipPlay,
+         refreshClipPanel }              from './clip.js';
+import { snapPoint, showSnap, setSnap,
+         SNAP_TARGETS }                  from './snap.js';
+import { setEdgeLengths, armMeasure,
+         placeMeasure }                  from './measure.js';
+import { setGraph, setEdgeWeight, stepGraph,
+         resetGraph, toggleGraphPlay,
+         refreshGraphPanel }             from './graph.js';
+import { toggleDirected, reverseEdge,
+         setVectorOp, swapVectors,
+         buildVectorResult,
+         refreshVectorPanel }            from './vector.js';
+import { setVertexAttr, setEdgeAttr }    from './attrs.js';
+import { addLayer, removeLayer, renameLayer,
+         toggleLayer, setActiveLayer,
+         previewOpacity, commitOpacity,
+         moveSelectionToLayer,
+         startLayerDrag, dropLayer }     from './layers.js';
+import { actionFor, captureKey,
+         startRebind, resetKeymap,
+         toggleHelp, helpOpen }          from './keymap.js';
 import {
-  setMode, setCoordSystem,
+  setMode, cancelPending,
+  setCoordSystem, cycleCoordSystem, setCustomFrame, setUnits,
+  originAt, moveOrigin, setMathOrigin,
+  setCgHeight, originToBottomLeft,
   addVertex, addVertexByCoords,
   deleteVertex, deleteEdge,
+  editVertex, previewVertexEdit,
+  commitVertexEdit, cancelVertexEdit,
   selectFromList, handleEdgeClick,
-  vertexAt, clearAll,
+  vertexAt, edgeAt, selectEdge, splitEdge,
+  clearAll,
   resetView, updateZoomLabel,
   refreshVertexList, setMsg,
 } from './ui.js';
 
-// ── Canvas: mouse move ────────────────────────────────────────────────────────
+// ── Canvas: gesture state ─────────────────────────────────────────────────────
+
+/** Distance (screen px) a press may wander and still count as a click. */
+const PRESS_SLOP = 8;
+
+/** Hold time of a touch or pen long-press, in ms. */
+const PRESS_MS = 550;
+
+/** Screen positions of the pointers currently down, by pointerId. */
+const _pointers = new Map();
+
+/** Two-finger gesture: start distance, centre, zoom and pan (null = none). */
+let _pinch = null;
+
+/** Pending long-press: start position and timer (null = none). */
+let _press = null;
+
+/** Whether Space is held over the canvas (left-drag then pans). */
+let _spaceHeld = false;
 
-canvas.addEventListener('mousemove', e => {
+/** Whether the current vertex drag has moved (a plain click does not). */
+let _dragMoved = false;
+
+/** Set when a gesture ended whose click must be ignored. */
+let _swallowClick = false;
+
+// ── Canvas: pointer move ──────────────────────────────────────────────────────
+
+canvas.addEventListener('pointermove', e => {
   const { x: sx, y: sy } = _screenPos(e);
+  if (_pointers.has(e.pointerId)) _pointers.set(e.pointerId, { x: sx, y: sy });
+
+  // Pinch-zoom and two-finger pan
+  if (_pinch) {
+    _movePinch();
+    return;
+  }
+
+  // Moving the finger turns a long-press into a drag
+  if (_press && Math.hypot(sx - _press.x, sy - _press.y) > PRESS_SLOP) _cancelPress();
 
-  // Middle-button pan
+  // Middle / right button or Space + drag pan
   if (state.isPanning) {
     state.panX = state.panStartPanX + (sx - state.panStartX);
     state.panY = state.panStartPanY + (sy - state.panStartY);
@@ -40,115 +139,210 @@ canvas.addEventListener('mousemove', e => {
   const { x: wx, y: wy } = screenToWorld(sx, sy);
   state.lastMouse = { x: wx, y: wy };
 
-  const uc = worldToUser(wx, wy);
-  document.getElementById('st-pos').textContent = `Pos: (${uc.x}, ${uc.y})`;
+  document.getElementById('st-pos').textContent = `Pos: ${formatUser(worldToUser(wx, wy))}`;
 
-  // Drag vertex
+  // Clip window being drawn
+  if (state.clip.drawing) {
+    dragWindow(wx, wy);
+    return;
+  }
+
+  // Drag origin (vertices stay put; their labels follow the new origin)
+  if (state.dragOrigin) {
+    moveOrigin(wx, wy);
+    return;
+  }
+
+  // Box selection
+  if (state.band) {
+    updateBand(wx, wy);
+    return;
+  }
+
+  // Drag vertex — the grabbed vertex follows the (snapped) pointer, the rest
+  // of the selection moves by the same amount
   if (state.dragVertex) {
-    state.dragVertex.cx = wx;
-    state.dragVertex.cy = wy;
+    const p  = snapPoint(wx, wy, { free: e.altKey, exclude: state.selection });
+    const dx = p.x - state.dragVertex.cx;
+    const dy = p.y - state.dragVertex.cy;
+    const ids = new Set(state.selection);
+    for (const v of state.vertices) {
+      if (ids.has(v.id)) { v.cx += dx; v.cy += dy; }
+    }
+    _dragMoved = true;
+    state.snap.hit = p.hit;
     refreshVertexList();
     draw();
     return;
   }
 
+  // Hovered edge (vertices take precedence); vertex mode places points instead
+  const hov  = vertexAt(wx, wy);
+  const hovE = hov || (state.mode === 'vertex' && state.measure.tool !== 'angle') ? null : edgeAt(wx, wy);
+  if ((hovE ? hovE.id : null) !== state.hoverEdge) {
+    state.hoverEdge = hovE ? hovE.id : null;
+    draw();
+  }
+
   // Update cursor
-  const hov = vertexAt(wx, wy);
-  canvas.style.cursor = _cursor(hov !== null);
+  canvas.style.cursor = _spaceHeld                                          ? 'grab'
+                      : !hov && state.mode === 'select' && originAt(wx, wy) ? 'move'
+                      : hovE && state.mode === 'select'                     ? 'pointer'
+                      : _cursor(hov !== null);
 
-  // Redraw edge preview line
+  // Where a click would place the vertex (or the ruler point)
+  const ruler   = state.measure.tool === 'ruler';
+  const placing = ruler || (state.mode === 'vertex' && !state.measure.tool && !state.fill.armed && !state.clip.armed);
+  showSnap(placing ? snapPoint(wx, wy, { free: e.altKey }).hit : null);
+
+  // Redraw edge preview line and the ruler following the pointer
   if (state.mode === 'edge' && state.edgePending !== null) draw();
+  else if (ruler && state.measure.points.length === 1) draw();
 });
 
-// ── Canvas: mouse down ────────────────────────────────────────────────────────
+// ── Canvas: pointer down ──────────────────────────────────────────────────────
 
-canvas.addEventListener('mousedown', e => {
+canvas.addEventListener('pointerdown', e => {
   const { x: sx, y: sy } = _screenPos(e);
+  _pointers.set(e.pointerId, { x: sx, y: sy });
+  canvas.setPointerCapture(e.pointerId);
+
+  // A second finger turns whatever the first one started into a pinch
+  if (_pointers.size === 2) {
+    _cancelPress();
+    _startPinch();
+    _endGesture(e);
+    return;
+  }
+  if (_pointers.size > 2) return;
+  _swallowClick = false;
 
-  // Middle button → start pan
-  if (e.button === 1) {
-    state.isPanning    = true;
-    state.panStartX    = sx;
-    state.panStartY    = sy;
-    state.panStartPanX = state.panX;
-    state.panStartPanY = state.panY;
-    canvas.style.cursor = 'grabbing';
+  // Middle or right button, or Space + left button → start pan
+  if (e.button === 1 || e.button === 2 || (e.button === 0 && _spaceHeld)) {
+    _startPan(sx, sy);
     e.preventDefault();
     return;
   }
 
   if (e.button !== 0) return;
+  if (e.pointerType !== 'mouse') _startPress(sx, sy);
+  if (state.fill.armed || state.measure.tool) return;   // the click places the seed / measures
 
   const { x: wx, y: wy } = screenToWorld(sx, sy);
+  if (startWindow(wx, wy)) return;
 
   if (state.mode === 'select') {
     const v = vertexAt(wx, wy);
-    if (v) {
+    if (v && e.shiftKey && isSelected(v.id)) {
+      toggleSelected(v.id);   // Shift-click on a selected vertex deselects it
+    } else if (v) {
+      if (!isSelected(v.id)) selectVertices([v.id], e.shiftKey);
+      setMsg(`V${v.id} — coords: ${formatUser(worldToUser(v.cx, v.cy))}`);
+      begin();   // the whole drag becomes a single history entry
       state.dragVertex = v;
-      state.selVertex  = v.id;
+      _dragMoved = false;
       canvas.style.cursor = 'grabbing';
-      draw();
+    } else if (originAt(wx, wy)) {
+      begin();
+      state.dragOrigin = true;
+      canvas.style.cursor = 'move';
+    } else if (edgeAt(wx, wy)) {
+      selectEdge(edgeAt(wx, wy).id);
     } else {
-      state.selVertex = null;
-      draw();
+      startBand(wx, wy, e.shiftKey);
     }
   }
 });
 
-// ── Canvas: mouse up ──────────────────────────────────────────────────────────
+// ── Canvas: pointer up / cancel ───────────────────────────────────────────────
 
-canvas.addEventListener('mouseup', e => {
-  if (e.button === 1) {
-    state.isPanning = false;
-    canvas.style.cursor = _cursor(false);
+canvas.addEventListener('pointerup', e => {
+  const { x: sx, y: sy } = _screenPos(e);
+  _pointers.delete(e.pointerId);
+  _cancelPress();
+
+  // The pinch ends with the first finger lifted; the click is swallowed
+  if (_pinch) {
+    if (_pointers.size < 2) _endPinch();
     return;
   }
 
-  if (state.dragVertex) {
-    state.dragVertex = null;
-    canvas.style.cursor = _cursor(false);
-    refreshVertexList();
+  if (state.isPanning) {
+    // A right click that did not drag is a context action
+    const click = e.button === 2 && Math.hypot(sx - state.panStartX, sy - state.panStartY) <= PRESS_SLOP;
+    _endPan();
+    if (e.button === 0) _swallowClick = true;   // the left click that ends a Space pan places nothing
+    if (click) _contextAction(sx, sy);
+    return;
   }
+
+  _endGesture(e);
 });
 
+canvas.addEventListener('pointercancel', e => {
+  _pointers.delete(e.pointerId);
+  _cancelPress();
+  if (_pinch && _pointers.size < 2) _endPinch();
+  if (state.isPanning) _endPan();
+  _endGesture(e);
+});
+
+// The browser menu would hide right-drag pan and long-press
+canvas.addEventListener('contextmenu', e => e.preventDefault());
+
 // ── Canvas: click ─────────────────────────────────────────────────────────────
 
 canvas.addEventListener('click', e => {
   // Ignore if a drag or pan just ended
-  if (state.dragVertex || state.isPanning) return;
+  if (state.dragVertex || state.dragOrigin || state.isPanning) return;
+  if (_swallowClick) { _swallowClick = false; return; }
 
   const { x: sx, y: sy } = _screenPos(e);
   const { x: wx, y: wy } = screenToWorld(sx, sy);
+  if (placeSeed(wx, wy)) {
+    canvas.style.cursor = _cursor(false);
+    return;
+  }
+  if (placeMeasure(wx, wy, e.altKey)) return;
 
+  // Select mode acts on pointerdown / pointerup (selection, drags, box)
   switch (state.mode) {
-    case 'vertex':
-      addVertex(wx, wy);
+    case 'vertex': {
+      const p = snapPoint(wx, wy, { free: e.altKey });
+      addVertex(p.x, p.y);
       break;
+    }
 
     case 'edge':
       handleEdgeClick(wx, wy);
       break;
-
-    case 'select': {
-      const v = vertexAt(wx, wy);
-      state.selVertex = v ? v.id : null;
-      if (v) {
-        const uc = worldToUser(v.cx, v.cy);
-        setMsg(`V${v.id} — coords: (${uc.x}, ${uc.y})`);
-      }
-      draw();
-      refreshVertexList();
-      break;
-    }
   }
 });
 
-// ── Canvas: mouse leave ───────────────────────────────────────────────────────
+// ── Canvas: double click ──────────────────────────────────────────────────────
+
+canvas.addEventListener('dblclick', e => {
+  // In vertex mode the two clicks have already placed vertices
+  if (state.mode === 'vertex') return;
+
+  const { x: sx, y: sy } = _screenPos(e);
+  const { x: wx, y: wy } = screenToWorld(sx, sy);
+  if (vertexAt(wx, wy)) return;
+
+  const edge = edgeAt(wx, wy);
+  if (edge) splitEdge(edge.id, wx, wy);
+});
+
+// ── Canvas: pointer leave ─────────────────────────────────────────────────────
+
+canvas.addEventListener('pointerleave', e => {
+  // A captured pointer keeps its gesture going outside the canvas
+  if (_pointers.has(e.pointerId)) return;
 
-canvas.addEventListener('mouseleave', () => {
   state.lastMouse = null;
-  state.isPanning = false;
-  if (state.mode === 'edge' && state.edgePending !== null) draw();
+  if (state.hoverEdge !== null) { state.hoverEdge = null; draw(); }
+  showSnap(null);
+  if ((state.mode === 'edge' && state.edgePending !== null) || state.measure.points.length === 1) draw();
 });
 
 // ── Canvas: scroll wheel (zoom) ───────────────────────────────────────────────
@@ -157,66 +351,582 @@ canvas.addEventListener('wheel', e => {
   e.preventDefault();
   const { x: sx, y: sy } = _screenPos(e);
   const factor = e.deltaY < 0 ? 1.15 : 1 / 1.15;
-  const newZ   = Math.max(0.05, Math.min(30, state.zoom * factor));
+  const newZ   = _clampZoom(state.zoom * factor);
 
   // Keep the world-point under the cursor fixed on screen
   state.panX = sx - (sx - state.panX) * (newZ / state.zoom);
   state.panY = sy - (sy - state.panY) * (newZ / state.zoom);
   state.zoom = newZ;
-
-  updateZoomLabel();
-  draw();
+  _zoomChanged();
 }, { passive: false });
 
 // ── Keyboard shortcuts ────────────────────────────────────────────────────────
 
+/** What each keymap action does (keys and names live in keymap.js). */
+const KEY_ACTIONS = {
+  'mode-select': () => setMode('select'),
+  'mode-vertex': () => setMode('vertex'),
+  'mode-edge':   () => setMode('edge'),
+  'delete':      () => state.selEdge !== null && !state.selection.length
+                         ? deleteEdge(state.selEdge) : deleteSelection(),
+  'cancel':      cancelPending,
+  'next-vertex': () => cycleSelection(1),
+  'prev-vertex': () => cycleSelection(-1),
+  'nudge-left':  () => nudgeSelection(-1, 0),
+  'nudge-right': () => nudgeSelection(1, 0),
+  'nudge-up':    () => nudgeSelection(0, 1),
+  'nudge-down':  () => nudgeSelection(0, -1),
+  'step-left':   () => nudgeSelection(-1, 0, true),
+  'step-right':  () => nudgeSelection(1, 0, true),
+  'step-up':     () => nudgeSelection(0, 1, true),
+  'step-down':   () => nudgeSelection(0, -1, true),
+  'next-system': () => cycleCoordSystem(1),
+  'prev-system': () => cycleCoordSystem(-1),
+  'theme':       () => { toggleTheme(); draw(); },
+  'undo':        undo,
+  'redo':        redo,
+  'reset-view':  resetView,
+  'ruler':       () => armMeasure('ruler'),
+  'angle':       () => armMeasure('angle'),
+  'direct':      () => { if (state.selEdge !== null) toggleDirected(state.selEdge); },
+  'help':        () => toggleHelp(),
+};
+
 document.addEventListener('keydown', e => {
-  if (e.ctrlKey && (e.key === '0' || e.key === 'Numpad0')) {
+  // "Alterar" in the overlay takes the next key, whatever it is
+  if (captureKey(e)) {
+    e.preventDefault();
+    return;
+  }
+
+  // Text fields keep their keys (and their native undo)
+  if (_isTyping(e)) return;
+
+  if (e.key === 'Escape' && helpOpen()) {
+    toggleHelp(false);
+    return;
+  }
+
+  if (e.code === 'Space' && state.lastMouse) {
+    // Space + drag pans (only while the pointer is over the canvas, so a
+    // focused sidebar button still responds to Space)
+    e.preventDefault();
+    _spaceHeld = true;
+    if (!state.isPanning) canvas.style.cursor = 'grab';
+    return;
+  }
+
+  const action = actionFor(e);
+  if (!action) return;
+
+  // With a sidebar control focused, Tab keeps moving the focus
+  if (e.key === 'Tab' && document.activeElement !== document.body) return;
+
+  e.preventDefault();
+  KEY_ACTIONS[action]();
+});
+
+document.addEventListener('keyup', e => {
+  if (e.code === 'Space' && _spaceHeld) {
     e.preventDefault();
-    resetView();
+    _releaseSpace();
   }
 });
 
+window.addEventListener('blur', _releaseSpace);
+
 // ── Sidebar: static buttons ───────────────────────────────────────────────────
 
 document.getElementById('btn-cg')        .addEventListener('click', () => setCoordSystem('cg'));
 document.getElementById('btn-math')      .addEventListener('click', () => setCoordSystem('math'));
+document.getElementById('btn-ndc')       .addEventListener('click', () => setCoordSystem('ndc'));
+document.getElementById('btn-polar')     .addEventListener('click', () => setCoordSystem('polar'));
+document.getElementById('btn-custom')    .addEventListener('click', () => setCoordSystem('custom'));
 document.getElementById('mode-select')   .addEventListener('click', () => setMode('select'));
 document.getElementById('mode-vertex')   .addEventListener('click', () => setMode('vertex'));
 document.getElementById('mode-edge')     .addEventListener('click', () => setMode('edge'));
 document.getElementById('add-vertex-btn').addEventListener('click', addVertexByCoords);
 document.getElementById('clear-btn')     .addEventListener('click', clearAll);
+document.getElementById('undo-btn')      .addEventListener('click', undo);
+document.getElementById('redo-btn')      .addEventListener('click', redo);
+document.getElementById('save-scene-btn').addEventListener('click', saveSceneFile);
+document.getElementById('open-scene-btn').addEventListener('click', openSceneFile);
+document.getElementById('import-data-btn').addEventListener('click', () => importData(_dataFormat()));
+document.getElementById('export-data-btn').addEventListener('click', () => exportData(_dataFormat()));
+document.getElementById('export-svg-btn').addEventListener('click', exportSVG);
+document.getElementById('export-png-btn').addEventListener('click', exportPNG);
+document.getElementById('png-res')       .addEventListener('change', updateExportForm);
 document.getElementById('reset-view-btn').addEventListener('click', resetView);
 document.getElementById('theme-btn')     .addEventListener('click', () => { toggleTheme(); draw(); });
+document.getElementById('help-btn')      .addEventListener('click', () => toggleHelp());
+
+// Snapping
+for (const key of ['on', ...Object.keys(SNAP_TARGETS)]) {
+  document.getElementById(`sn-${key}`).addEventListener('change', e => setSnap(key, e.target.checked));
+}
+
+// Selection
+document.getElementById('sel-component-btn').addEventListener('click', selectComponent);
+document.getElementById('sel-delete-btn')   .addEventListener('click', deleteSelection);
+
+// Layers
+document.getElementById('ly-add-btn') .addEventListener('click', addLayer);
+document.getElementById('ly-move-btn').addEventListener('click', moveSelectionToLayer);
+
+// Attribute inspector (an emptied field clears the attribute)
+document.getElementById('at-v-label')      .addEventListener('change', e => setVertexAttr('label', _textField(e.target)));
+document.getElementById('at-v-color')      .addEventListener('change', e => setVertexAttr('color', e.target.value));
+document.getElementById('at-v-color-clear').addEventListener('click', () => setVertexAttr('color', null));
+document.getElementById('at-v-size')       .addEventListener('change', e => setVertexAttr('size', _numberField(e.target)));
+document.getElementById('at-v-shape')      .addEventListener('change', e => setVertexAttr('shape', e.target.value));
+document.getElementById('at-e-label')      .addEventListener('change', e => setEdgeAttr('label', _textField(e.target)));
+document.getElementById('at-e-weight')     .addEventListener('change', e => setEdgeAttr('weight', _numberField(e.target)));
+document.getElementById('at-e-color')      .addEventListener('change', e => setEdgeAttr('color', e.target.value));
+document.getElementById('at-e-color-clear').addEventListener('click', () => setEdgeAttr('color', null));
+document.getElementById('at-e-width')      .addEventListener('change', e => setEdgeAttr('width', _numberField(e.target)));
+document.getElementById('at-e-dash')       .addEventListener('change', e => setEdgeAttr('dash', e.target.value));
+
+// Polygons
+document.getElementById('poly-detect-btn')  .addEventListener('click', detectPolygons);
+document.getElementById('poly-from-sel-btn').addEventListener('click', polygonFromSelection);
+
+// Math origin and CG height
+document.getElementById('mo-x')         .addEventListener('change', _typedOrigin);
+document.getElementById('mo-y')         .addEventListener('change', _typedOrigin);
+document.getElementById('cg-height')    .addEventListener('change', e => setCgHeight(parseFloat(e.target.value)));
+document.getElementById('origin-bl-btn').addEventListener('click', originToBottomLeft);
+
+// Custom frame parameters
+for (const key of ['ox', 'oy', 'angle', 'scale']) {
+  document.getElementById(`cf-${key}`).addEventListener('change', e => {
+    setCustomFrame(key, parseFloat(e.target.value));
+  });
+}
+
+// Measurements
+document.getElementById('ms-lengths')  .addEventListener('change', e => setEdgeLengths(e.target.checked));
+document.getElementById('ms-ruler-btn').addEventListener('click', () => armMeasure('ruler'));
+document.getElementById('ms-angle-btn').addEventListener('click', () => armMeasure('angle'));
+
+// Vectors
+for (const key of ['op', 'a', 'b']) {
+  document.getElementById(`vc-${key}`).addEventListener('change', e => setVectorOp(key, e.target.value));
+}
+document.getElementById('vc-swap-btn') .addEventListener('click', swapVectors);
+document.getElementById('vc-build-btn').addEventListener('click', buildVectorResult);
+
+// Units and precision
+document.getElementById('un-precision').addEventListener('change', e => setUnits('precision', e.target.value));
+document.getElementById('un-cell')     .addEventListener('change', e => setUnits('cell', parseFloat(e.target.value)));
+document.getElementById('un-unit')     .addEventListener('change', e => setUnits('unit', e.target.value));
+
+// Curves
+document.getElementById('cv-from-sel-btn').addEventListener('click', curveFromSelection);
+document.getElementById('cv-anim-btn')    .addEventListener('click', animateCurve);
+document.getElementById('cv-t')           .addEventListener('input', e => setCurveT(parseFloat(e.target.value)));
+document.getElementById('cv-control')     .addEventListener('change', e => setControlPolygon(e.target.checked));
+
+// Line rasterization
+document.getElementById('rs-on')   .addEventListener('change', e => setRaster('on', e.target.checked));
+document.getElementById('rs-algo') .addEventListener('change', e => setRaster('algo', e.target.value));
+document.getElementById('rs-conv') .addEventListener('change', e => setRaster('convention', e.target.value));
+document.getElementById('rs-reset').addEventListener('click', resetRaster);
+document.getElementById('rs-prev') .addEventListener('click', () => stepRaster(-1));
+document.getElementById('rs-play') .addEventListener('click', toggleRasterPlay);
+document.getElementById('rs-next') .addEventListener('click', () => stepRaster(1));
+
+// Polygon fill
+document.getElementById('fl-on')      .addEventListener('change', e => setFill('on', e.target.checked));
+document.getElementById('fl-method')  .addEventListener('change', e => setFill('method', e.target.value));
+document.getElementById('fl-rule')    .addEventListener('change', e => setFill('rule', e.target.value));
+document.getElementById('fl-poly')    .addEventListener('change', e => setFill('poly', parseInt(e.target.value, 10)));
+document.getElementById('fl-conn')    .addEventListener('change', e => setFill('conn', parseInt(e.target.value, 10)));
+document.getElementById('fl-seed-btn').addEventListener('click', armSeed);
+document.getElementById('fl-reset')   .addEventListener('click', resetFill);
+document.getElementById('fl-prev')    .addEventListener('click', () => stepFill(-1));
+document.getElementById('fl-play')    .addEventListener('click', toggleFillPlay);
+document.getElementById('fl-next')    .addEventListener('click', () => stepFill(1));
+
+// Clipping
+document.getElementById('cl-on')      .addEventListener('change', e => setClip('on', e.target.checked));
+document.getElementById('cl-algo')    .addEventListener('change', e => setClip('algo', e.target.value));
+document.getElementById('cl-poly')    .addEventListener('change', e => setClip('poly', parseInt(e.target.value, 10)));
+document.getElementById('cl-draw-btn').addEventListener('click', armWindow);
+document.getElementById('cl-reset')   .addEventListener('click', resetClip);
+document.getElementById('cl-prev')    .addEventListener('click', () => stepClip(-1));
+document.getElementById('cl-play')    .addEventListener('click', toggleClipPlay);
+document.getElementById('cl-next')    .addEventListener('click', () => stepClip(1));
+for (const side of ['xmin', 'xmax', 'ymin', 'ymax']) {
+  document.getElementById(`cl-${side}`).addEventListener('change', e => {
+    setClipBound(side, parseFloat(e.target.value));
+  });
+}
+
+// Graph algorithms
+document.getElementById('gr-on')    .addEventListener('change', e => setGraph('on', e.target.checked));
+document.getElementById('gr-algo')  .addEventListener('change', e => setGraph('algo', e.target.value));
+document.getElementById('gr-weight').addEventListener('change', e => setGraph('weight', e.target.value));
+document.getElementById('gr-start') .addEventListener('change', e => setGraph('start', parseInt(e.target.value, 10)));
+document.getElementById('gr-goal')  .addEventListener('change', e => {
+  setGraph('goal', e.target.value === '' ? null : parseInt(e.target.value, 10));
+});
+document.getElementById('gr-edge-weight').addEventListener('change', e => {
+  if (state.selEdge === null) return;
+  setEdgeWeight(state.selEdge, e.target.value === '' ? null : parseFloat(e.target.value));
+});
+document.getElementById('gr-reset') .addEventListener('click', resetGraph);
+document.getElementById('gr-prev')  .addEventListener('click', () => stepGraph(-1));
+document.getElementById('gr-play')  .addEventListener('click', toggleGraphPlay);
+document.getElementById('gr-next')  .addEventListener('click', () => stepGraph(1));
+
+// Transform panel
+document.getElementById('xf-type')     .addEventListener('change', updateOpForm);
+document.getElementById('xf-add-btn')  .addEventListener('click', addOp);
+document.getElementById('xf-clear-btn').addEventListener('click', clearOps);
+document.getElementById('xf-anim-btn') .addEventListener('click', animateTransform);
+document.getElementById('xf-apply-btn').addEventListener('click', applyTransform);
+document.getElementById('xf-t')        .addEventListener('input', e => previewAt(parseFloat(e.target.value)));
+document.getElementById('xf-target')   .addEventListener('change', () => { refreshTransformPanel(); draw(); });
+document.getElementById('xf-pivot')    .addEventListener('change', () => { refreshTransformPanel(); draw(); });
+document.getElementById('xf-list')     .addEventListener('click', e => {
+  const delBtn = e.target.closest('.e-del');
+  if (delBtn) removeOp(parseInt(delBtn.dataset.index, 10));
+});
 
 // Info tabs
-document.getElementById('tab-sys') .addEventListener('click', () => showTab('sys'));
-document.getElementById('tab-diff').addEventListener('click', () => showTab('diff'));
-document.getElementById('tab-mode').addEventListener('click', () => showTab('mode'));
+document.getElementById('tab-sys')  .addEventListener('click', () => showTab('sys'));
+document.getElementById('tab-diff') .addEventListener('click', () => showTab('diff'));
+document.getElementById('tab-mode') .addEventListener('click', () => showTab('mode'));
+document.getElementById('tab-steps').addEventListener('click', () => showTab('steps'));
+
+// Shortcut overlay
+document.getElementById('help-close-btn').addEventListener('click', () => toggleHelp(false));
+document.getElementById('km-reset-btn')  .addEventListener('click', resetKeymap);
+document.getElementById('help-overlay')  .addEventListener('click', e => {
+  if (e.target.id === 'help-overlay') toggleHelp(false);   // click outside the panel
+});
+document.getElementById('keymap-list')   .addEventListener('click', e => {
+  const btn = e.target.closest('.km-edit');
+  if (btn) startRebind(btn.dataset.id);
+});
+
+// Persist the latest view and graph when the page goes away
+window.addEventListener('beforeunload', saveSession);
 
 // ── Sidebar: vertex list (event delegation) ───────────────────────────────────
 
 document.getElementById('vertex-list').addEventListener('click', e => {
+  if (e.target.closest('.v-edit')) return;   // clicks inside the inline editor
   const delBtn = e.target.closest('.v-del');
   if (delBtn) {
     deleteVertex(parseInt(delBtn.dataset.id, 10));
     return;
   }
   const item = e.target.closest('.v-item');
-  if (item) selectFromList(parseInt(item.dataset.id, 10));
+  if (item) selectFromList(parseInt(item.dataset.id, 10), e.shiftKey);
+});
+
+// Inline editing: double click opens, Enter commits, Escape cancels, and
+// moving the focus out of the row commits too
+document.getElementById('vertex-list').addEventListener('dblclick', e => {
+  const item = e.target.closest('.v-item');
+  if (item && !item.classList.contains('v-edit') && !e.target.closest('.v-del')) {
+    editVertex(parseInt(item.dataset.id, 10));
+  }
+});
+document.getElementById('vertex-list').addEventListener('input', previewVertexEdit);
+document.getElementById('vertex-list').addEventListener('keydown', e => {
+  if (!e.target.closest('.v-edit')) return;
+  if (e.key === 'Enter')  { e.preventDefault(); commitVertexEdit(); }
+  if (e.key === 'Escape') { e.preventDefault(); cancelVertexEdit(); }
+});
+document.getElementById('vertex-list').addEventListener('focusout', e => {
+  if (e.target.closest('.v-edit') && !e.relatedTarget?.closest('.v-edit')) commitVertexEdit();
+});
+
+// ── Sidebar: layer list (event delegation) ────────────────────────────────────
+
+document.getElementById('layer-list').addEventListener('click', e => {
+  const btn = e.target.closest('.l-vis, .l-lock, .l-del');
+  if (btn) {
+    const id = parseInt(btn.dataset.id, 10);
+    if      (btn.classList.contains('l-vis'))  toggleLayer(id, 'visible');
+    else if (btn.classList.contains('l-lock')) toggleLayer(id, 'locked');
+    else                                       removeLayer(id);
+    return;
+  }
+  // Clicking the row (not its name or slider) makes the layer active
+  const item = e.target.closest('.l-item');
+  if (item && !e.target.closest('input')) setActiveLayer(parseInt(item.dataset.id, 10));
+});
+document.getElementById('layer-list').addEventListener('focusin', e => {
+  const item = e.target.closest('.l-item');
+  if (item && e.target.matches('.l-name')) setActiveLayer(parseInt(item.dataset.id, 10));
+});
+document.getElementById('layer-list').addEventListener('change', e => {
+  const id = parseInt(e.target.dataset.id, 10);
+  if (e.target.matches('.l-name'))    renameLayer(id, e.target.value);
+  if (e.target.matches('.l-opacity')) commitOpacity(id);
+});
+document.getElementById('layer-list').addEventListener('input', e => {
+  if (e.target.matches('.l-opacity')) previewOpacity(parseInt(e.target.dataset.id, 10), e.target.value / 100);
+});
+document.getElementById('layer-list').addEventListener('keydown', e => {
+  if (e.target.matches('.l-name') && e.key === 'Enter') e.target.blur();
+});
+
+// Reordering: a row dropped on another takes its place
+document.getElementById('layer-list').addEventListener('dragstart', e => {
+  const item = e.target.closest('.l-item');
+  if (!item) return;
+  startLayerDrag(parseInt(item.dataset.id, 10));
+  e.dataTransfer.effectAllowed = 'move';
+  e.dataTransfer.setData('text/plain', item.dataset.id);
+});
+document.getElementById('layer-list').addEventListener('dragover', e => {
+  if (e.target.closest('.l-item')) e.preventDefault();
+});
+document.getElementById('layer-list').addEventListener('drop', e => {
+  const item = e.target.closest('.l-item');
+  if (!item) return;
+  e.preventDefault();
+  dropLayer(parseInt(item.dataset.id, 10));
 });
 
 // ── Sidebar: edge list (event delegation) ─────────────────────────────────────
 
 document.getElementById('edge-list').addEventListener('click', e => {
   const delBtn = e.target.closest('.e-del');
-  if (delBtn) deleteEdge(parseInt(delBtn.dataset.id, 10));
+  if (delBtn) {
+    deleteEdge(parseInt(delBtn.dataset.id, 10));
+    return;
+  }
+  const dirBtn = e.target.closest('.e-dir, .e-rev');
+  if (dirBtn) {
+    const id = parseInt(dirBtn.dataset.id, 10);
+    if (dirBtn.classList.contains('e-rev')) reverseEdge(id);
+    else                                    toggleDirected(id);
+    return;
+  }
+  const item = e.target.closest('.e-item');
+  if (item) selectEdge(parseInt(item.dataset.id, 10));
+});
+
+// ── Sidebar: vector list (event delegation) ───────────────────────────────────
+
+document.getElementById('vc-list').addEventListener('click', e => {
+  const item = e.target.closest('.vc-item');
+  if (item) selectEdge(parseInt(item.dataset.id, 10));
+});
+
+// ── Sidebar: polygon list (event delegation) ──────────────────────────────────
+
+document.getElementById('poly-list').addEventListener('click', e => {
+  const delBtn = e.target.closest('.p-del');
+  if (delBtn) {
+    deletePolygon(parseInt(delBtn.dataset.id, 10));
+    return;
+  }
+  // Clicking a polygon selects its corners, in contour order
+  const item = e.target.closest('.p-item');
+  const poly = item && state.polygons.find(p => p.id === parseInt(item.dataset.id, 10));
+  if (poly) selectVertices(poly.verts, e.shiftKey);
+});
+
+// ── Sidebar: curve list (event delegation) ───────────────────────────────────
+
+document.getElementById('curve-list').addEventListener('click', e => {
+  const delBtn = e.target.closest('.e-del');
+  if (delBtn) {
+    deleteCurve(parseInt(delBtn.dataset.id, 10));
+    return;
+  }
+  // Clicking a curve follows it with the t slider and selects its control points
+  const item = e.target.closest('.e-item');
+  if (item) followCurve(parseInt(item.dataset.id, 10), e.shiftKey);
 });
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 /**
- * Returns the mouse position relative to the canvas element.
+ * Ends the single-pointer gesture in progress: clip window, box selection,
+ * vertex or origin drag.
+ *
+ * @param {PointerEvent} e
+ */
+function _endGesture(e) {
+  if (state.band) endBand();
+
+  if (state.clip.drawing) {
+    endWindow();
+    _swallowClick = true;   // the click that ends the drag adds no vertex
+    canvas.style.cursor = _cursor(false);
+    return;
+  }
+
+  if (state.dragVertex) {
+    const id = state.dragVertex.id;
+    const n  = state.selection.length;
+    state.dragVertex = null;
+    state.snap.hit   = null;
+    commit(n > 1 ? `Mover ${n} vértices` : `Mover V${id}`);
+    canvas.style.cursor = _cursor(false);
+
+    // A plain click inside a group narrows the selection to that vertex
+    if (!_dragMoved && !_pinch && !e.shiftKey && n > 1) selectVertices([id]);
+    refreshVertexList();
+    refreshRasterPanel();
+    refreshFillPanel();
+    refreshClipPanel();
+    refreshVectorPanel();
+    refreshGraphPanel();
+  }
+
+  if (state.dragOrigin) {
+    state.dragOrigin = false;
+    commit('Mover origem');
+    canvas.style.cursor = _cursor(false);
+    setMsg(`Origem em ${_originText()} no CG`);
+  }
+}
+
+/** Starts a pan with the pointer at a screen position. */
+function _startPan(sx, sy) {
+  state.isPanning    = true;
+  state.panStartX    = sx;
+  state.panStartY    = sy;
+  state.panStartPanX = state.panX;
+  state.panStartPanY = state.panY;
+  canvas.style.cursor = 'grabbing';
+}
+
+/** Ends a button or Space pan. */
+function _endPan() {
+  state.isPanning = false;
+  canvas.style.cursor = _spaceHeld ? 'grab' : _cursor(false);
+  if (state.coordSystem === 'ndc') { refreshVertexList(); refreshVectorPanel(); }   // NDC follows the view
+}
+
+/** Releases Space; a pan it started ends with the button. */
+function _releaseSpace() {
+  _spaceHeld = false;
+  if (!state.isPanning) canvas.style.cursor = _cursor(false);
+}
+
+/** Starts a pinch from the two pointers that are down. */
+function _startPinch() {
+  const [a, b] = _pointers.values();
+  _pinch = {
+    d:    Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1),
+    c:    { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    zoom: state.zoom,
+    panX: state.panX,
+    panY: state.panY,
+  };
+  _swallowClick = true;
+}
+
+/**
+ * Zooms by the change in finger distance and pans with the gesture centre:
+ * the world point first under the centre stays under it.
+ */
+function _movePinch() {
+  if (_pointers.size < 2) return;
+  const [a, b] = _pointers.values();
+  const c = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+  const z = _clampZoom(_pinch.zoom * Math.hypot(b.x - a.x, b.y - a.y) / _pinch.d);
+
+  state.panX = c.x - (_pinch.c.x - _pinch.panX) * (z / _pinch.zoom);
+  state.panY = c.y - (_pinch.c.y - _pinch.panY) * (z / _pinch.zoom);
+  state.zoom = z;
+  _zoomChanged();
+}
+
+/** Ends the pinch; a finger still down goes on panning the view. */
+function _endPinch() {
+  _pinch = null;
+  canvas.style.cursor = _cursor(false);
+  const [rest] = _pointers.values();
+  if (rest) _startPan(rest.x, rest.y);
+}
+
+/**
+ * Arms a long-press at a touch or pen contact; it fires unless the pointer
+ * moves or lifts first.  Called before the press selects anything, so the
+ * long-press toggles against the selection it found.
+ */
+function _startPress(sx, sy) {
+  _cancelPress();
+  const selection = [...state.selection];
+  _press = {
+    x: sx,
+    y: sy,
+    timer: setTimeout(() => {
+      _press = null;
+      // The press started a drag or a box: drop it, nothing has moved yet,
+      // and put back the selection the press replaced
+      state.band = null;
+      state.selection = selection;
+      if (state.dragVertex) { state.dragVertex = null; commit('Mover vértice'); }
+      if (state.dragOrigin) { state.dragOrigin = false; commit('Mover origem'); }
+      _swallowClick = true;
+      _contextAction(sx, sy);
+    }, PRESS_MS),
+  };
+}
+
+function _cancelPress() {
+  if (_press) clearTimeout(_press.timer);
+  _press = null;
+}
+
+/**
+ * Context action (right click, long-press): toggles a vertex in the
+ * selection, splits an edge at the point, or cancels a pending edge.
+ *
+ * @param {number} sx  Screen x
+ * @param {number} sy  Screen y
+ */
+function _contextAction(sx, sy) {
+  const { x: wx, y: wy } = screenToWorld(sx, sy);
+  const v = vertexAt(wx, wy);
+  const edge = v ? null : edgeAt(wx, wy);
+
+  if (v) {
+    toggleSelected(v.id);
+    setMsg(isSelected(v.id) ? `V${v.id} adicionado à seleção` : `V${v.id} removido da seleção`);
+  } else if (edge) {
+    splitEdge(edge.id, wx, wy);
+  } else if (state.edgePending !== null) {
+    state.edgePending = null;
+    draw();
+    setMsg('Aresta cancelada');
+  }
+}
+
+/**
+ * Limits the view zoom to the range the wheel and pinch allow.
+ *
+ * @param {number} z
+ * @returns {number}
+ */
+function _clampZoom(z) {
+  return Math.max(0.05, Math.min(30, z));
+}
+
+/** Redraws and refreshes everything that depends on the zoom. */
+function _zoomChanged() {
+  updateZoomLabel();
+  draw();
+  if (state.coordSystem === 'ndc') { refreshVertexList(); refreshVectorPanel(); }
+  if (state.raster.on) refreshRasterPanel();   // the pixel size follows the grid
+  if (state.fill.on)   refreshFillPanel();
+  if (state.clip.on)   refreshClipPanel();   // NDC bounds follow the view
+  if (state.graph.on && state.coordSystem === 'ndc') refreshGraphPanel();   // so do NDC lengths
+}
+
+/**
+ * Returns the pointer position relative to the canvas element.
  *
  * @param {MouseEvent|WheelEvent} e
  * @returns {{ x: number, y: number }}
@@ -226,6 +936,47 @@ function _screenPos(e) {
   return { x: e.clientX - r.left, y: e.clientY - r.top };
 }
 
+/** Applies the origin typed in the "Origem e Tela" card. */
+function _typedOrigin() {
+  setMathOrigin(parseFloat(document.getElementById('mo-x').value),
+                parseFloat(document.getElementById('mo-y').value));
+}
+
+/** CG position of the active system's origin, e.g. "(400, 300)". */
+function _originText() {
+  const { x, y } = origin();
+  return `(${x}, ${y})`;
+}
+
+/**
+ * Returns the exchange format chosen in the "Arquivo" card.
+ *
+ * @returns {'csv'|'obj'|'dot'}
+ */
+function _dataFormat() {
+  return document.getElementById('data-format').value;
+}
+
+/** Trimmed text of an inspector field, null when empty. */
+function _textField(el) {
+  return el.value.trim() || null;
+}
+
+/** Number in an inspector field, null when empty (NaN when not a number). */
+function _numberField(el) {
+  return el.value === '' ? null : parseFloat(el.value);
+}
+
+/**
+ * Whether a keyboard event comes from a text field (shortcuts must not fire).
+ *
+ * @param {KeyboardEvent} e
+ * @returns {boolean}
+ */
+function _isTyping(e) {
+  return e.target instanceof HTMLElement && e.target.matches('input, textarea, select');
+}
+
 /**
  * Returns the appropriate CSS cursor string for the current mode.
  *
@@ -233,6 +984,7 @@ function _screenPos(e) {
  * @returns {string}
  */
 function _cursor(onVertex) {
+  if (state.fill.armed || state.clip.armed || state.measure.tool) return 'crosshair';
   if (state.mode === 'select') return onVertex ? 'grab' : 'default';
   if (state.mode === 'vertex') return 'crosshair';
   return onVertex ? 'pointer' : 'crosshair';
@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Image export (SVG and high-resolution PNG).
+ *
+ * Reads the "Exportar" sidebar card, builds the export view (visible
+ * viewport or scene bounding box) and hands it to the SVG builder or to
+ * renderScene() on an offscreen canvas.  The PNG size is independent of
+ * the on-screen canvas: it can be an explicit width × height in pixels
+ * (the scene is fitted and centred) or a print resolution in DPI.
+ */
+
+import { currentView, sceneView }  from './coords.js';
+import { renderScene }             from './draw.js';
+import { buildSVG }                from './svg.js';
+import { downloadFile }            from './io.js';
+import { setMsg }                  from './ui.js';
+
+/** CSS reference resolution: one view pixel = 1/96 inch. */
+const CSS_DPI = 96;
+
+/** Largest side and area browsers reliably allocate for a canvas. */
+const MAX_SIDE   = 16384;
+const MAX_PIXELS = 100e6;
+
+// ── Public ────────────────────────────────────────────────────────────────────
+
+/** Exports the scene as an .svg download using the sidebar options. */
+export function exportSVG() {
+  const opts = readExportOptions();
+  const view = _exportView(opts.area);
+  if (!view) return;
+
+  downloadFile('cena.svg', buildSVG(view, opts), 'image/svg+xml');
+  setMsg('Cena exportada em cena.svg');
+}
+
+/** Renders the scene offscreen and exports it as a .png download. */
+export function exportPNG() {
+  const opts = readExportOptions();
+  const base = _exportView(opts.area);
+  if (!base) return;
+
+  let view  = base;
+  let scale = 1;
+
+  if (opts.resolution === 'dpi') {
+    scale = opts.dpi / CSS_DPI;
+  } else if (opts.resolution === 'px') {
+    // Fit the area inside W × H and widen the view to fill the margins
+    scale = Math.min(opts.width / base.width, opts.height / base.height);
+    const w = opts.width  / scale;
+    const h = opts.height / scale;
+    view = {
+      ...base,
+      width:  w,
+      height: h,
+      panX:   base.panX + (w - base.width)  / 2,
+      panY:   base.panY + (h - base.height) / 2,
+    };
+  }
+
+  const pw = Math.round(view.width  * scale);
+  const ph = Math.round(view.height * scale);
+  if (!(pw > 0 && ph > 0)) { setMsg('Tamanho de imagem inválido'); return; }
+  if (pw > MAX_SIDE || ph > MAX_SIDE || pw * ph > MAX_PIXELS) {
+    setMsg(`Imagem grande demais (${pw}×${ph}) — máx. ${MAX_SIDE}px por lado`);
+    return;
+  }
+
+  const off = document.createElement('canvas');
+  off.width  = pw;
+  off.height = ph;
+  renderScene(off.getContext('2d'), view, { ...opts, scale });
+
+  off.toBlob(blob => {
+    if (!blob) { setMsg('Falha ao gerar o PNG'); return; }
+    downloadFile('cena.png', blob);
+    setMsg(`Cena exportada em cena.png (${pw}×${ph})`);
+  }, 'image/png');
+}
+
+/**
+ * Reads the export options from the sidebar form.
+ *
+ * @returns {import('./draw.js').RenderOptions & {
+ *   area: 'viewport'|'scene', resolution: 'screen'|'px'|'dpi',
+ *   width: number, height: number, dpi: number }}
+ */
+export function readExportOptions() {
+  const val = id => document.getElementById(id).value;
+  const chk = id => document.getElementById(id).checked;
+  const num = (id, min) => Math.max(min, parseFloat(val(id)) || min);
+
+  return {
+    area:         val('export-area'),
+    background:   val('export-bg'),
+    grid:         chk('export-grid'),
+    axisLabels:   chk('export-axis-labels'),
+    vertexCoords: chk('export-vertex-coords'),
+    resolution:   val('png-res'),
+    width:        Math.round(num('png-w', 1)),
+    height:       Math.round(num('png-h', 1)),
+    dpi:          num('png-dpi', 1),
+  };
+}
+
+/** Shows only the PNG size fields that apply to the chosen resolution mode. */
+export function updateExportForm() {
+  const res = document.getElementById('png-res').value;
+  document.getElementById('png-px-row').hidden  = res !== 'px';
+  document.getElementById('png-dpi-row').hidden = res !== 'dpi';
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * @param {'viewport'|'scene'} area
+ * @returns {import('./coords.js').View|null}
+ */
+function _exportView(area) {
+  if (area !== 'scene') return currentView();
+
+  const view = sceneView();
+  if (!view) setMsg('Nenhum vértice para enquadrar');
+  return view;
+}
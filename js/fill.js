@@ -0,0 +1,492 @@
+/**
+ * @fileoverview Polygon fill visualizer: scan-line fill with an active edge
+ * table, and 4- / 8-connected flood and boundary fill seeded by a click.
+ *
+ * Both run on the pixel lattice of raster.js (grid cells as pixels, same
+ * centre / corner convention), in coordinates where pixel centres are
+ * integers:
+ *   scan-line — every scan line y crosses the polygon sides in the active
+ *               edge table (AET); pixels whose centre lies between
+ *               crossings are inside by the even-odd or the non-zero rule.
+ *               Sides enter the AET from the edge table (ET) at their
+ *               lowest scan line and leave at y_max (top-exclusive).
+ *   flood     — replaces the connected region with the seed's colour
+ *               (background or boundary).
+ *   boundary  — spreads from the seed until it meets boundary pixels.
+ * The boundary is every edge rasterized with Bresenham, so an 8-connected
+ * fill leaks through the diagonal steps of a line and a 4-connected one
+ * does not — the point of the exercise.
+ */
+
+import { state }                           from './state.js';
+import { draw }                            from './draw.js';
+import { setMsg }                          from './ui.js';
+import { renderInfo, showTab }             from './info.js';
+import { rasterizeBresenham, worldToLattice,
+         pixelSize, rasterFrame }          from './raster.js';
+import { createPlayer }                    from './player.js';
+
+/** Delay between steps while playing, in ms. */
+const STEP_MS = 250;
+
+/** A flood fill plays in about this many ticks whatever its size. */
+const FLOOD_TICKS = 160;
+
+/** Flood fills stop after this many pixels (unbounded regions). */
+const MAX_PIXELS = 20000;
+
+/** Empty pixels kept around the drawing as the flood fill's canvas. */
+const FLOOD_MARGIN = 2;
+
+/** Trace rows shown around the current step. */
+const TRACE_WINDOW = 12;
+
+export const FILL_RULES = {
+  evenodd: 'Par-ímpar',
+  nonzero: 'Não-zero',
+};
+
+/**
+ * @typedef {{ i:number, j:number }} Cell
+ * @typedef {{ name:string, yMin:number, yMax:number, x:number,
+ *             inv:number, dir:number }} EdgeEntry
+ * @typedef {{ y:number, aet:EdgeEntry[], spans:Array<[number, number]>,
+ *             px:Cell[] }} ScanStep
+ * @typedef {{ px:Cell[], row:string[] }} FloodStep
+ */
+
+const _player = createPlayer(STEP_MS, () => stepFill(_playStride()), () => refreshFillPanel());
+
+/** Memoised result of the current fill (see fillRun()). */
+let _cache = { key: null, run: null };
+
+// ── Algorithms ────────────────────────────────────────────────────────────────
+
+/**
+ * Scan-line fill of a closed polygon.
+ *
+ * @param {Array<{x:number, y:number, name:string}>} pts  Corners in pixel-centre
+ *        coordinates, `name` labels the side that starts at the corner.
+ * @param {'evenodd'|'nonzero'} rule
+ * @returns {{ et: Array<{ y:number, entries:EdgeEntry[] }>, steps: ScanStep[] }}
+ */
+export function scanlineFill(pts, rule) {
+  // Edge table: non-horizontal sides bucketed by their first scan line
+  const buckets = new Map();
+  pts.forEach((p, k) => {
+    const q = pts[(k + 1) % pts.length];
+    if (p.y === q.y) return;   // horizontal sides never cross a scan line
+
+    const up       = q.y > p.y;
+    const [lo, hi] = up ? [p, q] : [q, p];
+    const inv      = (hi.x - lo.x) / (hi.y - lo.y);
+    const y        = Math.ceil(lo.y);
+    if (y >= hi.y) return;     // between two scan lines
+
+    const entry = { name: p.name, yMin: lo.y, yMax: hi.y, x: lo.x + (y - lo.y) * inv, inv, dir: up ? 1 : -1 };
+    if (!buckets.has(y)) buckets.set(y, []);
+    buckets.get(y).push(entry);
+  });
+
+  const et = [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([y, entries]) => ({ y, entries }));
+  if (!et.length) return { et, steps: [] };
+
+  const yEnd  = Math.ceil(Math.max(...et.flatMap(b => b.entries.map(e => e.yMax)))) - 1;
+  const steps = [];
+  let aet = [];
+
+  for (let y = et[0].y; y <= yEnd; y++) {
+    aet.push(...(buckets.get(y) ?? []).map(e => ({ ...e })));
+    aet = aet.filter(e => e.yMax > y).sort((a, b) => a.x - b.x);
+
+    const spans = _spans(aet, rule);
+    const px    = [];
+    for (const [a, b] of spans) {
+      for (let i = Math.ceil(a); i < Math.ceil(b); i++) px.push({ i, j: y });
+    }
+    steps.push({ y, aet: aet.map(e => ({ ...e })), spans, px });
+
+    for (const e of aet) e.x += e.inv;
+  }
+
+  return { et, steps };
+}
+
+/**
+ * Stack-based flood / boundary fill inside a box.
+ *
+ * @param {Cell} seed
+ * @param {Set<string>} border  Boundary pixels as "i,j" keys.
+ * @param {{ method: 'flood'|'boundary', conn: 4|8,
+ *           box: { i0:number, j0:number, i1:number, j1:number } }} opts
+ * @returns {{ steps: FloodStep[], target: string, truncated: boolean }}
+ */
+export function floodFill(seed, border, { method, conn, box }) {
+  const onBorder = c => border.has(`${c.i},${c.j}`);
+  const target   = onBorder(seed) ? 'borda' : 'fundo';
+  const nbrs     = conn === 8
+    ? [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]
+    : [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+  // flood: same colour as the seed · boundary: anything but the boundary
+  const fillable = method === 'flood'
+    ? c => onBorder(c) === (target === 'borda')
+    : c => !onBorder(c);
+
+  const inBox  = c => c.i >= box.i0 && c.i <= box.i1 && c.j >= box.j0 && c.j <= box.j1;
+  const filled = new Set();
+  const stack  = [seed];
+  const steps  = [];
+
+  while (stack.length && steps.length < MAX_PIXELS) {
+    const c = stack.pop();
+    const k = `${c.i},${c.j}`;
+    if (filled.has(k) || !inBox(c) || !fillable(c)) continue;
+
+    filled.add(k);
+    let pushed = 0;
+    for (const [di, dj] of nbrs) {
+      const n = { i: c.i + di, j: c.j + dj };
+      if (!filled.has(`${n.i},${n.j}`)) { stack.push(n); pushed++; }
+    }
+    steps.push({ px: [c], row: [steps.length, `(${c.i}, ${c.j})`, `+${pushed}`, stack.length] });
+  }
+
+  return { steps, target, truncated: stack.length > 0 };
+}
+
+// ── Current run ───────────────────────────────────────────────────────────────
+
+/**
+ * Runs the configured fill on the current drawing (memoised).
+ *
+ * @returns {{ method: string, steps: Array<ScanStep|FloodStep>,
+ *             border?: Cell[], et?: Array, target?: string,
+ *             truncated?: boolean, poly?: object }|null}
+ *          null when there is nothing to fill yet.
+ */
+export function fillRun() {
+  const f   = state.fill;
+  const key = JSON.stringify([
+    f.method, f.rule, f.conn, f.poly, f.seed, pixelSize(), rasterFrame(),
+    state.raster.convention, state.vertices, state.edges, state.polygons,
+  ]);
+  if (_cache.key !== key) _cache = { key, run: _compute() };
+  return _cache.run;
+}
+
+/**
+ * Polygon filled by the scan-line method: the chosen one, or the first.
+ *
+ * @returns {{ id:number, verts:number[] }|null}
+ */
+export function fillPolygon() {
+  return state.polygons.find(p => p.id === state.fill.poly) ?? state.polygons[0] ?? null;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/**
+ * Changes a fill setting ('on', 'method', 'rule', 'conn' or 'poly').
+ *
+ * @param {string} key
+ * @param {*} value
+ */
+export function setFill(key, value) {
+  state.fill[key] = value;
+  _player.stop();
+  state.fill.step = null;
+  if (key === 'on' && value) _showTrace();
+  if (key === 'method' && value !== 'scanline' && !state.fill.seed) armSeed();
+  refreshFillPanel();
+  draw();
+}
+
+/** The next canvas click places the flood-fill seed. */
+export function armSeed() {
+  state.fill.armed = true;
+  setMsg('Clique no canvas para escolher a semente do preenchimento');
+  refreshFillPanel();
+}
+
+/**
+ * Places the seed at a world-px point, if a click was armed for it.
+ *
+ * @param {number} wx
+ * @param {number} wy
+ * @returns {boolean}  Whether the click was used.
+ */
+export function placeSeed(wx, wy) {
+  if (!state.fill.armed) return false;
+
+  const p = worldToLattice(wx, wy);
+  state.fill.armed = false;
+  state.fill.seed  = { i: Math.round(p.x), j: Math.round(p.y) };
+  state.fill.on    = true;
+  state.fill.step  = null;
+  _player.stop();
+  _showTrace();
+  setMsg(`Semente no pixel (${state.fill.seed.i}, ${state.fill.seed.j})`);
+  refreshFillPanel();
+  draw();
+  return true;
+}
+
+/**
+ * Moves the player by `delta` steps.
+ *
+ * @param {number} delta
+ * @returns {boolean}  false when the player could not move (at an end).
+ */
+export function stepFill(delta) {
+  const run = fillRun();
+  if (!run || !run.steps.length) { setMsg(_emptyMessage()); return false; }
+
+  const n    = run.steps.length;
+  const cur  = state.fill.step ?? (delta > 0 ? -1 : n);
+  const next = Math.max(0, Math.min(n - 1, cur + delta));
+
+  state.fill.on = true;
+  _showTrace();
+  const moved = next !== state.fill.step;
+  state.fill.step = next;
+  refreshFillPanel();
+  draw();
+  return moved;
+}
+
+/** Back to the first step. */
+export function resetFill() {
+  _player.stop();
+  state.fill.step = null;
+  stepFill(1);
+}
+
+/** Plays the fill step by step, or pauses. */
+export function toggleFillPlay() {
+  if (_player.playing) { _player.stop(); refreshFillPanel(); return; }
+
+  const run = fillRun();
+  if (!run || !run.steps.length) { setMsg(_emptyMessage()); return; }
+
+  // Start over when nothing is being stepped or the end was reached
+  if (state.fill.step === null || state.fill.step >= run.steps.length - 1) {
+    state.fill.step = null;
+    stepFill(1);
+  }
+  _player.play();
+  refreshFillPanel();
+}
+
+// ── Sidebar / info panel ──────────────────────────────────────────────────────
+
+/** Updates the fill card and, if visible, the trace tab. */
+export function refreshFillPanel() {
+  const el = document.getElementById('fl-status');
+  if (!el) return;
+
+  const f = state.fill;
+  const scan = f.method === 'scanline';
+  document.getElementById('fl-on').checked     = f.on;
+  document.getElementById('fl-method').value   = f.method;
+  document.getElementById('fl-rule').value     = f.rule;
+  document.getElementById('fl-conn').value     = String(f.conn);
+  document.getElementById('fl-scan-row').hidden  = !scan;
+  document.getElementById('fl-flood-row').hidden = scan;
+  document.getElementById('fl-seed-btn').classList.toggle('active', f.armed);
+  document.getElementById('fl-play').textContent = _player.playing ? '⏸' : '▶';
+
+  const sel = document.getElementById('fl-poly');
+  const cur = fillPolygon();
+  sel.innerHTML = state.polygons.length
+    ? state.polygons.map(p => `<option value="${p.id}"${p === cur ? ' selected' : ''}>P${p.id}</option>`).join('')
+    : '<option value="">—</option>';
+
+  const run = fillRun();
+  if (!run || !run.steps.length) {
+    el.textContent = _emptyMessage();
+  } else {
+    if (f.step !== null && f.step >= run.steps.length) f.step = run.steps.length - 1;
+    const pos = f.step === null ? 'completo' : `passo ${f.step + 1} / ${run.steps.length}`;
+    const what = scan ? `P${run.poly.id}` : `semente (${f.seed.i}, ${f.seed.j})`;
+    el.textContent = `${what}: ${pos} · ${_pixelCount(run)} pixel(s)`;
+  }
+
+  if (state.activeTab === 'steps' && state.stepTool === 'fill') renderInfo();
+}
+
+/**
+ * HTML for the info panel trace tab.
+ *
+ * @returns {string}
+ */
+export function fillInfo() {
+  const f   = state.fill;
+  const run = f.on ? fillRun() : null;
+  if (!run || !run.steps.length) {
+    return `
+    <h4>Preenchimento</h4>
+    <p>${f.on ? _emptyMessage() : 'Ative <strong>Mostrar preenchimento</strong> no card <strong>Preenchimento</strong>.'}</p>`;
+  }
+  return f.method === 'scanline' ? _scanInfo(run) : _floodInfo(run);
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _compute() {
+  const f = state.fill;
+
+  if (f.method === 'scanline') {
+    const poly = fillPolygon();
+    if (!poly) return null;
+    const pts = [];
+    for (const [k, id] of poly.verts.entries()) {
+      const v = state.vertices.find(v => v.id === id);
+      if (!v) return null;
+      const next = poly.verts[(k + 1) % poly.verts.length];
+      pts.push({ ...worldToLattice(v.cx, v.cy), name: `V${id}→V${next}` });
+    }
+    return { method: 'scanline', poly, ...scanlineFill(pts, f.rule) };
+  }
+
+  if (!f.seed) return null;
+  const border = _borderPixels();
+  const cells  = [...border.values(), f.seed];
+  const box = {
+    i0: Math.min(...cells.map(c => c.i)) - FLOOD_MARGIN,
+    i1: Math.max(...cells.map(c => c.i)) + FLOOD_MARGIN,
+    j0: Math.min(...cells.map(c => c.j)) - FLOOD_MARGIN,
+    j1: Math.max(...cells.map(c => c.j)) + FLOOD_MARGIN,
+  };
+  const res = floodFill(f.seed, new Set(border.keys()), { method: f.method, conn: f.conn, box });
+  return { method: f.method, border: [...border.values()], box, ...res };
+}
+
+/** Every edge rasterized with Bresenham, keyed "i,j". */
+function _borderPixels() {
+  const out = new Map();
+  for (const e of state.edges) {
+    const a = state.vertices.find(v => v.id === e.v1);
+    const b = state.vertices.find(v => v.id === e.v2);
+    if (!a || !b) continue;
+    const p = worldToLattice(a.cx, a.cy);
+    const q = worldToLattice(b.cx, b.cy);
+    const r = Math.round;
+    for (const st of rasterizeBresenham(r(p.x), r(p.y), r(q.x), r(q.y)).steps) {
+      const c = st.px[0];
+      out.set(`${c.i},${c.j}`, { i: c.i, j: c.j });
+    }
+  }
+  return out;
+}
+
+/** Crossing pairs inside the polygon for one scan line. */
+function _spans(aet, rule) {
+  const spans = [];
+  if (rule === 'evenodd') {
+    for (let k = 0; k + 1 < aet.length; k += 2) spans.push([aet[k].x, aet[k + 1].x]);
+    return spans;
+  }
+
+  let w = 0;
+  let start = 0;
+  for (const e of aet) {
+    const before = w;
+    w += e.dir;
+    if (before === 0 && w !== 0) start = e.x;
+    else if (before !== 0 && w === 0) spans.push([start, e.x]);
+  }
+  return spans;
+}
+
+function _scanInfo(run) {
+  const f    = state.fill;
+  const step = f.step === null ? null : run.steps[f.step];
+  const yDir = rasterFrame() === 'cg' ? '↓' : '↑';
+  const entry = e => `${e.name} <small>(y<sub>max</sub> ${_f(e.yMax)}, x ${_f(e.x)}, 1/m ${_f(e.inv)}${f.rule === 'nonzero' ? `, ${e.dir > 0 ? '+1' : '−1'}` : ''})</small>`;
+
+  const et = run.et.map(b =>
+    `<tr${step && b.y === step.y ? ' class="cur"' : ''}><td>${b.y}</td><td>${b.entries.map(entry).join('<br>')}</td></tr>`);
+
+  const rule = f.rule === 'evenodd'
+    ? 'par-ímpar: pinta entre o 1º e o 2º cruzamento, o 3º e o 4º…'
+    : 'não-zero: soma +1 / −1 pelo sentido de cada lado e pinta onde a soma ≠ 0';
+
+  const cur = step ? `
+    <div class="trace-setup">
+      <span>linha de varredura: <span class="hl">y = ${step.y}</span></span>
+      <span>AET: <span class="hl">${step.aet.map(e => `${e.name} x=${_f(e.x)}`).join(' · ') || 'vazia'}</span></span>
+      <span>vãos: <span class="hl">${step.spans.map(([a, b]) => `[${_f(a)}, ${_f(b)})`).join(' ') || '—'}</span></span>
+      <span>pixels: <span class="hl">${step.px.length}</span></span>
+    </div>` : '';
+
+  return `
+  <h4>Scan-line — P${run.poly.id} · regra ${FILL_RULES[f.rule]}${step ? ` · linha ${f.step + 1} de ${run.steps.length}` : ''}</h4>
+  ${cur}
+  <table class="trace trace-left">
+    <tr><th>ET: y</th><th>lados que entram na AET (y ${yDir})</th></tr>
+    ${et.join('')}
+  </table>
+  <div class="note">Regra ${rule}. A cada linha: entra o balde da ET, saem os lados com y<sub>max</sub> ≤ y, ordena por x e x += 1/m.</div>`;
+}
+
+function _floodInfo(run) {
+  const f    = state.fill;
+  const k    = f.step ?? run.steps.length - 1;
+  const from = Math.max(0, k - TRACE_WINDOW);
+  const rows = run.steps.slice(from, k + TRACE_WINDOW + 1).map((st, n) =>
+    `<tr${from + n === f.step ? ' class="cur"' : ''}>${st.row.map(c => `<td>${c}</td>`).join('')}</tr>`);
+
+  const stop = f.method === 'flood'
+    ? `pinta os pixels de cor <strong>${run.target}</strong> ligados à semente`
+    : 'pinta tudo que não for <strong>borda</strong>, a partir da semente';
+  const leak = f.conn === 8
+    ? '8-conectado atravessa os degraus diagonais das retas de Bresenham.'
+    : '4-conectado não passa pelas diagonais: as retas de Bresenham vedam a região.';
+
+  return `
+  <h4>${f.method === 'flood' ? 'Flood fill' : 'Boundary fill'} — ${f.conn}-conectado · semente (${f.seed.i}, ${f.seed.j})</h4>
+  <div class="trace-setup">
+    <span>passo: <span class="hl">${f.step === null ? 'completo' : `${f.step + 1} / ${run.steps.length}`}</span></span>
+    <span>pilha: <span class="hl">${run.steps[k].row[3]}</span></span>
+    ${run.truncated ? `<span>interrompido em <span class="hl">${MAX_PIXELS}</span> pixels</span>` : ''}
+  </div>
+  <table class="trace">
+    <tr><th>passo</th><th>pixel</th><th>vizinhos empilhados</th><th>pilha</th></tr>
+    ${rows.join('')}
+  </table>
+  <div class="note">O algoritmo ${stop}. ${leak} A região é limitada à caixa do desenho mais ${FLOOD_MARGIN} pixels.</div>`;
+}
+
+/** Steps per tick while playing: flood fills of any size play in about FLOOD_TICKS ticks. */
+function _playStride() {
+  const run = fillRun();
+  if (!run || run.method === 'scanline') return 1;
+  return Math.max(1, Math.ceil(run.steps.length / FLOOD_TICKS));
+}
+
+function _pixelCount(run) {
+  return run.steps.reduce((n, st) => n + st.px.length, 0);
+}
+
+function _emptyMessage() {
+  const f = state.fill;
+  if (f.method === 'scanline') {
+    return fillPolygon() ? 'O polígono não cruza nenhuma linha de varredura' : 'Crie um polígono (card Polígonos) para preencher';
+  }
+  return f.seed ? 'A semente não tem pixels para preencher' : 'Escolha a semente clicando no canvas';
+}
+
+/** Makes the fill trace the content of the "Passo a passo" tab. */
+function _showTrace() {
+  state.stepTool = 'fill';
+  if (state.activeTab === 'steps') renderInfo();
+  else showTab('steps');
+}
+
+function _f(x) {
+  const r = Math.round(x * 100) / 100;
+  return String(Object.is(r, -0) ? 0 : r);
+}
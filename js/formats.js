@@ -0,0 +1,519 @@
+/**
+ * @fileoverview Vertex / edge exchange formats: CSV, Wavefront OBJ and
+ * Graphviz DOT.
+ *
+ * Exports write the user coordinates shown on screen (worldToUser) in the
+ * active coordinate system, at its display precision and unit scale, and
+ * name the unit when one is set.  Imports read user coordinates and place them
+ * through userToWorld, so the same file lands in a different spot when
+ * read as CG or as Math coordinates — which is the point of the exercise.
+ *
+ * Parsers produce a neutral graph description
+ *   { points: [{ key, x, y, attrs? }], links: [[keyA, keyB, directed?, attrs?]],
+ *     faces?: [[key, …]] }
+ * and report malformed input with FormatError, which carries the 1-based
+ * line number.
+ *
+ * Per-element attributes (see attrs.js) travel in the optional label /
+ * color / size / shape columns of CSV and as DOT node and edge attributes;
+ * OBJ only carries geometry.
+ */
+
+import { state }                      from './state.js';
+import { worldToUser, userToWorld,
+         unitName }                   from './coords.js';
+import { record }                     from './history.js';
+import { refreshAll, setMsg }         from './ui.js';
+import { renderInfo }                 from './info.js';
+import { downloadFile, openTextFile } from './io.js';
+import { activeLayerEditable }        from './layers.js';
+import { VERTEX_STYLE, EDGE_DASHES,
+         attrError }                  from './attrs.js';
+
+/** Error raised for malformed lines in an imported file. */
+export class FormatError extends Error {
+  /**
+   * @param {number} line  1-based line number (0 = whole file).
+   * @param {string} message
+   */
+  constructor(line, message) {
+    super(line ? `Linha ${line}: ${message}` : message);
+    this.name = 'FormatError';
+    this.line = line;
+  }
+}
+
+/** Format registry: file extension, MIME type and (de)serialisers. */
+const FORMATS = {
+  csv: { ext: 'csv', mime: 'text/csv',          write: writeCSV, parse: parseCSV },
+  obj: { ext: 'obj', mime: 'text/plain',        write: writeOBJ, parse: parseOBJ },
+  dot: { ext: 'dot', mime: 'text/vnd.graphviz', write: writeDOT, parse: parseDOT },
+};
+
+/** Extensions recognised on import (Graphviz also uses .gv). */
+const EXT_FORMAT = { csv: 'csv', txt: 'csv', obj: 'obj', dot: 'dot', gv: 'dot' };
+
+/** Optional CSV columns after id,x,y. */
+const CSV_ATTRS = ['label', 'color', 'size', 'shape'];
+
+/** Vertex shapes as Graphviz node shapes. */
+const DOT_SHAPES = { circle: 'circle', square: 'box', triangle: 'triangle', diamond: 'diamond' };
+
+// ── Public ────────────────────────────────────────────────────────────────────
+
+/**
+ * Downloads the graph in the given format.
+ *
+ * @param {'csv'|'obj'|'dot'} fmt
+ */
+export function exportData(fmt) {
+  const f = FORMATS[fmt];
+  downloadFile(`grafo.${f.ext}`, f.write(), f.mime);
+  setMsg(`Grafo exportado em grafo.${f.ext}`);
+}
+
+/**
+ * Asks for a CSV / OBJ / DOT file and replaces the graph with its contents
+ * (undoable).  The format comes from the file extension, falling back to
+ * `fallbackFmt` for unknown extensions.  Invalid or unreadable files are
+ * reported without touching the graph.  The graph of every layer is
+ * replaced; the imported one goes to the active layer, which must be
+ * visible and unlocked.
+ *
+ * @param {'csv'|'obj'|'dot'} fallbackFmt
+ */
+export async function importData(fallbackFmt) {
+  if (!activeLayerEditable()) return;
+
+  let file;
+  try {
+    file = await openTextFile('.csv,.txt,.obj,.dot,.gv');
+  } catch (err) {
+    setMsg(`Não foi possível ler o arquivo (${err.message})`);
+    return;
+  }
+  if (!file) return;
+
+  const ext = file.name.split('.').pop().toLowerCase();
+  const fmt = Object.hasOwn(EXT_FORMAT, ext) ? EXT_FORMAT[ext] : fallbackFmt;
+
+  let graph;
+  try {
+    graph = FORMATS[fmt].parse(file.text);
+  } catch (err) {
+    if (!(err instanceof FormatError)) {
+      setMsg(`Não foi possível importar "${file.name}" (${err.message})`);
+      return;
+    }
+    window.alert(`Não foi possível importar "${file.name}" como ${fmt.toUpperCase()}:\n\n${err.message}`);
+    setMsg('Arquivo inválido');
+    return;
+  }
+
+  record(`Importar ${file.name}`, () => _replaceGraph(graph));
+  state.selection   = [];
+  state.selEdge     = null;
+  state.hoverEdge   = null;
+  state.edgePending = null;
+  refreshAll();
+  renderInfo();
+  const layer = state.layers.find(l => l.id === state.activeLayer);
+  setMsg(`${graph.points.length} vértice(s) e ${state.edges.length} aresta(s) importados de ${file.name} ` +
+         `para a camada "${layer?.name}" (o grafo de todas as camadas foi substituído)`);
+}
+
+// ── CSV ───────────────────────────────────────────────────────────────────────
+
+/**
+ * One vertex per row: `id,x,y` (the header reads `id,x_cm,y_cm` when a
+ * unit is set), followed by `label,color,size,shape` when any vertex has
+ * one of them (empty cells for the unset ones).
+ *
+ * @returns {string}
+ */
+export function writeCSV() {
+  const attrs = state.vertices.some(v => v.label || VERTEX_STYLE.some(k => v[k] !== undefined));
+  const rows  = state.vertices.map(v => {
+    const uc  = worldToUser(v.cx, v.cy);
+    const row = [v.id, uc.x, uc.y];
+    if (attrs) row.push(_csvCell(v.label ?? ''), ...VERTEX_STYLE.map(k => v[k] ?? ''));
+    return row.join(',');
+  });
+  const u = unitName() ? `_${unitName()}` : '';
+  return [`id,x${u},y${u}${attrs ? `,${CSV_ATTRS.join(',')}` : ''}`, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Reads a point list.  Accepts `x,y` or `id,x,y` rows, optionally
+ * followed by the label / color / size / shape columns of writeCSV(), an
+ * optional header row, double-quoted cells, and spreadsheet-style `;`
+ * separators with decimal commas.
+ *
+ * @param {string} text
+ * @returns {{ points: Array, links: Array }}
+ */
+export function parseCSV(text) {
+  const points = [];
+  const seen   = new Set();
+
+  _lines(text).forEach(({ n, line }, i) => {
+    const semicolon = line.replace(/"(?:[^"]|"")*"/g, '').includes(';');
+    const cells = _csvCells(line, semicolon ? ';' : ',');
+    const nums  = cells.map(c => _num(semicolon ? c.replace(',', '.') : c));
+
+    // A first row with no numbers at all is a header
+    if (i === 0 && nums.every(Number.isNaN)) return;
+
+    if (cells.length < 2 || cells.length > 3 + CSV_ATTRS.length) {
+      throw new FormatError(n, `esperado "x,y", "id,x,y" ou "id,x,y,${CSV_ATTRS.join(',')}", encontradas ${cells.length} colunas.`);
+    }
+    // The optional id column may be any label; x and y must be numbers
+    const k0  = cells.length === 2 ? 0 : 1;
+    const bad = [k0, k0 + 1].find(k => Number.isNaN(nums[k]));
+    if (bad !== undefined) throw new FormatError(n, `"${cells[bad]}" não é um número.`);
+
+    const key = k0 ? cells[0] : String(points.length);
+    if (seen.has(key)) throw new FormatError(n, `id "${key}" repetido.`);
+    seen.add(key);
+
+    // Empty attribute cells leave the attribute unset
+    const attrs = {};
+    CSV_ATTRS.forEach((k, j) => {
+      const cell = cells[3 + j];
+      if (!cell) return;
+      const value = k === 'size' ? nums[3 + j] : cell;
+      const err   = attrError(k, value);
+      if (err) throw new FormatError(n, `${k} "${cell}" ${err}.`);
+      attrs[k] = value;
+    });
+    points.push({ key, x: nums[k0], y: nums[k0 + 1], attrs });
+  });
+
+  return { points, links: [] };
+}
+
+// ── OBJ ───────────────────────────────────────────────────────────────────────
+
+/**
+ * `v x y 0` per vertex, `l a b` per edge and `f a b c…` per polygon
+ * (1-based indices, z = 0).
+ *
+ * @returns {string}
+ */
+export function writeOBJ() {
+  const index = new Map(state.vertices.map((v, i) => [v.id, i + 1]));
+  const out = [`# ${_header()}`];
+
+  for (const v of state.vertices) {
+    const uc = worldToUser(v.cx, v.cy);
+    out.push(`v ${uc.x} ${uc.y} 0`);
+  }
+  for (const e of state.edges) out.push(`l ${index.get(e.v1)} ${index.get(e.v2)}`);
+  for (const p of state.polygons) out.push(`f ${p.verts.map(id => index.get(id)).join(' ')}`);
+
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Reads `v` and `l` statements (z and w are ignored).  `f` faces become
+ * closed loops of edges and a polygon; other statements (vt, vn, o, g,
+ * usemtl…) are skipped.  Negative indices count back from the last
+ * vertex, as in OBJ.
+ *
+ * @param {string} text
+ * @returns {{ points: Array, links: Array, faces: Array }}
+ */
+export function parseOBJ(text) {
+  const points = [];
+  const links  = [];
+  const faces  = [];
+
+  for (const { n, line } of _lines(text, '#')) {
+    const [kw, ...args] = line.split(/\s+/);
+
+    if (kw === 'v') {
+      if (args.length < 2 || args.length > 4) {
+        throw new FormatError(n, `"v" precisa de 2 a 4 números, encontrados ${args.length}.`);
+      }
+      const nums = args.map(_num);
+      const bad  = nums.findIndex(Number.isNaN);
+      if (bad !== -1) throw new FormatError(n, `"${args[bad]}" não é um número.`);
+      points.push({ key: String(points.length + 1), x: nums[0], y: nums[1] });
+
+    } else if (kw === 'l' || kw === 'f') {
+      if (args.length < 2) throw new FormatError(n, `"${kw}" precisa de pelo menos 2 índices.`);
+      const idx = args.map(a => {
+        const i = parseInt(a.split('/')[0], 10);
+        const k = i < 0 ? points.length + 1 + i : i;
+        if (!Number.isInteger(i) || i === 0 || k < 1 || k > points.length) {
+          throw new FormatError(n, `índice de vértice inválido "${a}".`);
+        }
+        return String(k);
+      });
+      for (let i = 0; i + 1 < idx.length; i++) links.push([idx[i], idx[i + 1]]);
+      if (kw === 'f' && idx.length > 2) {
+        links.push([idx[idx.length - 1], idx[0]]);
+        faces.push(idx);
+      }
+    }
+  }
+
+  return { points, links, faces };
+}
+
+// ── DOT ───────────────────────────────────────────────────────────────────────
+
+/**
+ * Undirected graph with pinned `pos="x,y!"` attributes (neato / fdp).
+ * With directed edges it becomes a digraph, its undirected edges marked
+ * `dir=none`.  Attributes become `label`, `fillcolor` (with
+ * `style=filled`), `width` (the diameter in inches of 72 px) and `shape`
+ * on nodes, and `label`, `color`, `penwidth`, `style` and `weight` on
+ * edges.
+ *
+ * @returns {string}
+ */
+export function writeDOT() {
+  const digraph = state.edges.some(e => e.directed);
+  const out = [
+    `// ${_header()}`,
+    digraph ? 'digraph G {' : 'graph G {',
+    '  node [shape=circle];',
+  ];
+  for (const v of state.vertices) {
+    const uc = worldToUser(v.cx, v.cy);
+    const a  = [`pos="${uc.x},${uc.y}!"`];
+    if (v.label)              a.push(`label=${_quote(v.label)}`);
+    if (v.color)              a.push('style=filled', `fillcolor="${v.color}"`);
+    if (v.size !== undefined) a.push(`width=${Math.round(v.size / 36 * 1e4) / 1e4}`);
+    if (v.shape)              a.push(`shape=${DOT_SHAPES[v.shape]}`);
+    out.push(`  V${v.id} [${a.join(', ')}];`);
+  }
+  for (const e of state.edges) {
+    const a = [];
+    if (digraph && !e.directed) a.push('dir=none');
+    if (e.label)                a.push(`label=${_quote(e.label)}`);
+    if (e.color)                a.push(`color="${e.color}"`);
+    if (e.width !== undefined)  a.push(`penwidth=${e.width}`);
+    if (e.dash)                 a.push(`style=${e.dash}`);
+    if (e.weight !== undefined) a.push(`weight=${e.weight}`);
+    out.push(`  V${e.v1} ${digraph ? '->' : '--'} V${e.v2}${a.length ? ` [${a.join(', ')}]` : ''};`);
+  }
+  out.push('}');
+
+  return out.join('\n') + '\n';
+}
+
+/**
+ * Reads node statements with a `pos` attribute and `--` / `->` edge chains;
+ * `->` gives directed edges unless the statement sets `dir=none` or
+ * `dir=both`.  Default attribute statements (graph / node / edge [...]) and graph-level
+ * `key=value` lines are skipped.  Statements must not span lines.
+ * The attributes writeDOT() emits are read back; values this app cannot
+ * show (named colors, other shapes…) are left out.
+ *
+ * @param {string} text
+ * @returns {{ points: Array, links: Array }}
+ */
+export function parseDOT(text) {
+  const points = [];
+  const links  = [];
+  const byKey  = new Map();
+  const used   = [];   // [key, line] of every node referenced by an edge
+
+  const ID   = String.raw`(?:"(?:[^"\\]|\\.)*"|[\w.\-]+)`;
+  const NODE = new RegExp(String.raw`^(${ID})\s*(?:\[(.*)\])?$`);
+  const EDGE = new RegExp(String.raw`^(${ID}(?:\s*-[-\>]\s*${ID})+)\s*(?:\[(.*)\])?$`);
+
+  // Blank out /* */ and // comments, but not inside quoted IDs ("http://…");
+  // newlines stay so that line numbers still match
+  const src = text.replace(/"(?:[^"\\]|\\.)*"|\/\*[\s\S]*?\*\/|\/\/[^\n]*/g,
+                           m => (m.startsWith('"') ? m : m.replace(/[^\n]/g, ' ')));
+
+  for (const { n, line } of _lines(src)) {
+    if (line.startsWith('#')) continue;   // C preprocessor lines are ignored by Graphviz too
+
+    for (let stmt of _statements(line)) {
+      stmt = stmt.trim()
+        .replace(/^(strict\s+)?(di)?graph\b[^{]*\{/i, '')
+        .replace(/^subgraph\b[^{]*\{/i, '')
+        .replace(/^\{|\}$/g, '')
+        .trim();
+      if (!stmt || /^(graph|node|edge)\s*\[.*\]$/i.test(stmt) || /^[\w.]+\s*=/.test(stmt)) continue;
+
+      const em = stmt.match(EDGE);
+      if (em) {
+        const parts = em[1].split(/\s*(-[-\>])\s*/);
+        const keys  = parts.filter((_, i) => i % 2 === 0).map(_unquote);
+        const plain = /\bdir\s*=\s*"?(none|both)\b/.test(em[2] ?? '');
+        const attrs = _edgeAttrs(_dotAttrs(em[2]));
+        for (let i = 0; i + 1 < keys.length; i++) {
+          links.push([keys[i], keys[i + 1], parts[2 * i + 1] === '->' && !plain, attrs]);
+        }
+        keys.forEach(k => used.push([k, n]));
+        continue;
+      }
+
+      const nm = stmt.match(NODE);
+      if (!nm) throw new FormatError(n, `comando DOT não reconhecido: "${stmt}".`);
+
+      const key = _unquote(nm[1]);
+      const pos = (nm[2] ?? '').match(/\bpos\s*=\s*"?\s*([^",!\s]+)\s*,\s*([^",!\s]+)\s*!?\s*"?/);
+      if (!pos) throw new FormatError(n, `nó "${key}" sem atributo pos="x,y".`);
+      const x = _num(pos[1]);
+      const y = _num(pos[2]);
+      if (Number.isNaN(x) || Number.isNaN(y)) throw new FormatError(n, `pos inválido no nó "${key}".`);
+      if (byKey.has(key)) throw new FormatError(n, `nó "${key}" declarado duas vezes.`);
+
+      const p = { key, x, y, attrs: _nodeAttrs(_dotAttrs(nm[2])) };
+      byKey.set(key, p);
+      points.push(p);
+    }
+  }
+
+  for (const [k, n] of used) {
+    if (!byKey.has(k)) throw new FormatError(n, `aresta usa o nó "${k}", que não tem posição.`);
+  }
+
+  return { points, links };
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Replaces the graph with parsed points / links / faces, converting user
+ * coordinates to world-px in the active coordinate system.
+ * Self-loops, duplicate edges and faces with repeated vertices are dropped.
+ * None of the formats carries curves, so the current ones are cleared.
+ * Everything lands on the active layer; the other layers are left empty.
+ */
+function _replaceGraph({ points, links, faces = [] }) {
+  const ids = new Map();
+  state.vertices = points.map((p, i) => {
+    const w = userToWorld(p.x, p.y);
+    ids.set(p.key, i);
+    return { id: i, cx: w.x, cy: w.y, layer: state.activeLayer, ...p.attrs };
+  });
+
+  const seen = new Set();
+  state.edges = [];
+  for (const [a, b, directed, attrs] of links) {
+    const v1 = ids.get(a);
+    const v2 = ids.get(b);
+    const k  = v1 < v2 ? `${v1}-${v2}` : `${v2}-${v1}`;
+    if (v1 === v2 || seen.has(k)) continue;
+    seen.add(k);
+    const e = { id: state.edges.length, v1, v2, layer: state.activeLayer };
+    state.edges.push({ ...e, ...(directed ? { directed: true } : {}), ...attrs });
+  }
+
+  state.polygons = faces
+    .map(keys => keys.map(k => ids.get(k)))
+    .filter(verts => new Set(verts).size === verts.length)
+    .map((verts, i) => ({ id: i, verts }));
+
+  state.nextVid = state.vertices.length;
+  state.nextEid = state.edges.length;
+  state.nextPid = state.polygons.length;
+  state.curves  = [];
+  state.nextCid = 0;
+}
+
+/** A CSV cell, quoted when it holds a separator or a quote. */
+function _csvCell(s) {
+  return /[",;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Splits a CSV row on `sep` outside double quotes ("" is a quote), trimming the cells. */
+function _csvCells(line, sep) {
+  const cells = [''];
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"' && quoted && line[i + 1] === '"') { cells[cells.length - 1] += ch; i++; }
+    else if (ch === '"')            quoted = !quoted;
+    else if (ch === sep && !quoted) cells.push('');
+    else                            cells[cells.length - 1] += ch;
+  }
+  return cells.map(c => c.trim());
+}
+
+/** Splits a DOT line on `;` outside quoted strings. */
+function _statements(line) {
+  return line.match(/(?:"(?:[^"\\]|\\.)*"|[^;"])+/g) ?? [];
+}
+
+/** `key=value` pairs of a DOT attribute list, values unquoted. */
+function _dotAttrs(list = '') {
+  const out = new Map();
+  for (const m of list.matchAll(/([\w.]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^\s,;\]]+)/g)) out.set(m[1], _unquote(m[2]));
+  return out;
+}
+
+/** Node attributes of a DOT statement that this app can show. */
+function _nodeAttrs(a) {
+  const shape = Object.keys(DOT_SHAPES).find(k => DOT_SHAPES[k] === a.get('shape'));
+  const width = _num(a.get('width') ?? '');
+  return _validAttrs({
+    label: a.get('label') === '\\N' ? undefined : a.get('label'),
+    color: a.get('fillcolor') ?? a.get('color'),
+    size:  Number.isNaN(width) ? undefined : Math.round(width * 36 * 100) / 100,
+    shape: shape === 'circle' ? undefined : shape,
+  });
+}
+
+/** Edge attributes of a DOT statement that this app can show. */
+function _edgeAttrs(a) {
+  const dash = (a.get('style') ?? '').split(/\s*,\s*/).find(s => Object.hasOwn(EDGE_DASHES, s));
+  return _validAttrs({
+    label:  a.get('label'),
+    color:  a.get('color'),
+    width:  _num(a.get('penwidth') ?? ''),
+    dash:   dash === 'solid' ? undefined : dash,
+    weight: _num(a.get('weight') ?? ''),
+  });
+}
+
+/** Drops unset and invalid attributes (see attrs.js attrError()). */
+function _validAttrs(attrs) {
+  return Object.fromEntries(Object.entries(attrs).filter(([k, v]) =>
+    v !== undefined && !Number.isNaN(v) && !attrError(k, v)));
+}
+
+/** DOT quoted string, with backslashes and quotes escaped (see _unquote()). */
+function _quote(s) {
+  return `"${s.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/** Header comment of OBJ / DOT files: system and unit of the coordinates. */
+function _header() {
+  const unit = unitName() ? `, em ${unitName()}` : '';
+  return `cg-coord-system — coordenadas no sistema ${state.coordSystem}${unit}`;
+}
+
+/**
+ * Splits text into trimmed, non-empty lines with their 1-based numbers,
+ * dropping everything after the comment marker.
+ *
+ * @param {string} text
+ * @param {string} [comment]
+ * @returns {Array<{ n: number, line: string }>}
+ */
+function _lines(text, comment) {
+  const out = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const cut  = comment ? raw.indexOf(comment) : -1;
+    const line = (cut === -1 ? raw : raw.slice(0, cut)).trim();
+    if (line) out.push({ n: i + 1, line });
+  });
+  return out;
+}
+
+/** Strict number parse: the whole string must be numeric. */
+function _num(s) {
+  return s.trim() !== '' && Number.isFinite(Number(s)) ? Number(s) : NaN;
+}
+
+function _unquote(id) {
+  return id.startsWith('"') ? id.slice(1, -1).replace(/\\(["\\])/g, '$1') : id;
+}
@@ -0,0 +1,689 @@
+/**
+ * @fileoverview Graph algorithm visualizer: BFS, DFS, Dijkstra, A*,
+ * Kruskal, Prim and connected components on the vertices and edges.
+ *
+ *   bfs / dfs      — traversal from the start vertex (queue / stack)
+ *   dijkstra       — shortest distances from the start; stops at the goal
+ *                    when one is chosen
+ *   astar          — Dijkstra ordered by g + h, h = straight-line distance
+ *                    to the goal (only with Euclidean weights, where it is
+ *                    admissible; with custom weights h = 0)
+ *   kruskal / prim — minimum spanning tree (forest for Kruskal, the start
+ *                    vertex's component for Prim)
+ *   components     — connected-component labelling, one BFS per component
+ *
+ * Neighbours are taken in increasing vertex id, so every run is
+ * reproducible.  The traversals and shortest paths follow directed edges
+ * from V1 to V2 only (see vector.js); spanning trees and components
+ * ignore directions.
+ *
+ * An edge weighs its Euclidean length in the active frame or its custom
+ * weight (`weight`, 1 when unset).  Each run is recorded as a list of
+ * snapshots that the player steps through.
+ */
+
+import { state }                           from './state.js';
+import { frame, formatLength }             from './coords.js';
+import { draw }                            from './draw.js';
+import { record }                          from './history.js';
+import { refreshAll, setMsg }              from './ui.js';
+import { renderInfo, showTab }             from './info.js';
+import { edgeLength, segmentMeasure }      from './measure.js';
+import { createPlayer }                    from './player.js';
+
+/** Delay between steps while playing, in ms. */
+const STEP_MS = 450;
+
+/** Trace rows shown around the current step. */
+const TRACE_WINDOW = 12;
+
+/** Algorithms in menu order, with their names and what their frontier is. */
+export const GRAPH_ALGOS = {
+  bfs:        { name: 'Busca em largura (BFS)',      frontier: 'fila' },
+  dfs:        { name: 'Busca em profundidade (DFS)', frontier: 'pilha' },
+  dijkstra:   { name: 'Dijkstra',                    frontier: 'abertos' },
+  astar:      { name: 'A*',                          frontier: 'abertos' },
+  kruskal:    { name: 'Kruskal (AGM)',               frontier: null },
+  prim:       { name: 'Prim (AGM)',                  frontier: 'candidatos' },
+  components: { name: 'Componentes conexos',         frontier: 'fila' },
+};
+
+/**
+ * @typedef {Object} GraphStep
+ * @property {number[]}      order     Vertices in visit order so far.
+ * @property {number[]}      frontier  Queue, stack or open set.
+ * @property {number|null}   current   Vertex being expanded.
+ * @property {number|null}   edge      Edge being examined.
+ * @property {number[]}      tree      Tree / forest edges so far.
+ * @property {number[]}      path      Edges of the final path (shortest paths).
+ * @property {Object<number, number>} [dist]  Tentative distances (shortest paths).
+ * @property {Object<number, number>} [comp]  Component of each vertex (1-based).
+ * @property {string}        action    Trace text.
+ */
+
+const _player = createPlayer(STEP_MS, () => stepGraph(1), () => refreshGraphPanel());
+
+/** Memoised result of the current run (see graphRun()). */
+let _cache = { key: null, run: null };
+
+// ── Weights ───────────────────────────────────────────────────────────────────
+
+/**
+ * Weight of an edge under the current setting.
+ *
+ * @param {{v1:number, v2:number, weight?:number}} e
+ * @returns {number}
+ */
+export function edgeWeight(e) {
+  return state.graph.weight === 'length' ? edgeLength(e) ?? 0 : e.weight ?? 1;
+}
+
+/**
+ * A weight or distance as text: a length with its unit, or a plain number
+ * for custom weights.
+ *
+ * @param {number} x
+ * @returns {string}
+ */
+export function graphCost(x) {
+  if (state.graph.weight === 'length') return formatLength(x);
+  const r = Math.round(x * 10000) / 10000;
+  return String(Object.is(r, -0) ? 0 : r);
+}
+
+/**
+ * Sets or clears (null) the custom weight of an edge.
+ *
+ * @param {number} id
+ * @param {number|null} w  Must be ≥ 0.
+ */
+export function setEdgeWeight(id, w) {
+  if (w !== null && !(Number.isFinite(w) && w >= 0)) {
+    setMsg('O peso deve ser um número maior ou igual a zero');
+    refreshGraphPanel();
+    return;
+  }
+  record(`Peso de e${id}`, () => {
+    const e = state.edges.find(e => e.id === id);
+    if (!e) return;
+    if (w === null) delete e.weight;
+    else            e.weight = w;
+  });
+  refreshAll();
+}
+
+// ── Algorithms ────────────────────────────────────────────────────────────────
+
+/**
+ * Breadth-first search.
+ *
+ * @param {Map<number, Array>} adj  Adjacency (see _adjacency()).
+ * @param {number} s
+ * @returns {GraphStep[]}
+ */
+export function bfs(adj, s) {
+  const t     = _tracer();
+  const seen  = new Set([s]);
+  const queue = [s];
+  t.step({ frontier: queue }, `início: fila ← V${s}`);
+
+  while (queue.length) {
+    const u = queue.shift();
+    t.order.push(u);
+    t.step({ frontier: queue, current: u }, `visita V${u} (${t.order.length}º)`);
+    for (const { e, w } of adj.get(u)) {
+      if (seen.has(w)) {
+        t.step({ frontier: queue, current: u, edge: e.id }, `e${e.id}: V${w} já descoberto`);
+        continue;
+      }
+      seen.add(w);
+      queue.push(w);
+      t.tree.push(e.id);
+      t.step({ frontier: queue, current: u, edge: e.id }, `e${e.id}: descobre V${w} → fila`);
+    }
+  }
+  t.step({ frontier: [] }, `fim: ${t.order.length} vértice(s) alcançado(s)`);
+  return t.steps;
+}
+
+/**
+ * Depth-first search (the recursive order, with an explicit stack).
+ *
+ * @param {Map<number, Array>} adj
+ * @param {number} s
+ * @returns {GraphStep[]}
+ */
+export function dfs(adj, s) {
+  const t     = _tracer();
+  const seen  = new Set([s]);
+  const stack = [{ v: s, i: 0 }];
+  const ids   = () => stack.map(f => f.v);
+  t.order.push(s);
+  t.step({ frontier: ids(), current: s }, `visita V${s} (1º)`);
+
+  while (stack.length) {
+    const top  = stack[stack.length - 1];
+    const nbrs = adj.get(top.v);
+    if (top.i === nbrs.length) {
+      stack.pop();
+      t.step({ frontier: ids(), current: stack.at(-1)?.v ?? null }, `V${top.v} concluído: volta${stack.length ? ` para V${stack.at(-1).v}` : ''}`);
+      continue;
+    }
+
+    const { e, w } = nbrs[top.i++];
+    if (seen.has(w)) {
+      t.step({ frontier: ids(), current: top.v, edge: e.id }, `e${e.id}: V${w} já visitado`);
+      continue;
+    }
+    seen.add(w);
+    stack.push({ v: w, i: 0 });
+    t.order.push(w);
+    t.tree.push(e.id);
+    t.step({ frontier: ids(), current: w, edge: e.id }, `e${e.id}: desce para V${w} (${t.order.length}º)`);
+  }
+  t.step({ frontier: [] }, `fim: ${t.order.length} vértice(s) alcançado(s)`);
+  return t.steps;
+}
+
+/**
+ * Dijkstra, or A* with a heuristic.  Weights must be non-negative.
+ *
+ * @param {Map<number, Array>} adj
+ * @param {number} s
+ * @param {number|null} goal        Stops when the goal is closed.
+ * @param {function(number): number} [h]  Estimated cost to the goal.
+ * @returns {GraphStep[]}
+ */
+export function shortestPaths(adj, s, goal, h = () => 0) {
+  const t      = _tracer();
+  const g      = new Map([[s, 0]]);
+  const pred   = new Map();
+  const open   = new Set([s]);
+  const closed = new Set();
+  const snap   = extra => ({ frontier: [...open], tree: [...pred.values()], dist: Object.fromEntries(g), ...extra });
+  t.step(snap(), `início: d[V${s}] = 0`);
+
+  while (open.size) {
+    // The open vertex with the lowest d (+ h), ties by id
+    let u = null;
+    for (const v of open) {
+      const f = g.get(v) + h(v);
+      if (u === null || f < g.get(u) + h(u) || (f === g.get(u) + h(u) && v < u)) u = v;
+    }
+    open.delete(u);
+    closed.add(u);
+    t.order.push(u);
+    const fu = h(u) ? `, f = ${graphCost(g.get(u))} + ${graphCost(h(u))}` : '';
+    t.step(snap({ current: u }), `fecha V${u}: d = ${graphCost(g.get(u))}${fu}`);
+    if (u === goal) break;
+
+    for (const { e, w } of adj.get(u)) {
+      if (closed.has(w)) continue;
+      const d = g.get(u) + edgeWeight(e);
+      if (!g.has(w) || d < g.get(w)) {
+        const was = g.has(w) ? graphCost(g.get(w)) : '∞';
+        g.set(w, d);
+        pred.set(w, e.id);
+        open.add(w);
+        t.step(snap({ current: u, edge: e.id }), `e${e.id}: d[V${w}] = ${graphCost(g.get(u))} + ${graphCost(edgeWeight(e))} = ${graphCost(d)} < ${was}`);
+      } else {
+        t.step(snap({ current: u, edge: e.id }), `e${e.id}: ${graphCost(d)} ≥ d[V${w}] = ${graphCost(g.get(w))}, mantém`);
+      }
+    }
+  }
+
+  if (goal === null) {
+    t.step(snap({ frontier: [] }), `fim: ${closed.size} vértice(s) com distância final`);
+  } else if (!closed.has(goal)) {
+    t.step(snap({ frontier: [] }), `fim: V${goal} não é alcançável a partir de V${s}`);
+  } else {
+    // Walk the predecessors back from the goal
+    const path  = [];
+    const verts = [goal];
+    for (let v = goal; pred.has(v);) {
+      const e = state.edges.find(e => e.id === pred.get(v));
+      path.unshift(e.id);
+      v = e.v1 === v ? e.v2 : e.v1;
+      verts.unshift(v);
+    }
+    t.step(snap({ frontier: [...open], path }), `caminho: ${verts.map(v => `V${v}`).join(' → ')}, custo ${graphCost(g.get(goal))}`);
+  }
+  return t.steps;
+}
+
+/**
+ * Kruskal: edges by increasing weight, skipping those that close a cycle
+ * (union-find).
+ *
+ * @returns {GraphStep[]}
+ */
+export function kruskal() {
+  const t      = _tracer();
+  const parent = new Map(state.vertices.map(v => [v.id, v.id]));
+  const find   = v => {
+    while (parent.get(v) !== v) v = parent.get(v);
+    return v;
+  };
+  const comp   = () => _labels(state.vertices.map(v => find(v.id)));
+  const edges  = _validEdges().sort((a, b) => edgeWeight(a) - edgeWeight(b) || a.id - b.id);
+  let total    = 0;
+  t.step({ comp: comp() }, `ordena: ${edges.map(e => `e${e.id} (${graphCost(edgeWeight(e))})`).join(', ') || 'sem arestas'}`);
+
+  for (const e of edges) {
+    const ra = find(e.v1);
+    const rb = find(e.v2);
+    if (ra === rb) {
+      t.step({ edge: e.id, comp: comp() }, `e${e.id}: V${e.v1} e V${e.v2} já conectados — formaria ciclo`);
+      continue;
+    }
+    parent.set(ra, rb);
+    t.tree.push(e.id);
+    total += edgeWeight(e);
+    t.step({ edge: e.id, comp: comp() }, `e${e.id}: aceita (${graphCost(edgeWeight(e))}), une V${e.v1} e V${e.v2}`);
+  }
+  const trees = new Set(state.vertices.map(v => find(v.id))).size;
+  t.step({ comp: comp() }, `fim: peso total ${graphCost(total)}${trees > 1 ? `, floresta com ${trees} árvores` : ''}`);
+  return t.steps;
+}
+
+/**
+ * Prim: grows the tree from the start vertex through the cheapest edge
+ * leaving it.
+ *
+ * @param {Map<number, Array>} adj  Undirected adjacency.
+ * @param {number} s
+ * @returns {GraphStep[]}
+ */
+export function prim(adj, s) {
+  const t      = _tracer();
+  const key    = new Map([[s, 0]]);
+  const pred   = new Map();
+  const open   = new Set([s]);
+  const inTree = new Set();
+  let total    = 0;
+  t.step({ frontier: [...open] }, `início: chave[V${s}] = 0`);
+
+  while (open.size) {
+    let u = null;
+    for (const v of open) {
+      if (u === null || key.get(v) < key.get(u) || (key.get(v) === key.get(u) && v < u)) u = v;
+    }
+    open.delete(u);
+    inTree.add(u);
+    t.order.push(u);
+    if (pred.has(u)) {
+      t.tree.push(pred.get(u));
+      total += key.get(u);
+    }
+    t.step({ frontier: [...open], current: u, edge: pred.get(u) ?? null },
+      pred.has(u) ? `V${u} entra pela e${pred.get(u)} (${graphCost(key.get(u))})` : `V${u} começa a árvore`);
+
+    for (const { e, w } of adj.get(u)) {
+      if (inTree.has(w)) continue;
+      const c = edgeWeight(e);
+      if (key.has(w) && c >= key.get(w)) continue;
+      key.set(w, c);
+      pred.set(w, e.id);
+      open.add(w);
+      t.step({ frontier: [...open], current: u, edge: e.id }, `e${e.id}: chave[V${w}] = ${graphCost(c)}`);
+    }
+  }
+  t.step({ frontier: [] }, `fim: peso total ${graphCost(total)}, ${inTree.size} vértice(s) na árvore`);
+  return t.steps;
+}
+
+/**
+ * Connected components: a BFS from each vertex not yet labelled, in list
+ * order.
+ *
+ * @param {Map<number, Array>} adj  Undirected adjacency.
+ * @returns {GraphStep[]}
+ */
+export function components(adj) {
+  const t    = _tracer();
+  const comp = {};
+  let c      = 0;
+
+  for (const v of state.vertices) {
+    if (comp[v.id]) continue;
+    comp[v.id] = ++c;
+    const queue = [v.id];
+    t.step({ frontier: queue, comp: { ...comp } }, `C${c} começa em V${v.id}`);
+    while (queue.length) {
+      const u = queue.shift();
+      t.order.push(u);
+      t.step({ frontier: queue, current: u, comp: { ...comp } }, `V${u} ∈ C${c}`);
+      for (const { e, w } of adj.get(u)) {
+        if (comp[w]) continue;
+        comp[w] = c;
+        queue.push(w);
+        t.tree.push(e.id);
+        t.step({ frontier: queue, current: u, edge: e.id, comp: { ...comp } }, `e${e.id}: V${w} → fila`);
+      }
+    }
+  }
+  t.step({ frontier: [], comp: { ...comp } }, `fim: ${c} componente(s)`);
+  return t.steps;
+}
+
+// ── Current run ───────────────────────────────────────────────────────────────
+
+/**
+ * Runs the configured algorithm on the current graph (memoised).
+ *
+ * @returns {{ algo:string, start:number|null, goal:number|null,
+ *             steps:GraphStep[] }|null}
+ *          null when the algorithm cannot run yet (see _emptyMessage()).
+ */
+export function graphRun() {
+  const g   = state.graph;
+  const key = JSON.stringify([g.algo, g.weight, g.start, g.goal, state.vertices, state.edges, frame()]);
+  if (_cache.key !== key) _cache = { key, run: _compute() };
+  return _cache.run;
+}
+
+/**
+ * The snapshot shown on the canvas: the current step, or the last one
+ * when the run is complete.
+ *
+ * @returns {GraphStep|null}
+ */
+export function graphStep() {
+  const run = state.graph.on ? graphRun() : null;
+  if (!run || !run.steps.length) return null;
+  return run.steps[state.graph.step ?? run.steps.length - 1];
+}
+
+/**
+ * Start vertex: the chosen one, or the first.
+ *
+ * @returns {number|null}
+ */
+export function graphStart() {
+  const { start } = state.graph;
+  return state.vertices.some(v => v.id === start) ? start : state.vertices[0]?.id ?? null;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/**
+ * Changes a setting ('on', 'algo', 'weight', 'start' or 'goal').
+ *
+ * @param {string} key
+ * @param {*} value
+ */
+export function setGraph(key, value) {
+  state.graph[key] = value;
+  _player.stop();
+  state.graph.step = null;
+  if (key === 'on' && value) _showTrace();
+  refreshGraphPanel();
+  draw();
+}
+
+/**
+ * Moves the player by `delta` steps.
+ *
+ * @param {number} delta
+ * @returns {boolean}  false when the player could not move (at an end).
+ */
+export function stepGraph(delta) {
+  const run = graphRun();
+  if (!run || !run.steps.length) { setMsg(_emptyMessage()); return false; }
+
+  const n    = run.steps.length;
+  const cur  = state.graph.step ?? (delta > 0 ? -1 : n);
+  const next = Math.max(0, Math.min(n - 1, cur + delta));
+
+  state.graph.on = true;
+  _showTrace();
+  const moved = next !== state.graph.step;
+  state.graph.step = next;
+  refreshGraphPanel();
+  draw();
+  return moved;
+}
+
+/** Back to the first step. */
+export function resetGraph() {
+  _player.stop();
+  state.graph.step = null;
+  stepGraph(1);
+}
+
+/** Plays the run step by step, or pauses. */
+export function toggleGraphPlay() {
+  if (_player.playing) { _player.stop(); refreshGraphPanel(); return; }
+
+  const run = graphRun();
+  if (!run || !run.steps.length) { setMsg(_emptyMessage()); return; }
+
+  // Start over when nothing is being stepped or the end was reached
+  if (state.graph.step === null || state.graph.step >= run.steps.length - 1) {
+    state.graph.step = null;
+    stepGraph(1);
+  }
+  _player.play();
+  refreshGraphPanel();
+}
+
+// ── Sidebar / info panel ──────────────────────────────────────────────────────
+
+/** Updates the algorithm card and, if visible, the trace tab. */
+export function refreshGraphPanel() {
+  const el = document.getElementById('gr-status');
+  if (!el) return;
+
+  const g = state.graph;
+  document.getElementById('gr-on').checked      = g.on;
+  document.getElementById('gr-algo').value      = g.algo;
+  document.getElementById('gr-weight').value    = g.weight;
+  document.getElementById('gr-play').textContent = _player.playing ? '⏸' : '▶';
+
+  // Start and goal pickers (Kruskal and components need neither)
+  const needs = _needs(g.algo);
+  const start = graphStart();
+  const vopts = cur => state.vertices.map(v => `<option value="${v.id}"${v.id === cur ? ' selected' : ''}>V${v.id}</option>`).join('');
+  const selS  = document.getElementById('gr-start');
+  const selG  = document.getElementById('gr-goal');
+  selS.innerHTML = vopts(start) || '<option value="">—</option>';
+  selG.innerHTML = `<option value="">${g.algo === 'astar' ? '—' : 'nenhum (todos)'}</option>` + vopts(g.goal);
+  selS.disabled  = !needs.start;
+  selG.disabled  = !needs.goal;
+
+  // Custom weight of the selected edge
+  const e   = state.edges.find(e => e.id === state.selEdge);
+  const inp = document.getElementById('gr-edge-weight');
+  document.getElementById('gr-edge-weight-lbl').textContent = e ? `Peso de e${e.id}` : 'Peso (selecione uma aresta)';
+  inp.disabled    = !e;
+  inp.value       = e?.weight ?? '';
+  inp.placeholder = e ? '1' : '';
+
+  const run = graphRun();
+  if (!run || !run.steps.length) {
+    el.textContent = _emptyMessage();
+  } else {
+    if (g.step !== null && g.step >= run.steps.length) g.step = run.steps.length - 1;
+    const pos = g.step === null ? 'completo' : `passo ${g.step + 1} / ${run.steps.length}`;
+    el.textContent = `${GRAPH_ALGOS[g.algo].name}: ${pos} · ${run.steps.at(-1).action}`;
+  }
+
+  if (state.activeTab === 'steps' && state.stepTool === 'graph') renderInfo();
+}
+
+/**
+ * HTML for the info panel trace tab.
+ *
+ * @returns {string}
+ */
+export function graphInfo() {
+  const g    = state.graph;
+  const algo = GRAPH_ALGOS[g.algo];
+  const run  = g.on ? graphRun() : null;
+  if (!run || !run.steps.length) {
+    return `
+    <h4>Algoritmos em grafos</h4>
+    <p>${g.on ? _emptyMessage() : 'Ative <strong>Mostrar execução</strong> no card <strong>Algoritmos em Grafos</strong>.'}</p>`;
+  }
+
+  const k    = g.step ?? run.steps.length - 1;
+  const st   = run.steps[k];
+  const from = Math.max(0, k - TRACE_WINDOW);
+  const rows = run.steps.slice(from, k + TRACE_WINDOW + 1).map((s, n) => `
+    <tr${from + n === g.step ? ' class="cur"' : ''}><td>${from + n + 1}</td><td>${s.action}</td>${algo.frontier ? `<td>${_list(s.frontier)}</td>` : ''}</tr>`);
+
+  const dist = st.dist ? `
+    <span>d: <span class="hl">${Object.entries(st.dist).map(([v, d]) => `V${v} = ${graphCost(d)}`).join(' · ')}</span></span>` : '';
+  const comp = st.comp && g.algo === 'components' ? `
+    <span>componentes: <span class="hl">${_groups(st.comp)}</span></span>` : '';
+
+  return `
+  <h4>${algo.name}${run.start !== null && _needs(g.algo).start ? ` — de V${run.start}` : ''}${run.goal !== null ? ` até V${run.goal}` : ''} · peso ${g.weight === 'length' ? 'euclidiano' : 'personalizado'}</h4>
+  <div class="trace-setup">
+    <span>passo: <span class="hl">${g.step === null ? 'completo' : `${g.step + 1} / ${run.steps.length}`}</span></span>
+    <span>ordem de visita: <span class="hl">${_list(st.order)}</span></span>
+    ${algo.frontier ? `<span>${algo.frontier}: <span class="hl">${_list(st.frontier)}</span></span>` : ''}${dist}${comp}
+  </div>
+  <table class="trace trace-left">
+    <tr><th>passo</th><th>ação</th>${algo.frontier ? `<th>${algo.frontier}</th>` : ''}</tr>
+    ${rows.join('')}
+  </table>
+  <div class="note">${_note(g.algo)}</div>`;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _compute() {
+  const { algo, goal } = state.graph;
+  const s = graphStart();
+  const needs = _needs(algo);
+  if (!state.vertices.length || (needs.start && s === null)) return null;
+  const target = state.vertices.some(v => v.id === goal) ? goal : null;
+  if (algo === 'astar' && target === null) return null;
+
+  const directed = _adjacency(true);
+  const plain    = _adjacency(false);
+  let steps;
+  switch (algo) {
+    case 'bfs':        steps = bfs(directed, s); break;
+    case 'dfs':        steps = dfs(directed, s); break;
+    case 'dijkstra':   steps = shortestPaths(directed, s, target); break;
+    case 'astar':      steps = shortestPaths(directed, s, target, _heuristic(target)); break;
+    case 'kruskal':    steps = kruskal(); break;
+    case 'prim':       steps = prim(plain, s); break;
+    default:           steps = components(plain);
+  }
+  return { algo, start: needs.start ? s : null, goal: needs.goal ? target : null, steps };
+}
+
+/** Which of start / goal an algorithm uses. */
+function _needs(algo) {
+  return {
+    start: !['kruskal', 'components'].includes(algo),
+    goal:  ['dijkstra', 'astar'].includes(algo),
+  };
+}
+
+/**
+ * Neighbours of every vertex, by increasing id: `directed` keeps directed
+ * edges one-way (V1 → V2).
+ *
+ * @returns {Map<number, Array<{ e:object, w:number }>>}
+ */
+function _adjacency(directed) {
+  const adj = new Map(state.vertices.map(v => [v.id, []]));
+  for (const e of _validEdges()) {
+    adj.get(e.v1).push({ e, w: e.v2 });
+    if (!(directed && e.directed)) adj.get(e.v2).push({ e, w: e.v1 });
+  }
+  for (const list of adj.values()) list.sort((a, b) => a.w - b.w || a.e.id - b.e.id);
+  return adj;
+}
+
+function _validEdges() {
+  const ids = new Set(state.vertices.map(v => v.id));
+  return state.edges.filter(e => ids.has(e.v1) && ids.has(e.v2));
+}
+
+/** Straight-line distance to the goal, or 0 when weights are not lengths. */
+function _heuristic(goal) {
+  if (state.graph.weight !== 'length') return () => 0;
+  const t = state.vertices.find(v => v.id === goal);
+  return id => {
+    const v = state.vertices.find(v => v.id === id);
+    return segmentMeasure({ x: v.cx, y: v.cy }, { x: t.cx, y: t.cy }).dist;
+  };
+}
+
+/** Collects snapshots; `order` and `tree` grow as the algorithm runs. */
+function _tracer() {
+  const t = {
+    order: [],
+    tree:  [],
+    steps: [],
+    step(extra, action) {
+      t.steps.push({
+        current: null, edge: null, path: [],
+        ...extra,
+        order:    [...t.order],
+        tree:     [...(extra.tree ?? t.tree)],
+        frontier: [...(extra.frontier ?? [])],
+        action,
+      });
+    },
+  };
+  return t;
+}
+
+/** Roots → component numbers 1, 2, … in vertex-list order. */
+function _labels(roots) {
+  const num = new Map();
+  const out = {};
+  state.vertices.forEach((v, i) => {
+    if (!num.has(roots[i])) num.set(roots[i], num.size + 1);
+    out[v.id] = num.get(roots[i]);
+  });
+  return out;
+}
+
+function _groups(comp) {
+  const by = new Map();
+  for (const [v, c] of Object.entries(comp)) {
+    if (!by.has(c)) by.set(c, []);
+    by.get(c).push(`V${v}`);
+  }
+  return [...by.entries()].map(([c, vs]) => `C${c} = {${vs.join(', ')}}`).join(' · ');
+}
+
+function _list(ids) {
+  return ids.length ? ids.map(v => `V${v}`).join(' ') : '—';
+}
+
+function _note(algo) {
+  const dir = 'Arestas orientadas só são percorridas no sentido da seta.';
+  return {
+    bfs:        `A fila visita os vértices por número de arestas a partir da origem. ${dir}`,
+    dfs:        `A pilha aprofunda antes de voltar; as arestas destacadas formam a árvore de busca. ${dir}`,
+    dijkstra:   `Fecha sempre o aberto de menor d; com pesos ≥ 0 essa distância já é a final. ${dir}`,
+    astar:      state.graph.weight === 'length'
+      ? `Ordena por f = d + h, h = distância em linha reta até o destino (nunca superestima). ${dir}`
+      : `Com pesos personalizados a linha reta pode superestimar: h = 0 e o A* age como Dijkstra. ${dir}`,
+    kruskal:    'Percorre as arestas da mais leve à mais pesada; union-find rejeita as que fecham ciclo. Orientações são ignoradas.',
+    prim:       'Cresce a árvore pela aresta mais leve que sai dela; cobre o componente do vértice inicial. Orientações são ignoradas.',
+    components: 'Uma BFS por vértice ainda sem rótulo; cada uma rotula um componente. Orientações são ignoradas.',
+  }[algo];
+}
+
+function _emptyMessage() {
+  const { algo } = state.graph;
+  if (!state.vertices.length) return 'Crie vértices e arestas para executar';
+  if (algo === 'astar' && !state.vertices.some(v => v.id === state.graph.goal)) return 'Escolha o destino do A*';
+  return 'Nada a executar';
+}
+
+/** Makes the algorithm trace the content of the "Passo a passo" tab. */
+function _showTrace() {
+  state.stepTool = 'graph';
+  if (state.activeTab === 'steps') renderInfo();
+  else showTab('steps');
+}
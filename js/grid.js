@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Grid and axes geometry for the active coordinate system.
+ *
+ * Produces plain primitives (lines, circles, labels, arrows) in world-px,
+ * so the canvas renderer (draw.js) and the SVG exporter (svg.js) paint
+ * exactly the same grid for every system:
+ *   - axis-aligned frames (cg, math, ndc) — the classic clamped labels
+ *   - rotated custom frames               — lines of constant u / v
+ *   - polar                               — circles r = k·step and rays θ = k·30°
+ *
+ * The CG frame also has a height H (state.cgHeight) whose bottom edge is
+ * drawn as a dashed reference line: it is the H of y_cg = H − y_math.
+ *
+ * Sizes that must stay constant on screen (offsets, arrowheads) are
+ * divided by the view zoom, like everywhere else in draw.js.
+ */
+
+import { state, GRID }                   from './state.js';
+import { SYSTEMS, frame, pxPerUnit,
+         cartesianToWorld,
+         worldToCartesian }              from './coords.js';
+
+/** Angular spacing of the polar grid rays, in degrees. */
+const POLAR_STEP_DEG = 30;
+
+/**
+ * Adaptive grid step in world-px: keeps grid lines 25–250 screen-px apart.
+ *
+ * @param {number} zoom
+ * @returns {number}
+ */
+export function gridStep(zoom) {
+  let step = GRID;
+  while (step * zoom < 25)  step *= 5;
+  while (step * zoom > 250) step /= 5;
+  return Math.max(step, 1);
+}
+
+/**
+ * Grid spacing along the frame's two axes, in its cartesian units: cg and
+ * math (and polar, along Math x / y) keep the original GRID·5ⁿ px steps,
+ * converted to their units, ndc and custom use 1-2-5 steps.
+ *
+ * @param {number} zoom
+ * @returns {[number, number]}
+ */
+export function gridSpacing(zoom) {
+  if (state.coordSystem !== 'ndc' && state.coordSystem !== 'custom') {
+    const s = gridStep(zoom) / pxPerUnit();
+    return [s, s];
+  }
+  const { ex, ey } = frame();
+  return [_niceStep(Math.hypot(ex.x, ex.y), zoom), _niceStep(Math.hypot(ey.x, ey.y), zoom)];
+}
+
+/**
+ * Grid intersection nearest to a world point, as drawn by buildGrid(): a
+ * lattice node of the active frame, or in polar the crossing of a circle
+ * and a ray (the origin for r = 0).
+ *
+ * @param {number} wx
+ * @param {number} wy
+ * @param {number} zoom
+ * @returns {{ x:number, y:number }}  World-px.
+ */
+export function nearestGridPoint(wx, wy, zoom) {
+  const c = worldToCartesian(wx, wy);
+
+  if (state.coordSystem === 'polar') {
+    const step = gridSpacing(zoom)[0];
+    const ray  = POLAR_STEP_DEG * Math.PI / 180;
+    const r    = Math.round(Math.hypot(c.x, c.y) / step) * step;
+    const t    = Math.round(Math.atan2(c.y, c.x) / ray) * ray;
+    return cartesianToWorld(r * Math.cos(t), r * Math.sin(t));
+  }
+
+  const [su, sv] = gridSpacing(zoom);
+  return cartesianToWorld(Math.round(c.x / su) * su, Math.round(c.y / sv) * sv);
+}
+
+/**
+ * @typedef {{ x1:number, y1:number, x2:number, y2:number }}           Line
+ * @typedef {{ x:number, y:number, r:number }}                         Circle
+ * @typedef {{ text:string, x:number, y:number,
+ *             align:'left'|'center'|'right' }}                        Label
+ */
+
+/**
+ * Grid lines (and circles for polar) covering the bounds, with tick labels.
+ *
+ * @param {number} zoom
+ * @param {{ left:number, top:number, right:number, bottom:number }} b
+ * @returns {{ lines: Line[], circles: Circle[], labels: Label[] }}
+ */
+export function buildGrid(zoom, b) {
+  const sys = state.coordSystem;
+  if (sys === 'polar')  return _polarGrid(zoom, b);
+  if (sys === 'custom') return _rotatedGrid(zoom, b);
+  return _alignedGrid(zoom, b);
+}
+
+/**
+ * The two axes of the active frame clipped to the bounds, each with an
+ * arrowhead at its positive end, plus the origin marker.
+ *
+ * @param {number} zoom
+ * @param {{ left:number, top:number, right:number, bottom:number }} b
+ * @returns {{ axes: Array<{ axis:'x'|'y', line:Line,
+ *                           arrow:{x:number, y:number, angle:number},
+ *                           label:Label }>,
+ *             origin: { x:number, y:number, label:Label }|null }}
+ */
+export function buildAxes(zoom, b) {
+  const { o, ex, ey } = frame();
+  const ah   = 8 / zoom;
+  const axes = [];
+  const [nx, ny] = state.coordSystem === 'polar' ? ['θ=0°', 'θ=90°'] : SYSTEMS[state.coordSystem].axes;
+
+  for (const [axis, dir, name] of [['x', ex, nx], ['y', ey, ny]]) {
+    const seg = _clipLine(o, dir, b);
+    if (!seg) continue;
+
+    const len = Math.hypot(dir.x, dir.y);
+    const d   = { x: dir.x / len, y: dir.y / len };
+    const end = seg[1];
+
+    // Label sits just inside the arrow, nudged off the axis: the X label
+    // above it, the Y label to its right (same as the original layout).
+    let n = { x: d.y, y: -d.x };
+    if (axis === 'x' ? n.y > 0 : n.x < 0) n = { x: -n.x, y: -n.y };
+
+    axes.push({
+      axis,
+      line:  { x1: seg[0].x, y1: seg[0].y, x2: end.x, y2: end.y },
+      arrow: { x: end.x - d.x * ah, y: end.y - d.y * ah, angle: Math.atan2(d.y, d.x) },
+      label: {
+        text:  name,
+        x:     end.x - d.x * 18 / zoom + n.x * 6 / zoom,
+        y:     end.y - d.y * 18 / zoom + n.y * 6 / zoom,
+        align: 'left',
+      },
+    });
+  }
+
+  const inside = o.x >= b.left && o.x <= b.right && o.y >= b.top && o.y <= b.bottom;
+  return {
+    axes,
+    origin: inside
+      ? { x: o.x, y: o.y, label: { text: '(0,0)', x: o.x + 6 / zoom, y: o.y - 6 / zoom, align: 'left' } }
+      : null,
+  };
+}
+
+/**
+ * Bottom edge of the CG screen (y_cg = H) in the CG and Math systems,
+ * the line where y_math = 0 once the origin sits at (0, H).
+ *
+ * @param {number} zoom
+ * @param {{ left:number, top:number, right:number, bottom:number }} b
+ * @returns {{ line: Line, label: Label }|null}
+ */
+export function buildScreenEdge(zoom, b) {
+  const H = state.cgHeight;
+  if (state.coordSystem !== 'cg' && state.coordSystem !== 'math') return null;
+  if (H === null || H < b.top || H > b.bottom) return null;
+
+  return {
+    line:  { x1: b.left, y1: H, x2: b.right, y2: H },
+    label: { text: `H = ${_tick(H / pxPerUnit(), 1)}`, x: Math.max(b.left, 0) + 6 / zoom, y: H - 5 / zoom, align: 'left' },
+  };
+}
+
+// ── Axis-aligned frames (cg, math, ndc) ───────────────────────────────────────
+
+function _alignedGrid(zoom, b) {
+  const { o, ex, ey } = frame();
+  const [su, sv] = gridSpacing(zoom);
+  const stepX = su * Math.abs(ex.x);
+  const stepY = sv * Math.abs(ey.y);
+
+  const lines  = [];
+  const labels = [];
+
+  const startX = Math.floor((b.left - o.x) / stepX) * stepX + o.x;
+  const startY = Math.floor((b.top  - o.y) / stepY) * stepY + o.y;
+
+  for (let x = startX; x <= b.right  + stepX; x += stepX) lines.push({ x1: x, y1: b.top, x2: x, y2: b.bottom });
+  for (let y = startY; y <= b.bottom + stepY; y += stepY) lines.push({ x1: b.left, y1: y, x2: b.right, y2: y });
+
+  // Tick labels, clamped so they stay visible when the axis is off-screen
+  for (let x = startX; x <= b.right + stepX; x += stepX) {
+    const ux = worldToCartesian(x, o.y).x;
+    if (Math.abs(ux) < su / 2) continue;
+    const ly = Math.min(Math.max(o.y + 14 / zoom, b.top + 14 / zoom), b.bottom - 2 / zoom);
+    labels.push({ text: _tick(ux, su), x, y: ly, align: 'center' });
+  }
+  for (let y = startY; y <= b.bottom + stepY; y += stepY) {
+    const uy = worldToCartesian(o.x, y).y;
+    if (Math.abs(uy) < sv / 2) continue;
+    const lx = Math.min(Math.max(o.x + 28 / zoom, b.left + 28 / zoom), b.right - 2 / zoom);
+    labels.push({ text: _tick(uy, sv), x: lx, y: y + 4 / zoom, align: 'right' });
+  }
+
+  return { lines, circles: [], labels };
+}
+
+// ── Rotated custom frame ──────────────────────────────────────────────────────
+
+function _rotatedGrid(zoom, b) {
+  const lines  = [];
+  const labels = [];
+
+  // Range of (u, v) covered by the visible rectangle
+  const corners = [[b.left, b.top], [b.right, b.top], [b.left, b.bottom], [b.right, b.bottom]]
+    .map(([x, y]) => worldToCartesian(x, y));
+  const us = corners.map(c => c.x);
+  const vs = corners.map(c => c.y);
+  const [u0, u1] = [Math.min(...us), Math.max(...us)];
+  const [v0, v1] = [Math.min(...vs), Math.max(...vs)];
+
+  const [su, sv] = gridSpacing(zoom);
+  const fmt = x => String(Math.round(x * 1000) / 1000);
+
+  for (let u = Math.ceil(u0 / su) * su; u <= u1; u += su) {
+    const p = cartesianToWorld(u, v0);
+    const q = cartesianToWorld(u, v1);
+    lines.push({ x1: p.x, y1: p.y, x2: q.x, y2: q.y });
+    if (Math.abs(u) > su / 2) {
+      const t = cartesianToWorld(u, 0);
+      labels.push({ text: fmt(u), x: t.x, y: t.y + 14 / zoom, align: 'center' });
+    }
+  }
+  for (let v = Math.ceil(v0 / sv) * sv; v <= v1; v += sv) {
+    const p = cartesianToWorld(u0, v);
+    const q = cartesianToWorld(u1, v);
+    lines.push({ x1: p.x, y1: p.y, x2: q.x, y2: q.y });
+    if (Math.abs(v) > sv / 2) {
+      const t = cartesianToWorld(0, v);
+      labels.push({ text: fmt(v), x: t.x - 6 / zoom, y: t.y + 4 / zoom, align: 'right' });
+    }
+  }
+
+  return { lines, circles: [], labels };
+}
+
+// ── Polar ─────────────────────────────────────────────────────────────────────
+
+function _polarGrid(zoom, b) {
+  const { o } = frame();
+  const step  = gridStep(zoom);
+  const k     = pxPerUnit();   // radii below are in world-px
+  const lines   = [];
+  const circles = [];
+  const labels  = [];
+
+  // Radii that can intersect the visible rectangle
+  const nearX = Math.max(b.left - o.x, 0, o.x - b.right);
+  const nearY = Math.max(b.top  - o.y, 0, o.y - b.bottom);
+  const rMin  = Math.hypot(nearX, nearY);
+  const rMax  = Math.max(...[[b.left, b.top], [b.right, b.top], [b.left, b.bottom], [b.right, b.bottom]]
+    .map(([x, y]) => Math.hypot(x - o.x, y - o.y)));
+
+  for (let r = Math.max(step, Math.ceil(rMin / step) * step); r <= rMax; r += step) {
+    circles.push({ x: o.x, y: o.y, r });
+    const p = cartesianToWorld(r / k, 0);
+    labels.push({ text: _tick(r / k, step / k), x: p.x, y: p.y + 14 / zoom, align: 'center' });
+  }
+
+  // Rays every POLAR_STEP_DEG, labelled near the edge of the visible area
+  const rLabel = Math.max(step, Math.min(b.right - b.left, b.bottom - b.top) * 0.42);
+  for (let deg = 0; deg < 360; deg += POLAR_STEP_DEG) {
+    const t = deg * Math.PI / 180;
+    const p = cartesianToWorld(rMin / k * Math.cos(t), rMin / k * Math.sin(t));
+    const q = cartesianToWorld(rMax / k * Math.cos(t), rMax / k * Math.sin(t));
+    lines.push({ x1: p.x, y1: p.y, x2: q.x, y2: q.y });
+    if (deg === 0) continue;
+    const l = cartesianToWorld(rLabel / k * Math.cos(t), rLabel / k * Math.sin(t));
+    labels.push({ text: `${deg}°`, x: l.x, y: l.y, align: 'center' });
+  }
+
+  return { lines, circles, labels };
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Tick label text: the value rounded to a thousandth of the grid step, so
+ * the drift of summed steps never shows (and 0.1·3 prints as 0.3).
+ *
+ * @param {number} v
+ * @param {number} step
+ * @returns {string}
+ */
+function _tick(v, step) {
+  const q = step / 1000;
+  return String(Number((Math.round(v / q) * q).toPrecision(12)));
+}
+
+/**
+ * Smallest 1-2-5 step (in user units) whose screen spacing is at least 40 px.
+ *
+ * @param {number} pxPerUnit  World-px per user unit along the axis.
+ * @param {number} zoom
+ * @returns {number}
+ */
+function _niceStep(pxPerUnit, zoom) {
+  const min  = 40 / (pxPerUnit * zoom);
+  const base = 10 ** Math.floor(Math.log10(min));
+  for (const m of [1, 2, 5, 10]) if (base * m >= min) return base * m;
+  return base * 10;
+}
+
+/**
+ * Clips the infinite line through `o` with direction `d` to the rectangle.
+ * Returns the two end points ordered along +d, or null if it misses.
+ */
+function _clipLine(o, d, b) {
+  let t0 = -Infinity;
+  let t1 =  Infinity;
+
+  for (const [p, dp, lo, hi] of [[o.x, d.x, b.left, b.right], [o.y, d.y, b.top, b.bottom]]) {
+    if (Math.abs(dp) < 1e-12) {
+      if (p < lo || p > hi) return null;
+      continue;
+    }
+    let a = (lo - p) / dp;
+    let c = (hi - p) / dp;
+    if (a > c) [a, c] = [c, a];
+    t0 = Math.max(t0, a);
+    t1 = Math.min(t1, c);
+  }
+  if (t0 > t1) return null;
+
+  return [
+    { x: o.x + d.x * t0, y: o.y + d.y * t0 },
+    { x: o.x + d.x * t1, y: o.y + d.y * t1 },
+  ];
+}
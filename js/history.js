@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Undo / redo history.
+ *
+ * Every user edit is stored as a command with apply() / revert() closures.
+ * Commands are built from snapshots of the document part of `state`
+ * (see DOC_KEYS), so any mutation can be made undoable by wrapping it in
+ * record().  Gestures that span several events (e.g. dragging a vertex)
+ * use begin() / commit() and end up as a single coalesced entry.
+ */
+
+import { state }                      from './state.js';
+import { applyCoordSystem, setMsg }   from './ui.js';
+import { scheduleAutosave }           from './scene.js';
+
+/** Maximum number of entries kept in the undo stack. */
+const HISTORY_LIMIT = 100;
+
+/**
+ * State keys that make up the editable document.
+ * The coordinate system, its origins, the CG height and the units are included so that undo
+ * restores exactly what the user saw when the edit was made.
+ */
+const DOC_KEYS = ['vertices', 'edges', 'polygons', 'curves', 'layers',
+                  'nextVid', 'nextEid', 'nextPid', 'nextCid', 'nextLid',
+                  'coordSystem', 'mathOx', 'mathOy', 'cgHeight', 'customFrame', 'units'];
+
+/** @type {Array<{label:string, apply:Function, revert:Function}>} */
+const _undoStack = [];
+/** @type {Array<{label:string, apply:Function, revert:Function}>} */
+const _redoStack = [];
+
+/** Snapshot taken by begin(), waiting for commit(). */
+let _pending = null;
+
+// ── Recording ─────────────────────────────────────────────────────────────────
+
+/**
+ * Runs `mutate` and records the resulting document change as one command.
+ * Nothing is recorded when the document is left unchanged.
+ *
+ * @param {string}   label   Human-readable description (shown on undo/redo).
+ * @param {Function} mutate  Function that edits `state` in place.
+ */
+export function record(label, mutate) {
+  const before = _capture();
+  mutate();
+  _push(label, before, _capture());
+}
+
+/**
+ * Starts a multi-event gesture: snapshots the document so that the whole
+ * gesture can be committed later as a single entry.
+ */
+export function begin() {
+  _pending = _capture();
+}
+
+/**
+ * Ends the gesture started by begin() and records it (if anything changed).
+ *
+ * @param {string} label
+ */
+export function commit(label) {
+  if (_pending === null) return;
+  const before = _pending;
+  _pending = null;
+  _push(label, before, _capture());
+}
+
+// ── Undo / redo ───────────────────────────────────────────────────────────────
+
+/** Reverts the most recent command. */
+export function undo() {
+  if (_pending !== null || !_undoStack.length) return;
+  const cmd = _undoStack.pop();
+  cmd.revert();
+  _redoStack.push(cmd);
+  _updateButtons();
+  scheduleAutosave();
+  setMsg(`Desfeito: ${cmd.label}`);
+}
+
+/** Re-applies the most recently undone command. */
+export function redo() {
+  if (_pending !== null || !_redoStack.length) return;
+  const cmd = _redoStack.pop();
+  cmd.apply();
+  _undoStack.push(cmd);
+  _updateButtons();
+  scheduleAutosave();
+  setMsg(`Refeito: ${cmd.label}`);
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/**
+ * Pushes a snapshot-based command onto the undo stack and drops the redo
+ * branch.  The oldest entry is discarded once HISTORY_LIMIT is reached.
+ */
+function _push(label, before, after) {
+  if (before === after) return;
+
+  _undoStack.push({
+    label,
+    apply:  () => _restore(after),
+    revert: () => _restore(before),
+  });
+  if (_undoStack.length > HISTORY_LIMIT) _undoStack.shift();
+  _redoStack.length = 0;
+  _updateButtons();
+  scheduleAutosave();
+}
+
+/**
+ * Serialises the document keys of `state`.
+ * Strings are immutable and cheap to compare, which keeps snapshots safe
+ * from later in-place mutations.
+ *
+ * @returns {string}
+ */
+function _capture() {
+  const doc = {};
+  for (const k of DOC_KEYS) doc[k] = state[k];
+  return JSON.stringify(doc);
+}
+
+/**
+ * Restores a snapshot and clears interaction state that may now point
+ * to vertices, edges or layers that no longer exist.
+ *
+ * @param {string} snap
+ */
+function _restore(snap) {
+  Object.assign(state, JSON.parse(snap));
+
+  const ids = new Set(state.vertices.map(v => v.id));
+  state.selection = state.selection.filter(id => ids.has(id));
+  if (!ids.has(state.edgePending)) state.edgePending = null;
+
+  const eids = new Set(state.edges.map(e => e.id));
+  if (!eids.has(state.selEdge))   state.selEdge   = null;
+  if (!eids.has(state.hoverEdge)) state.hoverEdge = null;
+  if (!state.layers.some(l => l.id === state.activeLayer)) state.activeLayer = state.layers.at(-1).id;
+  state.dragVertex = null;
+  state.dragOrigin = false;
+
+  applyCoordSystem();
+}
+
+/** Enables / disables the toolbar buttons and updates their tooltips. */
+function _updateButtons() {
+  const u = document.getElementById('undo-btn');
+  const r = document.getElementById('redo-btn');
+  const lastU = _undoStack[_undoStack.length - 1];
+  const lastR = _redoStack[_redoStack.length - 1];
+
+  if (u) {
+    u.disabled = !lastU;
+    u.title    = lastU ? `Desfazer: ${lastU.label} (Ctrl+Z)` : 'Nada para desfazer';
+  }
+  if (r) {
+    r.disabled = !lastR;
+    r.title    = lastR ? `Refazer: ${lastR.label} (Ctrl+Shift+Z)` : 'Nada para refazer';
+  }
+}
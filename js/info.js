@@ -6,7 +6,13 @@
  * and the 'mode' tab reflects the active edit mode.
  */
 
-import { state } from './state.js';
+import { state, GRID } from './state.js';
+import { PRECISIONS, isScaled,
+         pxPerUnit }  from './coords.js';
+import { rasterInfo } from './raster.js';
+import { fillInfo }   from './fill.js';
+import { clipInfo }   from './clip.js';
+import { graphInfo }  from './graph.js';
 
 // ── Tab content definitions ───────────────────────────────────────────────────
 
@@ -28,7 +34,7 @@ const SYS_CONTENT = {
   math: `
     <h4>Sistema Matemático — Plano Cartesiano</h4>
     <ul>
-      <li>Origem <span class="hl-o">(0, 0)</span> → <strong>centro do plano</strong></li>
+      <li>Origem <span class="hl-o">(0, 0)</span> → <strong>centro do plano</strong> (arraste-a no modo Selecionar)</li>
       <li>Eixo <span class="hl-x">X</span> cresce para a <strong>direita</strong> →</li>
       <li>Eixo <span class="hl-y">Y</span> cresce para <strong>cima</strong> ↑</li>
       <li>Quadrante I (x&gt;0, y&gt;0) → superior direito</li>
@@ -39,9 +45,74 @@ const SYS_CONTENT = {
     <div class="note">
       💡 Neste sistema, y=−100 fica <em>abaixo</em> da origem — o oposto do sistema CG!
     </div>`,
+
+  ndc: `
+    <h4>NDC — Normalized Device Coordinates</h4>
+    <ul>
+      <li>A área <strong>visível</strong> vai de <span class="hl-x">x = −1</span> (esquerda) a <span class="hl-x">x = +1</span> (direita)</li>
+      <li>e de <span class="hl-y">y = −1</span> (embaixo) a <span class="hl-y">y = +1</span> (em cima) — Y cresce ↑</li>
+      <li>Origem <span class="hl-o">(0, 0)</span> → <strong>centro da viewport</strong></li>
+      <li>Zoom e pan mudam as coordenadas: NDC é relativo à tela, não à cena</li>
+      <li>Conversão: <span class="hl">x_ndc = 2·x_tela / largura − 1</span>, <span class="hl">y_ndc = 1 − 2·y_tela / altura</span></li>
+    </ul>
+    <div class="note">
+      💡 É o espaço depois da divisão perspectiva no OpenGL/WebGL: tudo fora de [−1, 1] é recortado.
+    </div>`,
+
+  polar: `
+    <h4>Sistema Polar — (r, θ)</h4>
+    <ul>
+      <li><span class="hl-x">r</span> → distância até a origem (na unidade da escala, abaixo)</li>
+      <li><span class="hl-y">θ</span> → ângulo a partir do eixo +X, <strong>anti-horário</strong>, de 0° a 360°</li>
+      <li>Mesma origem do sistema Matemático (Y↑)</li>
+      <li>Grade: círculos de raio constante e raios a cada 30°</li>
+      <li>Conversão: <span class="hl">x = r·cos θ</span>, <span class="hl">y = r·sen θ</span></li>
+      <li>Inversa: <span class="hl">r = √(x² + y²)</span>, <span class="hl">θ = atan2(y, x)</span></li>
+    </ul>
+    <div class="note">
+      💡 Na origem (r = 0) o ângulo é indefinido — qualquer θ descreve o mesmo ponto.
+    </div>`,
+
+  custom: () => {
+    const { ox, oy, angle, scale } = state.customFrame;
+    const r = x => Math.round(x * 100) / 100;
+    return `
+    <h4>Referencial Personalizado — (u, v)</h4>
+    <ul>
+      <li>Origem <span class="hl-o">(0, 0)</span> → pixel CG <strong>(${r(ox)}, ${r(oy)})</strong></li>
+      <li>Eixo <span class="hl-x">u</span> girado <strong>${r(angle)}°</strong> (anti-horário) a partir do +X da tela</li>
+      <li>Eixo <span class="hl-y">v</span> perpendicular a u, 90° à frente (Y↑)</li>
+      <li>Escala: <strong>1 unidade = ${r(scale)} px</strong></li>
+      <li>Conversão: <span class="hl">P = O + u·ê<sub>u</sub> + v·ê<sub>v</sub></span></li>
+    </ul>
+    <div class="note">
+      💡 Todo sistema de coordenadas 2D é um referencial: uma origem mais dois vetores de base.
+      Edite origem, rotação e escala na barra lateral.
+    </div>`;
+  },
+};
+
+/** Unit scale and precision of the pixel-based systems (cg, math, polar). */
+const UNITS_CONTENT = () => {
+  const { precision, cell, unit } = state.units;
+  return `
+    <div class="note">
+      📏 Escala: <strong>1 célula da grade (${GRID} px) = ${cell} ${unit || (cell === 1 ? 'unidade' : 'unidades')}</strong>
+      · precisão ${PRECISIONS[precision].toLowerCase()}. Altere no card <strong>Unidades e Precisão</strong>.
+    </div>`;
 };
 
-const DIFF_CONTENT = `
+const DIFF_CONTENT = () => {
+  // Origin and H are kept in world-px; shown in the units of the scale
+  const k  = pxPerUnit();
+  const r  = x => Math.round(x / k * 1000) / 1000;
+  const ox = r(state.mathOx);
+  const oy = r(state.mathOy);
+  const H  = r(state.cgHeight);
+  const yFormula = oy === H
+    ? `y_cg = H − y_math &nbsp;(H = ${H})`
+    : `y_cg = ${oy} − y_math`;
+  return `
   <h4>CG vs. Matemático — Diferenças Principais</h4>
   <table style="width:100%;border-collapse:collapse;font-size:12px">
     <tr style="color:var(--text-muted);border-bottom:1px solid var(--border)">
@@ -52,7 +123,7 @@ const DIFF_CONTENT = `
     <tr style="border-bottom:1px solid var(--border)">
       <td style="padding:3px 6px">Origem</td>
       <td style="padding:3px 6px;text-align:center">Canto sup. esq.</td>
-      <td style="padding:3px 6px;text-align:center">Centro</td>
+      <td style="padding:3px 6px;text-align:center">(${ox}, ${oy}) no CG</td>
     </tr>
     <tr style="border-bottom:1px solid var(--border)">
       <td style="padding:3px 6px">Y positivo</td>
@@ -64,25 +135,51 @@ const DIFF_CONTENT = `
       <td style="padding:3px 6px;text-align:center">Acima da origem</td>
       <td style="padding:3px 6px;text-align:center">Abaixo da origem</td>
     </tr>
-    <tr>
+    <tr style="border-bottom:1px solid var(--border)">
+      <td style="padding:3px 6px">Conversão X</td>
+      <td colspan="2" style="padding:3px 6px;text-align:center">
+        <span class="hl">x_cg = x_math + ${ox}</span>
+      </td>
+    </tr>
+    <tr style="border-bottom:1px solid var(--border)">
       <td style="padding:3px 6px">Conversão Y</td>
       <td colspan="2" style="padding:3px 6px;text-align:center">
-        <span class="hl">y_cg = height − y_math</span>
+        <span class="hl">${yFormula}</span>
       </td>
     </tr>
+    <tr style="border-bottom:1px solid var(--border)">
+      <td style="padding:3px 6px">Área assinada (shoelace)</td>
+      <td style="padding:3px 6px;text-align:center">A</td>
+      <td style="padding:3px 6px;text-align:center">−A</td>
+    </tr>
+    <tr>
+      <td style="padding:3px 6px">A &gt; 0 (↺, de +X para +Y)</td>
+      <td style="padding:3px 6px;text-align:center">Aparece ↻ na tela</td>
+      <td style="padding:3px 6px;text-align:center">Aparece ↺ na tela</td>
+    </tr>
   </table>
+  ${oy === H ? '' : `
+  <div class="note">
+    📐 A forma clássica <strong>y_cg = H − y_math</strong> só vale com a origem matemática na base
+    da tela (y_cg = H = ${H}). Use <strong>"Origem em (0, H)"</strong> na barra lateral.
+  </div>`}
   <div class="note">
     💡 Em shaders OpenGL, coordenadas de clip vão de −1 a +1 com Y↑ (similar ao matemático).
     O framebuffer final usa Y↓ (CG).
   </div>`;
+};
 
 const MODE_CONTENT = {
   select: `
     <h4>Modo: Selecionar / Mover</h4>
     <ul>
-      <li>Clique em um <span class="hl">vértice</span> para selecioná-lo</li>
-      <li><strong>Arraste</strong> um vértice para reposicioná-lo</li>
+      <li>Clique em um <span class="hl">vértice</span> para selecioná-lo; <strong>Shift+clique</strong> adiciona ou remove da seleção</li>
+      <li>Arraste no canvas vazio para <strong>selecionar com uma caixa</strong> (Shift soma à seleção)</li>
+      <li><strong>Arraste</strong> um vértice selecionado para mover toda a seleção; o vértice agarrado encaixa como na inserção (<strong>Alt</strong> desativa)</li>
       <li>Clique no canvas vazio para deselecionar</li>
+      <li>A caixa envolvente e o centroide aparecem no canvas e no card <strong>Seleção</strong></li>
+      <li>Clique em uma <span class="hl">aresta</span> para selecioná-la; <strong>Delete</strong> a remove</li>
+      <li><strong>Duplo clique</strong> numa aresta a divide, inserindo um vértice no ponto</li>
       <li>As coordenadas são exibidas em tempo real durante o arrasto</li>
     </ul>`,
 
@@ -90,9 +187,13 @@ const MODE_CONTENT = {
     <h4>Modo: Inserir Vértice</h4>
     <ul>
       <li>Clique em qualquer ponto do canvas para <span class="hl">adicionar um vértice</span></li>
+      <li>Perto da grade, de um vértice, do meio de uma aresta ou de um eixo o ponto <span class="hl">encaixa</span> (◇); segure <strong>Alt</strong> para posicioná-lo livremente</li>
       <li>Ou preencha os campos X e Y e clique em <strong>"+ Adicionar Vértice"</strong></li>
       <li>As coordenadas seguem o sistema de coordenadas selecionado</li>
       <li>Vértices podem ser deletados pela lista à esquerda (×)</li>
+      <li><strong>Duplo clique</strong> num vértice da lista edita rótulo e coordenadas no lugar
+          (<strong>Enter</strong> confirma, <strong>Esc</strong> cancela)</li>
+      <li><strong>Ctrl+Z</strong> desfaz e <strong>Ctrl+Shift+Z</strong> refaz qualquer edição</li>
     </ul>`,
 
   edge: `
@@ -103,14 +204,60 @@ const MODE_CONTENT = {
       <li>Clique no mesmo vértice novamente para <strong>cancelar</strong></li>
       <li>Arestas duplicadas são detectadas automaticamente</li>
       <li>Uma linha tracejada aparece do primeiro vértice ao cursor</li>
+      <li><strong>Duplo clique</strong> numa aresta existente a divide em duas</li>
     </ul>`,
 };
 
+/** Measuring tool, shown with the mode while one is active. */
+const MEASURE_CONTENT = {
+  ruler: `
+    <h4>Régua</h4>
+    <ul>
+      <li>Clique em <span class="hl">dois pontos</span>: aparecem Δx, Δy, a distância e a direção do segmento</li>
+      <li>Os pontos encaixam como na inserção de vértices (<strong>Alt</strong> desativa)</li>
+      <li>Um novo clique começa outra medida; <strong>Esc</strong> ou <strong>R</strong> fecha a régua</li>
+    </ul>`,
+
+  angle: `
+    <h4>Ângulo entre arestas</h4>
+    <ul>
+      <li>Clique em <span class="hl">duas arestas</span> com um vértice em comum</li>
+      <li>Cada direção é medida a partir de <span class="hl-x">+X</span>, em graus e radianos</li>
+      <li>Positivo = de +X para +Y: <strong>horário</strong> na tela no CG (Y↓),
+          <strong>anti-horário</strong> no Matemático (Y↑)</li>
+      <li>O arco no canvas mostra o ângulo entre as duas arestas</li>
+    </ul>`,
+};
+
+/** Navigation and context action, the same in every mode. */
+const NAV_CONTENT = `
+  <h4>Navegação</h4>
+  <ul>
+    <li><strong>Roda do mouse</strong> ou <strong>pinça</strong> com dois dedos: zoom em torno do ponto</li>
+    <li>Pan: arraste com o <strong>botão do meio</strong>, o <strong>botão direito</strong>,
+        <strong>Espaço + arrastar</strong> ou <strong>dois dedos</strong></li>
+    <li><strong>Clique direito</strong> ou <strong>toque longo</strong>: num vértice, soma ou remove da seleção;
+        numa aresta, a divide; no vazio, cancela a aresta pendente</li>
+    <li>Teclado: <strong>⌨ Atalhos</strong> na barra de status lista (e permite trocar) todas as teclas</li>
+  </ul>`;
+
 /** Maps tab keys to content factory functions. */
 const TABS = {
-  sys:  () => SYS_CONTENT[state.coordSystem] ?? '',
-  diff: () => DIFF_CONTENT,
-  mode: () => MODE_CONTENT[state.mode] ?? MODE_CONTENT.vertex,
+  sys:  () => {
+    const c = SYS_CONTENT[state.coordSystem] ?? '';
+    return (typeof c === 'function' ? c() : c) + (isScaled() ? UNITS_CONTENT() : '');
+  },
+  diff: () => DIFF_CONTENT(),
+  mode: () => (MODE_CONTENT[state.mode] ?? MODE_CONTENT.vertex) + (MEASURE_CONTENT[state.measure.tool] ?? '') + NAV_CONTENT,
+  steps: () => STEP_CONTENT[state.stepTool](),
+};
+
+/** Trace shown in the "Passo a passo" tab, by visualizer (state.stepTool). */
+const STEP_CONTENT = {
+  raster: rasterInfo,
+  fill:   fillInfo,
+  clip:   clipInfo,
+  graph:  graphInfo,
 };
 
 // ── Public API ────────────────────────────────────────────────────────────────
@@ -118,7 +265,7 @@ const TABS = {
 /**
  * Switches to the specified tab and re-renders.
  *
- * @param {'sys'|'diff'|'mode'} t
+ * @param {'sys'|'diff'|'mode'|'steps'} t
  */
 export function showTab(t) {
   state.activeTab = t;
@@ -0,0 +1,49 @@
+/**
+ * @fileoverview Browser file helpers.
+ *
+ * Thin wrappers around Blob downloads and the file picker so that the
+ * save / export modules only deal with strings and Blobs.
+ */
+
+/**
+ * Triggers a browser download of the given data.
+ *
+ * @param {string}      filename
+ * @param {string|Blob} data
+ * @param {string}      [type='text/plain']  MIME type (ignored for Blobs).
+ */
+export function downloadFile(filename, data, type = 'text/plain') {
+  const blob = data instanceof Blob ? data : new Blob([data], { type });
+  const url  = URL.createObjectURL(blob);
+  const a    = document.createElement('a');
+  a.href     = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Opens the native file picker and reads the chosen file as text.
+ * Resolves to null if the user cancels.
+ *
+ * @param {string} accept  Value for the input's `accept` attribute.
+ * @returns {Promise<{ name: string, text: string }|null>}
+ */
+export function openTextFile(accept) {
+  return new Promise((resolve, reject) => {
+    const input  = document.createElement('input');
+    input.type   = 'file';
+    input.accept = accept;
+
+    input.addEventListener('change', () => {
+      const file = input.files?.[0];
+      if (!file) { resolve(null); return; }
+      file.text().then(text => resolve({ name: file.name, text }), reject);
+    });
+    input.addEventListener('cancel', () => resolve(null));
+
+    input.click();
+  });
+}
@@ -0,0 +1,217 @@
+/**
+ * @fileoverview Keyboard shortcut map and the help overlay that lists it.
+ *
+ * Each action has one or more key combos written as "Ctrl+Shift+Z"-style
+ * strings (see comboOf()).  events.js looks the pressed combo up with
+ * actionFor() and runs its own handler for the action, so this module
+ * only knows names and keys.
+ *
+ * Any action can be given a new key from the overlay (Alterar, then press
+ * the key).  A key belongs to one action at a time: taking it for another
+ * action removes it from the first.  Changes persist in localStorage.
+ */
+
+import { setMsg }                    from './ui.js';
+
+/** localStorage key for the user's bindings. */
+const KEYMAP_KEY = 'cg-coord-system:keymap';
+
+/**
+ * Actions in overlay order, with their default keys.
+ *
+ * @type {Array<{ id:string, name:string, keys:string[] }>}
+ */
+export const ACTIONS = [
+  { id: 'mode-select', name: 'Modo Selecionar / Mover',                      keys: ['S'] },
+  { id: 'mode-vertex', name: 'Modo Inserir Vértice',                         keys: ['V'] },
+  { id: 'mode-edge',   name: 'Modo Inserir Aresta',                          keys: ['E'] },
+  { id: 'delete',      name: 'Remover vértices ou aresta selecionados',      keys: ['Delete', 'Backspace'] },
+  { id: 'cancel',      name: 'Cancelar ação pendente / limpar seleção',      keys: ['Escape'] },
+  { id: 'next-vertex', name: 'Selecionar o próximo vértice',                 keys: ['Tab'] },
+  { id: 'prev-vertex', name: 'Selecionar o vértice anterior',                keys: ['Shift+Tab'] },
+  { id: 'nudge-left',  name: 'Mover seleção 1 unidade ←',                    keys: ['ArrowLeft'] },
+  { id: 'nudge-right', name: 'Mover seleção 1 unidade →',                    keys: ['ArrowRight'] },
+  { id: 'nudge-up',    name: 'Mover seleção 1 unidade ↑',                    keys: ['ArrowUp'] },
+  { id: 'nudge-down',  name: 'Mover seleção 1 unidade ↓',                    keys: ['ArrowDown'] },
+  { id: 'step-left',   name: 'Mover seleção 1 passo da grade ←',             keys: ['Shift+ArrowLeft'] },
+  { id: 'step-right',  name: 'Mover seleção 1 passo da grade →',             keys: ['Shift+ArrowRight'] },
+  { id: 'step-up',     name: 'Mover seleção 1 passo da grade ↑',             keys: ['Shift+ArrowUp'] },
+  { id: 'step-down',   name: 'Mover seleção 1 passo da grade ↓',             keys: ['Shift+ArrowDown'] },
+  { id: 'next-system', name: 'Próximo sistema de coordenadas',               keys: ['C'] },
+  { id: 'prev-system', name: 'Sistema de coordenadas anterior',              keys: ['Shift+C'] },
+  { id: 'theme',       name: 'Alternar tema claro / escuro',                 keys: ['T'] },
+  { id: 'ruler',       name: 'Régua (medir distância)',                      keys: ['R'] },
+  { id: 'angle',       name: 'Medir ângulo entre arestas',                   keys: ['A'] },
+  { id: 'direct',      name: 'Orientar / desorientar a aresta selecionada',  keys: ['D'] },
+  { id: 'undo',        name: 'Desfazer',                                     keys: ['Ctrl+Z'] },
+  { id: 'redo',        name: 'Refazer',                                      keys: ['Ctrl+Shift+Z', 'Ctrl+Y'] },
+  { id: 'reset-view',  name: 'Resetar zoom e pan',                           keys: ['Ctrl+0'] },
+  { id: 'help',        name: 'Mostrar / esconder esta lista',                keys: ['?'] },
+];
+
+/** Key names shown as symbols in the overlay. */
+const KEY_SYMBOLS = {
+  ArrowLeft: '←', ArrowRight: '→', ArrowUp: '↑', ArrowDown: '↓',
+  Escape: 'Esc', Delete: 'Del', Backspace: '⌫',
+};
+
+/** Current bindings: action id → combos. */
+let _keys = _load();
+
+/** Action waiting for its new key (null = not rebinding). */
+let _capturing = null;
+
+// ── Lookup ────────────────────────────────────────────────────────────────────
+
+/**
+ * The combo of a key press, e.g. "Ctrl+Shift+Z", "Shift+ArrowUp" or "?".
+ * Shift is left out of printed symbols ("?" is already Shift+/ on most
+ * layouts) but kept for letters and named keys.  ⌘ counts as Ctrl.
+ *
+ * @param {KeyboardEvent} e
+ * @returns {string|null}  null for a lone modifier.
+ */
+export function comboOf(e) {
+  if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+
+  const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const printed = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+  const parts = [];
+  if (e.ctrlKey || e.metaKey)  parts.push('Ctrl');
+  if (e.altKey)                parts.push('Alt');
+  if (e.shiftKey && !printed)  parts.push('Shift');
+  parts.push(key);
+  return parts.join('+');
+}
+
+/**
+ * The action bound to a key press.
+ *
+ * @param {KeyboardEvent} e
+ * @returns {string|null}  Action id.
+ */
+export function actionFor(e) {
+  const combo = comboOf(e);
+  if (!combo) return null;
+  return ACTIONS.find(a => _keys[a.id].includes(combo))?.id ?? null;
+}
+
+/**
+ * Keys of an action as shown to the user, e.g. "Ctrl+Shift+Z / Ctrl+Y".
+ *
+ * @param {string} id
+ * @returns {string}
+ */
+export function keyLabel(id) {
+  return _keys[id].map(c => c.split('+').map(k => KEY_SYMBOLS[k] ?? k).join('+')).join(' / ') || '—';
+}
+
+// ── Remapping ─────────────────────────────────────────────────────────────────
+
+/**
+ * Waits for the next key press to become the key of an action.
+ *
+ * @param {string} id
+ */
+export function startRebind(id) {
+  _capturing = id;
+  refreshKeymapPanel();
+}
+
+/**
+ * Consumes a key press while rebinding: Escape cancels, anything else
+ * becomes the action's only key.
+ *
+ * @param {KeyboardEvent} e
+ * @returns {boolean}  Whether the press was consumed.
+ */
+export function captureKey(e) {
+  if (_capturing === null) return false;
+  const combo = comboOf(e);
+  if (!combo) return true;   // a modifier on its way to a combo
+
+  const id = _capturing;
+  _capturing = null;
+  if (combo !== 'Escape') {
+    const prev = ACTIONS.find(a => a.id !== id && _keys[a.id].includes(combo));
+    if (prev) _keys[prev.id] = _keys[prev.id].filter(c => c !== combo);
+    _keys[id] = [combo];
+    _save();
+    setMsg(`${combo} → ${_name(id)}` + (prev ? ` (removida de "${_name(prev.id)}")` : ''));
+  }
+  refreshKeymapPanel();
+  return true;
+}
+
+/** Restores every default key. */
+export function resetKeymap() {
+  _capturing = null;
+  _keys = _defaults();
+  _save();
+  refreshKeymapPanel();
+  setMsg('Atalhos padrão restaurados');
+}
+
+// ── Help overlay ──────────────────────────────────────────────────────────────
+
+/**
+ * Shows or hides the shortcut overlay.
+ *
+ * @param {boolean} [show]  Toggles when omitted.
+ */
+export function toggleHelp(show) {
+  const el = document.getElementById('help-overlay');
+  el.hidden  = show === undefined ? !el.hidden : !show;
+  _capturing = null;
+  refreshKeymapPanel();
+}
+
+/** Whether the overlay is open. */
+export function helpOpen() {
+  return !document.getElementById('help-overlay').hidden;
+}
+
+/** Renders the shortcut table of the overlay. */
+export function refreshKeymapPanel() {
+  const el = document.getElementById('keymap-list');
+  if (!el) return;
+
+  el.innerHTML = ACTIONS.map(a => `
+    <tr>
+      <td>${a.name}</td>
+      <td>${a.id === _capturing ? '<em>pressione uma tecla… (Esc cancela)</em>' : `<kbd>${keyLabel(a.id)}</kbd>`}</td>
+      <td><button class="btn-secondary km-edit" data-id="${a.id}">Alterar</button></td>
+    </tr>`).join('');
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _name(id) {
+  return ACTIONS.find(a => a.id === id).name;
+}
+
+function _defaults() {
+  return Object.fromEntries(ACTIONS.map(a => [a.id, [...a.keys]]));
+}
+
+/** Defaults overlaid with the stored bindings (unknown actions are dropped). */
+function _load() {
+  const keys = _defaults();
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEYMAP_KEY) ?? '{}');
+    for (const id of Object.keys(keys)) {
+      if (Array.isArray(saved[id]) && saved[id].every(c => typeof c === 'string')) keys[id] = saved[id];
+    }
+  } catch {
+    // Corrupt or unavailable storage — keep the defaults.
+  }
+  return keys;
+}
+
+function _save() {
+  try {
+    localStorage.setItem(KEYMAP_KEY, JSON.stringify(_keys));
+  } catch {
+    // Storage full or disabled — the bindings last for this session only.
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview Layers: named groups of vertices and edges.
+ *
+ * Every vertex and edge carries the id of its layer (`layer`).  The
+ * layers are drawn in the order of state.layers, bottom first, each with
+ * its edges under its vertices and at its own opacity; the sidebar lists
+ * them top first and reorders them by dragging.  Polygons and curves
+ * belong to no layer and stay under all of them, but are hidden with any
+ * of their vertices.
+ *
+ * A hidden layer is not drawn or exported; a hidden or locked one is
+ * ignored by the canvas (picking, box selection, snapping), so a reference
+ * figure cannot be dragged by accident.  New elements go to the active
+ * layer, which must be visible and unlocked.
+ *
+ * Layers belong to the document (saved and undone, toggles included); the
+ * active layer is tool state.
+ */
+
+import { state }                      from './state.js';
+import { draw }                       from './draw.js';
+import { record, begin, commit }      from './history.js';
+import { refreshAll, setMsg,
+         escapeHtml, LABEL_MAX }      from './ui.js';
+
+/** Layer being dragged in the sidebar list (null = none). */
+let _dragId = null;
+
+/** Whether an opacity drag has begun a history entry. */
+let _opacityEdit = false;
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+
+/**
+ * The layer of a vertex or edge.
+ *
+ * @param {{layer:number}} x
+ * @returns {Object|undefined}
+ */
+export function layerOf(x) {
+  return state.layers.find(l => l.id === x.layer);
+}
+
+/** Whether a vertex or edge is drawn (its layer is visible). */
+export function isShown(x) {
+  return layerOf(x)?.visible ?? true;
+}
+
+/** Whether a vertex or edge answers the canvas (its layer is visible and unlocked). */
+export function isEditable(x) {
+  const l = layerOf(x);
+  return !l || (l.visible && !l.locked);
+}
+
+/**
+ * Whether a vertex or edge sits on a hidden or locked layer (and so must
+ * not be changed); says so on the status bar.
+ *
+ * @param {Object|undefined} x
+ * @param {string} name  V{id} or e{id}, for the message.
+ * @returns {boolean}
+ */
+export function layerBlocks(x, name) {
+  if (!x || isEditable(x)) return false;
+  setMsg(`${name} está numa camada oculta ou bloqueada`);
+  return true;
+}
+
+/**
+ * Whether a polygon or curve is drawn: only while all of its vertices are.
+ *
+ * @param {{verts:number[]}} f
+ * @returns {boolean}
+ */
+export function isFigureShown(f) {
+  return f.verts.every(id => isShown(state.vertices.find(v => v.id === id) ?? {}));
+}
+
+/** @returns {Object[]} The visible layers, in drawing order. */
+export function visibleLayers() {
+  return state.layers.filter(l => l.visible);
+}
+
+/**
+ * Whether new elements can go to the active layer; says why not on the
+ * status bar.
+ *
+ * @returns {boolean}
+ */
+export function activeLayerEditable() {
+  const l = state.layers.find(l => l.id === state.activeLayer);
+  if (l && !l.visible) { setMsg(`A camada ativa "${l.name}" está oculta`); return false; }
+  if (l && l.locked)   { setMsg(`A camada ativa "${l.name}" está bloqueada`); return false; }
+  return true;
+}
+
+// ── Editing ───────────────────────────────────────────────────────────────────
+
+/** Adds a layer on top of the others and makes it active. */
+export function addLayer() {
+  const id = state.nextLid;
+  record(`Adicionar camada ${id + 1}`, () => {
+    state.layers.push({ id: state.nextLid++, name: `Camada ${id + 1}`, visible: true, locked: false, opacity: 1 });
+  });
+  state.activeLayer = id;
+  refreshAll();
+}
+
+/**
+ * Removes a layer; its elements move to the layer under it (or over it,
+ * for the bottom one).  The last layer cannot be removed.
+ *
+ * @param {number} id
+ */
+export function removeLayer(id) {
+  const i = state.layers.findIndex(l => l.id === id);
+  if (i < 0) return;
+  if (state.layers.length === 1) { setMsg('A última camada não pode ser removida'); return; }
+
+  const layer = state.layers[i];
+  const heir  = state.layers[i ? i - 1 : 1];
+  record(`Remover camada "${layer.name}"`, () => {
+    state.layers = state.layers.filter(l => l.id !== id);
+    for (const x of [...state.vertices, ...state.edges]) if (x.layer === id) x.layer = heir.id;
+  });
+  if (state.activeLayer === id) state.activeLayer = heir.id;
+  _pruneSelection();
+  refreshAll();
+  setMsg(`Camada "${layer.name}" removida; seus elementos foram para "${heir.name}"`);
+}
+
+/**
+ * @param {number} id
+ * @param {string} name  Empty names are ignored.
+ */
+export function renameLayer(id, name) {
+  const clean = name.trim().slice(0, LABEL_MAX);
+  if (clean) {
+    record('Renomear camada', () => {
+      const l = state.layers.find(l => l.id === id);
+      if (l) l.name = clean;
+    });
+  }
+  refreshAll();
+}
+
+/**
+ * Shows / hides or locks / unlocks a layer.  Its elements leave the
+ * selection when they stop answering the canvas.
+ *
+ * @param {number} id
+ * @param {'visible'|'locked'} key
+ */
+export function toggleLayer(id, key) {
+  const l = state.layers.find(l => l.id === id);
+  if (!l) return;
+  const on = !l[key];
+  const what = key === 'visible' ? (on ? 'Mostrar' : 'Ocultar') : (on ? 'Bloquear' : 'Desbloquear');
+  record(`${what} camada "${l.name}"`, () => { l[key] = on; });
+  _pruneSelection();
+  refreshAll();
+}
+
+/**
+ * Live opacity while the slider moves; the first move starts the history
+ * entry that commitOpacity() records.
+ *
+ * @param {number} id
+ * @param {number} opacity  0–1
+ */
+export function previewOpacity(id, opacity) {
+  const l = state.layers.find(l => l.id === id);
+  if (!l) return;
+  if (!_opacityEdit) { begin(); _opacityEdit = true; }
+  l.opacity = Math.max(0, Math.min(1, opacity));
+  draw();
+}
+
+/** Ends an opacity change, recording it. */
+export function commitOpacity(id) {
+  const l = state.layers.find(l => l.id === id);
+  if (_opacityEdit) commit(`Opacidade da camada "${l?.name}"`);
+  _opacityEdit = false;
+  refreshLayerPanel();
+}
+
+/** @param {number} id */
+export function setActiveLayer(id) {
+  if (!state.layers.some(l => l.id === id)) return;
+  state.activeLayer = id;
+  refreshLayerPanel();
+}
+
+/**
+ * Moves the selected vertices, the edges between them and the selected
+ * edge to the active layer.
+ */
+export function moveSelectionToLayer() {
+  const ids = new Set(state.selection);
+  const l   = state.layers.find(l => l.id === state.activeLayer);
+  if (!l || (!ids.size && state.selEdge === null)) { setMsg('Selecione vértices ou uma aresta'); return; }
+
+  let n = 0;
+  record(`Mover para a camada "${l.name}"`, () => {
+    for (const v of state.vertices) if (ids.has(v.id) && v.layer !== l.id) { v.layer = l.id; n++; }
+    for (const e of state.edges) {
+      const take = e.id === state.selEdge || (ids.has(e.v1) && ids.has(e.v2));
+      if (take && e.layer !== l.id) { e.layer = l.id; n++; }
+    }
+  });
+  _pruneSelection();
+  refreshAll();
+  setMsg(`${n} elemento(s) movido(s) para "${l.name}"`);
+}
+
+// ── Reordering (drag in the sidebar) ──────────────────────────────────────────
+
+/** @param {number} id  Layer picked up in the list. */
+export function startLayerDrag(id) {
+  _dragId = id;
+}
+
+/**
+ * Drops the dragged layer on the row of another: it takes that layer's
+ * place in the drawing order.
+ *
+ * @param {number} targetId
+ */
+export function dropLayer(targetId) {
+  const id = _dragId;
+  _dragId = null;
+  if (id === null || id === targetId) return;
+  moveLayer(id, state.layers.findIndex(l => l.id === targetId));
+}
+
+/**
+ * Moves a layer to a position of the drawing order (0 = bottom).
+ *
+ * @param {number} id
+ * @param {number} index
+ */
+export function moveLayer(id, index) {
+  const from = state.layers.findIndex(l => l.id === id);
+  if (from < 0 || index < 0 || index >= state.layers.length || from === index) return;
+
+  record(`Reordenar camada "${state.layers[from].name}"`, () => {
+    const [l] = state.layers.splice(from, 1);
+    state.layers.splice(index, 0, l);
+  });
+  refreshAll();
+}
+
+// ── Panel ─────────────────────────────────────────────────────────────────────
+
+/** Re-renders the layer list, top layer first. */
+export function refreshLayerPanel() {
+  const el = document.getElementById('layer-list');
+  if (!el) return;
+
+  document.getElementById('ly-count').textContent = state.layers.length;
+  document.getElementById('ly-move-btn').disabled = !state.selection.length && state.selEdge === null;
+
+  // Leave the list alone while a name is being typed; only the highlight moves
+  if (el.contains(document.activeElement) && document.activeElement.matches('.l-name')) {
+    for (const row of el.querySelectorAll('.l-item')) {
+      row.classList.toggle('active', parseInt(row.dataset.id, 10) === state.activeLayer);
+    }
+    return;
+  }
+
+  el.innerHTML = [...state.layers].reverse().map(l => {
+    const nv  = state.vertices.filter(v => v.layer === l.id).length;
+    const ne  = state.edges.filter(e => e.layer === l.id).length;
+    const pct = Math.round(l.opacity * 100);
+    return `
+      <div class="l-item${l.id === state.activeLayer ? ' active' : ''}${l.visible ? '' : ' hidden-layer'}"
+           data-id="${l.id}" draggable="true" title="${nv} vértice(s), ${ne} aresta(s) — clique para ativar">
+        <span class="l-grip" title="Arraste para reordenar">⠿</span>
+        <input type="text" class="l-name" data-id="${l.id}" value="${escapeHtml(l.name)}" maxlength="${LABEL_MAX}">
+        <button class="l-vis${l.visible ? ' active' : ''}" data-id="${l.id}" title="${l.visible ? 'Ocultar' : 'Mostrar'}">👁</button>
+        <button class="l-lock${l.locked ? ' active' : ''}" data-id="${l.id}" title="${l.locked ? 'Desbloquear' : 'Bloquear'}">🔒</button>
+        <input type="range" class="l-opacity" data-id="${l.id}" min="0" max="100" value="${pct}" title="Opacidade: ${pct}%">
+        <button class="e-del l-del" data-id="${l.id}" title="Remover camada">×</button>
+      </div>`;
+  }).join('');
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Drops from the selection what no longer answers the canvas. */
+function _pruneSelection() {
+  const ok = new Set(state.vertices.filter(isEditable).map(v => v.id));
+  state.selection = state.selection.filter(id => ok.has(id));
+  const e = state.edges.find(e => e.id === state.selEdge);
+  if (e && !isEditable(e)) state.selEdge = null;
+  if (state.edgePending !== null && !ok.has(state.edgePending)) state.edgePending = null;
+}
@@ -11,8 +11,10 @@ import { canvas, wrap }                    from './canvas.js';
 import { applyTheme }                      from './theme.js';
 import { draw }                            from './draw.js';
 import { setCoordSystem, setMode,
-         updateZoomLabel }                 from './ui.js';
+         updateZoomLabel, refreshOriginForm,
+         refreshCustomFrame }              from './ui.js';
 import { renderInfo }                      from './info.js';
+import { readSession, applyScene }        from './scene.js';
 import './events.js';   // register all event listeners (side-effects only)
 
 // ── Resize handler ────────────────────────────────────────────────────────────
@@ -21,11 +23,16 @@ function resize() {
   canvas.width  = wrap.clientWidth;
   canvas.height = wrap.clientHeight;
 
-  // Fix the math-mode origin at the canvas centre on the first resize.
-  // After that it stays constant so coordinate labels remain stable.
+  // Place the math-mode (and custom frame) origin at the canvas centre on the
+  // first resize.  After that only the user moves it, so labels remain stable.
   if (state.mathOx === null) {
-    state.mathOx = canvas.width  / 2;
-    state.mathOy = canvas.height / 2;
+    state.mathOx   = canvas.width  / 2;
+    state.mathOy   = canvas.height / 2;
+    state.cgHeight = canvas.height;
+    state.customFrame.ox = state.mathOx;
+    state.customFrame.oy = state.mathOy;
+    refreshOriginForm();    // the forms were filled before the origin existed
+    refreshCustomFrame();
   }
 
   draw();
@@ -41,3 +48,10 @@ setMode('vertex');        // default edit mode
 updateZoomLabel();        // initialise "Zoom: 100%" in status bar
 renderInfo();             // populate info panel
 resize();                 // size canvas and draw first frame
+
+// Offer to bring back the autosaved session (only if it has content)
+const saved = readSession();
+if (saved && saved.vertices.length &&
+    window.confirm(`Restaurar a sessão anterior? (${saved.vertices.length} vértice(s), ${saved.edges.length} aresta(s))`)) {
+  applyScene(saved);
+}
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview Measurement tools: edge lengths, ruler and angles.
+ *
+ *   lengths — every edge labelled with its length, next to e{id}
+ *   ruler   — two clicks (snapped like a placed vertex) give Δx, Δy, the
+ *             distance and the direction of the segment
+ *   angle   — two clicks on edges that share a vertex give the direction
+ *             of each edge from +X and the angle from the first to the second
+ *
+ * Everything is measured in the cartesian coordinates of the active frame
+ * (the Math x, y in polar), so lengths come in the units of the scale and
+ * a positive angle turns from +X towards +Y: clockwise on screen in CG,
+ * counter-clockwise in Math.  NDC stretches its axes differently, and its
+ * lengths and angles follow that stretch.
+ *
+ * The ruler and the picked edges are tool state, not part of the document:
+ * they are neither saved nor undone.
+ */
+
+import { state }                        from './state.js';
+import { isYDown, worldToCartesian,
+         formatLength, formatVector }   from './coords.js';
+import { draw }                         from './draw.js';
+import { snapPoint }                    from './snap.js';
+import { edgeAt, setMsg }               from './ui.js';
+import { renderInfo }                   from './info.js';
+
+/** Tool names shown in messages and on the buttons. */
+const TOOLS = {
+  ruler: 'Régua',
+  angle: 'Ângulo entre arestas',
+};
+
+// ── Geometry ──────────────────────────────────────────────────────────────────
+
+/**
+ * Components, length and direction of the segment p → q.
+ *
+ * @param {{x:number, y:number}} p  World-px.
+ * @param {{x:number, y:number}} q  World-px.
+ * @returns {{ dx:number, dy:number, dist:number, dir:number }}
+ *          In frame units; `dir` in radians from +X, in (−π, π].
+ */
+export function segmentMeasure(p, q) {
+  const a  = worldToCartesian(p.x, p.y);
+  const b  = worldToCartesian(q.x, q.y);
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  return { dx, dy, dist: Math.hypot(dx, dy), dir: Math.atan2(dy, dx) };
+}
+
+/**
+ * The two endpoint vertices of an edge (undefined where one is missing).
+ *
+ * @param {{v1:number, v2:number}} e
+ * @returns {Array<Object|undefined>}  [V1, V2]
+ */
+export function edgeEnds(e) {
+  return [state.vertices.find(v => v.id === e.v1), state.vertices.find(v => v.id === e.v2)];
+}
+
+/**
+ * Length of an edge in frame units (null if an endpoint is missing).
+ *
+ * @param {{v1:number, v2:number}} e
+ * @returns {number|null}
+ */
+export function edgeLength(e) {
+  const [a, b] = edgeEnds(e);
+  return a && b ? segmentMeasure({ x: a.cx, y: a.cy }, { x: b.cx, y: b.cy }).dist : null;
+}
+
+/**
+ * Label drawn at the middle of an edge: "e3" (or its custom label), or
+ * "e3 · 141.42" when edge lengths are on.  A directed edge also shows its
+ * components, "e3 = (100, -100)" (see vector.js).
+ *
+ * @param {{id:number, v1:number, v2:number, directed?:true, label?:string}} e
+ * @returns {string}
+ */
+export function edgeLabel(e) {
+  const [a, b] = edgeEnds(e);
+  const id     = e.label || `e${e.id}`;
+  if (!a || !b) return id;
+  const r    = segmentMeasure({ x: a.cx, y: a.cy }, { x: b.cx, y: b.cy });
+  const name = e.directed ? `${id} = ${formatVector(r.dx, r.dy)}` : id;
+  return state.measure.lengths ? `${name} · ${formatLength(r.dist)}` : name;
+}
+
+/**
+ * Angle between two edges that share a vertex, both read as leaving it.
+ *
+ * @param {number} id1
+ * @param {number} id2
+ * @returns {{ at:object, ends:[object, object], dir1:number, dir2:number,
+ *             angle:number }|null}
+ *          `angle` = dir2 − dir1 in (−π, π]; null when the edges do not
+ *          share exactly one vertex.
+ */
+export function edgeAngle(id1, id2) {
+  const e1 = state.edges.find(e => e.id === id1);
+  const e2 = state.edges.find(e => e.id === id2);
+  if (!e1 || !e2 || e1 === e2) return null;
+
+  const shared = [e1.v1, e1.v2].filter(v => v === e2.v1 || v === e2.v2);
+  if (shared.length !== 1) return null;
+
+  const at = shared[0];
+  const [s, a, b] = [at, e1.v1 === at ? e1.v2 : e1.v1, e2.v1 === at ? e2.v2 : e2.v1]
+    .map(id => state.vertices.find(v => v.id === id));
+  if (!s || !a || !b) return null;
+
+  const dir1 = segmentMeasure({ x: s.cx, y: s.cy }, { x: a.cx, y: a.cy }).dir;
+  const dir2 = segmentMeasure({ x: s.cx, y: s.cy }, { x: b.cx, y: b.cy }).dir;
+  return { at: s, ends: [a, b], dir1, dir2, angle: _wrap(dir2 - dir1) };
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/**
+ * Turns the edge length labels on or off.
+ *
+ * @param {boolean} on
+ */
+export function setEdgeLengths(on) {
+  state.measure.lengths = on;
+  draw();
+}
+
+/**
+ * Switches a tool on (clearing its last measurement), or off when it is
+ * already active.
+ *
+ * @param {'ruler'|'angle'} tool
+ */
+export function armMeasure(tool) {
+  const m = state.measure;
+  m.tool   = m.tool === tool ? null : tool;
+  m.points = [];
+  m.edges  = [];
+  setMsg(m.tool === 'ruler' ? 'Régua: clique em dois pontos'
+       : m.tool === 'angle' ? 'Ângulo: clique em duas arestas com um vértice em comum'
+       : '');
+  refreshMeasurePanel();
+  renderInfo();
+  draw();
+}
+
+/**
+ * Uses a canvas click for the active tool.  A click after a complete
+ * measurement starts a new one.
+ *
+ * @param {number}  wx
+ * @param {number}  wy
+ * @param {boolean} [free=false]  Ruler points skip snapping (Alt held).
+ * @returns {boolean}  Whether the click was used.
+ */
+export function placeMeasure(wx, wy, free = false) {
+  const m = state.measure;
+  if (!m.tool) return false;
+
+  if (m.tool === 'ruler') {
+    const p = snapPoint(wx, wy, { free });
+    if (m.points.length === 2) m.points = [];
+    m.points.push({ x: p.x, y: p.y });
+  } else {
+    const e = edgeAt(wx, wy);
+    if (!e) {
+      setMsg('Clique sobre uma aresta');
+      return true;
+    }
+    if (m.edges.length === 2) m.edges = [];
+    m.edges.push(e.id);
+    if (m.edges.length === 2 && !edgeAngle(...m.edges)) {
+      setMsg(`e${m.edges[0]} e e${e.id} não têm um vértice em comum — escolha a segunda aresta de novo`);
+      m.edges = [m.edges[0]];
+    }
+  }
+
+  refreshMeasurePanel();
+  draw();
+  const lines = measureLines();
+  if (lines.length) setMsg(lines.join(' · '));
+  return true;
+}
+
+/**
+ * Switches the active tool off.
+ *
+ * @returns {boolean}  Whether a tool was active.
+ */
+export function cancelMeasure() {
+  if (!state.measure.tool) return false;
+  armMeasure(state.measure.tool);
+  return true;
+}
+
+// ── Results ───────────────────────────────────────────────────────────────────
+
+/**
+ * Text of the current measurement, one fact per line (empty until the
+ * measurement is complete).
+ *
+ * @returns {string[]}
+ */
+export function measureLines() {
+  const m = state.measure;
+
+  if (m.tool === 'ruler' && m.points.length === 2) {
+    const r = segmentMeasure(...m.points);
+    return [
+      `Δx = ${formatLength(r.dx)}, Δy = ${formatLength(r.dy)}`,
+      `distância = ${formatLength(r.dist)}`,
+      `direção = ${formatAngle(r.dir)}`,
+    ];
+  }
+
+  if (m.tool === 'angle' && m.edges.length === 2) {
+    const a = edgeAngle(...m.edges);
+    if (!a) return [];
+    const [e1, e2] = m.edges;
+    return [
+      `e${e1}: ${formatAngle(a.dir1)} · e${e2}: ${formatAngle(a.dir2)}`,
+      `de e${e1} para e${e2}: ${formatAngle(a.angle)}`,
+      `ângulo entre elas: ${formatAngle(Math.abs(a.angle))}`,
+    ];
+  }
+
+  return [];
+}
+
+/**
+ * Angle in degrees and radians, e.g. "−45° (−0.7854 rad)".
+ *
+ * @param {number} rad
+ * @returns {string}
+ */
+export function formatAngle(rad) {
+  const deg = Math.round(rad * 180 / Math.PI * 100) / 100;
+  const r   = Math.round(rad * 10000) / 10000;
+  return `${_signed(deg)}° (${_signed(r)} rad)`;
+}
+
+// ── Sidebar ───────────────────────────────────────────────────────────────────
+
+/** Updates the measurement card, dropping picked edges that were deleted. */
+export function refreshMeasurePanel() {
+  const el = document.getElementById('ms-result');
+  if (!el) return;
+
+  const m = state.measure;
+  m.edges = m.edges.filter(id => state.edges.some(e => e.id === id));
+
+  document.getElementById('ms-lengths').checked = m.lengths;
+  for (const tool of Object.keys(TOOLS)) {
+    document.getElementById(`ms-${tool}-btn`).classList.toggle('active', m.tool === tool);
+  }
+
+  const sense = isYDown() ? 'horário na tela (Y↓)' : 'anti-horário na tela (Y↑)';
+  const lines = measureLines();
+  el.innerHTML = !m.tool    ? 'Escolha uma ferramenta'
+    : lines.length          ? lines.map(l => `<div>${l}</div>`).join('') +
+                              `<div class="note">Ângulos a partir de +X; positivo = de +X para +Y, ${sense}.</div>`
+    : m.tool === 'ruler'    ? `${TOOLS.ruler}: clique no ${m.points.length ? 'segundo' : 'primeiro'} ponto`
+    : `${TOOLS.angle}: clique na ${m.edges.length ? 'segunda' : 'primeira'} aresta`;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Wraps an angle into (−π, π]. */
+function _wrap(a) {
+  while (a <= -Math.PI) a += 2 * Math.PI;
+  while (a > Math.PI)   a -= 2 * Math.PI;
+  return a;
+}
+
+/** Number with a typographic minus ("−0" is printed as "0"). */
+function _signed(x) {
+  return x < 0 ? `−${-x}` : String(Math.abs(x));
+}
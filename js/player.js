@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Step player shared by the algorithm visualizers.
+ *
+ * Each visualizer keeps its own step index in `state` and knows how to
+ * advance it; the player only provides the timing — an animation-frame
+ * loop that calls `advance()` every `ms` milliseconds until it reports
+ * that the end was reached.
+ */
+
+/**
+ * @typedef {{ readonly playing: boolean, play: Function, stop: Function }} Player
+ */
+
+/**
+ * Creates a player.
+ *
+ * @param {number}           ms       Delay between steps.
+ * @param {() => boolean}    advance  Moves one step; false at the end.
+ * @param {() => void}       [onEnd]  Called when playback stops by itself.
+ * @returns {Player}
+ */
+export function createPlayer(ms, advance, onEnd = () => {}) {
+  let id = null;
+
+  const stop = () => {
+    if (id !== null) cancelAnimationFrame(id);
+    id = null;
+  };
+
+  const play = () => {
+    stop();
+    let last = performance.now();
+    const tick = now => {
+      if (now - last >= ms) {
+        last = now;
+        if (!advance()) { id = null; onEnd(); return; }
+      }
+      id = requestAnimationFrame(tick);
+    };
+    id = requestAnimationFrame(tick);
+  };
+
+  return {
+    get playing() { return id !== null; },
+    play,
+    stop,
+  };
+}
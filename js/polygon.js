@@ -0,0 +1,398 @@
+/**
+ * @fileoverview Polygons (faces) built on the vertex graph.
+ *
+ * A polygon is an ordered cycle of vertex ids stored in state.polygons.
+ * Polygons are either detected — the bounded faces of the drawing, found
+ * by walking the half-edges around each vertex in angular order — or
+ * declared from the current selection, in selection order.
+ *
+ * Every measurement is taken in the cartesian coordinates of a frame:
+ *   signed area (shoelace)   A = ½ Σ (xᵢ·yᵢ₊₁ − xᵢ₊₁·yᵢ)
+ *   winding                  A > 0 → anti-horário (CCW), A < 0 → horário (CW)
+ *   centroid                 area-weighted, Cx = Σ (xᵢ + xᵢ₊₁)(xᵢyᵢ₊₁ − xᵢ₊₁yᵢ) / 6A
+ * The sidebar reports them in both the CG and the Math systems.  Flipping
+ * Y negates A, so the same vertex order is "clockwise" in one system and
+ * "counter-clockwise" in the other — the canvas flashes when a system
+ * switch flips the reported winding.
+ */
+
+import { state }                             from './state.js';
+import { isYDown, worldToCartesian }         from './coords.js';
+import { draw }                              from './draw.js';
+import { record }                            from './history.js';
+import { refreshAll, setMsg }                from './ui.js';
+import { renderInfo }                        from './info.js';
+
+/** Duration of the "winding flipped" highlight, in ms. */
+const FLIP_MS = 1600;
+
+let _flipStart = null;
+let _flipAnim  = null;
+
+// ── Geometry ──────────────────────────────────────────────────────────────────
+
+/**
+ * Shoelace signed area of a closed polygon.
+ *
+ * @param {Array<{x:number, y:number}>} pts
+ * @returns {number}
+ */
+export function signedArea(pts) {
+  let a = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const p = pts[i];
+    const q = pts[(i + 1) % pts.length];
+    a += p.x * q.y - q.x * p.y;
+  }
+  return a / 2;
+}
+
+/**
+ * Area centroid of a closed polygon (vertex average when degenerate).
+ *
+ * @param {Array<{x:number, y:number}>} pts
+ * @returns {{ x: number, y: number }}
+ */
+export function polygonCentroid(pts) {
+  const A = signedArea(pts);
+  if (Math.abs(A) < 1e-9) {
+    return {
+      x: pts.reduce((s, p) => s + p.x, 0) / pts.length,
+      y: pts.reduce((s, p) => s + p.y, 0) / pts.length,
+    };
+  }
+
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const p = pts[i];
+    const q = pts[(i + 1) % pts.length];
+    const k = p.x * q.y - q.x * p.y;
+    cx += (p.x + q.x) * k;
+    cy += (p.y + q.y) * k;
+  }
+  return { x: cx / (6 * A), y: cy / (6 * A) };
+}
+
+/**
+ * Classifies a polygon: self-intersecting when two non-adjacent sides
+ * cross, otherwise convex when every corner turns the same way.
+ *
+ * @param {Array<{x:number, y:number}>} pts
+ * @returns {'convexo'|'côncavo'|'auto-intersectante'}
+ */
+export function polygonShape(pts) {
+  const n = pts.length;
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue;   // adjacent through the closing side
+      if (_segmentsCross(pts[i], pts[(i + 1) % n], pts[j], pts[(j + 1) % n])) return 'auto-intersectante';
+    }
+  }
+
+  let sign = 0;
+  for (let i = 0; i < n; i++) {
+    const c = _cross(pts[i], pts[(i + 1) % n], pts[(i + 2) % n]);
+    if (Math.abs(c) < 1e-9) continue;
+    if (sign === 0) sign = Math.sign(c);
+    else if (Math.sign(c) !== sign) return 'côncavo';
+  }
+  return 'convexo';
+}
+
+/**
+ * Area, winding and centroid of a polygon in the cartesian coordinates
+ * of a coordinate system.
+ *
+ * @param {{ verts: number[] }} poly
+ * @param {string} [sys=state.coordSystem]
+ * @returns {{ area: number, ccw: boolean, centroid: {x:number, y:number},
+ *             shape: string }|null}  centroid in world-px.
+ */
+export function polygonMetrics(poly, sys = state.coordSystem) {
+  const pts = _worldPoints(poly);
+  if (!pts) return null;
+
+  const cart = pts.map(p => worldToCartesian(p.x, p.y, sys));
+  const area = signedArea(cart);
+  return {
+    area,
+    ccw:      area > 0,
+    centroid: polygonCentroid(pts),   // affine-invariant: same point in every frame
+    shape:    polygonShape(cart),
+  };
+}
+
+// ── Detection ─────────────────────────────────────────────────────────────────
+
+/**
+ * Bounded faces of the drawing as vertex cycles.
+ *
+ * Half-edge walk: arriving at v from u, leave along the neighbour that
+ * comes next after u in v's angular order.  Each directed edge belongs
+ * to exactly one face; bounded faces come out with one orientation and
+ * the outer boundary of each component with the other, so keeping one
+ * sign of area keeps the faces.  Faces that revisit a vertex (bridges,
+ * dangling edges) are not simple polygons and are dropped.
+ *
+ * @returns {number[][]}
+ */
+export function detectFaces() {
+  const pos = new Map(state.vertices.map(v => [v.id, v]));
+  const nbr = new Map(state.vertices.map(v => [v.id, []]));
+  for (const e of state.edges) {
+    if (!pos.has(e.v1) || !pos.has(e.v2)) continue;
+    nbr.get(e.v1).push(e.v2);
+    nbr.get(e.v2).push(e.v1);
+  }
+
+  // Neighbours sorted by angle (world-px, Y down → clockwise on screen)
+  for (const [id, list] of nbr) {
+    const v = pos.get(id);
+    list.sort((a, b) =>
+      Math.atan2(pos.get(a).cy - v.cy, pos.get(a).cx - v.cx) -
+      Math.atan2(pos.get(b).cy - v.cy, pos.get(b).cx - v.cx));
+  }
+
+  const used  = new Set();
+  const faces = [];
+
+  for (const [u0, list] of nbr) {
+    for (const v0 of list) {
+      if (used.has(`${u0}>${v0}`)) continue;
+
+      const face = [];
+      let u = u0;
+      let v = v0;
+      while (!used.has(`${u}>${v}`)) {
+        used.add(`${u}>${v}`);
+        face.push(u);
+        const around = nbr.get(v);
+        const next   = around[(around.indexOf(u) + 1) % around.length];
+        u = v;
+        v = next;
+      }
+
+      if (face.length < 3 || new Set(face).size !== face.length) continue;
+      const area = signedArea(face.map(id => ({ x: pos.get(id).cx, y: pos.get(id).cy })));
+      if (area < -1e-9) faces.push(face);
+    }
+  }
+
+  return faces;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/** Adds every detected face that is not a polygon yet (undoable). */
+export function detectPolygons() {
+  const known = new Set(state.polygons.map(p => _key(p.verts)));
+  const fresh = detectFaces().filter(f => !known.has(_key(f)));
+  if (!fresh.length) {
+    setMsg('Nenhum ciclo fechado novo encontrado');
+    return;
+  }
+
+  record(`Detectar ${fresh.length} polígono(s)`, () => {
+    for (const verts of fresh) state.polygons.push({ id: state.nextPid++, verts });
+  });
+  refreshAll();
+  renderInfo();
+  setMsg(`${fresh.length} polígono(s) detectado(s)`);
+}
+
+/** Declares a polygon through the selected vertices, in selection order (undoable). */
+export function polygonFromSelection() {
+  const verts = [...state.selection];
+  if (verts.length < 3) {
+    setMsg('Selecione ao menos 3 vértices, na ordem do contorno');
+    return;
+  }
+  if (state.polygons.some(p => _key(p.verts) === _key(verts))) {
+    setMsg('Esse polígono já existe');
+    return;
+  }
+
+  const id = state.nextPid;
+  record(`Adicionar P${id}`, () => {
+    state.polygons.push({ id: state.nextPid++, verts });
+  });
+  refreshAll();
+  renderInfo();
+  setMsg(`Polígono P${id}: ${verts.map(v => `V${v}`).join(' → ')}`);
+}
+
+/**
+ * Removes a polygon (its vertices and edges stay).
+ *
+ * @param {number} id
+ */
+export function deletePolygon(id) {
+  record(`Remover P${id}`, () => {
+    state.polygons = state.polygons.filter(p => p.id !== id);
+  });
+  refreshAll();
+  renderInfo();
+}
+
+/**
+ * Drops deleted vertices from every polygon and removes polygons left with
+ * fewer than 3 corners.  Call inside the record() of a vertex removal.
+ */
+export function prunePolygons() {
+  const ids = new Set(state.vertices.map(v => v.id));
+  state.polygons = state.polygons
+    .map(p => ({ ...p, verts: p.verts.filter(v => ids.has(v)) }))
+    .filter(p => p.verts.length >= 3);
+}
+
+/**
+ * Inserts vertex `mid` between consecutive corners a and b of every
+ * polygon (used when an edge is split).  Call inside record().
+ *
+ * @param {number} a
+ * @param {number} b
+ * @param {number} mid
+ */
+export function insertIntoPolygons(a, b, mid) {
+  for (const p of state.polygons) {
+    const n = p.verts.length;
+    for (let i = 0; i < n; i++) {
+      const p0 = p.verts[i];
+      const p1 = p.verts[(i + 1) % n];
+      if ((p0 === a && p1 === b) || (p0 === b && p1 === a)) {
+        p.verts.splice(i + 1, 0, mid);
+        break;
+      }
+    }
+  }
+}
+
+// ── Winding flip cue ──────────────────────────────────────────────────────────
+
+/**
+ * Called after a coordinate-system switch: if the Y axis changed direction
+ * the reported winding of every polygon flips, so highlight them briefly.
+ *
+ * @param {string} prevSys
+ */
+export function noteWindingFlip(prevSys) {
+  if (!state.polygons.length) return;
+
+  const prevDown = isYDown(prevSys);
+  if (prevDown === isYDown()) return;
+
+  setMsg('Y inverteu: o sentido dos polígonos passou de ' +
+         (prevDown ? 'horário ↔ anti-horário' : 'anti-horário ↔ horário') +
+         ' (a área assinada trocou de sinal)');
+
+  _flipStart = performance.now();
+  if (_flipAnim !== null) return;
+  const step = () => {
+    draw();
+    if (flipProgress() === null) { _flipAnim = null; return; }
+    _flipAnim = requestAnimationFrame(step);
+  };
+  _flipAnim = requestAnimationFrame(step);
+}
+
+/**
+ * Progress of the flip highlight in [0, 1), or null when inactive.
+ *
+ * @returns {number|null}
+ */
+export function flipProgress() {
+  if (_flipStart === null) return null;
+  const t = (performance.now() - _flipStart) / FLIP_MS;
+  if (t >= 1) { _flipStart = null; return null; }
+  return t;
+}
+
+// ── Sidebar ───────────────────────────────────────────────────────────────────
+
+/** Re-renders the polygon list with its CG / Math measurements. */
+export function refreshPolygonList() {
+  const el = document.getElementById('poly-list');
+  if (!el) return;
+
+  document.getElementById('p-count').textContent = state.polygons.length;
+  document.getElementById('poly-from-sel-btn').disabled = state.selection.length < 3;
+
+  if (!state.polygons.length) {
+    el.innerHTML = '<div class="empty-hint">Nenhum polígono — detecte ciclos ou use a seleção</div>';
+    return;
+  }
+
+  el.innerHTML = state.polygons.map(p => {
+    const cg   = polygonMetrics(p, 'cg');
+    const math = polygonMetrics(p, 'math');
+    if (!cg || !math) return '';
+    const c    = cg.centroid;
+    const cell = (m, sys) => `${_fmt(m.area)}<br>${_winding(m.ccw)}<br>${_centroidText(c, sys)}`;
+
+    return `
+      <div class="p-item" data-id="${p.id}">
+        <div class="p-head">
+          <span>P${p.id}: ${p.verts.map(v => `V${v}`).join('→')}</span>
+          <button class="p-del" data-id="${p.id}" title="Remover polígono">×</button>
+        </div>
+        <table class="p-table">
+          <tr><th></th><th class="sys-cg">CG</th><th class="sys-math">Mat.</th></tr>
+          <tr><td>Área<br>Sentido<br>Centroide</td><td>${cell(cg, 'cg')}</td><td>${cell(math, 'math')}</td></tr>
+        </table>
+        <div class="p-shape">${cg.shape}</div>
+      </div>`;
+  }).join('');
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Corner positions in world-px, or null if a corner no longer exists. */
+function _worldPoints(poly) {
+  const pts = [];
+  for (const id of poly.verts) {
+    const v = state.vertices.find(v => v.id === id);
+    if (!v) return null;
+    pts.push({ x: v.cx, y: v.cy });
+  }
+  return pts;
+}
+
+/** z of (b − a) × (c − a): > 0 when a → b → c turns counter-clockwise (Y up). */
+function _cross(a, b, c) {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+/** Whether segments pq and rs intersect (touching counts). */
+function _segmentsCross(p, q, r, s) {
+  const d1 = _cross(r, s, p);
+  const d2 = _cross(r, s, q);
+  const d3 = _cross(p, q, r);
+  const d4 = _cross(p, q, s);
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+      ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) return true;
+
+  const on = (a, b, c, d) => Math.abs(d) < 1e-9 &&
+    Math.min(a.x, b.x) - 1e-9 <= c.x && c.x <= Math.max(a.x, b.x) + 1e-9 &&
+    Math.min(a.y, b.y) - 1e-9 <= c.y && c.y <= Math.max(a.y, b.y) + 1e-9;
+  return on(r, s, p, d1) || on(r, s, q, d2) || on(p, q, r, d3) || on(p, q, s, d4);
+}
+
+/** Order-independent identity of a vertex cycle. */
+function _key(verts) {
+  return [...verts].sort((a, b) => a - b).join(',');
+}
+
+function _winding(ccw) {
+  return ccw ? '↺ anti-horário' : '↻ horário';
+}
+
+function _centroidText(c, sys) {
+  const p = worldToCartesian(c.x, c.y, sys);
+  return `(${_fmt(p.x)}, ${_fmt(p.y)})`;
+}
+
+function _fmt(x) {
+  const r = Math.round(x * 10) / 10;
+  return String(Object.is(r, -0) ? 0 : r);
+}
@@ -0,0 +1,470 @@
+/**
+ * @fileoverview Line rasterization visualizer.
+ *
+ * Treats the cells of the adaptive grid (grid.js gridStep) as pixels and
+ * shows which of them DDA, Bresenham or Xiaolin Wu's algorithm lights up
+ * for every edge.  The pixel lattice lives in the cartesian coordinates of
+ * the CG frame — or of the Math frame in every other system, since the
+ * NDC, polar and custom grids are not square pixel lattices — so the same
+ * edge is rasterized with j growing down in CG and up in Math.
+ *
+ * Two conventions place pixel (i, j):
+ *   center — the pixel is centred on the lattice point (i, j): grid lines
+ *            run through pixel centres and endpoints round to the nearest
+ *            point
+ *   corner — the pixel is the grid cell [i, i+1] × [j, j+1]: grid lines are
+ *            pixel borders and endpoints truncate (floor)
+ *
+ * The algorithms work on coordinates where pixel centres are integers and
+ * return their steps — the pixels plotted plus a row of the variables held
+ * at that moment — so the player can replay the followed edge (the
+ * selected one, or the first) and the info panel can print the trace.
+ */
+
+import { state }                              from './state.js';
+import { worldToCartesian, cartesianToWorld,
+         pxPerUnit }                          from './coords.js';
+import { gridStep }                           from './grid.js';
+import { draw }                               from './draw.js';
+import { setMsg }                             from './ui.js';
+import { renderInfo, showTab }                from './info.js';
+import { createPlayer }                       from './player.js';
+
+/** Delay between steps while playing, in ms. */
+const STEP_MS = 400;
+
+/** Longest trace printed in the info panel. */
+const MAX_ROWS = 300;
+
+/** Algorithm catalogue. */
+export const ALGOS = {
+  dda:       { name: 'DDA',        run: rasterizeDDA       },
+  bresenham: { name: 'Bresenham',  run: rasterizeBresenham },
+  wu:        { name: 'Xiaolin Wu', run: rasterizeWu        },
+};
+
+/**
+ * @typedef {{ i:number, j:number, a:number }} Pixel   a = intensity in [0, 1]
+ * @typedef {{ px: Pixel[], row: string[],
+ *             exact?: {x:number, y:number} }} RasterStep
+ * @typedef {{ setup: Array<[string, string]>, columns: string[],
+ *             steps: RasterStep[] }} RasterTrace
+ */
+
+const _player = createPlayer(STEP_MS, () => stepRaster(1), () => refreshRasterPanel());
+
+// ── Algorithms ────────────────────────────────────────────────────────────────
+
+/**
+ * Digital Differential Analyzer: n = max(|Δx|, |Δy|) steps of
+ * (Δx/n, Δy/n), rounding the running point to the nearest pixel.
+ *
+ * @param {number} x0  Integer endpoints (pixel-centre coordinates).
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @returns {RasterTrace}
+ */
+export function rasterizeDDA(x0, y0, x1, y1) {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const n  = Math.max(Math.abs(dx), Math.abs(dy));
+  const xi = n ? dx / n : 0;
+  const yi = n ? dy / n : 0;
+
+  const steps = [];
+  for (let k = 0; k <= n; k++) {
+    // x₀ + k·xᵢ is what adding the increment k times gives, without drift
+    const x = x0 + k * xi;
+    const y = y0 + k * yi;
+    const i = Math.round(x);
+    const j = Math.round(y);
+    steps.push({ px: [{ i, j, a: 1 }], exact: { x, y }, row: [k, _f(x), _f(y), `(${i}, ${j})`] });
+  }
+
+  return {
+    setup: [
+      ['Δx, Δy',   `${dx}, ${dy}`],
+      ['passos n', `max(|Δx|, |Δy|) = ${n}`],
+      ['incremento', `(${_f(xi)}, ${_f(yi)}) por passo`],
+    ],
+    columns: ['k', 'x', 'y', 'pixel = round'],
+    steps,
+  };
+}
+
+/**
+ * Bresenham's midpoint algorithm with integer arithmetic only.  Steps one
+ * pixel along the major axis; the decision variable d says whether the
+ * minor coordinate also moves (d > 0) or stays (d ≤ 0).
+ *
+ * @param {number} x0  Integer endpoints (pixel-centre coordinates).
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @returns {RasterTrace}
+ */
+export function rasterizeBresenham(x0, y0, x1, y1) {
+  const dx    = Math.abs(x1 - x0);
+  const dy    = Math.abs(y1 - y0);
+  const sx    = x1 >= x0 ? 1 : -1;
+  const sy    = y1 >= y0 ? 1 : -1;
+  const steep = dy > dx;
+  const [A, B] = steep ? [dy, dx] : [dx, dy];   // major / minor deltas
+  const [M, m] = steep ? ['y', 'x'] : ['x', 'y'];
+
+  const incStraight = 2 * B;
+  const incDiag     = 2 * (B - A);
+  let x = x0;
+  let y = y0;
+  let d = 2 * B - A;
+
+  const steps = [];
+  for (let k = 0; k <= A; k++) {
+    let next = '—';
+    const px = [{ i: x, j: y, a: 1 }];
+    const d0 = d;
+
+    if (k < A) {
+      if (d > 0) {
+        next = `d > 0 → ${M}${_sign(steep ? sy : sx)}, ${m}${_sign(steep ? sx : sy)}`;
+        if (steep) x += sx; else y += sy;
+        d += incDiag;
+      } else {
+        next = `d ≤ 0 → só ${M}${_sign(steep ? sy : sx)}`;
+        d += incStraight;
+      }
+      if (steep) y += sy; else x += sx;
+    }
+    steps.push({ px, row: [k, px[0].i, px[0].j, d0, next] });
+  }
+
+  return {
+    setup: [
+      ['Δx, Δy',        `${dx}, ${dy} (eixo principal ${M})`],
+      ['d₀',            `2·Δ${m} − Δ${M} = ${2 * B - A}`],
+      ['d > 0 (diagonal)', `d += 2·(Δ${m} − Δ${M}) = ${incDiag}`],
+      ['d ≤ 0 (reto)',  `d += 2·Δ${m} = ${incStraight}`],
+    ],
+    columns: ['k', 'x', 'y', 'd', 'decisão'],
+    steps,
+  };
+}
+
+/**
+ * Xiaolin Wu's anti-aliased line: for each column of the major axis the
+ * exact crossing y is split between the two pixels around it, with
+ * intensities 1 − f and f (f = fractional part of y).  Endpoints are
+ * weighted by how much of their column the segment covers.
+ *
+ * @param {number} x0  Real endpoints (pixel centres at integers).
+ * @param {number} y0
+ * @param {number} x1
+ * @param {number} y1
+ * @returns {RasterTrace}
+ */
+export function rasterizeWu(x0, y0, x1, y1) {
+  const steep = Math.abs(y1 - y0) > Math.abs(x1 - x0);
+  if (steep) [x0, y0, x1, y1] = [y0, x0, y1, x1];
+  if (x0 > x1) [x0, y0, x1, y1] = [x1, y1, x0, y0];
+
+  const dx = x1 - x0;
+  const g  = dx === 0 ? 1 : (y1 - y0) / dx;
+  const [M, m] = steep ? ['y', 'x'] : ['x', 'y'];
+  const at = (u, v, a) => (steep ? { i: v, j: u, a } : { i: u, j: v, a });
+
+  const steps = [];
+  const column = (u, v, gap) => {
+    const vi = Math.floor(v);
+    const f  = v - vi;
+    const px = [at(u, vi, (1 - f) * gap), at(u, vi + 1, f * gap)];
+    const pct = px.map(p => `(${p.i}, ${p.j}) ${Math.round(p.a * 100)}%`).join(' · ');
+    steps.push({
+      px,
+      exact: steep ? { x: v, y: u } : { x: u, y: v },
+      row:   [u, _f(v), vi, _f(f), gap === 1 ? pct : `${pct} (×${_f(gap)})`],
+    });
+  };
+
+  // First endpoint, then every column in between, then the last endpoint
+  const xs = Math.round(x0);
+  const xe = Math.round(x1);
+  column(xs, y0 + g * (xs - x0), 1 - _frac(x0 + .5));
+  let v = y0 + g * (xs - x0) + g;
+  for (let u = xs + 1; u < xe; u++, v += g) column(u, v, 1);
+  if (xe !== xs) column(xe, y1 + g * (xe - x1), _frac(x1 + .5));
+
+  return {
+    setup: [
+      ['eixo principal', steep ? 'y (|Δy| > |Δx|: x e y trocados)' : 'x'],
+      ['gradiente',      `Δ${m} / Δ${M} = ${_f(g)}`],
+      ['intensidades',   `1 − f e f, com f = ${m} − ⌊${m}⌋`],
+    ],
+    columns: [M, `${m} exato`, `⌊${m}⌋`, 'f', 'pixels (intensidade)'],
+    steps,
+  };
+}
+
+// ── Lattice ───────────────────────────────────────────────────────────────────
+
+/**
+ * Pixel size in world-px: one cell of the adaptive grid.
+ *
+ * @returns {number}
+ */
+export function pixelSize() {
+  return gridStep(state.zoom);
+}
+
+/**
+ * Frame whose cartesian grid is the pixel lattice.
+ *
+ * @returns {'cg'|'math'}
+ */
+export function rasterFrame() {
+  return state.coordSystem === 'cg' ? 'cg' : 'math';
+}
+
+/**
+ * Converts algorithm coordinates (pixel centres at integers) to world-px.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @returns {{ x: number, y: number }}
+ */
+export function latticeToWorld(x, y) {
+  const s = pixelSize() / pxPerUnit();
+  const k = _shift();
+  return cartesianToWorld((x + k) * s, (y + k) * s, rasterFrame());
+}
+
+/**
+ * World-px → algorithm coordinates (pixel centres at integers).
+ *
+ * @param {number} wx
+ * @param {number} wy
+ * @returns {{ x: number, y: number }}
+ */
+export function worldToLattice(wx, wy) {
+  const s = pixelSize() / pxPerUnit();
+  const k = _shift();
+  const c = worldToCartesian(wx, wy, rasterFrame());
+  return { x: c.x / s - k, y: c.y / s - k };
+}
+
+/**
+ * World-px rectangle covered by pixel (i, j).
+ *
+ * @param {number} i
+ * @param {number} j
+ * @returns {{ x: number, y: number, w: number, h: number }}
+ */
+export function pixelRect(i, j) {
+  const a = latticeToWorld(i - .5, j - .5);
+  const b = latticeToWorld(i + .5, j + .5);
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    w: Math.abs(b.x - a.x),
+    h: Math.abs(b.y - a.y),
+  };
+}
+
+/**
+ * Runs the active algorithm on an edge.
+ *
+ * @param {{ v1: number, v2: number }} edge
+ * @returns {RasterTrace|null}  null when an endpoint is missing.
+ */
+export function edgeRaster(edge) {
+  const a = state.vertices.find(v => v.id === edge.v1);
+  const b = state.vertices.find(v => v.id === edge.v2);
+  if (!a || !b) return null;
+
+  const p0 = worldToLattice(a.cx, a.cy);
+  const p1 = worldToLattice(b.cx, b.cy);
+  const { algo } = state.raster;
+
+  if (algo === 'wu') return rasterizeWu(p0.x, p0.y, p1.x, p1.y);
+
+  // Integer endpoints: the pixel with the nearest centre — which, in the
+  // corner convention, is the grid cell that contains the point
+  const r = Math.round;
+  return ALGOS[algo].run(r(p0.x), r(p0.y), r(p1.x), r(p1.y));
+}
+
+/**
+ * Edge replayed by the player: the selected edge, or the first one.
+ *
+ * @returns {{ id: number, v1: number, v2: number }|null}
+ */
+export function followedEdge() {
+  return state.edges.find(e => e.id === state.selEdge) ?? state.edges[0] ?? null;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/**
+ * Changes a rasterization setting ('on', 'algo' or 'convention').
+ *
+ * @param {'on'|'algo'|'convention'} key
+ * @param {boolean|string} value
+ */
+export function setRaster(key, value) {
+  state.raster[key] = value;
+  if (key === 'on') {
+    _player.stop();
+    state.raster.step = null;
+    if (value) _showTrace();
+  }
+  refreshRasterPanel();
+  draw();
+}
+
+/**
+ * Moves the player by `delta` steps on the followed edge.
+ *
+ * @param {number} delta
+ * @returns {boolean}  false when the player could not move (at an end).
+ */
+export function stepRaster(delta) {
+  const trace = _followedTrace();
+  if (!trace) { setMsg('Crie uma aresta para rasterizar'); return false; }
+
+  const n    = trace.steps.length;
+  const cur  = state.raster.step ?? (delta > 0 ? -1 : n);
+  const next = Math.max(0, Math.min(n - 1, cur + delta));
+
+  state.raster.on = true;
+  _showTrace();
+  const moved = next !== state.raster.step;
+  state.raster.step = next;
+  refreshRasterPanel();
+  draw();
+  return moved;
+}
+
+/** Back to the first step of the followed edge. */
+export function resetRaster() {
+  _player.stop();
+  state.raster.step = null;
+  stepRaster(1);
+}
+
+/** Plays the followed edge step by step, or pauses. */
+export function toggleRasterPlay() {
+  if (_player.playing) { _player.stop(); refreshRasterPanel(); return; }
+
+  const trace = _followedTrace();
+  if (!trace) { setMsg('Crie uma aresta para rasterizar'); return; }
+
+  // Start over when nothing is being stepped or the end was reached
+  if (state.raster.step === null || state.raster.step >= trace.steps.length - 1) {
+    state.raster.step = null;
+    stepRaster(1);
+  }
+  _player.play();
+  refreshRasterPanel();
+}
+
+// ── Sidebar / info panel ──────────────────────────────────────────────────────
+
+/** Updates the rasterization card and, if visible, the trace tab. */
+export function refreshRasterPanel() {
+  const el = document.getElementById('rs-status');
+  if (!el) return;
+
+  const { on, algo, convention, step } = state.raster;
+  document.getElementById('rs-on').checked   = on;
+  document.getElementById('rs-algo').value   = algo;
+  document.getElementById('rs-conv').value   = convention;
+  document.getElementById('rs-play').textContent = _player.playing ? '⏸' : '▶';
+
+  const edge  = followedEdge();
+  const trace = _followedTrace();
+  if (!trace) {
+    el.textContent = 'Nenhuma aresta para rasterizar';
+  } else {
+    if (step !== null && step >= trace.steps.length) state.raster.step = trace.steps.length - 1;
+    const pos = state.raster.step === null ? 'completa' : `passo ${state.raster.step + 1} / ${trace.steps.length}`;
+    el.textContent = `e${edge.id}: ${pos} · pixel = ${pixelSize()} px`;
+  }
+
+  if (state.activeTab === 'steps' && state.stepTool === 'raster') renderInfo();
+}
+
+/**
+ * HTML for the info panel trace tab.
+ *
+ * @returns {string}
+ */
+export function rasterInfo() {
+  const { on, algo, convention, step } = state.raster;
+  if (!on) {
+    return `
+    <h4>Passo a passo</h4>
+    <p>Ative <strong>Mostrar pixels</strong> no card <strong>Rasterização de Retas</strong>
+    para ver quais células da grade cada algoritmo acende e acompanhar as variáveis a cada passo.</p>`;
+  }
+
+  const edge  = followedEdge();
+  const trace = _followedTrace();
+  if (!trace) return '<h4>Rasterização</h4><p>Crie uma aresta para rasterizar.</p>';
+
+  const s    = pixelSize();
+  const conv = convention === 'center'
+    ? 'pixel (i, j) centrado no ponto (i, j) da grade — extremos arredondados'
+    : 'pixel (i, j) = célula [i, i+1] × [j, j+1] — extremos truncados';
+  const frameNote = rasterFrame() === 'cg'
+    ? 'j cresce para baixo (CG)'
+    : 'j cresce para cima (grade do Matemático)';
+
+  const rows = trace.steps.slice(0, MAX_ROWS).map((st, k) =>
+    `<tr${k === step ? ' class="cur"' : ''}>${st.row.map(c => `<td>${c}</td>`).join('')}</tr>`);
+  if (trace.steps.length > MAX_ROWS) {
+    rows.push(`<tr><td colspan="${trace.columns.length}">… mais ${trace.steps.length - MAX_ROWS} passos</td></tr>`);
+  }
+
+  return `
+  <h4>${ALGOS[algo].name} — aresta e${edge.id}${step === null ? '' : ` · passo ${step + 1} de ${trace.steps.length}`}</h4>
+  <div class="trace-setup">${trace.setup.map(([k, v]) => `<span>${k}: <span class="hl">${v}</span></span>`).join('')}</div>
+  <table class="trace">
+    <tr>${trace.columns.map(c => `<th>${c}</th>`).join('')}</tr>
+    ${rows.join('')}
+  </table>
+  <div class="note">
+    1 pixel = 1 célula da grade = ${s} px (muda com o zoom) · ${conv} · ${frameNote}.
+  </div>`;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Offset of pixel centres from the lattice points, in pixels. */
+function _shift() {
+  return state.raster.convention === 'corner' ? .5 : 0;
+}
+
+function _followedTrace() {
+  const edge = followedEdge();
+  return edge ? edgeRaster(edge) : null;
+}
+
+/** Makes the rasterization trace the content of the "Passo a passo" tab. */
+function _showTrace() {
+  state.stepTool = 'raster';
+  if (state.activeTab === 'steps') renderInfo();
+  else showTab('steps');
+}
+
+function _sign(s) {
+  return s > 0 ? '+1' : '−1';
+}
+
+function _frac(x) {
+  return x - Math.floor(x);
+}
+
+function _f(x) {
+  const r = Math.round(x * 1000) / 1000;
+  return String(Object.is(r, -0) ? 0 : r);
+}
@@ -0,0 +1,514 @@
+/**
+ * @fileoverview Scene persistence.
+ *
+ * A scene is a versioned JSON document holding the graph, the coordinate
+ * system, the mathematical origin and the view transform:
+ *
+ *   {
+ *     "format":  "cg-coord-system/scene",
+ *     "version": 11,
+ *     "coordSystem": "cg" | "math" | "ndc" | "polar" | "custom",
+ *     "mathOrigin":  { "x": number, "y": number },
+ *     "cgHeight":    number,
+ *     "customFrame": { "x": number, "y": number, "angle": number, "scale": number },
+ *     "units":       { "precision": string, "cell": number, "unit": "" | "px" | "cm" | "m" },
+ *     "view":        { "zoom": number, "panX": number, "panY": number },
+ *     "layers":      [{ "id": int, "name": string, "visible": boolean,
+ *                       "locked": boolean, "opacity": number }, …],
+ *     "vertices":    [{ "id": int, "layer": int, "cx": number, "cy": number, "label"?: string,
+ *                       "color"?: "#rrggbb", "size"?: number, "shape"?: string }],
+ *     "edges":       [{ "id": int, "layer": int, "v1": int, "v2": int, "directed"?: true,
+ *                       "weight"?: number, "label"?: string, "color"?: "#rrggbb",
+ *                       "width"?: number, "dash"?: string }],
+ *     "polygons":    [{ "id": int, "verts": [int, …] }],
+ *     "curves":      [{ "id": int, "type": "bezier2" | "bezier3" | "bspline" | "catmull",
+ *                       "verts": [int, …] }],
+ *     "nextVid": int, "nextEid": int, "nextPid": int, "nextCid": int, "nextLid": int
+ *   }
+ *
+ * Vertex positions, both origins and the CG screen height are stored in
+ * world-px, exactly as in `state`; the custom frame angle is in degrees,
+ * its scale in px per unit.  `units` only changes how coordinates are
+ * shown (see coords.js): `cell` units per grid cell, rounded to `precision`.
+ * Layers are listed in drawing order, bottom first (see layers.js).
+ * The same document is used for file export/import and for the
+ * localStorage autosave.
+ */
+
+import { state }                              from './state.js';
+import { canvas }                             from './canvas.js';
+import { SYSTEMS, PRECISIONS, UNITS }        from './coords.js';
+import { record }                             from './history.js';
+import { applyCoordSystem, updateZoomLabel,
+         setMsg }                             from './ui.js';
+import { downloadFile, openTextFile }         from './io.js';
+import { CURVE_TYPES }                        from './curve.js';
+import { VERTEX_STYLE, EDGE_STYLE,
+         attrError }                          from './attrs.js';
+
+export const SCENE_FORMAT  = 'cg-coord-system/scene';
+export const SCENE_VERSION = 11;
+
+/** localStorage key for the autosaved session. */
+const AUTOSAVE_KEY = 'cg-coord-system:autosave';
+
+/** Delay (ms) between the last change and the autosave write. */
+const AUTOSAVE_DELAY = 800;
+
+/**
+ * Upgrades documents written by older versions, one version at a time.
+ * Each entry converts a document of version `n` to version `n + 1`.
+ *
+ * @type {Object<number, function(Object): Object>}
+ */
+const MIGRATIONS = {
+  // v2 adds the custom frame; start it on the math origin
+  1: d => ({ ...d, customFrame: { x: d.mathOrigin?.x, y: d.mathOrigin?.y, angle: 30, scale: 50 } }),
+  // v3 adds the CG height; older scenes always had the origin at the centre,
+  // unless it was dragged to the top edge or above: then use the canvas height
+  2: d => {
+    const h = Math.round((d.mathOrigin?.y ?? 0) * 2);
+    return { ...d, cgHeight: h > 0 ? h : canvas.height };
+  },
+  // v4 adds polygons
+  3: d => ({ ...d, polygons: [], nextPid: 0 }),
+  // v5 adds curves
+  4: d => ({ ...d, curves: [], nextCid: 0 }),
+  // v6 adds optional vertex labels; older vertices simply have none
+  5: d => d,
+  // v7 adds the display units; older scenes showed 1 unit per px
+  6: d => ({ ...d, units: { precision: 'auto', cell: 50, unit: '' } }),
+  // v8 adds optional edge directions; older edges are undirected
+  7: d => d,
+  // v9 adds optional custom edge weights; older edges weigh the default 1
+  8: d => d,
+  // v10 adds optional per-element attributes (see attrs.js); unset ones follow the theme
+  9: d => d,
+  // v11 adds layers; everything goes to a single visible, unlocked one
+  10: d => ({
+    ...d,
+    layers:   [{ id: 0, name: 'Camada 1', visible: true, locked: false, opacity: 1 }],
+    nextLid:  1,
+    vertices: _onLayer(d.vertices, 0),
+    edges:    _onLayer(d.edges, 0),
+  }),
+};
+
+/** Error raised for files that are not valid scene documents. */
+export class SceneError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SceneError';
+  }
+}
+
+// ── Serialisation ─────────────────────────────────────────────────────────────
+
+/**
+ * Builds a scene document from the current state.
+ *
+ * @returns {Object}
+ */
+export function serializeScene() {
+  const { ox, oy, angle, scale } = state.customFrame;
+  return {
+    format:      SCENE_FORMAT,
+    version:     SCENE_VERSION,
+    coordSystem: state.coordSystem,
+    mathOrigin:  { x: state.mathOx, y: state.mathOy },
+    cgHeight:    state.cgHeight,
+    customFrame: { x: ox, y: oy, angle, scale },
+    units:       { ...state.units },
+    view:        { zoom: state.zoom, panX: state.panX, panY: state.panY },
+    layers:      state.layers.map(_layerDoc),
+    vertices:    state.vertices.map(_vertexDoc),
+    edges:       state.edges.map(_edgeDoc),
+    polygons:    state.polygons.map(({ id, verts }) => ({ id, verts: [...verts] })),
+    curves:      state.curves.map(({ id, type, verts }) => ({ id, type, verts: [...verts] })),
+    nextVid:     state.nextVid,
+    nextEid:     state.nextEid,
+    nextPid:     state.nextPid,
+    nextCid:     state.nextCid,
+    nextLid:     state.nextLid,
+  };
+}
+
+/**
+ * Parses and validates a scene document.
+ *
+ * @param {string} text  File contents.
+ * @returns {Object}     A normalised scene at SCENE_VERSION.
+ * @throws {SceneError}  With a message describing the first problem found.
+ */
+export function parseScene(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw new SceneError(`O arquivo não é um JSON válido (${err.message}).`);
+  }
+  return validateScene(doc);
+}
+
+/**
+ * Validates an already-parsed scene document, migrating older versions.
+ *
+ * @param {*} doc
+ * @returns {Object}
+ * @throws {SceneError}
+ */
+export function validateScene(doc) {
+  if (!_isObject(doc)) throw new SceneError('O documento deve ser um objeto JSON.');
+  if (doc.format !== SCENE_FORMAT) {
+    throw new SceneError(`Formato desconhecido: esperado "${SCENE_FORMAT}", encontrado ${JSON.stringify(doc.format)}.`);
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new SceneError('Campo "version" ausente ou inválido.');
+  }
+  if (doc.version > SCENE_VERSION) {
+    throw new SceneError(`Cena na versão ${doc.version}, mas este app lê até a versão ${SCENE_VERSION}. Atualize o app.`);
+  }
+
+  let d = doc;
+  for (let v = d.version; v < SCENE_VERSION; v++) d = { ...MIGRATIONS[v](d), version: v + 1 };
+
+  if (!Object.hasOwn(SYSTEMS, d.coordSystem)) {
+    const names = Object.keys(SYSTEMS).map(k => `"${k}"`).join(', ');
+    throw new SceneError(`"coordSystem" deve ser um de ${names}, encontrado ${JSON.stringify(d.coordSystem)}.`);
+  }
+  _expectPoint(d.mathOrigin, 'mathOrigin', 'x', 'y');
+  _expectNumber(d.cgHeight, 'cgHeight');
+  if (d.cgHeight <= 0) throw new SceneError('"cgHeight" deve ser maior que zero.');
+  _expectPoint(d.customFrame, 'customFrame', 'x', 'y');
+  _expectNumber(d.customFrame.angle, 'customFrame.angle');
+  _expectNumber(d.customFrame.scale, 'customFrame.scale');
+  if (d.customFrame.scale <= 0) throw new SceneError('"customFrame.scale" deve ser maior que zero.');
+  _expectObject(d.units, 'units');
+  if (!Object.hasOwn(PRECISIONS, d.units.precision)) {
+    throw new SceneError(`"units.precision" inválida: ${JSON.stringify(d.units.precision)}.`);
+  }
+  _expectNumber(d.units.cell, 'units.cell');
+  if (d.units.cell <= 0) throw new SceneError('"units.cell" deve ser maior que zero.');
+  if (!UNITS.includes(d.units.unit)) {
+    const names = UNITS.map(u => `"${u}"`).join(', ');
+    throw new SceneError(`"units.unit" deve ser um de ${names}, encontrado ${JSON.stringify(d.units.unit)}.`);
+  }
+  _expectObject(d.view, 'view');
+  _expectNumber(d.view.zoom, 'view.zoom');
+  _expectNumber(d.view.panX, 'view.panX');
+  _expectNumber(d.view.panY, 'view.panY');
+  if (d.view.zoom <= 0) throw new SceneError('"view.zoom" deve ser maior que zero.');
+
+  if (!Array.isArray(d.layers) || !d.layers.length) {
+    throw new SceneError('"layers" deve ser uma lista com pelo menos uma camada.');
+  }
+  if (!Array.isArray(d.vertices)) throw new SceneError('"vertices" deve ser uma lista.');
+  if (!Array.isArray(d.edges))    throw new SceneError('"edges" deve ser uma lista.');
+  if (!Array.isArray(d.polygons)) throw new SceneError('"polygons" deve ser uma lista.');
+  if (!Array.isArray(d.curves))   throw new SceneError('"curves" deve ser uma lista.');
+
+  const lids = new Set();
+  d.layers.forEach((l, i) => {
+    const path = `layers[${i}]`;
+    _expectObject(l, path);
+    _expectId(l.id, `${path}.id`);
+    if (lids.has(l.id)) throw new SceneError(`${path}: id ${l.id} repetido.`);
+    if (typeof l.name !== 'string' || !l.name.trim()) {
+      throw new SceneError(`${path}.name deve ser um texto não vazio.`);
+    }
+    if (typeof l.visible !== 'boolean') throw new SceneError(`${path}.visible deve ser true ou false.`);
+    if (typeof l.locked !== 'boolean')  throw new SceneError(`${path}.locked deve ser true ou false.`);
+    _expectNumber(l.opacity, `${path}.opacity`);
+    if (l.opacity < 0 || l.opacity > 1) throw new SceneError(`${path}.opacity deve estar entre 0 e 1.`);
+    lids.add(l.id);
+  });
+
+  const vids = new Set();
+  d.vertices.forEach((v, i) => {
+    const path = `vertices[${i}]`;
+    _expectPoint(v, path, 'cx', 'cy');
+    _expectId(v.id, `${path}.id`);
+    if (vids.has(v.id)) throw new SceneError(`${path}: id ${v.id} repetido.`);
+    _expectLayer(v.layer, path, lids);
+    if (v.label !== undefined && typeof v.label !== 'string') {
+      throw new SceneError(`${path}.label deve ser um texto.`);
+    }
+    _expectAttrs(v, path, VERTEX_STYLE);
+    vids.add(v.id);
+  });
+
+  const eids = new Set();
+  d.edges.forEach((e, i) => {
+    const path = `edges[${i}]`;
+    _expectObject(e, path);
+    _expectId(e.id, `${path}.id`);
+    _expectId(e.v1, `${path}.v1`);
+    _expectId(e.v2, `${path}.v2`);
+    if (eids.has(e.id))  throw new SceneError(`${path}: id ${e.id} repetido.`);
+    _expectLayer(e.layer, path, lids);
+    if (!vids.has(e.v1)) throw new SceneError(`${path}: vértice V${e.v1} não existe.`);
+    if (!vids.has(e.v2)) throw new SceneError(`${path}: vértice V${e.v2} não existe.`);
+    if (e.v1 === e.v2)   throw new SceneError(`${path}: aresta liga V${e.v1} a ele mesmo.`);
+    if (e.directed !== undefined && typeof e.directed !== 'boolean') {
+      throw new SceneError(`${path}.directed deve ser true ou false.`);
+    }
+    _expectAttrs(e, path, ['weight', 'label', ...EDGE_STYLE]);
+    eids.add(e.id);
+  });
+
+  const pids = new Set();
+  d.polygons.forEach((p, i) => {
+    const path = `polygons[${i}]`;
+    _expectObject(p, path);
+    _expectId(p.id, `${path}.id`);
+    if (pids.has(p.id)) throw new SceneError(`${path}: id ${p.id} repetido.`);
+    if (!Array.isArray(p.verts) || p.verts.length < 3) {
+      throw new SceneError(`${path}.verts deve ser uma lista com pelo menos 3 vértices.`);
+    }
+    p.verts.forEach((v, j) => {
+      _expectId(v, `${path}.verts[${j}]`);
+      if (!vids.has(v)) throw new SceneError(`${path}: vértice V${v} não existe.`);
+    });
+    pids.add(p.id);
+  });
+
+  const cids = new Set();
+  d.curves.forEach((c, i) => {
+    const path = `curves[${i}]`;
+    _expectObject(c, path);
+    _expectId(c.id, `${path}.id`);
+    if (cids.has(c.id)) throw new SceneError(`${path}: id ${c.id} repetido.`);
+    if (!Object.hasOwn(CURVE_TYPES, c.type)) {
+      const names = Object.keys(CURVE_TYPES).map(k => `"${k}"`).join(', ');
+      throw new SceneError(`${path}.type deve ser um de ${names}, encontrado ${JSON.stringify(c.type)}.`);
+    }
+    const spec = CURVE_TYPES[c.type];
+    if (!Array.isArray(c.verts) || c.verts.length < spec.min || c.verts.length > spec.max) {
+      const n = spec.min === spec.max ? `exatamente ${spec.min}` : `pelo menos ${spec.min}`;
+      throw new SceneError(`${path}.verts deve ser uma lista com ${n} vértices (${spec.name}).`);
+    }
+    c.verts.forEach((v, j) => {
+      _expectId(v, `${path}.verts[${j}]`);
+      if (!vids.has(v)) throw new SceneError(`${path}: vértice V${v} não existe.`);
+    });
+    cids.add(c.id);
+  });
+
+  // Counters must never hand out an id that is already in use
+  const maxV = Math.max(-1, ...vids);
+  const maxE = Math.max(-1, ...eids);
+  const maxP = Math.max(-1, ...pids);
+  const maxC = Math.max(-1, ...cids);
+  const maxL = Math.max(-1, ...lids);
+
+  return {
+    format:      SCENE_FORMAT,
+    version:     SCENE_VERSION,
+    coordSystem: d.coordSystem,
+    mathOrigin:  { x: d.mathOrigin.x, y: d.mathOrigin.y },
+    cgHeight:    d.cgHeight,
+    customFrame: { x: d.customFrame.x, y: d.customFrame.y, angle: d.customFrame.angle, scale: d.customFrame.scale },
+    units:       { precision: d.units.precision, cell: d.units.cell, unit: d.units.unit },
+    view:        { zoom: d.view.zoom, panX: d.view.panX, panY: d.view.panY },
+    layers:      d.layers.map(_layerDoc),
+    vertices:    d.vertices.map(_vertexDoc),
+    edges:       d.edges.map(_edgeDoc),
+    polygons:    d.polygons.map(({ id, verts }) => ({ id, verts: [...verts] })),
+    curves:      d.curves.map(({ id, type, verts }) => ({ id, type, verts: [...verts] })),
+    nextVid:     Math.max(Number.isInteger(d.nextVid) ? d.nextVid : 0, maxV + 1),
+    nextEid:     Math.max(Number.isInteger(d.nextEid) ? d.nextEid : 0, maxE + 1),
+    nextPid:     Math.max(Number.isInteger(d.nextPid) ? d.nextPid : 0, maxP + 1),
+    nextCid:     Math.max(Number.isInteger(d.nextCid) ? d.nextCid : 0, maxC + 1),
+    nextLid:     Math.max(Number.isInteger(d.nextLid) ? d.nextLid : 0, maxL + 1),
+  };
+}
+
+/**
+ * Replaces the current state with a validated scene and refreshes the UI.
+ *
+ * @param {Object} doc  Output of parseScene() / validateScene().
+ */
+export function applyScene(doc) {
+  state.coordSystem = doc.coordSystem;
+  state.mathOx      = doc.mathOrigin.x;
+  state.mathOy      = doc.mathOrigin.y;
+  state.cgHeight    = doc.cgHeight;
+  state.customFrame = { ox: doc.customFrame.x, oy: doc.customFrame.y,
+                        angle: doc.customFrame.angle, scale: doc.customFrame.scale };
+  state.units       = { ...doc.units };
+  state.layers      = doc.layers.map(l => ({ ...l }));
+  state.vertices    = doc.vertices.map(v => ({ ...v }));
+  state.edges       = doc.edges.map(e => ({ ...e }));
+  state.polygons    = doc.polygons.map(p => ({ id: p.id, verts: [...p.verts] }));
+  state.curves      = doc.curves.map(c => ({ id: c.id, type: c.type, verts: [...c.verts] }));
+  state.nextVid     = doc.nextVid;
+  state.nextEid     = doc.nextEid;
+  state.nextPid     = doc.nextPid;
+  state.nextCid     = doc.nextCid;
+  state.nextLid     = doc.nextLid;
+  state.zoom        = doc.view.zoom;
+  state.panX        = doc.view.panX;
+  state.panY        = doc.view.panY;
+
+  state.selection   = [];
+  state.selEdge     = null;
+  state.hoverEdge   = null;
+  state.edgePending = null;
+  state.dragVertex  = null;
+  state.dragOrigin  = false;
+  state.activeLayer = doc.layers.at(-1).id;
+
+  updateZoomLabel();
+  applyCoordSystem();
+}
+
+// ── Files ─────────────────────────────────────────────────────────────────────
+
+/** Downloads the current scene as a .json file. */
+export function saveSceneFile() {
+  downloadFile('cena.json', JSON.stringify(serializeScene(), null, 2), 'application/json');
+  setMsg('Cena salva em cena.json');
+}
+
+/**
+ * Asks for a scene file and loads it (undoable).
+ * Invalid or unreadable files are reported without touching the current scene.
+ */
+export async function openSceneFile() {
+  let file;
+  try {
+    file = await openTextFile('.json,application/json');
+  } catch (err) {
+    setMsg(`Não foi possível ler o arquivo (${err.message})`);
+    return;
+  }
+  if (!file) return;
+
+  let doc;
+  try {
+    doc = parseScene(file.text);
+  } catch (err) {
+    if (!(err instanceof SceneError)) {
+      setMsg(`Não foi possível abrir "${file.name}" (${err.message})`);
+      return;
+    }
+    window.alert(`Não foi possível abrir "${file.name}":\n\n${err.message}`);
+    setMsg('Arquivo de cena inválido');
+    return;
+  }
+
+  record(`Abrir ${file.name}`, () => applyScene(doc));
+  setMsg(`Cena "${file.name}" carregada`);
+}
+
+// ── Autosave ──────────────────────────────────────────────────────────────────
+
+let _autosaveTimer = null;
+
+/** Schedules an autosave shortly after the latest change. */
+export function scheduleAutosave() {
+  clearTimeout(_autosaveTimer);
+  _autosaveTimer = setTimeout(saveSession, AUTOSAVE_DELAY);
+}
+
+/** Writes the current scene to localStorage immediately. */
+export function saveSession() {
+  clearTimeout(_autosaveTimer);
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(serializeScene()));
+  } catch {
+    // Storage full or disabled (e.g. private mode) — autosave is best-effort.
+  }
+}
+
+/**
+ * Reads the autosaved session, if there is a valid one.
+ *
+ * @returns {Object|null}  A validated scene, or null.
+ */
+export function readSession() {
+  let text;
+  try {
+    text = localStorage.getItem(AUTOSAVE_KEY);
+  } catch {
+    return null;
+  }
+  if (!text) return null;
+
+  try {
+    return parseScene(text);
+  } catch (err) {
+    if (!(err instanceof SceneError)) throw err;
+    return null;
+  }
+}
+
+// ── Validation helpers ────────────────────────────────────────────────────────
+
+function _isObject(x) {
+  return typeof x === 'object' && x !== null && !Array.isArray(x);
+}
+
+/** Puts every vertex / edge of a pre-layer document on the given layer. */
+function _onLayer(list, id) {
+  return Array.isArray(list) ? list.map(x => (_isObject(x) ? { ...x, layer: id } : x)) : list;
+}
+
+function _layerDoc({ id, name, visible, locked, opacity }) {
+  return { id, name, visible, locked, opacity };
+}
+
+/** A vertex as stored in the document; the label and attributes only when set. */
+function _vertexDoc(v) {
+  const doc = { id: v.id, layer: v.layer, cx: v.cx, cy: v.cy };
+  if (v.label) doc.label = v.label;
+  return _attrsDoc(doc, v, VERTEX_STYLE);
+}
+
+/** An edge as stored in the document; direction, weight and attributes only when set. */
+function _edgeDoc(e) {
+  const doc = { id: e.id, layer: e.layer, v1: e.v1, v2: e.v2 };
+  if (e.directed) doc.directed = true;
+  if (e.label)    doc.label    = e.label;
+  return _attrsDoc(doc, e, ['weight', ...EDGE_STYLE]);
+}
+
+function _attrsDoc(doc, x, keys) {
+  for (const k of keys) if (x[k] !== undefined) doc[k] = x[k];
+  return doc;
+}
+
+/** Optional attributes (see attrs.js): absent, or a valid value. */
+function _expectAttrs(x, path, keys) {
+  for (const k of keys) {
+    const err = x[k] === undefined ? null : attrError(k, x[k]);
+    if (err) throw new SceneError(`${path}.${k} ${err}.`);
+  }
+}
+
+function _expectLayer(x, path, lids) {
+  _expectId(x, `${path}.layer`);
+  if (!lids.has(x)) throw new SceneError(`${path}: camada ${x} não existe.`);
+}
+
+function _expectObject(x, path) {
+  if (!_isObject(x)) throw new SceneError(`"${path}" deve ser um objeto.`);
+}
+
+function _expectNumber(x, path) {
+  if (typeof x !== 'number' || !Number.isFinite(x)) {
+    throw new SceneError(`"${path}" deve ser um número finito, encontrado ${JSON.stringify(x)}.`);
+  }
+}
+
+function _expectId(x, path) {
+  if (!Number.isInteger(x) || x < 0) {
+    throw new SceneError(`"${path}" deve ser um inteiro não negativo, encontrado ${JSON.stringify(x)}.`);
+  }
+}
+
+function _expectPoint(p, path, kx, ky) {
+  _expectObject(p, path);
+  _expectNumber(p[kx], `${path}.${kx}`);
+  _expectNumber(p[ky], `${path}.${ky}`);
+}
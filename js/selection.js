@@ -0,0 +1,277 @@
+/**
+ * @fileoverview Multi-selection of vertices.
+ *
+ * state.selection holds the ids of the selected vertices in the order
+ * they were picked.  Selections are built in select mode with a click
+ * (replace), Shift-click (toggle) or a rubber-band box dragged on empty
+ * canvas (Shift adds to the current selection).
+ *
+ * Vertex and edge selections are exclusive: picking vertices clears
+ * state.selEdge (see ui.js selectEdge() for the other direction).
+ *
+ * Group operations — drag, delete, "select connected component" — act on
+ * the whole selection.  The summary (bounding box and centroid) is
+ * computed in the cartesian coordinates of the active frame, so in a
+ * rotated custom frame the box is rotated too; for polar it is the
+ * underlying Math (x, y) box.
+ */
+
+import { state }                             from './state.js';
+import { isYDown, userStep,
+         worldToUser, formatUser,
+         worldToCartesian, cartesianToWorld } from './coords.js';
+import { gridSpacing }                       from './grid.js';
+import { draw }                              from './draw.js';
+import { record }                            from './history.js';
+import { refreshAll, setMsg }                from './ui.js';
+import { renderInfo }                        from './info.js';
+import { prunePolygons }                     from './polygon.js';
+import { pruneCurves }                       from './curve.js';
+import { isEditable }                        from './layers.js';
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+
+/**
+ * @param {number} id
+ * @returns {boolean}
+ */
+export function isSelected(id) {
+  return state.selection.includes(id);
+}
+
+/**
+ * Bounding box (4 world-px corners, frame-aligned) and centroid of the
+ * selected vertices, or null when nothing is selected.
+ *
+ * @returns {{ corners: Array<{x:number, y:number}>,
+ *             min: {x:number, y:number}, max: {x:number, y:number},
+ *             centroid: {x:number, y:number} }|null}
+ *          min / max in frame coordinates, centroid in world-px.
+ */
+export function selectionBounds() {
+  const ids = new Set(state.selection);
+  const vs  = state.vertices.filter(v => ids.has(v.id));
+  if (!vs.length) return null;
+
+  const pts = vs.map(v => worldToCartesian(v.cx, v.cy));
+  const min = { x: Math.min(...pts.map(p => p.x)), y: Math.min(...pts.map(p => p.y)) };
+  const max = { x: Math.max(...pts.map(p => p.x)), y: Math.max(...pts.map(p => p.y)) };
+
+  return {
+    corners: [
+      cartesianToWorld(min.x, min.y), cartesianToWorld(max.x, min.y),
+      cartesianToWorld(max.x, max.y), cartesianToWorld(min.x, max.y),
+    ],
+    min,
+    max,
+    centroid: {
+      x: vs.reduce((s, v) => s + v.cx, 0) / vs.length,
+      y: vs.reduce((s, v) => s + v.cy, 0) / vs.length,
+    },
+  };
+}
+
+// ── Selection changes ─────────────────────────────────────────────────────────
+
+/**
+ * Selects the given vertices, replacing the selection or adding to it.
+ * Vertices on hidden or locked layers are left out.
+ *
+ * @param {number[]} ids
+ * @param {boolean}  [additive=false]
+ */
+export function selectVertices(ids, additive = false) {
+  const base = additive ? state.selection : [];
+  const ok   = new Set(state.vertices.filter(isEditable).map(v => v.id));
+  state.selection = [...base, ...ids.filter(id => ok.has(id) && !base.includes(id))];
+  state.selEdge   = null;
+  _changed();
+}
+
+/**
+ * Adds a vertex to the selection or removes it if already selected.
+ *
+ * @param {number} id
+ */
+export function toggleSelected(id) {
+  const v = state.vertices.find(v => v.id === id);
+  if (v && !isEditable(v)) { setMsg(`V${id} está numa camada oculta ou bloqueada`); return; }
+  state.selection = isSelected(id)
+    ? state.selection.filter(s => s !== id)
+    : [...state.selection, id];
+  state.selEdge   = null;
+  _changed();
+}
+
+/**
+ * Selects the vertex after (or before) the last selected one, in list
+ * order, wrapping around.  Hidden and locked layers are skipped.
+ *
+ * @param {1|-1} delta
+ */
+export function cycleSelection(delta) {
+  const vs = state.vertices.filter(isEditable);
+  if (!vs.length) { setMsg('Nenhum vértice'); return; }
+
+  const last = state.selection[state.selection.length - 1];
+  const i    = vs.findIndex(v => v.id === last);
+  const v    = vs[i < 0 ? (delta > 0 ? 0 : vs.length - 1) : (i + delta + vs.length) % vs.length];
+  selectVertices([v.id]);
+  setMsg(`V${v.id} — coords: ${formatUser(worldToUser(v.cx, v.cy))}`);
+}
+
+/**
+ * Extends the selection to every vertex reachable through edges from a
+ * selected vertex (those on hidden or locked layers are not selected).
+ */
+export function selectComponent() {
+  if (!state.selection.length) { setMsg('Selecione ao menos um vértice'); return; }
+
+  const adj = new Map(state.vertices.map(v => [v.id, []]));
+  for (const e of state.edges) {
+    adj.get(e.v1)?.push(e.v2);
+    adj.get(e.v2)?.push(e.v1);
+  }
+
+  const seen  = new Set(state.selection);
+  const queue = [...state.selection];
+  while (queue.length) {
+    for (const n of adj.get(queue.shift()) ?? []) {
+      if (!seen.has(n)) { seen.add(n); queue.push(n); }
+    }
+  }
+
+  selectVertices([...seen], true);
+  setMsg(`Componente conexo: ${state.selection.length} vértice(s)`);
+}
+
+/** Removes every selected vertex and the edges that touch them (undoable). */
+export function deleteSelection() {
+  const ids = new Set(state.selection);
+  if (!ids.size) { setMsg('Nada selecionado'); return; }
+
+  const label = ids.size === 1 ? `Remover V${state.selection[0]}` : `Remover ${ids.size} vértices`;
+  record(label, () => {
+    state.vertices = state.vertices.filter(v => !ids.has(v.id));
+    state.edges    = state.edges.filter(e => !ids.has(e.v1) && !ids.has(e.v2));
+    prunePolygons();
+    pruneCurves();
+  });
+  state.selection = [];
+  if (ids.has(state.edgePending)) state.edgePending = null;
+
+  refreshAll();
+  renderInfo();
+  setMsg(`${ids.size} vértice(s) removido(s)`);
+}
+
+/**
+ * Moves the selection one step along the axes of the active frame: the
+ * smallest change the display precision shows (see coords.js userStep(),
+ * the r step in polar) or one grid step.  `up` is towards the top of the screen whichever way the
+ * frame's y axis points.
+ *
+ * @param {-1|0|1}  right
+ * @param {-1|0|1}  up
+ * @param {boolean} [grid=false]  Move by the grid step.
+ */
+export function nudgeSelection(right, up, grid = false) {
+  const ids = new Set(state.selection);
+  if (!ids.size) { setMsg('Nada selecionado'); return; }
+
+  const unit = userStep(0);
+  const [su, sv] = grid ? gridSpacing(state.zoom) : [unit, unit];
+  const o = cartesianToWorld(0, 0);
+  const p = cartesianToWorld(right * su, (isYDown() ? -up : up) * sv);
+
+  const label = ids.size === 1 ? `Mover V${state.selection[0]}` : `Mover ${ids.size} vértices`;
+  record(label, () => {
+    for (const v of state.vertices) {
+      if (ids.has(v.id)) { v.cx += p.x - o.x; v.cy += p.y - o.y; }
+    }
+  });
+  refreshAll();
+  renderInfo();
+
+  const v = state.vertices.find(v => v.id === state.selection[0]);
+  setMsg(ids.size === 1 ? `V${v.id} — coords: ${formatUser(worldToUser(v.cx, v.cy))}` : `${ids.size} vértices movidos`);
+}
+
+// ── Rubber band ───────────────────────────────────────────────────────────────
+
+/**
+ * Starts a box selection at a world-px point.
+ *
+ * @param {number}  wx
+ * @param {number}  wy
+ * @param {boolean} additive  Keep the current selection (Shift).
+ */
+export function startBand(wx, wy, additive) {
+  state.band = { x0: wx, y0: wy, x1: wx, y1: wy, base: additive ? [...state.selection] : [] };
+  state.selection = [...state.band.base];
+  state.selEdge   = null;
+  _changed();
+}
+
+/**
+ * Moves the free corner of the box and selects the vertices inside it.
+ *
+ * @param {number} wx
+ * @param {number} wy
+ */
+export function updateBand(wx, wy) {
+  const band = state.band;
+  band.x1 = wx;
+  band.y1 = wy;
+
+  const [l, r] = [Math.min(band.x0, wx), Math.max(band.x0, wx)];
+  const [t, b] = [Math.min(band.y0, wy), Math.max(band.y0, wy)];
+  const inside = state.vertices
+    .filter(v => isEditable(v) && v.cx >= l && v.cx <= r && v.cy >= t && v.cy <= b)
+    .map(v => v.id);
+
+  state.selection = [...band.base, ...inside.filter(id => !band.base.includes(id))];
+  _changed();
+}
+
+/** Finishes the box selection. */
+export function endBand() {
+  state.band = null;
+  draw();
+  if (state.selection.length) setMsg(`${state.selection.length} vértice(s) selecionado(s)`);
+}
+
+// ── Sidebar ───────────────────────────────────────────────────────────────────
+
+/** Renders the "Seleção" card: count, bounding box and centroid. */
+export function refreshSelectionPanel() {
+  const el = document.getElementById('sel-info');
+  if (!el) return;
+
+  const n = state.selection.length;
+  document.getElementById('sel-count').textContent     = n;
+  document.getElementById('sel-delete-btn').disabled    = !n;
+  document.getElementById('sel-component-btn').disabled = !n;
+
+  const sb = selectionBounds();
+  if (!sb) {
+    el.innerHTML = '<div class="empty-hint">Shift+clique ou arraste uma caixa no modo Selecionar</div>';
+    return;
+  }
+
+  const fmt = p => formatUser(worldToUser(p.x, p.y));
+  const cart = state.coordSystem === 'polar' ? ' <small>(x, y do Matemático)</small>' : '';
+  const round = x => Math.round(x * 1000) / 1000;
+
+  el.innerHTML = `
+    <div class="sel-row"><span>Centroide</span><strong>${fmt(sb.centroid)}</strong></div>
+    <div class="sel-row"><span>Caixa mín.</span>${fmt(cartesianToWorld(sb.min.x, sb.min.y))}</div>
+    <div class="sel-row"><span>Caixa máx.</span>${fmt(cartesianToWorld(sb.max.x, sb.max.y))}</div>
+    <div class="sel-row"><span>Tamanho${cart}</span>${round(sb.max.x - sb.min.x)} × ${round(sb.max.y - sb.min.y)}</div>`;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _changed() {
+  refreshAll();
+}
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Snapping of placed and dragged vertices.
+ *
+ * A pointer position is pulled onto the nearest target less than SNAP_PX
+ * screen pixels away, trying the target kinds in priority order:
+ *   vertices  — an existing vertex (the ones being dragged excluded)
+ *   midpoints — the midpoint of an edge
+ *   grid      — a grid intersection at the adaptive step drawn by grid.js
+ *               (circle × ray crossings in the polar system)
+ *   axes      — the origin, or the nearest point of an axis through it
+ *
+ * Each kind can be switched off in the sidebar; holding Alt during a click
+ * or drag ignores snapping altogether.  The last hit is kept in
+ * state.snap.hit so draw.js can show where the point will land.
+ */
+
+import { state }                     from './state.js';
+import { SYSTEMS, frame }            from './coords.js';
+import { nearestGridPoint }          from './grid.js';
+import { draw }                      from './draw.js';
+import { vertexName }                from './ui.js';
+import { isShown }                   from './layers.js';
+
+/** Capture radius, in screen pixels. */
+const SNAP_PX = 10;
+
+/** Target kinds in priority order, with their sidebar names. */
+export const SNAP_TARGETS = {
+  vertices:  'Vértices',
+  midpoints: 'Pontos médios',
+  grid:      'Grade',
+  axes:      'Eixos',
+};
+
+/**
+ * @typedef {{ x:number, y:number, kind:string, text:string }} SnapHit
+ */
+
+/**
+ * Snaps a world point to the enabled targets.
+ *
+ * @param {number} wx
+ * @param {number} wy
+ * @param {Object}   [opts]
+ * @param {boolean}  [opts.free=false]   Skip snapping (modifier held).
+ * @param {number[]} [opts.exclude=[]]   Vertices that are moving: neither
+ *                                       they nor their edges attract.
+ * @returns {{ x:number, y:number, hit:SnapHit|null }}
+ */
+export function snapPoint(wx, wy, { free = false, exclude = [] } = {}) {
+  if (free || !state.snap.on) return { x: wx, y: wy, hit: null };
+
+  const tol  = SNAP_PX / state.zoom;
+  const skip = new Set(exclude);
+  for (const kind of Object.keys(SNAP_TARGETS)) {
+    if (!state.snap[kind]) continue;
+    let best  = null;
+    let bestD = tol;
+    for (const t of _targets[kind](wx, wy, skip)) {
+      const d = Math.hypot(t.x - wx, t.y - wy);
+      if (d <= bestD) { best = t; bestD = d; }
+    }
+    if (best) return { x: best.x, y: best.y, hit: { ...best, kind } };
+  }
+  return { x: wx, y: wy, hit: null };
+}
+
+/**
+ * Updates the snap indicator, redrawing only when it changes.
+ *
+ * @param {SnapHit|null} hit
+ */
+export function showSnap(hit) {
+  const old = state.snap.hit;
+  if (!hit && !old) return;
+  if (hit && old && hit.x === old.x && hit.y === old.y && hit.text === old.text) return;
+  state.snap.hit = hit;
+  draw();
+}
+
+/**
+ * Turns snapping, or one kind of target, on or off.
+ *
+ * @param {'on'|'vertices'|'midpoints'|'grid'|'axes'} key
+ * @param {boolean} on
+ */
+export function setSnap(key, on) {
+  state.snap[key] = on;
+  for (const k of Object.keys(SNAP_TARGETS)) {
+    document.getElementById(`sn-${k}`).disabled = !state.snap.on;
+  }
+}
+
+// ── Targets ───────────────────────────────────────────────────────────────────
+
+const _targets = {
+  vertices(wx, wy, skip) {
+    return state.vertices
+      .filter(v => !skip.has(v.id) && isShown(v))
+      .map(v => ({ x: v.cx, y: v.cy, text: vertexName(v) }));
+  },
+
+  midpoints(wx, wy, skip) {
+    const out = [];
+    for (const e of state.edges) {
+      if (skip.has(e.v1) || skip.has(e.v2) || !isShown(e)) continue;
+      const a = state.vertices.find(v => v.id === e.v1);
+      const b = state.vertices.find(v => v.id === e.v2);
+      if (a && b) out.push({ x: (a.cx + b.cx) / 2, y: (a.cy + b.cy) / 2, text: `meio de e${e.id}` });
+    }
+    return out;
+  },
+
+  grid(wx, wy) {
+    return [{ ...nearestGridPoint(wx, wy, state.zoom), text: 'grade' }];
+  },
+
+  axes(wx, wy) {
+    // The origin wins over the axes that cross it
+    const { o, ex, ey } = frame();
+    if (Math.hypot(wx - o.x, wy - o.y) <= SNAP_PX / state.zoom) return [{ x: o.x, y: o.y, text: 'origem' }];
+
+    const names = state.coordSystem === 'polar' ? ['θ = 0°', 'θ = 90°'] : SYSTEMS[state.coordSystem].axes;
+    return [ex, ey].map((d, i) => {
+      const k = ((wx - o.x) * d.x + (wy - o.y) * d.y) / (d.x * d.x + d.y * d.y);
+      return { x: o.x + k * d.x, y: o.y + k * d.y, text: `eixo ${names[i]}` };
+    });
+  },
+};
@@ -8,37 +8,118 @@
 /** @type {AppState} */
 export const state = {
   // ── Coordinate system ────────────────────────────────────────────────────
-  /** @type {'cg'|'math'} */
+  /** @type {'cg'|'math'|'ndc'|'polar'|'custom'} */
   coordSystem: 'cg',
 
-  /** World-px position of the mathematical origin (set once on first resize). */
+  /**
+   * World-px position of the mathematical origin (canvas centre on first
+   * resize; dragged or typed by the user afterwards).
+   */
   mathOx: null,
   mathOy: null,
 
+  /** Height H of the CG "screen" in px, the H in y_cg = H − y_math. */
+  cgHeight: null,
+
+  /**
+   * Custom frame: origin in world-px (set with the math origin), basis
+   * rotated counter-clockwise by `angle` degrees, `scale` world-px per unit.
+   */
+  customFrame: { ox: null, oy: null, angle: 30, scale: 50 },
+
+  /**
+   * Display of user coordinates (see coords.js): precision ('auto', 'd0'–'d4'
+   * decimals or 'g2'–'g10' fractions of a grid cell), units per grid cell
+   * of the cg / math / polar frames (50 = 1 unit per px) and the unit name.
+   */
+  /** @type {{ precision:string, cell:number, unit:''|'px'|'cm'|'m' }} */
+  units: { precision: 'auto', cell: 50, unit: '' },
+
   // ── Edit mode ─────────────────────────────────────────────────────────────
   /** @type {'select'|'vertex'|'edge'} */
   mode: 'vertex',
 
   // ── Graph data ────────────────────────────────────────────────────────────
-  /** @type {Array<{id:number, cx:number, cy:number}>} */
+  /**
+   * Vertices, each on a layer (see layers.js); label, color, size and
+   * shape are optional (see attrs.js).
+   */
+  /** @type {Array<{id:number, cx:number, cy:number, layer:number,
+   *               label?:string, color?:string, size?:number, shape?:string}>} */
   vertices: [],
 
-  /** @type {Array<{id:number, v1:number, v2:number}>} */
+  /**
+   * Edges, each on a layer; a directed one is the vector V1 → V2 (see
+   * vector.js).  Weight, label, color, width and dash are optional (see
+   * attrs.js).
+   */
+  /** @type {Array<{id:number, v1:number, v2:number, layer:number, directed?:true, weight?:number,
+   *               label?:string, color?:string, width?:number, dash?:string}>} */
   edges: [],
 
+  /** Faces: ordered vertex cycles (see polygon.js). */
+  /** @type {Array<{id:number, verts:number[]}>} */
+  polygons: [],
+
+  /** Curves on vertex control points (see curve.js). */
+  /** @type {Array<{id:number, type:string, verts:number[]}>} */
+  curves: [],
+
+  /** Layers in drawing order, bottom first (see layers.js); opacity 0–1. */
+  /** @type {Array<{id:number, name:string, visible:boolean, locked:boolean, opacity:number}>} */
+  layers: [{ id: 0, name: 'Camada 1', visible: true, locked: false, opacity: 1 }],
+
   nextVid: 0,
   nextEid: 0,
+  nextPid: 0,
+  nextCid: 0,
+  nextLid: 1,
 
   // ── Interaction ───────────────────────────────────────────────────────────
+  /** ID of the layer that receives new vertices and edges. */
+  activeLayer: 0,
+
   /** ID of the first vertex selected during edge creation (null = none). */
   edgePending: null,
 
-  /** ID of the currently selected vertex in select-mode (null = none). */
-  selVertex: null,
+  /** IDs of the selected vertices in select-mode, in selection order. */
+  selection: [],
+
+  /** ID of the edge selected on the canvas or in the list (null = none). */
+  selEdge: null,
+
+  /** ID of the edge under the pointer (null = none). */
+  hoverEdge: null,
+
+  /** Rubber-band box in world-px while box-selecting ({x0,y0,x1,y1,base} | null). */
+  band: null,
 
   /** Reference to the vertex object being dragged (null = none). */
   dragVertex: null,
 
+  /** Whether the origin of the active system is being dragged. */
+  dragOrigin: false,
+
+  /**
+   * Snapping of placed and dragged vertices (see snap.js): master switch,
+   * enabled targets and the current hit shown by the indicator.
+   */
+  snap: { on: true, vertices: true, midpoints: true, grid: true, axes: true, hit: null },
+
+  /**
+   * Measurement tools (see measure.js): edge length labels, the active tool
+   * and its input — ruler points in world-px or the ids of the picked edges.
+   */
+  /** @type {{ lengths:boolean, tool:'ruler'|'angle'|null, points:Array<{x:number, y:number}>, edges:number[] }} */
+  measure: { lengths: false, tool: null, points: [], edges: [] },
+
+  /**
+   * Vector operation tool (see vector.js): the directed edges picked as a
+   * and b (null = none) and the operation shown on them.
+   */
+  /** @type {{ a:number|null, b:number|null, op:'sum'|'diff'|'proj'|'dot'|'cross' }} */
+  vectors: { a: null, b: null, op: 'sum' },
+
   /** Last known mouse position in world-px coords ({x, y} | null). */
   lastMouse: null,
 
@@ -53,8 +134,66 @@ export const state = {
   panStartPanX: 0,
   panStartPanY: 0,
 
+  // ── Affine transform tool ─────────────────────────────────────────────────
+  /** Ordered operations of the transform panel ({type, a, b} | {type, axis}). */
+  xformOps: [],
+
+  /** Preview parameter: 0 = before, 1 = after, null = no preview. */
+  xformT: null,
+
+  // ── Line rasterization ────────────────────────────────────────────────────
+  /**
+   * Pixel overlay (see raster.js): algorithm, pixel-centre or pixel-corner
+   * convention and the player position on the followed edge
+   * (step = null shows every pixel).
+   */
+  raster: { on: false, algo: 'bresenham', convention: 'center', step: null },
+
+  // ── Polygon fill ──────────────────────────────────────────────────────────
+  /**
+   * Fill overlay (see fill.js): method, scan-line polygon and fill rule,
+   * flood connectivity and seed pixel, player position (null = complete).
+   * `armed` = the next canvas click places the seed.
+   */
+  fill: {
+    on: false, method: 'scanline', rule: 'evenodd', poly: null,
+    conn: 4, seed: null, armed: false, step: null,
+  },
+
+  // ── Curves ────────────────────────────────────────────────────────────────
+  /**
+   * Curve display: the curve whose de Casteljau construction is shown
+   * (null = the first), its parameter t and whether control polygons are
+   * drawn.
+   */
+  curveView: { sel: null, t: .5, control: true },
+
+  // ── Clipping ──────────────────────────────────────────────────────────────
+  /**
+   * Clip window (see clip.js): algorithm, window corners in world-px,
+   * Sutherland–Hodgman polygon and player position (null = complete).
+   * `armed` = the next canvas drag draws the window, `drawing` = the
+   * window being dragged.
+   */
+  clip: {
+    on: false, algo: 'cohen', rect: null, poly: null,
+    armed: false, drawing: null, step: null,
+  },
+
+  // ── Graph algorithms ──────────────────────────────────────────────────────
+  /**
+   * Algorithm runner (see graph.js): algorithm, edge weights ('length' =
+   * Euclidean, 'custom' = each edge's `weight`), start and goal vertices
+   * (null = the first / none) and player position (null = complete).
+   */
+  graph: { on: false, algo: 'bfs', weight: 'length', start: null, goal: null, step: null },
+
+  /** Visualizer shown in the "Passo a passo" tab. */
+  /** @type {'raster'|'fill'|'clip'|'graph'} */
+  stepTool: 'raster',
+
   // ── Info panel ────────────────────────────────────────────────────────────
-  /** @type {'sys'|'diff'|'mode'} */
+  /** @type {'sys'|'diff'|'mode'|'steps'} */
   activeTab: 'sys',
 };
 
@@ -0,0 +1,273 @@
+/**
+ * @fileoverview SVG export.
+ *
+ * Mirrors the canvas drawing in draw.js (grid, axes, polygons, curves,
+ * edges, vertices and their labels, with the per-element attributes of
+ * attrs.js) but emits vector elements, so figures stay sharp on
+ * slides and handouts.  Interaction feedback (selection glow, edge
+ * preview) is deliberately left out of the export.
+ *
+ * Like draw(), everything is emitted in world-px inside a single
+ * <g transform="matrix(zoom 0 0 zoom panX panY)">, with stroke widths
+ * and font sizes divided by zoom to keep them constant on the page.
+ * The background, grid and label toggles follow draw.js RenderOptions.
+ * Each visible layer becomes a <g id="layer-{id}"> with its opacity, in
+ * drawing order; hidden layers are left out, with the polygons and curves
+ * that use their vertices.
+ */
+
+import { state }                                   from './state.js';
+import { themeColors }                             from './theme.js';
+import { worldToUser, formatUser, visibleBounds }  from './coords.js';
+import { buildGrid, buildAxes,
+         buildScreenEdge }                         from './grid.js';
+import { polygonMetrics }                          from './polygon.js';
+import { curveSegments, curveAt }                  from './curve.js';
+import { vertexName }                              from './ui.js';
+import { edgeLabel }                               from './measure.js';
+import { vertexRadius, edgeWidth, edgeDash,
+         shapeOutline, EDGE_W }                    from './attrs.js';
+import { visibleLayers, isFigureShown }            from './layers.js';
+
+// ── Public ────────────────────────────────────────────────────────────────────
+
+/**
+ * Builds an SVG document of the scene for the given view.
+ *
+ * @param {import('./coords.js').View}         view
+ * @param {import('./draw.js').RenderOptions}  [opts]
+ * @returns {string}
+ */
+export function buildSVG(view, opts = {}) {
+  const o = { background: 'theme', grid: true, axisLabels: true, vertexCoords: true, ...opts };
+  const C = themeColors();
+  const { zoom, panX, panY, width, height } = view;
+  const b = visibleBounds(view);
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    o.background === 'theme' ? `<rect width="100%" height="100%" fill="${C.canvasBg}"/>` : '',
+    `<g transform="matrix(${_n(zoom)} 0 0 ${_n(zoom)} ${_n(panX)} ${_n(panY)})" font-family="monospace">`,
+    _svgGrid(C, b, zoom, o),
+    _svgAxes(C, b, zoom, o),
+    _svgPolygons(C, zoom),
+    _svgCurves(C, zoom),
+    ...visibleLayers().map(l => _svgLayer(C, zoom, o, l)),
+    `</g>`,
+    `</svg>`,
+  ].filter(Boolean).join('\n');
+}
+
+// ── Grid ──────────────────────────────────────────────────────────────────────
+
+function _svgGrid(C, b, zoom, opts) {
+  if (!opts.grid) return '';
+
+  const { lines, circles, labels } = buildGrid(zoom, b);
+  const out = [];
+
+  out.push(`<g id="grid" stroke="${C.grid}" stroke-width="${_n(1 / zoom)}" fill="none">`);
+  for (const l of lines)   out.push(_line(l.x1, l.y1, l.x2, l.y2));
+  for (const c of circles) out.push(`<circle cx="${_n(c.x)}" cy="${_n(c.y)}" r="${_n(c.r)}"/>`);
+  out.push('</g>');
+  if (!opts.axisLabels) return out.join('\n');
+
+  out.push(`<g id="grid-labels" fill="${C.gridLabel}" font-size="${_n(10 / zoom)}">`);
+  for (const t of labels) out.push(_label(t));
+  out.push('</g>');
+
+  return out.join('\n');
+}
+
+// ── Axes ──────────────────────────────────────────────────────────────────────
+
+function _svgAxes(C, b, zoom, opts) {
+  const { axes, origin } = buildAxes(zoom, b);
+  const lw  = 1.5 / zoom;
+  const ah  = 8   / zoom;
+  const fs  = 13  / zoom;
+  const out = ['<g id="axes">'];
+
+  const edge = buildScreenEdge(zoom, b);
+  if (edge) {
+    const { x1, y1, x2, y2 } = edge.line;
+    out.push(`<g stroke="${C.origin}" stroke-width="${_n(1 / zoom)}" stroke-dasharray="${_n(6 / zoom)} ${_n(4 / zoom)}">` +
+             `${_line(x1, y1, x2, y2)}</g>`);
+    if (opts.axisLabels) {
+      out.push(`<g fill="${C.origin}" font-size="${_n(10 / zoom)}">${_label(edge.label)}</g>`);
+    }
+  }
+
+  for (const a of axes) {
+    const color = a.axis === 'x' ? C.axisX : C.axisY;
+    out.push(`<g stroke="${color}" stroke-width="${_n(lw)}">${_line(a.line.x1, a.line.y1, a.line.x2, a.line.y2)}</g>`);
+    out.push(_arrowHead(a.arrow.x, a.arrow.y, a.arrow.angle, color, ah));
+    if (opts.axisLabels) {
+      out.push(`<g fill="${color}" font-size="${_n(fs)}" font-weight="bold">${_label(a.label)}</g>`);
+    }
+  }
+
+  if (origin) {
+    out.push(`<circle cx="${_n(origin.x)}" cy="${_n(origin.y)}" r="${_n(3 / zoom)}" fill="${C.origin}"/>`);
+    if (opts.axisLabels) {
+      out.push(`<g fill="${C.origin}" font-size="${_n(11 / zoom)}">${_label(origin.label)}</g>`);
+    }
+  }
+
+  out.push('</g>');
+  return out.join('\n');
+}
+
+// ── Polygons ──────────────────────────────────────────────────────────────────
+
+function _svgPolygons(C, zoom) {
+  const shapes = [];
+  const labels = [];
+
+  for (const p of state.polygons.filter(isFigureShown)) {
+    const m   = polygonMetrics(p);
+    const pts = p.verts.map(id => state.vertices.find(v => v.id === id));
+    if (!m || pts.some(v => !v)) continue;
+
+    shapes.push(`<polygon points="${pts.map(v => `${_n(v.cx)},${_n(v.cy)}`).join(' ')}"/>`);
+    labels.push(_text(`P${p.id} ${m.ccw ? '↺' : '↻'}`, m.centroid.x, m.centroid.y + 4 / zoom, 'middle'));
+  }
+  if (!shapes.length) return '';
+
+  return [
+    `<g id="polygons" fill="${C.polyFill}" fill-rule="evenodd">`, ...shapes, '</g>',
+    `<g id="polygon-labels" fill="${C.polyLbl}" font-size="${_n(11 / zoom)}" font-weight="bold">`, ...labels, '</g>',
+  ].join('\n');
+}
+
+// ── Curves ────────────────────────────────────────────────────────────────────
+
+function _svgCurves(C, zoom) {
+  const paths  = [];
+  const labels = [];
+
+  for (const c of state.curves.filter(isFigureShown)) {
+    const segs = curveSegments(c);
+    if (!segs || !segs.length) continue;
+
+    const d = segs.map(([p, ...rest], i) =>
+      (i ? '' : `M ${_n(p.x)} ${_n(p.y)} `) + (rest.length === 3 ? 'C ' : 'Q ') + rest.map(q => `${_n(q.x)} ${_n(q.y)}`).join(' '));
+    paths.push(`<path d="${d.join(' ')}"/>`);
+    const mid = curveAt(c, .5).point;
+    labels.push(_text(`c${c.id}`, mid.x, mid.y - 8 / zoom, 'middle'));
+  }
+  if (!paths.length) return '';
+
+  return [
+    `<g id="curves" stroke="${C.curve}" stroke-width="${_n(2 / zoom)}" fill="none">`, ...paths, '</g>',
+    `<g id="curve-labels" fill="${C.curve}" font-size="${_n(10 / zoom)}">`, ...labels, '</g>',
+  ].join('\n');
+}
+
+// ── Layers ────────────────────────────────────────────────────────────────────
+
+function _svgLayer(C, zoom, opts, layer) {
+  return [
+    `<g id="layer-${layer.id}"${layer.opacity < 1 ? ` opacity="${_n(layer.opacity)}"` : ''}>`,
+    _svgEdges(C, zoom, layer.id),
+    _svgVertices(C, zoom, opts, layer.id),
+    '</g>',
+  ].join('\n');
+}
+
+// ── Edges ─────────────────────────────────────────────────────────────────────
+
+function _svgEdges(C, zoom, layerId) {
+  const { vertices } = state;
+  const edges  = state.edges.filter(e => e.layer === layerId);
+  const lines  = [];
+  const labels = [];
+
+  for (const e of edges) {
+    const v1 = vertices.find(v => v.id === e.v1);
+    const v2 = vertices.find(v => v.id === e.v2);
+    if (!v1 || !v2) continue;
+
+    // Attributes the edge sets override the group's theme stroke
+    const w     = edgeWidth(e);
+    const dash  = edgeDash(e);
+    const style = (e.color ? ` stroke="${e.color}"` : '') +
+                  (w !== EDGE_W ? ` stroke-width="${_n(w / zoom)}"` : '') +
+                  (dash.length ? ` stroke-dasharray="${dash.map(d => _n(d / zoom)).join(' ')}"` : '');
+    lines.push(_line(v1.cx, v1.cy, v2.cx, v2.cy, style));
+    if (e.directed) {
+      // Tip on the outline of the V2 dot, as on the canvas
+      const angle = Math.atan2(v2.cy - v1.cy, v2.cx - v1.cx);
+      const back  = vertexRadius(v2) / zoom;
+      lines.push(_arrowHead(v2.cx - Math.cos(angle) * back, v2.cy - Math.sin(angle) * back, angle, e.color ?? C.edgeClr, (6 + 2 * w) / zoom));
+    }
+    const mx = (v1.cx + v2.cx) / 2;
+    const my = (v1.cy + v2.cy) / 2;
+    labels.push(_text(edgeLabel(e), mx, my - (6 + w) / zoom, 'middle'));
+  }
+
+  return [
+    `<g class="edges" stroke="${C.edgeClr}" stroke-width="${_n(EDGE_W / zoom)}">`, ...lines, '</g>',
+    `<g class="edge-labels" fill="${C.edgeLbl}" font-size="${_n(10 / zoom)}">`, ...labels, '</g>',
+  ].join('\n');
+}
+
+// ── Vertices ──────────────────────────────────────────────────────────────────
+
+function _svgVertices(C, zoom, opts, layerId) {
+  const fs  = _n(10 / zoom);
+  const out = ['<g class="vertices">'];
+
+  for (const v of state.vertices.filter(v => v.layer === layerId)) {
+    const uc  = worldToUser(v.cx, v.cy);
+    const vr  = vertexRadius(v) / zoom;
+    const pts = shapeOutline(v.shape, v.cx, v.cy, vr);
+    const dot = pts ? `<polygon points="${pts.map(p => `${_n(p.x)},${_n(p.y)}`).join(' ')}"`
+                    : `<circle cx="${_n(v.cx)}" cy="${_n(v.cy)}" r="${_n(vr)}"`;
+    out.push(
+      `<g id="V${v.id}">`,
+      `${dot} fill="${v.color ?? C.vFill}" stroke="${C.vStroke}" stroke-width="${_n(2 / zoom)}"/>`,
+      `<g fill="${C.vLabel}" font-size="${fs}" font-weight="bold">${_text(vertexName(v), v.cx, v.cy - vr - 5 / zoom, 'middle')}</g>`,
+      opts.vertexCoords
+        ? `<g fill="${C.vCoord}" font-size="${fs}">${_text(formatUser(uc, ','), v.cx, v.cy + vr + 12 / zoom, 'middle')}</g>`
+        : '',
+      '</g>',
+    );
+  }
+
+  out.push('</g>');
+  return out.join('\n');
+}
+
+// ── Primitives ────────────────────────────────────────────────────────────────
+
+/** Formats a number compactly (SVG files stay small and diffable). */
+function _n(x) {
+  return String(Math.round(x * 1000) / 1000);
+}
+
+function _esc(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function _line(x1, y1, x2, y2, attrs = '') {
+  return `<line x1="${_n(x1)}" y1="${_n(y1)}" x2="${_n(x2)}" y2="${_n(y2)}"${attrs}/>`;
+}
+
+function _text(s, x, y, anchor) {
+  return `<text x="${_n(x)}" y="${_n(y)}" text-anchor="${anchor}">${_esc(s)}</text>`;
+}
+
+/** Grid / axis label from grid.js, mapping canvas textAlign to text-anchor. */
+function _label(t) {
+  const anchor = { left: 'start', center: 'middle', right: 'end' }[t.align];
+  return _text(t.text, t.x, t.y, anchor);
+}
+
+/** Same triangle as draw.js _arrowHead(): tip at (x, y), pointing along `angle`. */
+function _arrowHead(x, y, angle, color, size) {
+  const deg = angle * 180 / Math.PI;
+  return `<polygon points="0,0 ${_n(-size)},${_n(-size / 2)} ${_n(-size)},${_n(size / 2)}" ` +
+         `fill="${color}" transform="translate(${_n(x)} ${_n(y)}) rotate(${_n(deg)})"/>`;
+}
@@ -46,9 +46,49 @@ export function themeColors() {
     // Edges
     edgeClr:   d ? '#fbbf24' : '#d97706',
     edgeLbl:   d ? '#b45309' : '#92400e',
+    edgeHover: d ? 'rgba(251,191,36,.3)' : 'rgba(217,119,6,.25)',
+
+    // Polygons (fill behind the edges, label at the centroid)
+    polyFill:  d ? 'rgba(129,140,248,.14)' : 'rgba(99,102,241,.12)',
+    polyLbl:   d ? '#a5b4fc' : '#4f46e5',
+
+    // Curves, their control polygons and the de Casteljau levels
+    curve:     d ? '#38bdf8' : '#0284c7',
+    ctrlPoly:  d ? 'rgba(148,163,184,.7)' : 'rgba(100,116,139,.7)',
+
+    // Rasterized pixels (grid cells lit by the line algorithms)
+    pixel:     d ? '#818cf8' : '#6366f1',
+    fillPx:    d ? '#2dd4bf' : '#0d9488',
+
+    // Clip window and clipped geometry
+    clip:      d ? '#fb7185' : '#e11d48',
+    clipFill:  d ? 'rgba(251,113,133,.18)' : 'rgba(225,29,72,.12)',
+
+    // Snap indicator (where a placed or dragged vertex will land)
+    snap:      d ? '#f472b6' : '#db2777',
+
+    // Ruler and angle measurements
+    measure:   d ? '#facc15' : '#ca8a04',
+
+    // Vector operations: a and b, the result, and the a × b parallelogram by sign
+    vector:    d ? '#60a5fa' : '#2563eb',
+    vecResult: d ? '#4ade80' : '#16a34a',
+    vecPos:    d ? 'rgba(74,222,128,.2)'  : 'rgba(22,163,74,.15)',
+    vecNeg:    d ? 'rgba(248,113,113,.2)' : 'rgba(220,38,38,.15)',
+
+    // Graph algorithms: visited / frontier / current vertices, tree and path
+    // edges, and one colour per component
+    algoVisit: d ? '#c084fc' : '#9333ea',
+    algoFront: d ? '#fb923c' : '#ea580c',
+    algoTree:  d ? 'rgba(192,132,252,.45)' : 'rgba(147,51,234,.3)',
+    algoPath:  d ? 'rgba(74,222,128,.6)'   : 'rgba(22,163,74,.45)',
+    algoComps: ['#ef4444', '#3b82f6', '#22c55e', '#eab308', '#ec4899', '#14b8a6', '#f97316', '#8b5cf6'],
 
     // Edge preview line
     preview:   d ? 'rgba(34,211,238,.4)' : 'rgba(8,145,178,.4)',
+
+    // Transform preview (ghost of the figure at parameter t)
+    ghost:     d ? '#a78bfa' : '#7c3aed',
   };
 }
 
@@ -0,0 +1,363 @@
+/**
+ * @fileoverview 2D affine transformation tool.
+ *
+ * Operations (translate, rotate, scale, shear, reflect) are 3×3 homogeneous
+ * matrices expressed in the cartesian coordinates of the active frame
+ * (see coords.js frame(); polar uses the underlying Math x, y).  This is
+ * what makes the same rotation matrix turn the figure counter-clockwise
+ * on screen in the Math system (Y↑) and clockwise in the CG system (Y↓).
+ *
+ * Operations are applied in list order, so the composite matrix is
+ *   M = Oₙ · … · O₂ · O₁
+ * optionally conjugated by a translation to the pivot: T(c) · M · T(−c).
+ *
+ * Every operation can be evaluated at a parameter t ∈ [0, 1] (t = 0 is the
+ * identity, t = 1 the full operation); animating t shows the motion
+ * between the figure before and after the transform.
+ */
+
+import { state }                              from './state.js';
+import { SYSTEMS, isYDown, worldToCartesian,
+         cartesianToWorld }                   from './coords.js';
+import { draw }                               from './draw.js';
+import { record }                             from './history.js';
+import { refreshAll, setMsg }                 from './ui.js';
+import { isEditable }                         from './layers.js';
+
+/** Duration of the before → after animation, in ms. */
+const ANIM_MS = 1200;
+
+/**
+ * Operation catalogue: matrix symbol, parameter labels and defaults.
+ * Reflections use `axis` instead of numeric parameters.
+ */
+export const OPS = {
+  translate: { symbol: 'T',  params: ['tx', 'ty'],   defaults: [50, 0]   },
+  rotate:    { symbol: 'R',  params: ['θ (graus)'],  defaults: [30]      },
+  scale:     { symbol: 'S',  params: ['sx', 'sy'],   defaults: [2, 2]    },
+  shear:     { symbol: 'Sh', params: ['shx', 'shy'], defaults: [0.5, 0]  },
+  reflect:   { symbol: 'F',  params: [],             defaults: []        },
+};
+
+const AXIS_NAMES = { x: 'eixo X', y: 'eixo Y', origin: 'origem', diag: 'y = x' };
+
+// ── Matrix algebra ────────────────────────────────────────────────────────────
+
+/** @returns {number[][]} 3×3 identity */
+export function identity() {
+  return [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+}
+
+/**
+ * Matrix product A · B (3×3).
+ *
+ * @param {number[][]} A
+ * @param {number[][]} B
+ * @returns {number[][]}
+ */
+export function multiply(A, B) {
+  return A.map(row => [0, 1, 2].map(j => row[0] * B[0][j] + row[1] * B[1][j] + row[2] * B[2][j]));
+}
+
+/**
+ * Applies M to the point (x, y, 1).
+ *
+ * @param {number[][]} M
+ * @param {number} x
+ * @param {number} y
+ * @returns {{ x: number, y: number }}
+ */
+export function applyMatrix(M, x, y) {
+  return {
+    x: M[0][0] * x + M[0][1] * y + M[0][2],
+    y: M[1][0] * x + M[1][1] * y + M[1][2],
+  };
+}
+
+/**
+ * Homogeneous matrix of one operation evaluated at parameter t.
+ *
+ * @param {{ type: string, a?: number, b?: number, axis?: string }} op
+ * @param {number} [t=1]
+ * @returns {number[][]}
+ */
+export function opMatrix(op, t = 1) {
+  const { a = 0, b = 0 } = op;
+
+  switch (op.type) {
+    case 'translate':
+      return [[1, 0, a * t], [0, 1, b * t], [0, 0, 1]];
+
+    case 'rotate': {
+      const r = a * t * Math.PI / 180;
+      const c = Math.cos(r), s = Math.sin(r);
+      return [[c, -s, 0], [s, c, 0], [0, 0, 1]];
+    }
+
+    case 'scale':
+      return [[1 + (a - 1) * t, 0, 0], [0, 1 + (b - 1) * t, 0], [0, 0, 1]];
+
+    case 'shear':
+      return [[1, a * t, 0], [b * t, 1, 0], [0, 0, 1]];
+
+    case 'reflect': {
+      // Linear blend I → F: passes through a flattened figure at t = ½,
+      // which is exactly what a mirror "flip" looks like.
+      const F = {
+        x:      [[1, 0], [0, -1]],
+        y:      [[-1, 0], [0, 1]],
+        origin: [[-1, 0], [0, -1]],
+        diag:   [[0, 1], [1, 0]],
+      }[op.axis] ?? [[1, 0], [0, 1]];
+      const m = (i, j) => (i === j ? 1 - t : 0) + F[i][j] * t;
+      return [[m(0, 0), m(0, 1), 0], [m(1, 0), m(1, 1), 0], [0, 0, 1]];
+    }
+  }
+  return identity();
+}
+
+/**
+ * Composite matrix of the operation list at parameter t (user coordinates).
+ *
+ * @param {Array} ops
+ * @param {number} [t=1]
+ * @param {{ x: number, y: number }|null} [pivot]  Pivot in user coords.
+ * @returns {number[][]}
+ */
+export function composeMatrix(ops, t = 1, pivot = null) {
+  let M = identity();
+  for (const op of ops) M = multiply(opMatrix(op, t), M);
+
+  if (pivot) {
+    M = multiply(opMatrix({ type: 'translate', a: pivot.x, b: pivot.y }), M);
+    M = multiply(M, opMatrix({ type: 'translate', a: -pivot.x, b: -pivot.y }));
+  }
+  return M;
+}
+
+/**
+ * Short label of an operation, e.g. "R(30°)" or "T(50, 0)".
+ *
+ * @param {Object} op
+ * @returns {string}
+ */
+export function opLabel(op) {
+  const sym = OPS[op.type].symbol;
+  switch (op.type) {
+    case 'rotate':  return `${sym}(${_fmt(op.a)}°)`;
+    case 'reflect': return `${sym}(${AXIS_NAMES[op.axis]})`;
+    default:        return `${sym}(${_fmt(op.a)}, ${_fmt(op.b)})`;
+  }
+}
+
+// ── Tool ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the world-px positions of the target vertices at the current
+ * preview parameter, or null when no preview is active.
+ *
+ * @returns {Map<number, {x: number, y: number}>|null}
+ */
+export function previewPositions() {
+  if (state.xformT === null || !state.xformOps.length) return null;
+  return _transformed(state.xformT);
+}
+
+/** Reads the operation form and appends the operation to the list. */
+export function addOp() {
+  const type = document.getElementById('xf-type').value;
+  const op   = { type };
+
+  if (type === 'reflect') {
+    op.axis = document.getElementById('xf-axis').value;
+  } else {
+    op.a = parseFloat(document.getElementById('xf-a').value) || 0;
+    op.b = parseFloat(document.getElementById('xf-b').value) || 0;
+  }
+
+  state.xformOps.push(op);
+  refreshTransformPanel();
+  draw();
+}
+
+/**
+ * Removes the operation at `index`.
+ *
+ * @param {number} index
+ */
+export function removeOp(index) {
+  state.xformOps.splice(index, 1);
+  if (!state.xformOps.length) state.xformT = null;
+  refreshTransformPanel();
+  draw();
+}
+
+/** Clears the operation list and hides the preview. */
+export function clearOps() {
+  state.xformOps = [];
+  state.xformT   = null;
+  _stopAnimation();
+  refreshTransformPanel();
+  draw();
+}
+
+/**
+ * Shows the figure at parameter t (0 = before, 1 = after) without applying.
+ *
+ * @param {number} t
+ */
+export function previewAt(t) {
+  _stopAnimation();
+  state.xformT = t;
+  refreshTransformPanel();
+  draw();
+}
+
+/** Animates the preview from the figure before to the figure after. */
+export function animateTransform() {
+  if (!state.xformOps.length) { setMsg('Adicione pelo menos uma operação'); return; }
+  if (!_targetIds().length)   { setMsg('Nenhum vértice para transformar'); return; }
+
+  _stopAnimation();
+  const t0 = performance.now();
+
+  const step = now => {
+    const k = Math.min((now - t0) / ANIM_MS, 1);
+    state.xformT = k < .5 ? 2 * k * k : 1 - 2 * (1 - k) * (1 - k);   // ease in-out
+    refreshTransformPanel();
+    draw();
+    _animId = k < 1 ? requestAnimationFrame(step) : null;
+  };
+  _animId = requestAnimationFrame(step);
+}
+
+/** Applies the full transform to the target vertices (undoable). */
+export function applyTransform() {
+  if (!state.xformOps.length) { setMsg('Adicione pelo menos uma operação'); return; }
+  const ids = _targetIds();
+  if (!ids.length) { setMsg('Nenhum vértice para transformar'); return; }
+
+  _stopAnimation();
+  const pos = _transformed(1);
+  const lbl = state.xformOps.map(opLabel).join(' → ');
+
+  record(`Transformar ${lbl}`, () => {
+    for (const v of state.vertices) {
+      const p = pos.get(v.id);
+      if (p) { v.cx = p.x; v.cy = p.y; }
+    }
+  });
+
+  state.xformT = null;
+  refreshTransformPanel();
+  refreshAll();
+  setMsg(`${lbl} aplicada a ${ids.length} vértice(s)`);
+}
+
+/** Updates parameter labels / fields for the chosen operation type. */
+export function updateOpForm() {
+  const type = document.getElementById('xf-type').value;
+  const info = OPS[type];
+
+  document.getElementById('xf-params').hidden   = type === 'reflect';
+  document.getElementById('xf-axis-row').hidden = type !== 'reflect';
+  document.getElementById('xf-b-group').hidden  = info.params.length < 2;
+
+  if (info.params.length) {
+    document.getElementById('xf-a-lbl').textContent = info.params[0];
+    document.getElementById('xf-a').value           = info.defaults[0];
+  }
+  if (info.params.length > 1) {
+    document.getElementById('xf-b-lbl').textContent = info.params[1];
+    document.getElementById('xf-b').value           = info.defaults[1];
+  }
+}
+
+/** Re-renders the operation list, the composite matrix and the notes. */
+export function refreshTransformPanel() {
+  const list = document.getElementById('xf-list');
+  if (!list) return;
+
+  const ops = state.xformOps;
+  list.innerHTML = ops.length
+    ? ops.map((op, i) => `
+      <div class="e-item">
+        <span>${i + 1}. ${opLabel(op)}</span>
+        <button class="e-del" data-index="${i}" title="Remover operação">×</button>
+      </div>`).join('')
+    : '<div class="empty-hint">Nenhuma operação</div>';
+
+  // Composite matrix at t = 1, product written right-to-left
+  const M = composeMatrix(ops, 1, _pivot());
+  const formula = ops.length
+    ? 'M = ' + ops.map(op => OPS[op.type].symbol).reverse().join(' · ')
+    : 'M = I';
+  document.getElementById('xf-formula').textContent =
+    formula + (_pivot() && ops.length ? '  (em torno do pivô)' : '');
+  document.getElementById('xf-matrix').innerHTML = M.map(row =>
+    row.map(x => `<span>${_fmt(x)}</span>`).join('')).join('');
+
+  const t = state.xformT ?? 0;
+  document.getElementById('xf-t').value             = t;
+  document.getElementById('xf-t-val').textContent   = t.toFixed(2);
+
+  const name = SYSTEMS[state.coordSystem].name;
+  document.getElementById('xf-note').innerHTML = isYDown()
+    ? `No sistema <strong>${name}</strong> (Y↓), θ &gt; 0 gira no sentido <strong>horário</strong> na tela.`
+    : `No sistema <strong>${name}</strong> (Y↑), θ &gt; 0 gira no sentido <strong>anti-horário</strong> na tela.`;
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+let _animId = null;
+
+function _stopAnimation() {
+  if (_animId !== null) cancelAnimationFrame(_animId);
+  _animId = null;
+}
+
+/** IDs of the vertices the transform applies to (hidden and locked layers stay put). */
+function _targetIds() {
+  if (document.getElementById('xf-target').value === 'all') return state.vertices.filter(isEditable).map(v => v.id);
+  return [...state.selection];
+}
+
+/**
+ * Pivot in frame coordinates: null (user origin) or the centroid of the
+ * target vertices.
+ */
+function _pivot() {
+  if (document.getElementById('xf-pivot').value !== 'centroid') return null;
+  const ids = new Set(_targetIds());
+  const pts = state.vertices.filter(v => ids.has(v.id)).map(v => worldToCartesian(v.cx, v.cy));
+  if (!pts.length) return null;
+  return {
+    x: pts.reduce((s, p) => s + p.x, 0) / pts.length,
+    y: pts.reduce((s, p) => s + p.y, 0) / pts.length,
+  };
+}
+
+/**
+ * Target vertex positions (world-px) after the transform at parameter t.
+ * The matrix works in the cartesian coordinates of the active frame
+ * (x, y for polar): world → frame → M → world.
+ */
+function _transformed(t) {
+  const M   = composeMatrix(state.xformOps, t, _pivot());
+  const ids = new Set(_targetIds());
+  const out = new Map();
+
+  for (const v of state.vertices) {
+    if (!ids.has(v.id)) continue;
+    const u = worldToCartesian(v.cx, v.cy);
+    const p = applyMatrix(M, u.x, u.y);
+    out.set(v.id, cartesianToWorld(p.x, p.y));
+  }
+  return out;
+}
+
+/** Formats a matrix entry: up to 3 decimals, no trailing zeros, no "-0". */
+function _fmt(x) {
+  const r = Math.round(x * 1000) / 1000;
+  return String(Object.is(r, -0) ? 0 : r);
+}
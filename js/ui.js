@@ -2,18 +2,47 @@
  * @fileoverview UI management.
  *
  * Responsibilities:
- *   - Mode and coordinate-system switching (buttons + state)
- *   - Vertex and edge CRUD (add, delete, select)
+ *   - Mode and coordinate-system switching (buttons + state), custom frame
+ *   - Display precision and unit scale
+ *   - Math origin (drag / typed) and CG screen height
+ *   - Vertex and edge CRUD (add, delete, select, split), recorded in the history
+ *   - Inline editing of a vertex's label and coordinates in the list
+ *   - Vertex and edge hit-testing on the canvas
  *   - Edge-creation click logic
  *   - Sidebar list rendering (vertex list, edge list)
  *   - Status bar helpers (zoom label, temporary messages)
  *   - View reset
  */
 
-import { state, V_RADIUS }         from './state.js';
-import { worldToUser, userToWorld } from './coords.js';
+import { state, V_RADIUS, GRID }   from './state.js';
+import { SYSTEMS, PRECISIONS, origin,
+         worldToUser, worldToUserExact,
+         userToWorld, formatUser, isScaled,
+         unitName }                 from './coords.js';
 import { draw }                    from './draw.js';
 import { renderInfo }              from './info.js';
+import { record, begin, commit }   from './history.js';
+import { refreshTransformPanel }   from './transform.js';
+import { isSelected, selectVertices,
+         toggleSelected,
+         refreshSelectionPanel }   from './selection.js';
+import { noteWindingFlip, prunePolygons,
+         insertIntoPolygons,
+         refreshPolygonList }      from './polygon.js';
+import { pruneCurves,
+         refreshCurvePanel }       from './curve.js';
+import { refreshRasterPanel }      from './raster.js';
+import { refreshFillPanel }        from './fill.js';
+import { refreshClipPanel }        from './clip.js';
+import { cancelMeasure,
+         refreshMeasurePanel }     from './measure.js';
+import { refreshVectorPanel }      from './vector.js';
+import { refreshGraphPanel }       from './graph.js';
+import { EDGE_STYLE, vertexRadius,
+         refreshAttrPanel }        from './attrs.js';
+import { isEditable, activeLayerEditable,
+         layerBlocks,
+         refreshLayerPanel }       from './layers.js';
 
 // ── Mode ─────────────────────────────────────────────────────────────────────
 
@@ -31,7 +60,9 @@ const MODE_NAMES = {
 export function setMode(m) {
   state.mode        = m;
   state.edgePending = null;
-  state.selVertex   = null;
+  state.selection   = [];
+  state.selEdge     = null;
+  state.band        = null;
 
   document.querySelectorAll('.mode-btn').forEach(b => b.classList.remove('active'));
   document.getElementById(`mode-${m}`)?.classList.add('active');
@@ -43,33 +74,267 @@ export function setMode(m) {
   renderInfo();
 }
 
+/**
+ * Drops whatever is half-done — the first vertex of an edge, an armed fill
+ * seed, an armed or half-drawn clip window, a measuring tool — or, with
+ * nothing pending, the selection.
+ */
+export function cancelPending() {
+  const { fill, clip } = state;
+  if (state.edgePending !== null || fill.armed || clip.armed || clip.drawing || state.measure.tool) {
+    state.edgePending = null;
+    fill.armed        = false;
+    clip.armed        = false;
+    clip.drawing      = null;
+    cancelMeasure();
+    renderInfo();
+    setMsg('Ação cancelada');
+  } else {
+    state.selection = [];
+    state.selEdge   = null;
+  }
+  refreshAll();
+}
+
 // ── Coordinate system ─────────────────────────────────────────────────────────
 
+/** Canvas badge style and text for each coordinate system. */
+const SYS_BADGES = {
+  cg:     ['rgba(249,115,22,.12)', '#f97316', '#ea6c00', 'CG — Y cresce ↓'],
+  math:   ['rgba(8,145,178,.1)',   '#0891b2', '#0891b2', 'Matemático — Y cresce ↑'],
+  ndc:    ['rgba(139,92,246,.1)',  '#8b5cf6', '#7c3aed', 'NDC — tela de −1 a 1'],
+  polar:  ['rgba(219,39,119,.1)',  '#db2777', '#db2777', 'Polar — (r, θ) anti-horário'],
+  custom: ['rgba(22,163,74,.1)',   '#16a34a', '#15803d', 'Personalizado — (u, v)'],
+};
+
 /**
- * Switches the coordinate system and updates the UI.
+ * Step of the "Inserir Vértice por Coord." inputs in each system (cg, math
+ * and polar r at the default 1 unit per px; they follow the unit scale).
+ */
+const SYS_INPUT_STEPS = {
+  cg:     [10, 10],
+  math:   [10, 10],
+  ndc:    [0.1, 0.1],
+  polar:  [10, 15],
+  custom: [0.5, 0.5],
+};
+
+/**
+ * Switches the coordinate system (recorded in the history) and updates the UI.
  *
- * @param {'cg'|'math'} sys
+ * @param {keyof SYSTEMS} sys
  */
 export function setCoordSystem(sys) {
-  state.coordSystem = sys;
+  const prev = state.coordSystem;
+  record(`Sistema ${SYSTEMS[sys].name}`, () => { state.coordSystem = sys; });
+  applyCoordSystem();
+  noteWindingFlip(prev);
+}
 
-  document.getElementById('btn-cg').className   = 'coord-btn' + (sys === 'cg'   ? ' active-cg'   : '');
-  document.getElementById('btn-math').className = 'coord-btn' + (sys === 'math' ? ' active-math'  : '');
+/**
+ * Switches to the next (or previous) system in the order of SYSTEMS.
+ *
+ * @param {1|-1} delta
+ */
+export function cycleCoordSystem(delta) {
+  const keys = Object.keys(SYSTEMS);
+  const i    = keys.indexOf(state.coordSystem);
+  setCoordSystem(keys[(i + delta + keys.length) % keys.length]);
+  setMsg(`Sistema: ${SYSTEMS[state.coordSystem].name}`);
+}
 
-  const badge = document.getElementById('coord-badge');
-  if (sys === 'cg') {
-    badge.style.cssText = 'background:rgba(249,115,22,.12);border:1px solid #f97316;color:#ea6c00;';
-    badge.textContent   = 'CG — Y cresce ↓';
-  } else {
-    badge.style.cssText = 'background:rgba(8,145,178,.1);border:1px solid #0891b2;color:#0891b2;';
-    badge.textContent   = 'Matemático — Y cresce ↑';
+/**
+ * Sets one parameter of the custom frame (recorded in the history).
+ *
+ * @param {'ox'|'oy'|'angle'|'scale'} key
+ * @param {number} value
+ */
+export function setCustomFrame(key, value) {
+  if (!Number.isFinite(value) || (key === 'scale' && value <= 0)) {
+    refreshCustomFrame();
+    setMsg('Valor inválido para o referencial');
+    return;
+  }
+  record('Editar referencial', () => {
+    state.customFrame = { ...state.customFrame, [key]: value };
+  });
+  applyCoordSystem();
+}
+
+/**
+ * Reflects state.coordSystem in the toggle buttons, canvas badge and
+ * coordinate inputs, then redraws the canvas, the lists and the info panel.
+ */
+export function applyCoordSystem() {
+  const sys = state.coordSystem;
+
+  for (const k of Object.keys(SYSTEMS)) {
+    document.getElementById(`btn-${k}`).classList.toggle(`active-${k}`, k === sys);
   }
 
+  const [bg, border, color, text] = SYS_BADGES[sys];
+  const badge = document.getElementById('coord-badge');
+  badge.style.cssText = `background:${bg};border:1px solid ${border};color:${color};`;
+  badge.textContent   = text;
+
+  const [ax, ay] = SYSTEMS[sys].axes;
+  const unit = unitName() ? ` (${unitName()})` : '';
+  const k    = isScaled() ? state.units.cell / GRID : 1;
+  document.getElementById('inp-x-lbl').textContent = ax + unit;
+  document.getElementById('inp-y-lbl').textContent = sys === 'polar' ? ay : ay + unit;
+  document.getElementById('inp-x').step = SYS_INPUT_STEPS[sys][0] * k;
+  document.getElementById('inp-y').step = SYS_INPUT_STEPS[sys][1] * (sys === 'polar' ? 1 : k);
+
+  document.getElementById('custom-frame').hidden = sys !== 'custom';
+  refreshCustomFrame();
+  refreshOriginForm();
+  refreshUnitsForm();
+
   draw();
   refreshAll();
+  refreshTransformPanel();
   renderInfo();
 }
 
+/** Fills the custom frame inputs from the state. */
+export function refreshCustomFrame() {
+  const { ox, oy, angle, scale } = state.customFrame;
+  const round = x => Math.round(x * 100) / 100;
+  document.getElementById('cf-ox').value    = round(ox);
+  document.getElementById('cf-oy').value    = round(oy);
+  document.getElementById('cf-angle').value = round(angle);
+  document.getElementById('cf-scale').value = round(scale);
+}
+
+// ── Units and precision ───────────────────────────────────────────────────────
+
+/**
+ * Sets the display precision, the units per grid cell or the unit name
+ * (recorded in the history).  Vertices stay where they are; only the
+ * numbers shown for them change.
+ *
+ * @param {'precision'|'cell'|'unit'} key
+ * @param {string|number} value
+ */
+export function setUnits(key, value) {
+  if (key === 'cell' && !(Number.isFinite(value) && value > 0)) {
+    refreshUnitsForm();
+    setMsg('A escala deve ser maior que zero');
+    return;
+  }
+  record('Editar unidades', () => {
+    state.units = { ...state.units, [key]: value };
+  });
+  applyCoordSystem();
+
+  const { precision, cell, unit } = state.units;
+  setMsg(key === 'precision' ? `Precisão: ${PRECISIONS[precision]}` : `1 célula da grade = ${cell} ${unit || (cell === 1 ? 'unidade' : 'unidades')}`);
+}
+
+/** Fills the units inputs from the state and explains where they apply. */
+export function refreshUnitsForm() {
+  const { precision, cell, unit } = state.units;
+  document.getElementById('un-precision').value = precision;
+  document.getElementById('un-cell').value      = cell;
+  document.getElementById('un-unit').value      = unit;
+
+  const sys = state.coordSystem;
+  document.getElementById('un-cell').disabled = !isScaled();
+  document.getElementById('un-note').textContent =
+      sys === 'ndc'    ? 'NDC não tem unidade: a área visível vai de −1 a 1.'
+    : sys === 'custom' ? 'O referencial personalizado usa a própria escala (px/unid.).'
+    : `1 célula = ${GRID} px na tela com zoom 100%.`;
+}
+
+// ── Origin and CG height ──────────────────────────────────────────────────────
+
+/**
+ * Whether a world-px point hits the origin of the active system and that
+ * origin can be dragged (the CG and NDC origins are fixed to the screen).
+ *
+ * @param {number} wx
+ * @param {number} wy
+ * @returns {boolean}
+ */
+export function originAt(wx, wy) {
+  if (state.coordSystem === 'cg' || state.coordSystem === 'ndc') return false;
+  const o    = origin();
+  const hitR = (V_RADIUS + 4) / state.zoom;
+  return (o.x - wx) ** 2 + (o.y - wy) ** 2 <= hitR * hitR;
+}
+
+/**
+ * Moves the origin of the active system (the custom frame origin, or the
+ * math origin shared by Math and Polar) to whole world-px, without
+ * recording history — drags wrap it in begin()/commit().
+ * Vertices keep their place on screen; their labels follow the origin.
+ *
+ * @param {number} wx
+ * @param {number} wy
+ */
+export function moveOrigin(wx, wy) {
+  const x = Math.round(wx);
+  const y = Math.round(wy);
+  if (state.coordSystem === 'custom') {
+    state.customFrame = { ...state.customFrame, ox: x, oy: y };
+  } else {
+    state.mathOx = x;
+    state.mathOy = y;
+  }
+  refreshOriginForm();
+  refreshCustomFrame();
+  refreshAll();
+  renderInfo();
+}
+
+/**
+ * Places the math origin at a CG pixel typed by the user (undoable).
+ *
+ * @param {number} x
+ * @param {number} y
+ */
+export function setMathOrigin(x, y) {
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    refreshOriginForm();
+    setMsg('Posição de origem inválida');
+    return;
+  }
+  record('Mover origem', () => {
+    state.mathOx = x;
+    state.mathOy = y;
+  });
+  applyCoordSystem();
+  setMsg(`Origem matemática em (${x}, ${y}) no CG`);
+}
+
+/**
+ * Sets the height H of the CG screen (undoable).
+ *
+ * @param {number} h
+ */
+export function setCgHeight(h) {
+  if (!Number.isFinite(h) || h <= 0) {
+    refreshOriginForm();
+    setMsg('A altura H deve ser maior que zero');
+    return;
+  }
+  record(`Altura H = ${h}`, () => { state.cgHeight = h; });
+  applyCoordSystem();
+}
+
+/** Moves the math origin to (0, H), where y_cg = H − y_math holds exactly. */
+export function originToBottomLeft() {
+  setMathOrigin(0, state.cgHeight);
+  setMsg('Origem em (0, H): agora y_cg = H − y_math');
+}
+
+/** Fills the origin / CG height inputs from the state. */
+export function refreshOriginForm() {
+  document.getElementById('mo-x').value      = state.mathOx;
+  document.getElementById('mo-y').value      = state.mathOy;
+  document.getElementById('cg-height').value = state.cgHeight;
+}
+
 // ── Vertex CRUD ───────────────────────────────────────────────────────────────
 
 /**
@@ -79,11 +344,15 @@ export function setCoordSystem(sys) {
  * @param {number} wy
  */
 export function addVertex(wx, wy) {
-  state.vertices.push({ id: state.nextVid++, cx: wx, cy: wy });
+  if (!activeLayerEditable()) return;
+  const id = state.nextVid;
+  record(`Adicionar V${id}`, () => {
+    state.vertices.push({ id: state.nextVid++, cx: wx, cy: wy, layer: state.activeLayer });
+  });
   refreshVertexList();
   draw();
   renderInfo();
-  setMsg(`Vértice V${state.nextVid - 1} adicionado`);
+  setMsg(`Vértice V${id} adicionado`);
 }
 
 /**
@@ -97,34 +366,151 @@ export function addVertexByCoords() {
 }
 
 /**
- * Removes a vertex and all edges that reference it.
+ * Removes a vertex and all edges that reference it (not on a hidden or
+ * locked layer).
  *
  * @param {number} id
  */
 export function deleteVertex(id) {
-  state.vertices    = state.vertices.filter(v => v.id !== id);
-  state.edges       = state.edges.filter(e => e.v1 !== id && e.v2 !== id);
-  if (state.selVertex   === id) state.selVertex   = null;
+  if (layerBlocks(state.vertices.find(v => v.id === id), `V${id}`)) return;
+  record(`Remover V${id}`, () => {
+    state.vertices = state.vertices.filter(v => v.id !== id);
+    state.edges    = state.edges.filter(e => e.v1 !== id && e.v2 !== id);
+    prunePolygons();
+    pruneCurves();
+  });
+  state.selection = state.selection.filter(s => s !== id);
   if (state.edgePending === id) state.edgePending = null;
   refreshAll();
 }
 
 /**
- * Selects a vertex from the sidebar list and scrolls the canvas info.
+ * Selects a vertex from the sidebar list (Shift toggles it in the selection),
+ * unless its layer is hidden or locked.
  *
- * @param {number} id
+ * @param {number}  id
+ * @param {boolean} [additive=false]
  */
-export function selectFromList(id) {
-  state.selVertex = id;
+export function selectFromList(id, additive = false) {
   const v = state.vertices.find(v => v.id === id);
+  if (layerBlocks(v, `V${id}`)) return;
+  if (additive) {
+    toggleSelected(id);
+    return;
+  }
+  selectVertices([id]);
   if (v) {
-    const uc = worldToUser(v.cx, v.cy);
-    setMsg(`V${id} selecionado — (${uc.x}, ${uc.y})`);
+    setMsg(`V${id} selecionado — ${formatUser(worldToUser(v.cx, v.cy))}`);
   }
+}
+
+/**
+ * Display name of a vertex: its custom label, or V{id}.
+ *
+ * @param {{ id:number, label?:string }} v
+ * @returns {string}
+ */
+export function vertexName(v) {
+  return v.label || `V${v.id}`;
+}
+
+/**
+ * Escapes text for innerHTML and attribute values (labels and layer
+ * names are typed by the user).
+ *
+ * @param {*} s
+ * @returns {string}
+ */
+export function escapeHtml(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// ── Inline vertex editing ─────────────────────────────────────────────────────
+
+/** Longest custom vertex or edge label, in characters. */
+export const LABEL_MAX = 24;
+
+/** Vertex being edited in the list, with its values before the edit (null = none). */
+let _edit = null;
+
+/**
+ * Turns a row of the vertex list into an editor for the label and the
+ * coordinates (in the active system).  The whole edit is one history
+ * entry: the canvas follows the fields as they are typed, Enter (or
+ * leaving the row) commits and Escape restores the vertex.  Vertices on
+ * hidden or locked layers cannot be edited.
+ *
+ * @param {number} id
+ */
+export function editVertex(id) {
+  commitVertexEdit();
+  const v = state.vertices.find(v => v.id === id);
+  if (!v || layerBlocks(v, `V${id}`)) return;
+
+  begin();
+  const uc = worldToUser(v.cx, v.cy);
+  _edit = { id, cx: v.cx, cy: v.cy, label: v.label, ux: String(uc.x), uy: String(uc.y),
+            exact: worldToUserExact(v.cx, v.cy) };
   refreshVertexList();
+  const x = document.querySelector('.v-edit .v-in-x');
+  x?.focus();
+  x?.select();
+}
+
+/**
+ * Applies the editor fields to the vertex (invalid numbers are skipped).
+ * A field still showing its rounded starting value keeps the exact
+ * coordinate, so renaming a vertex or editing one axis does not snap it.
+ */
+export function previewVertexEdit() {
+  const row = document.querySelector('.v-edit');
+  const v   = _edit && state.vertices.find(v => v.id === _edit.id);
+  if (!row || !v) return;
+
+  const fx = row.querySelector('.v-in-x').value;
+  const fy = row.querySelector('.v-in-y').value;
+  const ux = fx === _edit.ux ? _edit.exact.x : parseFloat(fx);
+  const uy = fy === _edit.uy ? _edit.exact.y : parseFloat(fy);
+  if (fx === _edit.ux && fy === _edit.uy) {
+    v.cx = _edit.cx;
+    v.cy = _edit.cy;
+  } else if (Number.isFinite(ux) && Number.isFinite(uy)) {
+    const p = userToWorld(ux, uy);
+    v.cx = p.x;
+    v.cy = p.y;
+  }
+  const label = row.querySelector('.v-in-label').value.trim().slice(0, LABEL_MAX);
+  if (label) v.label = label;
+  else delete v.label;
   draw();
 }
 
+/** Ends the inline edit, recording it. */
+export function commitVertexEdit() {
+  if (!_edit) return;
+  previewVertexEdit();
+  const id = _edit.id;
+  _edit = null;
+  commit(`Editar V${id}`);
+  refreshAll();
+  renderInfo();
+}
+
+/** Ends the inline edit, putting the vertex back as it was. */
+export function cancelVertexEdit() {
+  if (!_edit) return;
+  const v = state.vertices.find(v => v.id === _edit.id);
+  if (v) {
+    v.cx = _edit.cx;
+    v.cy = _edit.cy;
+    if (_edit.label) v.label = _edit.label;
+    else delete v.label;
+  }
+  _edit = null;
+  commit('Editar');   // nothing changed: records nothing
+  refreshAll();
+}
+
 // ── Edge CRUD ─────────────────────────────────────────────────────────────────
 
 /**
@@ -154,9 +540,12 @@ export function handleEdgeClick(wx, wy) {
 
     if (alreadyExists) {
       setMsg('Aresta já existe entre esses vértices!');
-    } else {
-      state.edges.push({ id: state.nextEid++, v1: state.edgePending, v2: v.id });
-      setMsg(`Aresta e${state.nextEid - 1}: V${state.edgePending} ↔ V${v.id}`);
+    } else if (activeLayerEditable()) {
+      const id = state.nextEid;
+      record(`Adicionar e${id}`, () => {
+        state.edges.push({ id: state.nextEid++, v1: state.edgePending, v2: v.id, layer: state.activeLayer });
+      });
+      setMsg(`Aresta e${id}: V${state.edgePending} ↔ V${v.id}`);
       refreshEdgeList();
       renderInfo();
     }
@@ -168,51 +557,166 @@ export function handleEdgeClick(wx, wy) {
 }
 
 /**
- * Removes an edge by id.
+ * Removes an edge by id (not on a hidden or locked layer).
  *
  * @param {number} id
  */
 export function deleteEdge(id) {
-  state.edges = state.edges.filter(e => e.id !== id);
+  if (layerBlocks(state.edges.find(e => e.id === id), `e${id}`)) return;
+  record(`Remover e${id}`, () => {
+    state.edges = state.edges.filter(e => e.id !== id);
+  });
+  if (state.selEdge   === id) state.selEdge   = null;
+  if (state.hoverEdge === id) state.hoverEdge = null;
   refreshEdgeList();
+  refreshMeasurePanel();
+  refreshVectorPanel();
+  refreshGraphPanel();
+  refreshAttrPanel();
   draw();
   renderInfo();
 }
 
+/**
+ * Selects an edge (or clears the edge selection with null).
+ * Selecting an edge drops the vertex selection and vice versa; edges on
+ * hidden or locked layers cannot be selected.
+ *
+ * @param {number|null} id
+ */
+export function selectEdge(id) {
+  if (layerBlocks(state.edges.find(e => e.id === id), `e${id}`)) return;
+  state.selEdge = id;
+  if (id !== null) {
+    state.selection = [];
+    const e = state.edges.find(e => e.id === id);
+    if (e) setMsg(`Aresta e${id}: V${e.v1} ${e.directed ? '→' : '↔'} V${e.v2} — Delete remove, duplo clique divide, D orienta`);
+  }
+  refreshAll();
+}
+
+/**
+ * Splits an edge at the point of it closest to (wx, wy): inserts a vertex
+ * there and replaces the edge with the two halves (one undoable step).
+ *
+ * @param {number} id
+ * @param {number} wx
+ * @param {number} wy
+ */
+export function splitEdge(id, wx, wy) {
+  const e  = state.edges.find(e => e.id === id);
+  const v1 = e && state.vertices.find(v => v.id === e.v1);
+  const v2 = e && state.vertices.find(v => v.id === e.v2);
+  if (!v1 || !v2) return;
+
+  const t   = _segmentParam(wx, wy, v1, v2);
+  const vid = state.nextVid;
+  record(`Dividir e${id}`, () => {
+    state.vertices.push({ id: state.nextVid++, cx: v1.cx + t * (v2.cx - v1.cx), cy: v1.cy + t * (v2.cy - v1.cy), layer: e.layer });
+    // Both halves keep the layer, the direction and the look of the edge
+    const keep = e.directed ? { layer: e.layer, directed: true } : { layer: e.layer };
+    for (const k of EDGE_STYLE) if (e[k] !== undefined) keep[k] = e[k];
+    state.edges = state.edges.filter(x => x.id !== id);
+    state.edges.push({ id: state.nextEid++, v1: v1.id, v2: vid,   ...keep });
+    state.edges.push({ id: state.nextEid++, v1: vid,   v2: v2.id, ...keep });
+    insertIntoPolygons(v1.id, v2.id, vid);
+  });
+  state.selEdge   = null;
+  state.hoverEdge = null;
+  refreshAll();
+  renderInfo();
+  setMsg(`e${id} dividida em V${vid}`);
+}
+
 // ── Vertex lookup ─────────────────────────────────────────────────────────────
 
 /**
  * Returns the first vertex whose hit area contains the given world-px point.
- * Hit radius is constant in screen pixels regardless of zoom.
+ * Hit radius is constant in screen pixels regardless of zoom, and grows
+ * with the vertex size.  Vertices on hidden or locked layers are skipped.
  *
  * @param {number} wx
  * @param {number} wy
  * @returns {Object|null}
  */
 export function vertexAt(wx, wy) {
-  const hitR = (V_RADIUS + 4) / state.zoom;
   for (const v of state.vertices) {
-    const dx = v.cx - wx;
-    const dy = v.cy - wy;
+    if (!isEditable(v)) continue;
+    const hitR = (vertexRadius(v) + 4) / state.zoom;
+    const dx   = v.cx - wx;
+    const dy   = v.cy - wy;
     if (dx * dx + dy * dy <= hitR * hitR) return v;
   }
   return null;
 }
 
+// ── Edge lookup ───────────────────────────────────────────────────────────────
+
+/** Edge pick tolerance in screen pixels. */
+const EDGE_HIT_PX = 6;
+
+/**
+ * Returns the edge closest to the given world-px point if it lies within
+ * EDGE_HIT_PX screen pixels of it (so picking feels the same at any zoom).
+ * Edges on hidden or locked layers are skipped.
+ *
+ * @param {number} wx
+ * @param {number} wy
+ * @returns {Object|null}
+ */
+export function edgeAt(wx, wy) {
+  const hitR = EDGE_HIT_PX / state.zoom;
+  let best  = null;
+  let bestD = hitR * hitR;
+
+  for (const e of state.edges) {
+    const v1 = state.vertices.find(v => v.id === e.v1);
+    const v2 = state.vertices.find(v => v.id === e.v2);
+    if (!v1 || !v2 || !isEditable(e)) continue;
+
+    const t  = _segmentParam(wx, wy, v1, v2);
+    const dx = v1.cx + t * (v2.cx - v1.cx) - wx;
+    const dy = v1.cy + t * (v2.cy - v1.cy) - wy;
+    const d  = dx * dx + dy * dy;
+    if (d <= bestD) { best = e; bestD = d; }
+  }
+  return best;
+}
+
+/**
+ * Parameter t ∈ [0, 1] of the point of segment v1–v2 closest to (wx, wy).
+ */
+function _segmentParam(wx, wy, v1, v2) {
+  const ex  = v2.cx - v1.cx;
+  const ey  = v2.cy - v1.cy;
+  const len = ex * ex + ey * ey;
+  if (len === 0) return 0;
+  return Math.max(0, Math.min(1, ((wx - v1.cx) * ex + (wy - v1.cy) * ey) / len));
+}
+
 // ── Clear all ─────────────────────────────────────────────────────────────────
 
-/** Removes all vertices and edges and resets counters. */
+/** Removes all vertices and edges and resets counters (undoable). */
 export function clearAll() {
-  state.vertices    = [];
-  state.edges       = [];
-  state.nextVid     = 0;
-  state.nextEid     = 0;
-  state.selVertex   = null;
+  record('Limpar tudo', () => {
+    state.vertices = [];
+    state.edges    = [];
+    state.polygons = [];
+    state.curves   = [];
+    state.nextVid  = 0;
+    state.nextEid  = 0;
+    state.nextPid  = 0;
+    state.nextCid  = 0;
+  });
+  state.selection   = [];
+  state.selEdge     = null;
+  state.hoverEdge   = null;
   state.edgePending = null;
   state.dragVertex  = null;
+  state.dragOrigin  = false;
   refreshAll();
   renderInfo();
-  setMsg('Tudo limpo');
+  setMsg('Tudo limpo — Ctrl+Z para desfazer');
 }
 
 // ── View ─────────────────────────────────────────────────────────────────────
@@ -223,7 +727,7 @@ export function resetView() {
   state.panX = 20;
   state.panY = 20;
   updateZoomLabel();
-  draw();
+  refreshAll();
   setMsg('Zoom e pan resetados');
 }
 
@@ -254,33 +758,50 @@ export function setMsg(msg) {
 
 // ── List refresh ─────────────────────────────────────────────────────────────
 
-/** Redraws both lists and the canvas. */
+/** Redraws the sidebar lists and the canvas. */
 export function refreshAll() {
   refreshVertexList();
   refreshEdgeList();
+  refreshPolygonList();
+  refreshCurvePanel();
+  refreshRasterPanel();
+  refreshFillPanel();
+  refreshClipPanel();
+  refreshMeasurePanel();
+  refreshVectorPanel();
+  refreshGraphPanel();
+  refreshLayerPanel();
   draw();
 }
 
-/** Re-renders the vertex list sidebar. */
+/** Re-renders the vertex list sidebar, the selection summary and the attribute inspector. */
 export function refreshVertexList() {
   const el = document.getElementById('vertex-list');
   if (!el) return;
 
   document.getElementById('v-count').textContent = state.vertices.length;
+  refreshSelectionPanel();
+  refreshAttrPanel();
 
   if (!state.vertices.length) {
     el.innerHTML = '<div class="empty-hint">Nenhum vértice ainda</div>';
     return;
   }
 
+  // Leave an open editor alone: rebuilding it would drop what is being typed
+  if (_edit && el.querySelector('.v-edit')) return;
+
   el.innerHTML = state.vertices.map(v => {
-    const uc  = worldToUser(v.cx, v.cy);
+    if (_edit && v.id === _edit.id) return _vertexEditor(v);
+
+    const uc  = formatUser(worldToUser(v.cx, v.cy));
+    const tag = v.label ? ` <small>V${v.id}</small>` : '';
     const cls = v.id === state.edgePending ? 'edge-sel'
-              : v.id === state.selVertex   ? 'selected'
+              : isSelected(v.id)            ? 'selected'
               : '';
     return `
-      <div class="v-item ${cls}" data-id="${v.id}">
-        <span>V${v.id}&nbsp;&nbsp;(${uc.x}, ${uc.y})</span>
+      <div class="v-item ${cls}" data-id="${v.id}" title="Duplo clique para editar">
+        <span>${escapeHtml(vertexName(v))}${tag}&nbsp;&nbsp;${uc}</span>
         <button class="v-del" data-id="${v.id}" title="Remover vértice">×</button>
       </div>`;
   }).join('');
@@ -299,9 +820,29 @@ export function refreshEdgeList() {
   }
 
   el.innerHTML = state.edges.map(e => `
-    <div class="e-item" data-id="${e.id}">
-      <span>e${e.id}: V${e.v1} ↔ V${e.v2}</span>
-      <button class="e-del" data-id="${e.id}" title="Remover aresta">×</button>
+    <div class="e-item${e.id === state.selEdge ? ' selected' : ''}" data-id="${e.id}">
+      <span>${e.label ? `${escapeHtml(e.label)} <small>e${e.id}</small>` : `e${e.id}`}: V${e.v1} ${e.directed ? '→' : '↔'} V${e.v2}</span>
+      <span class="e-actions">
+        ${e.directed ? `<button class="e-rev" data-id="${e.id}" title="Inverter o sentido">⇄</button>` : ''}
+        <button class="e-dir${e.directed ? ' active' : ''}" data-id="${e.id}"
+                title="${e.directed ? 'Remover orientação' : `Orientar V${e.v1} → V${e.v2} (vetor)`}">→</button>
+        <button class="e-del" data-id="${e.id}" title="Remover aresta">×</button>
+      </span>
     </div>`
   ).join('');
 }
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+/** Editor row of the vertex list: label, then x / y in the active system. */
+function _vertexEditor(v) {
+  const uc = worldToUser(v.cx, v.cy);
+  const [ax, ay] = SYSTEMS[state.coordSystem].axes;
+  return `
+      <div class="v-item v-edit" data-id="${v.id}">
+        <input type="text"   class="v-in-label" value="${escapeHtml(v.label ?? '')}" placeholder="V${v.id}"
+               maxlength="${LABEL_MAX}" title="Rótulo (vazio = V${v.id})">
+        <input type="number" class="v-in-x" value="${uc.x}" step="any" title="${ax}">
+        <input type="number" class="v-in-y" value="${uc.y}" step="any" title="${ay}">
+      </div>`;
+}
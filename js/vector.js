@@ -0,0 +1,379 @@
+/**
+ * @fileoverview Vector mode: directed edges and operations on them.
+ *
+ * A directed edge is the vector from its V1 to its V2.  It is drawn with
+ * an arrowhead and listed in the Vetores card with its components
+ * (dx, dy), magnitude and unit vector, in the cartesian coordinates of the
+ * active frame like the measurements (see measure.js).
+ *
+ * The operation tool takes two directed edges a and b and builds, from
+ * the tail of a:
+ *   sum   — a + b, the diagonal of the parallelogram on a and b
+ *   diff  — a − b, from the tip of b to the tip of a
+ *   proj  — the projection of a on the line of b and the perpendicular rest
+ *   dot   — a · b = |a| |b| cos θ: the signed length of that projection
+ *           times |b|
+ *   cross — a × b = ax·by − ay·bx: the signed area of the parallelogram
+ * The sum, the difference and the projection can be added to the graph as
+ * a new directed edge leaving the tail of a.
+ *
+ * Directions belong to the document (saved and undone); the picked
+ * vectors and the operation are tool state.
+ */
+
+import { state }                        from './state.js';
+import { isYDown, formatVector,
+         formatLength, unitName }       from './coords.js';
+import { draw }                         from './draw.js';
+import { record }                       from './history.js';
+import { refreshAll, setMsg }           from './ui.js';
+import { segmentMeasure, formatAngle,
+         edgeEnds }                     from './measure.js';
+import { activeLayerEditable,
+         layerBlocks }                  from './layers.js';
+
+/** Operations in menu order, with their names. */
+export const VECTOR_OPS = {
+  sum:   'Soma a + b',
+  diff:  'Diferença a − b',
+  proj:  'Projeção de a sobre b',
+  dot:   'Produto escalar a · b',
+  cross: 'Produto vetorial a × b',
+};
+
+/**
+ * Operations whose result is a vector, with its name and its coefficients
+ * on a and b (the projection's depends on the vectors, see vectorOp()).
+ */
+const RESULTS = {
+  sum:  { name: 'a + b',    coeffs: () => [1, 1] },
+  diff: { name: 'a − b',    coeffs: () => [1, -1] },
+  proj: { name: 'proj_b a', coeffs: res => [0, res.k] },
+};
+
+// ── Geometry ──────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {{ x:number, y:number, mag:number, unit:{x:number, y:number}|null }} Vec
+ *          Components and magnitude in frame units; `unit` is null for a
+ *          zero vector.
+ */
+
+/**
+ * The vector V1 → V2 of an edge (null if an endpoint is missing).
+ *
+ * @param {{v1:number, v2:number}} e
+ * @returns {Vec|null}
+ */
+export function edgeVector(e) {
+  const [a, b] = edgeEnds(e);
+  if (!a || !b) return null;
+  const { dx, dy, dist } = segmentMeasure({ x: a.cx, y: a.cy }, { x: b.cx, y: b.cy });
+  return { x: dx, y: dy, mag: dist, unit: dist ? { x: dx / dist, y: dy / dist } : null };
+}
+
+/**
+ * The current operation on the picked vectors.
+ *
+ * @returns {{ op:string, a:Vec, b:Vec, dot:number, cross:number,
+ *             k:number|null, r:{x:number, y:number}|null }|null}
+ *          `k` = a·b / |b|² (null when b is zero), `r` = the result vector
+ *          of sum / diff / proj (null for the products or a zero b).
+ *          null until both vectors are picked.
+ */
+export function vectorOp() {
+  const { a: ia, b: ib, op } = state.vectors;
+  const ea = _edge(ia);
+  const eb = _edge(ib);
+  const a  = ea?.directed && edgeVector(ea);
+  const b  = eb?.directed && edgeVector(eb);
+  if (!a || !b) return null;
+
+  const dot   = a.x * b.x + a.y * b.y;
+  const cross = a.x * b.y - a.y * b.x;
+  const k     = b.mag ? dot / (b.mag * b.mag) : null;
+  const res   = { op, a, b, dot, cross, k, r: null };
+  if (RESULTS[op] && (op !== 'proj' || k !== null)) {
+    const [ca, cb] = RESULTS[op].coeffs(res);
+    res.r = { x: ca * a.x + cb * b.x, y: ca * a.y + cb * b.y };
+  }
+  return res;
+}
+
+/**
+ * World-px construction of the current operation, anchored at the tail
+ * of a, for draw.js.
+ *
+ * @returns {{ vectors: Array<{p, q, kind:'a'|'b'|'result', name:string}>,
+ *             guides: Array<{p, q}>,
+ *             area: {pts:Array<{x:number, y:number}>, positive:boolean}|null }|null}
+ *          `vectors` get arrowheads, `guides` are dashed construction
+ *          lines, `area` is the parallelogram of a × b.
+ */
+export function vectorFigure() {
+  const res = vectorOp();
+  if (!res) return null;
+
+  const [t, ta] = edgeEnds(_edge(state.vectors.a));
+  const [s, sb] = edgeEnds(_edge(state.vectors.b));
+  const A  = { x: ta.cx - t.cx, y: ta.cy - t.cy };
+  const B  = { x: sb.cx - s.cx, y: sb.cy - s.cy };
+  const at = (ca, cb) => ({ x: t.cx + ca * A.x + cb * B.x, y: t.cy + ca * A.y + cb * B.y });
+  const o  = at(0, 0);
+
+  const fig = {
+    vectors: [
+      { p: o, q: at(1, 0), kind: 'a', name: 'a' },
+      { p: o, q: at(0, 1), kind: 'b', name: 'b' },
+    ],
+    guides: [],
+    area:   null,
+  };
+
+  switch (res.op) {
+    case 'sum':
+      fig.guides.push({ p: at(1, 0), q: at(1, 1) }, { p: at(0, 1), q: at(1, 1) });
+      fig.vectors.push({ p: o, q: at(1, 1), kind: 'result', name: 'a + b' });
+      break;
+
+    case 'diff':
+      // Built from the tail of a, the same vector joins the tip of b to the tip of a
+      fig.guides.push({ p: o, q: at(1, -1) }, { p: at(1, -1), q: at(1, 0) });
+      fig.vectors.push({ p: at(0, 1), q: at(1, 0), kind: 'result', name: 'a − b' });
+      break;
+
+    case 'proj':
+    case 'dot': {
+      if (res.k === null) break;
+      const k = res.k;
+      fig.guides.push({ p: at(0, Math.min(0, k)), q: at(0, Math.max(1, k)) }, { p: at(1, 0), q: at(0, k) });
+      const name = res.op === 'proj' ? 'proj_b a' : `a · b = ${_scalar(res.dot)}`;
+      if (k) fig.vectors.push({ p: o, q: at(0, k), kind: 'result', name });
+      break;
+    }
+
+    default:   // 'cross'
+      fig.guides.push({ p: at(1, 0), q: at(1, 1) }, { p: at(0, 1), q: at(1, 1) });
+      fig.area = { pts: [o, at(1, 0), at(1, 1), at(0, 1)], positive: res.cross >= 0 };
+  }
+  return fig;
+}
+
+// ── Commands ──────────────────────────────────────────────────────────────────
+
+/**
+ * Marks an edge as directed (V1 → V2), or undirected again (not on a
+ * hidden or locked layer).
+ *
+ * @param {number} id
+ */
+export function toggleDirected(id) {
+  const e = _edge(id);
+  if (!e || layerBlocks(e, `e${id}`)) return;
+  const on = !e.directed;
+  record(on ? `Orientar e${id}` : `Remover orientação de e${id}`, () => {
+    const x = _edge(id);
+    if (on) x.directed = true;
+    else    delete x.directed;
+  });
+  setMsg(`e${id}: V${e.v1} ${on ? '→' : '↔'} V${e.v2}`);
+  refreshAll();
+}
+
+/**
+ * Swaps the ends of an edge, turning its vector around (not on a hidden
+ * or locked layer).
+ *
+ * @param {number} id
+ */
+export function reverseEdge(id) {
+  if (!_edge(id) || layerBlocks(_edge(id), `e${id}`)) return;
+  record(`Inverter e${id}`, () => {
+    const x = _edge(id);
+    [x.v1, x.v2] = [x.v2, x.v1];
+  });
+  const e = _edge(id);
+  setMsg(`e${id}: V${e.v1} → V${e.v2}`);
+  refreshAll();
+}
+
+/**
+ * Picks vector a or b, or the operation.
+ *
+ * @param {'a'|'b'|'op'} key
+ * @param {string} value  Edge id ('' = none) or operation key.
+ */
+export function setVectorOp(key, value) {
+  state.vectors[key] = key === 'op' ? value : value === '' ? null : Number(value);
+  refreshVectorPanel();
+  draw();
+}
+
+/** Exchanges the picked a and b. */
+export function swapVectors() {
+  const v = state.vectors;
+  [v.a, v.b] = [v.b, v.a];
+  refreshVectorPanel();
+  draw();
+}
+
+/**
+ * Adds the result of the sum, difference or projection to the graph: a
+ * new vertex at its tip and a directed edge to it from the tail of a, on
+ * the active layer.
+ */
+export function buildVectorResult() {
+  const res = vectorOp();
+  if (!res?.r) return;
+  if (!res.r.x && !res.r.y) {
+    setMsg(`${RESULTS[res.op].name} é o vetor nulo — nada a construir`);
+    return;
+  }
+  if (!activeLayerEditable()) return;
+
+  const [t, ta] = edgeEnds(_edge(state.vectors.a));
+  const [s, sb] = edgeEnds(_edge(state.vectors.b));
+  const [ca, cb] = RESULTS[res.op].coeffs(res);
+  const vid = state.nextVid;
+  const eid = state.nextEid;
+  record(`Construir ${RESULTS[res.op].name}`, () => {
+    state.vertices.push({
+      id: state.nextVid++,
+      cx: t.cx + ca * (ta.cx - t.cx) + cb * (sb.cx - s.cx),
+      cy: t.cy + ca * (ta.cy - t.cy) + cb * (sb.cy - s.cy),
+      layer: state.activeLayer,
+    });
+    state.edges.push({ id: state.nextEid++, v1: t.id, v2: vid, layer: state.activeLayer, directed: true });
+  });
+  setMsg(`${RESULTS[res.op].name} = e${eid}: V${t.id} → V${vid}`);
+  refreshAll();
+}
+
+// ── Results ───────────────────────────────────────────────────────────────────
+
+/**
+ * Components, magnitude and unit vector of a directed edge, one line each.
+ *
+ * @param {{id:number, v1:number, v2:number}} e
+ * @returns {string[]}
+ */
+export function vectorLines(e) {
+  const v = edgeVector(e);
+  if (!v) return [];
+  return [
+    `e${e.id} = ${formatVector(v.x, v.y)}`,
+    `|e${e.id}| = ${formatLength(v.mag)}` +
+      (v.unit ? ` · û = (${_scalar(v.unit.x)}, ${_scalar(v.unit.y)})` : ' · vetor nulo'),
+  ];
+}
+
+/**
+ * Text of the current operation, one fact per line (empty until both
+ * vectors are picked).
+ *
+ * @returns {string[]}
+ */
+export function operationLines() {
+  const res = vectorOp();
+  if (!res) return [];
+
+  const { a, b, dot, cross, k, r } = res;
+  const sq    = unitName() ? ` ${unitName()}²` : '';
+  const lines = [`a = ${formatVector(a.x, a.y)}`, `b = ${formatVector(b.x, b.y)}`];
+
+  switch (res.op) {
+    case 'sum':
+    case 'diff': {
+      const name = RESULTS[res.op].name;
+      lines.push(`${name} = ${formatVector(r.x, r.y)}`, `|${name}| = ${formatLength(Math.hypot(r.x, r.y))}`);
+      break;
+    }
+
+    case 'proj':
+      if (k === null) return [...lines, 'b é o vetor nulo: não há reta para projetar'];
+      lines.push(
+        `a · b / |b|² = ${_scalar(k)}`,
+        `proj_b a = ${formatVector(r.x, r.y)}`,
+        `a − proj_b a = ${formatVector(a.x - r.x, a.y - r.y)} ⟂ b`,
+      );
+      break;
+
+    case 'dot': {
+      lines.push(`a · b = ax·bx + ay·by = ${_scalar(dot)}${sq}`);
+      if (k === null || !a.mag) break;
+      lines.push(
+        `= |a| |b| cos θ, θ = ${formatAngle(Math.abs(Math.atan2(cross, dot)))}`,
+        `= ${formatLength(dot / b.mag)} (a projetado em b) × |b|`,
+        dot > 0 ? 'positivo: ângulo agudo' : dot < 0 ? 'negativo: ângulo obtuso' : 'zero: a ⟂ b',
+      );
+      break;
+    }
+
+    default: {   // 'cross'
+      const sense = isYDown() ? 'horário na tela' : 'anti-horário na tela';
+      lines.push(
+        `a × b = ax·by − ay·bx = ${_scalar(cross)}${sq}`,
+        `= área com sinal do paralelogramo de a e b`,
+        cross > 0 ? `positivo: de a para b gira de +X para +Y (${sense})`
+        : cross < 0 ? 'negativo: de a para b gira no sentido oposto'
+        : 'zero: a e b são paralelos',
+      );
+    }
+  }
+  return lines;
+}
+
+// ── Sidebar ───────────────────────────────────────────────────────────────────
+
+/**
+ * Updates the Vetores card: the directed edges with their components and
+ * the operation tool, replacing picked vectors that are gone.
+ */
+export function refreshVectorPanel() {
+  const el = document.getElementById('vc-list');
+  if (!el) return;
+
+  const directed = state.edges.filter(e => e.directed);
+  const ids      = directed.map(e => e.id);
+  const v        = state.vectors;
+  if (!ids.includes(v.a)) v.a = ids[0] ?? null;
+  if (!ids.includes(v.b)) v.b = ids.find(id => id !== v.a) ?? null;
+
+  document.getElementById('vc-count').textContent = directed.length;
+  el.innerHTML = directed.length
+    ? directed.map(e => {
+        const [comp, mag] = vectorLines(e);
+        return `
+      <div class="e-item vc-item${e.id === state.selEdge ? ' selected' : ''}" data-id="${e.id}">
+        <span>${comp ?? `e${e.id}`}${mag ? `<br><small>${mag}</small>` : ''}</span>
+      </div>`;
+      }).join('')
+    : '<div class="empty-hint">Nenhum vetor — oriente arestas com → na lista de arestas</div>';
+
+  const options = '<option value="">—</option>' + ids.map(id => `<option value="${id}">e${id}</option>`).join('');
+  for (const key of ['a', 'b']) {
+    const sel = document.getElementById(`vc-${key}`);
+    sel.innerHTML = options;
+    sel.value     = v[key] ?? '';
+  }
+  document.getElementById('vc-op').value = v.op;
+
+  const res   = vectorOp();
+  const lines = operationLines();
+  document.getElementById('vc-build-btn').disabled = !res?.r;
+  document.getElementById('vc-result').innerHTML = lines.length
+    ? lines.map(l => `<div>${l}</div>`).join('')
+    : 'Escolha os vetores a e b';
+}
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function _edge(id) {
+  return id === null ? null : state.edges.find(e => e.id === id) ?? null;
+}
+
+/** Dimensionless number or product, to 4 decimals ("-0" printed as "0"). */
+function _scalar(x) {
+  const r = Math.round(x * 10000) / 10000;
+  return String(r === 0 ? 0 : r);
+}